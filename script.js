@@ -14,11 +14,744 @@
  * - 事件驱动的交互设计
  * 
  * 文件结构：
- * 1. NavigationModel类：数据模型和localStorage操作
- * 2. NavigationApp类：主应用逻辑和UI交互
- * 3. DOMContentLoaded事件：应用初始化
+ * 1. SettingsSchemaRegistry类：设置数据版本管理与迁移
+ * 2. SettingsHistory类：撤销/重做历史记录
+ * 3. StorageAdapter系列类：各类存储方案的适配器，由StorageAdapterRegistry统一注册
+ * 4. NavigationModel类：数据模型和localStorage操作
+ * 5. NavigationApp类：主应用逻辑和UI交互
+ * 6. DOMContentLoaded事件：应用初始化
  */
 
+// 设置版本错误：数据来自更高版本的应用，拒绝加载以免丢失数据
+class SettingsVersionError extends Error {
+    constructor(version, supportedVersion) {
+        super(`设置数据版本 ${version} 高于当前支持的版本 ${supportedVersion}，请升级后再加载`);
+        this.name = 'SettingsVersionError';
+        this.version = version;
+        this.supportedVersion = supportedVersion;
+    }
+}
+
+// 设置数据结构注册表：按版本顺序管理迁移（1.0 → 1.1 → 2.0 …）
+class SettingsSchemaRegistry {
+    constructor(baseVersion = '1.0') {
+        this.baseVersion = baseVersion;
+        this.migrations = [];
+    }
+
+    // 注册迁移：{ from, to, description, up(settings), down(settings) }
+    // 未提供down的迁移视为不可逆
+    register(migration) {
+        if (!migration || !migration.from || !migration.to || typeof migration.up !== 'function') {
+            throw new Error('迁移定义无效：必须包含from、to和up');
+        }
+        if (this.compareVersions(migration.to, migration.from) <= 0) {
+            throw new Error(`迁移 ${migration.from} → ${migration.to} 的目标版本必须更高`);
+        }
+        if (this.migrations.some(m => m.from === migration.from)) {
+            throw new Error(`版本 ${migration.from} 的迁移已注册`);
+        }
+
+        this.migrations.push(migration);
+        this.migrations.sort((a, b) => this.compareVersions(a.from, b.from));
+    }
+
+    // 当前支持的最新版本
+    get latestVersion() {
+        if (this.migrations.length === 0) {
+            return this.baseVersion;
+        }
+        return this.migrations[this.migrations.length - 1].to;
+    }
+
+    // 比较版本号，返回-1、0或1
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const partsB = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        const length = Math.max(partsA.length, partsB.length);
+
+        for (let i = 0; i < length; i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) {
+                return diff > 0 ? 1 : -1;
+            }
+        }
+        return 0;
+    }
+
+    // 读取数据版本，缺失版本号的旧数据视为基础版本
+    getVersion(settings) {
+        if (settings && typeof settings.version === 'string' && settings.version) {
+            return settings.version;
+        }
+        return this.baseVersion;
+    }
+
+    // 判断数据是否来自更高版本
+    isNewerVersion(settings) {
+        return this.compareVersions(this.getVersion(settings), this.latestVersion) > 0;
+    }
+
+    // 将设置数据逐级迁移到最新版本，不修改传入的对象
+    migrate(settings) {
+        let version = this.getVersion(settings);
+        const latest = this.latestVersion;
+
+        if (this.compareVersions(version, latest) > 0) {
+            throw new SettingsVersionError(version, latest);
+        }
+
+        let data = JSON.parse(JSON.stringify(settings));
+        const applied = [];
+
+        while (this.compareVersions(version, latest) < 0) {
+            const migration = this.migrations.find(m => m.from === version);
+            if (!migration) {
+                throw new Error(`找不到从版本 ${version} 开始的迁移`);
+            }
+
+            console.log(`设置迁移: ${migration.from} → ${migration.to}${migration.description ? `（${migration.description}）` : ''}`);
+            data = migration.up(data) || data;
+            data.version = migration.to;
+            applied.push(migration);
+            version = migration.to;
+        }
+
+        return { settings: data, applied };
+    }
+
+    // 将设置数据回退到指定的旧版本，遇到不可逆迁移时抛出错误
+    rollback(settings, targetVersion) {
+        let version = this.getVersion(settings);
+        if (this.compareVersions(targetVersion, version) > 0) {
+            throw new Error(`无法回退到更高的版本 ${targetVersion}`);
+        }
+
+        let data = JSON.parse(JSON.stringify(settings));
+
+        while (this.compareVersions(version, targetVersion) > 0) {
+            const migration = this.migrations.find(m => m.to === version);
+            if (!migration) {
+                throw new Error(`找不到到达版本 ${version} 的迁移`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`迁移 ${migration.from} → ${migration.to} 不可逆`);
+            }
+
+            console.log(`设置回退: ${migration.to} → ${migration.from}`);
+            data = migration.down(data) || data;
+            data.version = migration.from;
+            version = migration.from;
+        }
+
+        return data;
+    }
+}
+
+// 全局设置结构注册表，新增数据结构变更时在此注册迁移
+const settingsSchemaRegistry = new SettingsSchemaRegistry('1.0');
+
+// 1.0 → 1.1：补全导航项与工具组子项的标签字段，并汇总全局标签列表
+settingsSchemaRegistry.register({
+    from: '1.0',
+    to: '1.1',
+    description: '补全标签字段并汇总全局标签',
+    up(settings) {
+        const navigationItems = Array.isArray(settings.navigationItems) ? settings.navigationItems : [];
+        const toolGroups = Array.isArray(settings.toolGroups) ? settings.toolGroups : [];
+
+        toolGroups.forEach(group => {
+            if (group && !Array.isArray(group.items)) {
+                group.items = [];
+            }
+        });
+
+        const allItems = navigationItems.concat(...toolGroups.map(group => (group && group.items) || []));
+        const tags = new Set(Array.isArray(settings.tags) ? settings.tags : []);
+
+        allItems.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            if (!Array.isArray(item.tags)) {
+                item.tags = [];
+            }
+            item.tags.forEach(tag => tags.add(tag));
+        });
+
+        settings.tags = Array.from(tags);
+        return settings;
+    },
+    down(settings) {
+        // 1.0同样接受标签字段，回退时无需删除
+        return settings;
+    }
+});
+
+// 1.1 → 1.2：新增页面列表，已有的导航项和工具组都放在第一页
+settingsSchemaRegistry.register({
+    from: '1.1',
+    to: '1.2',
+    description: '新增页面并将导航项和工具组放在第一页',
+    up(settings) {
+        settings.pages = [{ id: 1, name: '主页', layout: null }];
+        [settings.navigationItems, settings.toolGroups].forEach(list => {
+            (Array.isArray(list) ? list : []).forEach(entry => {
+                if (entry && typeof entry === 'object') {
+                    entry.page = 1;
+                }
+            });
+        });
+        return settings;
+    },
+    down(settings) {
+        // 1.1没有页面，所有项目回到同一个网格中
+        delete settings.pages;
+        [settings.navigationItems, settings.toolGroups].forEach(list => {
+            (Array.isArray(list) ? list : []).forEach(entry => {
+                if (entry && typeof entry === 'object') {
+                    delete entry.page;
+                }
+            });
+        });
+        return settings;
+    }
+});
+
+// 1.2 → 1.3：工具组的子项可以是子工具组（带items数组的条目），数据结构兼容，无需转换
+settingsSchemaRegistry.register({
+    from: '1.2',
+    to: '1.3',
+    description: '支持嵌套的工具组',
+    up(settings) {
+        return settings;
+    },
+    down(settings) {
+        // 1.2不支持嵌套，子工具组中的网址展开到所在的顶层工具组
+        const flatten = (items) => items.reduce((links, entry) => {
+            if (entry && Array.isArray(entry.items)) {
+                return links.concat(flatten(entry.items));
+            }
+            return links.concat(entry);
+        }, []);
+        (Array.isArray(settings.toolGroups) ? settings.toolGroups : []).forEach(group => {
+            if (group && Array.isArray(group.items)) {
+                group.items = flatten(group.items);
+            }
+        });
+        return settings;
+    }
+});
+
+// 内置的搜索引擎，url中的%s替换为搜索词
+const builtinSearchEngines = [
+    { id: 'google', name: 'Google', url: 'https://www.google.com/search?q=%s', icon: '', keyword: '' },
+    { id: 'baidu', name: '百度', url: 'https://www.baidu.com/s?wd=%s', icon: '', keyword: '' },
+    { id: 'bing', name: 'Bing', url: 'https://www.bing.com/search?q=%s', icon: '', keyword: '' },
+    { id: 'yahoo', name: 'Yahoo', url: 'https://search.yahoo.com/search?p=%s', icon: '', keyword: '' }
+];
+
+// 1.3 → 1.4：搜索引擎改为可自定义的列表（search.engines），search.engine保存所选引擎的id
+settingsSchemaRegistry.register({
+    from: '1.3',
+    to: '1.4',
+    description: '支持自定义搜索引擎',
+    up(settings) {
+        if (settings.search && typeof settings.search === 'object') {
+            settings.search.engines = builtinSearchEngines.map(engine => ({ ...engine }));
+        }
+        return settings;
+    },
+    down(settings) {
+        // 1.3只支持内置的搜索引擎，所选的自定义引擎改回Google
+        if (settings.search && typeof settings.search === 'object') {
+            delete settings.search.engines;
+            if (!builtinSearchEngines.some(engine => engine.id === settings.search.engine)) {
+                settings.search.engine = 'google';
+            }
+        }
+        return settings;
+    }
+});
+
+// 内置的搜索关键词：输入"gh react"或"!gh react"时直接使用对应网站搜索
+const builtinSearchKeywords = [
+    { id: 'keyword-1', keyword: 'gh', name: 'GitHub', url: 'https://github.com/search?q=%s', icon: '' },
+    { id: 'keyword-2', keyword: 'w', name: '维基百科', url: 'https://zh.wikipedia.org/w/index.php?search=%s', icon: '' },
+    { id: 'keyword-3', keyword: 'yt', name: 'YouTube', url: 'https://www.youtube.com/results?search_query=%s', icon: '' }
+];
+
+// 1.4 → 1.5：新增搜索关键词表（search.keywords），导航项可以设置关键词（keyword字段）
+settingsSchemaRegistry.register({
+    from: '1.4',
+    to: '1.5',
+    description: '新增搜索关键词',
+    up(settings) {
+        if (settings.search && typeof settings.search === 'object') {
+            // 已被搜索引擎使用的关键词不再添加
+            const used = new Set((settings.search.engines || []).map(engine => (engine.keyword || '').toLowerCase()));
+            settings.search.keywords = builtinSearchKeywords
+                .filter(entry => !used.has(entry.keyword))
+                .map(entry => ({ ...entry }));
+        }
+        return settings;
+    },
+    down(settings) {
+        if (settings.search && typeof settings.search === 'object') {
+            delete settings.search.keywords;
+        }
+        (Array.isArray(settings.navigationItems) ? settings.navigationItems : []).forEach(item => {
+            if (item && typeof item === 'object') {
+                delete item.keyword;
+            }
+        });
+        return settings;
+    }
+});
+
+// 设置修改历史：以命令为单位记录修改前后的数据分区，支持撤销/重做并持久化到localStorage
+class SettingsHistory {
+    constructor(storageKey, maxSize = 50) {
+        this.storageKey = storageKey;
+        this.maxSize = maxSize;
+        // 连续的同类修改（如拖动滑块、输入颜色值）在该时间内合并为一条记录
+        this.mergeWindow = 1000;
+        // 参与撤销的设置分区
+        this.sections = ['navigationItems', 'toolGroups', 'pages', 'tags', 'wallpaper', 'layout', 'textColor', 'search'];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+        // 有尚未写入localStorage的修改，由设置的写入队列统一调用flush()写入
+        this.dirty = false;
+        this.load();
+    }
+
+    // 从localStorage恢复历史记录
+    load() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+        this.dirty = false;
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) {
+                this.undoStack = stored.undo.slice(-this.maxSize);
+                this.redoStack = stored.redo.slice(-this.maxSize);
+            }
+        } catch (e) {
+            console.error('加载修改历史失败', e);
+        }
+    }
+
+    // 持久化历史记录，空间不足时丢弃最早的记录
+    persist() {
+        this.dirty = false;
+        const undo = this.undoStack.slice();
+        const redo = this.redoStack.slice();
+        while (true) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify({ undo, redo }));
+                return true;
+            } catch (e) {
+                if (redo.length > 0) {
+                    redo.shift();
+                } else if (undo.length > 0) {
+                    undo.shift();
+                } else {
+                    console.error('保存修改历史失败', e);
+                    localStorage.removeItem(this.storageKey);
+                    return false;
+                }
+            }
+        }
+    }
+
+    // 写入尚未持久化的修改
+    flush() {
+        return this.dirty ? this.persist() : true;
+    }
+
+    // 以JSON字符串形式记录各分区的当前数据
+    capture(settings) {
+        const state = {};
+        this.sections.forEach(section => {
+            state[section] = JSON.stringify(settings[section] === undefined ? null : settings[section]);
+        });
+        return state;
+    }
+
+    // 将记录的分区数据写回设置
+    apply(settings, state) {
+        Object.entries(state).forEach(([section, json]) => {
+            settings[section] = JSON.parse(json);
+        });
+    }
+
+    // 将本轮同步执行的所有修改合并为一条记录，用于由多个模型调用组成的操作
+    beginBatch(label) {
+        this.batch = { label, entry: null };
+        Promise.resolve().then(() => {
+            this.batch = null;
+        });
+    }
+
+    // 同名命令的上一条记录仍在合并时间内（如正在拖动滑块），本条修改会并入该记录
+    isMerging(label) {
+        const top = this.undoStack[this.undoStack.length - 1];
+        return !this.batch && !!top && top.label === label && Date.now() - top.time < this.mergeWindow;
+    }
+
+    // 记录一条命令，数据没有变化时忽略；记录只在内存中修改，由flush()写入
+    record(label, before, after) {
+        const changed = this.sections.filter(section => before[section] !== after[section]);
+        if (changed.length === 0) {
+            return null;
+        }
+
+        const top = this.undoStack[this.undoStack.length - 1];
+        let entry = null;
+        if (this.batch) {
+            entry = this.batch.entry;
+        } else if (top && top.label === label && Date.now() - top.time < this.mergeWindow
+            && changed.every(section => section in top.after)) {
+            entry = top;
+        }
+
+        if (entry && entry === top) {
+            changed.forEach(section => {
+                if (!(section in entry.before)) {
+                    entry.before[section] = before[section];
+                }
+                entry.after[section] = after[section];
+            });
+            entry.time = Date.now();
+            // 合并后与修改前相同（如滑块拖回原值）则移除该记录
+            if (Object.keys(entry.after).every(section => entry.before[section] === entry.after[section])) {
+                this.undoStack.pop();
+                if (this.batch) {
+                    this.batch.entry = null;
+                }
+            }
+        } else {
+            entry = { label: this.batch ? this.batch.label : label, time: Date.now(), before: {}, after: {} };
+            changed.forEach(section => {
+                entry.before[section] = before[section];
+                entry.after[section] = after[section];
+            });
+            this.undoStack.push(entry);
+            if (this.undoStack.length > this.maxSize) {
+                this.undoStack.shift();
+            }
+            if (this.batch) {
+                this.batch.entry = entry;
+            }
+        }
+
+        this.redoStack = [];
+        this.dirty = true;
+        return entry;
+    }
+
+    // 将记录中的字符串值替换为新值（如内嵌图片改为资源引用），返回是否有修改
+    replaceValues(replacements) {
+        let changed = false;
+        [...this.undoStack, ...this.redoStack].forEach(entry => {
+            [entry.before, entry.after].forEach(state => {
+                Object.keys(state).forEach(section => {
+                    let json = state[section];
+                    replacements.forEach((newValue, oldValue) => {
+                        json = json.split(JSON.stringify(oldValue)).join(JSON.stringify(newValue));
+                    });
+                    if (json !== state[section]) {
+                        state[section] = json;
+                        changed = true;
+                    }
+                });
+            });
+        });
+        if (changed) {
+            this.persist();
+        }
+        return changed;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // 取出最近一条命令并移入重做栈，返回需要恢复的修改前数据
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        this.batch = null;
+        this.dirty = true;
+        return entry;
+    }
+
+    // 取出最近撤销的命令并移回撤销栈，返回需要恢复的修改后数据
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        this.batch = null;
+        this.dirty = true;
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+        this.dirty = false;
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// ZIP压缩包读写：写入时不压缩（图片本身已压缩），读取时支持不压缩和deflate压缩的文件
+class ZipArchive {
+    constructor() {
+        // 文件路径 -> 内容（Uint8Array），按加入顺序写入
+        this.files = new Map();
+        this.crcTable = null;
+    }
+    
+    addFile(path, data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+        this.files.set(path, bytes);
+    }
+    
+    has(path) {
+        return this.files.has(path);
+    }
+    
+    getBytes(path) {
+        return this.files.get(path) || null;
+    }
+    
+    getText(path) {
+        const bytes = this.getBytes(path);
+        return bytes ? new TextDecoder().decode(bytes) : null;
+    }
+    
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let c = i;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[i] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    // 生成ZIP文件
+    toBlob() {
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        this.files.forEach((data, path) => {
+            const name = encoder.encode(path);
+            const crc = this.crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // 文件名使用UTF-8
+            local.setUint16(8, 0, true); // 不压缩
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local.buffer, name, data);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central.buffer, name);
+            
+            offset += 30 + name.length + data.length;
+        });
+        
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.files.size, true);
+        end.setUint16(10, this.files.size, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+    
+    // 读取ZIP文件，格式无效或包含不支持的压缩方式时抛出错误
+    async load(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+        
+        // 从末尾查找中央目录结束记录（其后最多有65535字节的注释）
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('不是有效的ZIP文件');
+        }
+        
+        const count = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        if (pointer === 0xFFFFFFFF) {
+            throw new Error('不支持ZIP64格式');
+        }
+        
+        this.files.clear();
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014B50) {
+                throw new Error('ZIP文件目录已损坏');
+            }
+            const method = view.getUint16(pointer + 10, true);
+            const crc = view.getUint32(pointer + 16, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const path = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+            
+            // 跳过目录
+            if (path.endsWith('/')) continue;
+            
+            if (view.getUint32(localOffset, true) !== 0x04034B50) {
+                throw new Error(`ZIP文件已损坏：${path}`);
+            }
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const compressed = bytes.slice(dataStart, dataStart + compressedSize);
+            
+            let data;
+            if (method === 0) {
+                data = compressed;
+            } else if (method === 8 && typeof DecompressionStream === 'function') {
+                const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                data = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else {
+                throw new Error(`不支持的压缩方式：${path}`);
+            }
+            
+            if (this.crc32(data) !== crc) {
+                throw new Error(`ZIP文件已损坏：${path}`);
+            }
+            this.files.set(path, data);
+        }
+        
+        return this;
+    }
+}
+
+// 汉字转拼音：利用浏览器按拼音排序的Intl.Collator，在每个音节的第一个汉字组成的表中二分查找，不需要附带完整的字典
+// 多音字只取最常用的读音；浏览器不支持拼音排序时isAvailable()返回false
+class PinyinConverter {
+    constructor() {
+        // 按拼音排序时每个音节的第一个汉字，与syllables一一对应（ü写作v）
+        this.boundaryChars = '阿哎安肮凹丷挀扳邦勹卑奔伻屄边灬憋汃冫癶峬嚓偲参仓撡冊嵾曽叉芆辿伥抄车抻阷吃充抽出揣巛刅吹旾逴呲匆凑粗汆崔邨搓咑呆丹当刀嘚扥灯氐敁刁爹丁丟东吺厾耑垖吨多妸诶奀鞥儿发帆匚飞分丰覅仏紑夫旮侅甘冈皋戈给根刯工勾估瓜乖关光归丨呙哈咍佄夯茠诃黒拫亨噷叿齁乎花怀欢巟灰昏吙丌加戋江艽阶巾坕冂丩凥姢噘军咔开刊忼尻匼剋肎劥空抠扝夸蒯宽匡亏坤扩垃来兰啷捞仂勒崚哩俩奁良撩毟拎〇溜囖龙瞜噜驴娈掠抡啰呣妈埋嫚牤猫嚒呅椚擝咪宀喵乜民名谬摸哞毪拏腉囡囔孬疒娞恁能嗯妮拈娘鸟捏囜宁妞农羺奴女奻疟黁郍喔讴妑拍眅乓抛呸喷匉丕囨剽氕姘乒钋剖仆七掐千呛悄苆亲靑卭丘区奍缺夋呥穣娆惹人扔日戎厹邚挼堧婑瞤捼仨毢三桒掻閪森僧杀筛山伤弰奢谁申升尸収书刷衰闩双脽吮说厶忪凁苏狻夊孙唆他囼坍汤夲忑熥剔天旫帖厅囲偷凸湍推吞乇屲歪弯尣危昷翁挝乌夕虲仙乡灱些心星凶休吁吅削坃丫恹央幺倻一囙应哟佣优込囦曰晕帀災兂匨傮则贼怎増扎夈枬张佋蜇贞凧之中州朱抓跩专妆隹宒拙乲宗邹租钻厜尊昨';
+        this.syllables = ('a ai an ang ao ba bai ban bang bao bei ben beng bi bian biao bie bin bing bo bu ca cai can cang cao ce cen ceng cha chai chan chang chao che chen cheng chi chong chou chu chuai chuan chuang chui chun chuo ci cong cou cu cuan cui cun cuo da dai dan dang dao de den deng di dian diao die ding diu dong dou du duan dui dun duo e ei en eng er fa fan fang fei fen feng fiao fo fou fu ga gai gan gang gao ge gei gen geng gong gou gu gua guai guan guang gui gun guo ha hai han hang hao he hei hen heng hm hong hou hu hua huai huan huang hui hun huo ji jia jian jiang jiao jie jin jing jiong jiu ju juan jue jun ka kai kan kang kao ke kei ken keng kong kou ku kua kuai kuan kuang kui kun kuo la lai lan lang lao le lei leng li lia lian liang liao lie lin ling liu lo long lou lu lv luan lve lun luo m ma mai man mang mao me mei men meng mi mian miao mie min ming miu mo mou mu na nai nan nang nao ne nei nen neng n ni nian niang niao nie nin ning niu nong nou nu nv nuan nve nun nuo o ou pa pai pan pang pao pei pen peng pi pian piao pie pin ping po pou pu qi qia qian qiang qiao qie qin qing qiong qiu qu quan que qun ran rang rao re ren reng ri rong rou ru rua ruan rui run ruo sa sai san sang sao se sen seng sha shai shan shang shao she shei shen sheng shi shou shu shua shuai shuan shuang shui shun shuo si song sou su suan sui sun suo ta tai tan tang tao te teng ti tian tiao tie ting tong tou tu tuan tui tun tuo wa wai wan wang wei wen weng wo wu xi xia xian xiang xiao xie xin xing xiong xiu xu xuan xue xun ya yan yang yao ye yi yin ying yo yong you yu yuan yue yun za zai zan zang zao ze zei zen zeng zha zhai zhan zhang zhao zhe zhen zheng zhi zhong zhou zhu zhua zhuai zhuan zhuang zhui zhun zhuo zi zong zou zu zuan zui zun zuo').split(' ');
+        // 排在此字之后的汉字没有拼音数据
+        this.lastChar = '咗';
+        // 常见多音字的其他读音，查表只能得到其中一个
+        this.alternativeSyllables = {
+            '行': ['hang'], '长': ['chang'], '重': ['chong'], '乐': ['yue'], '还': ['huan'], '调': ['tiao'],
+            '藏': ['zang'], '朝': ['zhao'], '传': ['zhuan'], '都': ['du'], '和': ['huo'], '会': ['kuai'],
+            '觉': ['jiao'], '弹': ['tan'], '单': ['shan'], '着': ['zhao', 'zhuo'], '地': ['di'], '得': ['dei'],
+            '便': ['pian'], '差': ['chai'], '种': ['chong'], '参': ['shen'], '曾': ['zeng'], '省': ['xing'],
+            '率': ['shuai'], '系': ['ji'], '大': ['dai'], '解': ['xie'], '查': ['zha'], '露': ['lou']
+        };
+        this.collator = null;
+        this.available = null;
+        this.cache = new Map();
+    }
+    
+    isAvailable() {
+        if (this.available === null) {
+            try {
+                this.collator = new Intl.Collator('zh-Hans-CN-u-co-pinyin');
+                // 按码位排序时"阿"在"八"之后，借此确认确实按拼音排序
+                this.available = this.collator.compare('阿', '八') < 0 && this.collator.compare('八', '嚓') < 0;
+            } catch (e) {
+                this.available = false;
+            }
+        }
+        return this.available;
+    }
+    
+    // 返回单个汉字的拼音（小写、无声调），不是汉字或无法识别时返回null
+    getSyllable(char) {
+        if (!/^\p{Script=Han}$/u.test(char) || !this.isAvailable()) {
+            return null;
+        }
+        if (this.cache.has(char)) {
+            return this.cache.get(char);
+        }
+        
+        let syllable = null;
+        if (this.collator.compare(char, this.lastChar) <= 0) {
+            let low = 0;
+            let high = this.syllables.length - 1;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                if (this.collator.compare(char, this.boundaryChars[middle]) >= 0) {
+                    syllable = this.syllables[middle];
+                    low = middle + 1;
+                } else {
+                    high = middle - 1;
+                }
+            }
+        }
+        this.cache.set(char, syllable);
+        return syllable;
+    }
+    
+    // 返回单个汉字所有可能的拼音，常用读音在前，不是汉字时返回空数组
+    getSyllables(char) {
+        const syllable = this.getSyllable(char);
+        if (!syllable) {
+            return [];
+        }
+        return [syllable, ...(this.alternativeSyllables[char] || []).filter(other => other !== syllable)];
+    }
+}
+
+const pinyinConverter = new PinyinConverter();
+
 // 存储适配器基类
 class StorageAdapter {
     constructor(model) {
@@ -56,7 +789,7 @@ class FileSystemAccessAdapter extends StorageAdapter {
     
     async backupStorage() {
         try {
-            const backedUp = await this.model.backupFile();
+            const backedUp = await this.model.backupFile(true);
             return backedUp;
         } catch (err) {
             console.error('FileSystemAccessAdapter: 备份存储失败', err);
@@ -95,7 +828,7 @@ class FirefoxStorageAdapter extends StorageAdapter {
             if (!this.fileInput) {
                 this.fileInput = document.createElement('input');
                 this.fileInput.type = 'file';
-                this.fileInput.accept = '.json';
+                this.fileInput.accept = '.json,.zip';
                 this.fileInput.style.display = 'none';
                 // 添加唯一标识，便于调试
                 this.fileInput.id = 'firefox-storage-file-input';
@@ -137,6 +870,49 @@ class FirefoxStorageAdapter extends StorageAdapter {
         }
     }
     
+    // 通过文件选择器读取设置文件，返回迁移并验证后的数据，失败或取消时返回null
+    readSettingsFile() {
+        return new Promise((resolve) => {
+            // 确保之前的事件监听器已移除
+            this.fileInput.onchange = null;
+            
+            this.fileInput.onchange = async (e) => {
+                const file = e.target.files[0];
+                // 允许再次选择同一文件
+                this.fileInput.value = '';
+                if (file) {
+                    try {
+                        // ZIP数据包或JSON文件，加密文件先解密，取消时不做修改
+                        const parsed = await this.model.parseSettingsFile(file);
+                        if (!parsed) {
+                            resolve(null);
+                            return;
+                        }
+                        
+                        // 迁移到当前数据版本
+                        const data = this.model.migrateSettings(parsed);
+                        
+                        // 验证数据有效性
+                        if (this.model.validateSettings(data)) {
+                            resolve(data);
+                        } else {
+                            console.error('文件中的数据无效');
+                            resolve(null);
+                        }
+                    } catch (err) {
+                        console.error('读取文件失败:', err);
+                        resolve(null);
+                    }
+                } else {
+                    // 用户取消了文件选择
+                    resolve(null);
+                }
+            };
+            
+            this.fileInput.click();
+        });
+    }
+    
     // 打开存储文件
     async openStorage() {
         try {
@@ -149,50 +925,16 @@ class FirefoxStorageAdapter extends StorageAdapter {
                 return true;
             }
             
-            return new Promise((resolve) => {
-                // 确保之前的事件监听器已移除
-                this.fileInput.onchange = null;
-                
-                this.fileInput.onchange = (e) => {
-                    const file = e.target.files[0];
-                    if (file) {
-                        const reader = new FileReader();
-                        
-                        reader.onload = (event) => {
-                            try {
-                                const data = JSON.parse(event.target.result);
-                                
-                                // 验证数据有效性
-                                if (this.model.validateSettings(data)) {
-                                    this.model.currentSettings = data;
-                                    this.model.ensureSettingsStructure();
-                                    this.model.saveSettings(); // 同时保存到localStorage作为备份
-                                    console.log('成功从文件加载设置');
-                                    resolve(true);
-                                } else {
-                                    console.error('文件中的数据无效');
-                                    resolve(false);
-                                }
-                            } catch (err) {
-                                console.error('读取文件失败:', err);
-                                resolve(false);
-                            }
-                        };
-                        
-                        reader.onerror = (event) => {
-                            console.error('文件读取错误:', event.target.error);
-                            resolve(false);
-                        };
-                        
-                        reader.readAsText(file);
-                    } else {
-                        // 用户取消了文件选择
-                        resolve(false);
-                    }
-                };
-                
-                this.fileInput.click();
-            });
+            const data = await this.readSettingsFile();
+            if (!data) {
+                return false;
+            }
+            
+            this.model.currentSettings = data;
+            this.model.ensureSettingsStructure();
+            this.model.saveSettings(); // 同时保存到localStorage作为备份
+            console.log('成功从文件加载设置');
+            return true;
         } catch (err) {
             console.error('打开存储文件失败:', err);
             // 回退到localStorage
@@ -208,15 +950,13 @@ class FirefoxStorageAdapter extends StorageAdapter {
             
             if (!this.isInitialized) {
                 console.error('Firefox存储适配器未正确初始化');
-                // 回退到localStorage
-                return this.model.saveSettings();
+                // 数据已由saveSettings写入localStorage，不再回调saveSettings，避免循环保存
+                return false;
             }
             
-            // 更新时间戳和校验和
+            // 更新时间戳，文件保存在下载目录中，与备份一样内嵌图片、加上校验和，设置了口令时加密
             this.model.currentSettings.timestamp = Date.now();
-            this.model.currentSettings.checksum = this.model.generateChecksum(this.model.currentSettings);
-            
-            const dataStr = JSON.stringify(this.model.currentSettings, null, 2);
+            const dataStr = await this.model.serializeForExport(this.model.currentSettings);
             const dataBlob = new Blob([dataStr], { type: 'application/json' });
             
             // 使用<a download>方式下载文件
@@ -233,14 +973,11 @@ class FirefoxStorageAdapter extends StorageAdapter {
                 console.log('成功保存设置文件');
             }, 100);
             
-            // 同时保存到localStorage作为备份
-            this.model.saveSettings();
-            
             return true;
         } catch (err) {
             console.error('保存文件失败:', err);
-            // 回退到localStorage
-            return this.model.saveSettings();
+            // 数据已由saveSettings写入localStorage
+            return false;
         }
     }
     
@@ -252,18 +989,16 @@ class FirefoxStorageAdapter extends StorageAdapter {
             if (!this.isInitialized) {
                 console.error('Firefox存储适配器未正确初始化');
                 // 回退到localStorage备份
-                return this.model.saveSettings();
+                return this.model.flushSettings();
             }
             
-            // 更新时间戳和校验和
+            // 更新时间戳，并生成带校验和（设置了口令时加密）的文件内容
             this.model.currentSettings.timestamp = Date.now();
-            this.model.currentSettings.checksum = this.model.generateChecksum(this.model.currentSettings);
+            const dataStr = await this.model.serializeForExport(this.model.currentSettings);
             
             // 生成带有时间戳的备份文件名
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const backupFileName = `${this.model.backupFileName.replace('.json', '')}-${timestamp}.json`;
-            
-            const dataStr = JSON.stringify(this.model.currentSettings, null, 2);
             const dataBlob = new Blob([dataStr], { type: 'application/json' });
             
             // 使用<a download>方式下载备份文件
@@ -282,19 +1017,40 @@ class FirefoxStorageAdapter extends StorageAdapter {
         } catch (err) {
             console.error('备份文件失败:', err);
             // 回退到localStorage备份
-            return this.model.saveSettings();
+            return this.model.flushSettings();
         }
     }
     
-    // 恢复存储文件
+    // 恢复存储文件（可与当前设置合并）
     async restoreStorage() {
         try {
-            return await this.openStorage();
-        } catch (err) {
-            console.error('恢复存储文件失败:', err);
-            // 回退到localStorage
-            this.model.currentSettings = this.model.loadSettings();
-            return true;
+            this.initElements();
+            
+            if (!this.isInitialized) {
+                console.error('Firefox存储适配器未正确初始化');
+                // 回退到localStorage
+                this.model.currentSettings = this.model.loadSettings();
+                return true;
+            }
+            
+            const data = await this.readSettingsFile();
+            if (!data) {
+                return false;
+            }
+            
+            const settings = await this.model.resolveImportedSettings(data);
+            if (!settings) {
+                return false;
+            }
+            
+            this.model.applyImportedSettings(settings);
+            console.log('成功从文件恢复设置');
+            return true;
+        } catch (err) {
+            console.error('恢复存储文件失败:', err);
+            // 回退到localStorage
+            this.model.currentSettings = this.model.loadSettings();
+            return true;
         }
     }
     
@@ -310,7 +1066,13 @@ class IndexedDBAdapter extends StorageAdapter {
         super(model);
         this.dbName = 'navigationSettingsDB';
         this.storeName = 'settings';
-        this.dbVersion = 1;
+        // 历史快照单独存放，避免覆盖当前设置记录
+        this.snapshotStoreName = 'snapshots';
+        // 存储文件的FileSystemFileHandle，刷新页面后无需重新选择文件
+        this.handleStoreName = 'handles';
+        // 壁纸和上传的图标，以内容的SHA-256为ID
+        this.assetStoreName = 'assets';
+        this.dbVersion = 5;
         this.db = null;
     }
     
@@ -330,26 +1092,63 @@ class IndexedDBAdapter extends StorageAdapter {
                 if (!db.objectStoreNames.contains(this.storeName)) {
                     db.createObjectStore(this.storeName, { keyPath: 'id' });
                 }
+                if (!db.objectStoreNames.contains(this.snapshotStoreName)) {
+                    const snapshotStore = db.createObjectStore(this.snapshotStoreName, { keyPath: 'id', autoIncrement: true });
+                    snapshotStore.createIndex('timestamp', 'timestamp');
+                }
+                // 快照按配置区分，旧快照属于默认配置
+                const snapshots = event.target.transaction.objectStore(this.snapshotStoreName);
+                if (!snapshots.indexNames.contains('profile')) {
+                    snapshots.createIndex('profile', ['profile', 'timestamp']);
+                    snapshots.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        if (!cursor.value.profile) {
+                            cursor.update({ ...cursor.value, profile: this.model.defaultProfileId });
+                        }
+                        cursor.continue();
+                    };
+                }
+                if (!db.objectStoreNames.contains(this.handleStoreName)) {
+                    db.createObjectStore(this.handleStoreName, { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains(this.assetStoreName)) {
+                    db.createObjectStore(this.assetStoreName, { keyPath: 'id' });
+                }
             };
             
             request.onsuccess = (event) => {
-                this.db = event.target.result;
-                resolve(this.db);
+                const db = event.target.result;
+                // 其他标签页需要升级数据库时关闭连接，下次使用时重新打开
+                db.onversionchange = () => {
+                    db.close();
+                    if (this.db === db) {
+                        this.db = null;
+                    }
+                };
+                this.db = db;
+                resolve(db);
             };
             
             request.onerror = (event) => {
                 console.error('IndexedDB初始化失败:', event.target.error);
                 reject(event.target.error);
             };
+            
+            // 其他标签页仍打开着旧版本的数据库，升级要等它们关闭连接后才能进行
+            request.onblocked = () => {
+                console.error('IndexedDB升级被其他标签页阻塞');
+                reject(new Error('数据库正被其他标签页中的旧版本页面使用，请关闭其他标签页后刷新本页'));
+            };
         });
     }
     
     // 执行IndexedDB事务
-    async executeTransaction(mode, callback) {
+    async executeTransaction(mode, callback, storeName = this.storeName) {
         const db = await this.initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([this.storeName], mode);
-            const store = transaction.objectStore(this.storeName);
+            const transaction = db.transaction([storeName], mode);
+            const store = transaction.objectStore(storeName);
             
             try {
                 const result = callback(store);
@@ -372,11 +1171,16 @@ class IndexedDBAdapter extends StorageAdapter {
     async openStorage() {
         try {
             // 从IndexedDB读取设置
-            const settings = await this.executeTransaction('readonly', (store) => {
+            const request = await this.executeTransaction('readonly', (store) => {
                 return store.get(1);
             });
-            
-            if (settings) {
+            const stored = request && request.result;
+
+            if (stored) {
+                // 迁移到当前数据版本
+                const { id, ...rawSettings } = stored;
+                const settings = this.model.migrateSettings(rawSettings);
+
                 if (this.model.validateSettings(settings)) {
                     this.model.currentSettings = settings;
                     this.model.ensureSettingsStructure();
@@ -385,7 +1189,7 @@ class IndexedDBAdapter extends StorageAdapter {
                     return true;
                 } else {
                     console.error('IndexedDB中的数据无效，使用默认设置');
-                    this.model.currentSettings = this.model.defaultSettings;
+                    this.model.currentSettings = this.model.getDefaultSettings();
                     this.model.ensureSettingsStructure();
                     return true;
                 }
@@ -397,6 +1201,11 @@ class IndexedDBAdapter extends StorageAdapter {
                 return true;
             }
         } catch (err) {
+            if (err instanceof SettingsVersionError) {
+                // 不加载也不覆盖高版本数据
+                console.error('IndexedDB中的数据版本过高:', err.message);
+                return false;
+            }
             console.error('从IndexedDB打开存储失败:', err);
             // 失败时回退到localStorage
             this.model.currentSettings = this.model.loadSettings();
@@ -406,33 +1215,38 @@ class IndexedDBAdapter extends StorageAdapter {
     
     async saveStorage() {
         try {
-            // 更新时间戳和校验和
+            // 更新时间戳，并生成带校验和的副本
             this.model.currentSettings.timestamp = Date.now();
-            this.model.currentSettings.checksum = this.model.generateChecksum(this.model.currentSettings);
+            const sealed = await this.model.sealSettings(this.model.currentSettings);
             
             // 保存到IndexedDB
             await this.executeTransaction('readwrite', (store) => {
-                return store.put({ id: 1, ...this.model.currentSettings });
+                return store.put({ id: 1, ...sealed });
             });
             
-            // 同时保存到localStorage作为备份
-            this.model.saveSettings();
+            // localStorage中的备份已由saveSettings写入
             return true;
         } catch (err) {
             console.error('保存到IndexedDB失败:', err);
-            // 失败时确保数据至少保存到localStorage
-            return this.model.saveSettings();
+            // 数据已由saveSettings写入localStorage，不再回调saveSettings，避免循环保存
+            return false;
         }
     }
     
     async backupStorage() {
         try {
             // 从IndexedDB获取最新数据
-            const settings = await this.executeTransaction('readonly', (store) => {
+            const request = await this.executeTransaction('readonly', (store) => {
                 return store.get(1);
             });
+            const stored = request && request.result;
+            let settings = this.model.currentSettings;
+            if (stored) {
+                const { id, ...rawSettings } = stored;
+                settings = rawSettings;
+            }
             
-            const dataStr = JSON.stringify(settings || this.model.currentSettings, null, 2);
+            const dataStr = await this.model.serializeForExport(settings);
             const dataBlob = new Blob([dataStr], { type: 'application/json' });
             const url = URL.createObjectURL(dataBlob);
             
@@ -450,7 +1264,7 @@ class IndexedDBAdapter extends StorageAdapter {
         } catch (err) {
             console.error('从IndexedDB备份失败:', err);
             // 失败时回退到localStorage备份
-            return this.model.saveSettings();
+            return this.model.flushSettings();
         }
     }
     
@@ -458,47 +1272,65 @@ class IndexedDBAdapter extends StorageAdapter {
         return new Promise((resolve) => {
             const fileInput = document.createElement('input');
             fileInput.type = 'file';
-            fileInput.accept = '.json';
+            fileInput.accept = '.json,.zip';
             fileInput.style.display = 'none';
             document.body.appendChild(fileInput);
             
             fileInput.onchange = async (e) => {
                 const file = e.target.files[0];
                 if (file) {
-                    const reader = new FileReader();
-                    reader.onload = async (event) => {
-                        try {
-                            const data = JSON.parse(event.target.result);
-                            if (this.model.validateSettings(data)) {
-                                // 更新时间戳和校验和
-                                data.timestamp = Date.now();
-                                data.checksum = this.model.generateChecksum(data);
-                                
-                                // 保存到IndexedDB
-                                await this.executeTransaction('readwrite', (store) => {
-                                    return store.put({ id: 1, ...data });
-                                });
-                                
-                                // 更新内存中的设置
-                                this.model.currentSettings = data;
-                                this.model.ensureSettingsStructure();
-                                // 同时保存到localStorage
-                                this.model.saveSettings();
-                                
-                                resolve(true);
-                            } else {
-                                console.error('导入的数据无效');
-                                resolve(false);
-                            }
-                        } catch (err) {
-                            console.error('恢复存储失败:', err);
+                    try {
+                        // ZIP数据包或JSON文件，加密文件先解密，失败原因由parseSettingsFile记录
+                        const decoded = await this.model.parseSettingsFile(file);
+                        if (!decoded) {
                             resolve(false);
-                        } finally {
-                            // 清理DOM元素
-                            document.body.removeChild(fileInput);
+                            return;
                         }
-                    };
-                    reader.readAsText(file);
+                        const report = await this.model.verifyChecksum(decoded);
+                        if (!report.valid) {
+                            this.model.lastImportError = `备份文件校验失败：${report.message}`;
+                            console.error(this.model.lastImportError);
+                            resolve(false);
+                            return;
+                        }
+                        const parsed = this.model.migrateSettings(decoded);
+                        const errors = this.model.getSettingsErrors(parsed);
+                        if (errors.length > 0) {
+                            this.model.lastImportError = `备份文件中的数据无效（${this.model.describeSettingsErrors(errors)}）`;
+                            console.error(this.model.lastImportError);
+                            resolve(false);
+                            return;
+                        }
+                        // 由界面决定合并或替换，取消时不做修改
+                        const data = await this.model.resolveImportedSettings(parsed);
+                        if (data) {
+                            // 更新时间戳，并生成带校验和的副本
+                            data.timestamp = Date.now();
+                            const sealed = await this.model.sealSettings(data);
+                            
+                            // 保存到IndexedDB
+                            await this.executeTransaction('readwrite', (store) => {
+                                return store.put({ id: 1, ...sealed });
+                            });
+                            
+                            // 更新内存中的设置
+                            this.model.currentSettings = data;
+                            this.model.ensureSettingsStructure();
+                            // 同时保存到localStorage
+                            this.model.saveSettings();
+                            
+                            resolve(true);
+                        } else {
+                            resolve(false);
+                        }
+                    } catch (err) {
+                        console.error('恢复存储失败:', err);
+                        this.model.lastImportError = err instanceof SettingsVersionError ? err.message : `恢复存储失败：${err.message}`;
+                        resolve(false);
+                    } finally {
+                        // 清理DOM元素
+                        document.body.removeChild(fileInput);
+                    }
                 } else {
                     document.body.removeChild(fileInput);
                     resolve(false);
@@ -508,6 +1340,157 @@ class IndexedDBAdapter extends StorageAdapter {
             fileInput.click();
         });
     }
+    
+    // 保存一份设置快照，并按保留策略清理该配置的旧快照，返回快照ID
+    async saveSnapshot(settings, reason, retention, profile = this.model.defaultProfileId) {
+        const allItems = settings.navigationItems.length
+            + settings.toolGroups.reduce((count, group) => count + this.model.getToolGroupLinks(group).length, 0);
+        const request = await this.executeTransaction('readwrite', (store) => {
+            return store.add({
+                timestamp: Date.now(),
+                reason,
+                itemCount: allItems,
+                groupCount: settings.toolGroups.length,
+                profile,
+                settings
+            });
+        }, this.snapshotStoreName);
+        
+        await this.pruneSnapshots(retention, profile);
+        return request.result;
+    }
+    
+    // 列出配置的所有快照（不含设置数据），按时间从新到旧排序
+    async listSnapshots(profile = this.model.defaultProfileId) {
+        const request = await this.executeTransaction('readonly', (store) => {
+            return store.getAll();
+        }, this.snapshotStoreName);
+        
+        return (request.result || [])
+            .filter(snapshot => snapshot.profile === profile)
+            .map(({ settings, ...meta }) => meta)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+    
+    // 读取所有快照中的设置数据，用于查找仍被引用的图片资源
+    async listSnapshotSettings() {
+        const request = await this.executeTransaction('readonly', (store) => {
+            return store.getAll();
+        }, this.snapshotStoreName);
+        return (request.result || []).map(snapshot => snapshot.settings);
+    }
+    
+    // 读取单个快照
+    async getSnapshot(id) {
+        const request = await this.executeTransaction('readonly', (store) => {
+            return store.get(id);
+        }, this.snapshotStoreName);
+        return request.result || null;
+    }
+    
+    // 仅通过索引读取配置的快照ID和时间（不读取设置数据），按时间从新到旧排序
+    async listSnapshotTimes(profile = this.model.defaultProfileId) {
+        const entries = [];
+        await this.executeTransaction('readonly', (store) => {
+            const range = IDBKeyRange.bound([profile, -Infinity], [profile, Infinity]);
+            const request = store.index('profile').openKeyCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries.push({ id: cursor.primaryKey, timestamp: cursor.key[1] });
+                    cursor.continue();
+                }
+            };
+            return request;
+        }, this.snapshotStoreName);
+        return entries.sort((a, b) => b.timestamp - a.timestamp);
+    }
+    
+    // 保留配置最近limit个快照，以及最近dailyDays天中每天最后一个快照
+    async pruneSnapshots({ limit, dailyDays }, profile = this.model.defaultProfileId) {
+        const snapshots = await this.listSnapshotTimes(profile);
+        const keep = new Set(snapshots.slice(0, limit).map(snapshot => snapshot.id));
+        
+        const dayStart = new Date();
+        dayStart.setHours(0, 0, 0, 0);
+        const oldestDay = dayStart.getTime() - (dailyDays - 1) * 24 * 60 * 60 * 1000;
+        const keptDays = new Set();
+        snapshots.forEach(snapshot => {
+            if (snapshot.timestamp < oldestDay) return;
+            const day = new Date(snapshot.timestamp).toDateString();
+            if (!keptDays.has(day)) {
+                keptDays.add(day);
+                keep.add(snapshot.id);
+            }
+        });
+        
+        const expired = snapshots.filter(snapshot => !keep.has(snapshot.id));
+        if (expired.length > 0) {
+            await this.executeTransaction('readwrite', (store) => {
+                expired.forEach(snapshot => store.delete(snapshot.id));
+            }, this.snapshotStoreName);
+        }
+        return expired.length;
+    }
+    
+    // 删除配置的所有快照
+    async deleteProfileSnapshots(profile) {
+        const snapshots = await this.listSnapshotTimes(profile);
+        if (snapshots.length > 0) {
+            await this.executeTransaction('readwrite', (store) => {
+                snapshots.forEach(snapshot => store.delete(snapshot.id));
+            }, this.snapshotStoreName);
+        }
+        return snapshots.length;
+    }
+    
+    // 保存文件句柄（IndexedDB支持直接存储FileSystemHandle）
+    async saveHandle(name, handle) {
+        await this.executeTransaction('readwrite', (store) => {
+            return store.put({ name, handle });
+        }, this.handleStoreName);
+    }
+    
+    async getHandle(name) {
+        const request = await this.executeTransaction('readonly', (store) => {
+            return store.get(name);
+        }, this.handleStoreName);
+        return request.result ? request.result.handle : null;
+    }
+    
+    async deleteHandle(name) {
+        await this.executeTransaction('readwrite', (store) => {
+            return store.delete(name);
+        }, this.handleStoreName);
+    }
+    
+    // 保存图片资源：{ id, blob, type, size, created }，相同内容的资源只保存一份
+    async putAsset(asset) {
+        await this.executeTransaction('readwrite', (store) => {
+            return store.put(asset);
+        }, this.assetStoreName);
+    }
+    
+    async getAsset(id) {
+        const request = await this.executeTransaction('readonly', (store) => {
+            return store.get(id);
+        }, this.assetStoreName);
+        return request.result || null;
+    }
+    
+    // 列出所有资源的ID、大小和创建时间
+    async listAssets() {
+        const request = await this.executeTransaction('readonly', (store) => {
+            return store.getAll();
+        }, this.assetStoreName);
+        return (request.result || []).map(({ id, size, created }) => ({ id, size, created }));
+    }
+    
+    async deleteAssets(ids) {
+        await this.executeTransaction('readwrite', (store) => {
+            ids.forEach(id => store.delete(id));
+        }, this.assetStoreName);
+    }
 }
 
 // LocalStorage适配器（作为最终后备方案）
@@ -519,13 +1502,13 @@ class LocalStorageAdapter extends StorageAdapter {
     }
     
     async saveStorage() {
-        // 对于LocalStorage，直接使用saveSettings
-        return this.model.saveSettings();
+        // 对于LocalStorage，saveSettings已同步写入，无需重复保存
+        return true;
     }
     
     async backupStorage() {
-        // 对于LocalStorage，直接使用exportSettings
-        const dataStr = JSON.stringify(this.model.currentSettings, null, 2);
+        // 对于LocalStorage，直接导出带校验和（设置了口令时加密）的当前设置
+        const dataStr = await this.model.serializeForExport(this.model.currentSettings);
         const dataBlob = new Blob([dataStr], { type: 'application/json' });
         const url = URL.createObjectURL(dataBlob);
         
@@ -547,34 +1530,34 @@ class LocalStorageAdapter extends StorageAdapter {
         return new Promise((resolve) => {
             const fileInput = document.createElement('input');
             fileInput.type = 'file';
-            fileInput.accept = '.json';
+            fileInput.accept = '.json,.zip';
             fileInput.style.display = 'none';
             document.body.appendChild(fileInput);
             
-            fileInput.onchange = (e) => {
+            fileInput.onchange = async (e) => {
                 const file = e.target.files[0];
                 if (file) {
-                    const reader = new FileReader();
-                    reader.onload = (event) => {
-                        try {
-                            const data = JSON.parse(event.target.result);
-                            if (this.model.validateSettings(data)) {
-                                this.model.currentSettings = data;
-                                this.model.ensureSettingsStructure();
-                                this.model.saveSettings();
-                                resolve(true);
-                            } else {
-                                resolve(false);
-                            }
-                        } catch (err) {
-                            console.error('恢复存储失败:', err);
+                    try {
+                        // ZIP数据包或JSON文件，加密文件先解密，取消时不做修改
+                        const decoded = await this.model.parseSettingsFile(file);
+                        const parsed = decoded && this.model.migrateSettings(decoded);
+                        // 由界面决定合并或替换，取消时不做修改
+                        const data = parsed && this.model.validateSettings(parsed)
+                            ? await this.model.resolveImportedSettings(parsed)
+                            : null;
+                        if (data) {
+                            this.model.applyImportedSettings(data);
+                            resolve(true);
+                        } else {
                             resolve(false);
                         }
-                        
-                        // 清理DOM元素
-                        document.body.removeChild(fileInput);
-                    };
-                    reader.readAsText(file);
+                    } catch (err) {
+                        console.error('恢复存储失败:', err);
+                        resolve(false);
+                    }
+                    
+                    // 清理DOM元素
+                    document.body.removeChild(fileInput);
                 } else {
                     document.body.removeChild(fileInput);
                     resolve(false);
@@ -586,1902 +1569,7474 @@ class LocalStorageAdapter extends StorageAdapter {
     }
 }
 
-// 数据模型类：负责所有数据的存储、加载和操作
-class NavigationModel {
-    constructor() {
-        // 本地存储相关属性
-        this.storageKey = 'browser-nav-settings';
+// WebDAV远程存储适配器：多台设备共享同一份设置
+// 使用ETag发现远程文件的变化，两边都有修改时以时间戳较新的一方为准
+class WebDAVAdapter extends StorageAdapter {
+    constructor(model, config = model.getWebDAVConfig()) {
+        super(model);
+        this.config = config;
+        // 同步状态（远程文件的ETag、时间戳及上次同步时本地数据的时间戳）保存在localStorage中
+        this.stateKey = `${model.baseStorageKey}-webdav-state`;
+        // 请求依次执行，尚未开始的多次保存合并为一次上传
+        this.queue = Promise.resolve(true);
+        this.uploadQueued = false;
+        // 载入远程数据时不回传到服务器
+        this.suppressUpload = false;
+    }
+    
+    // 设置文件地址：配置的地址以/结尾时视为目录
+    getFileUrl() {
+        const url = this.config.url.trim();
+        return url.endsWith('/') ? `${url}${this.model.storageFileName}` : url;
+    }
+    
+    getDirectoryUrl() {
+        const fileUrl = this.getFileUrl();
+        return fileUrl.slice(0, fileUrl.lastIndexOf('/') + 1);
+    }
+    
+    getBackupPrefix() {
+        return `${this.model.backupFileName.replace('.json', '')}-`;
+    }
+    
+    // 发送WebDAV请求，配置了用户名时使用Basic认证
+    async request(method, url, { body, headers = {} } = {}) {
+        const init = {
+            method,
+            headers: { ...headers },
+            cache: 'no-store',
+            credentials: 'omit'
+        };
+        if (this.config.username) {
+            const credentials = new TextEncoder().encode(`${this.config.username}:${this.config.password || ''}`);
+            init.headers.Authorization = `Basic ${this.model.bytesToBase64(credentials)}`;
+        }
+        if (body !== undefined) {
+            init.body = body;
+        }
+        return fetch(url, init);
+    }
+    
+    // 根据响应状态生成错误信息
+    describeStatus(response) {
+        if (response.status === 401 || response.status === 403) {
+            return 'WebDAV认证失败，请检查用户名和密码';
+        }
+        if (response.status === 404 || response.status === 409) {
+            return 'WebDAV目录不存在，请先在服务器上创建';
+        }
+        return `WebDAV请求失败（HTTP ${response.status}）`;
+    }
+    
+    getSyncState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(this.stateKey));
+            // 更换了地址时之前的同步状态不再有效
+            if (state && state.url === this.getFileUrl()) {
+                return state;
+            }
+        } catch (e) {
+            console.warn('读取WebDAV同步状态失败', e);
+        }
+        return { url: this.getFileUrl(), etag: null, remoteTimestamp: null, syncedTimestamp: null };
+    }
+    
+    setSyncState(updates) {
+        const state = { ...this.getSyncState(), ...updates, url: this.getFileUrl(), syncedAt: Date.now() };
+        localStorage.setItem(this.stateKey, JSON.stringify(state));
+        return state;
+    }
+    
+    // 读取远程设置文件，不存在时返回null
+    async readRemote() {
+        const response = await this.request('GET', this.getFileUrl());
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(this.describeStatus(response));
+        }
         
-        // 文件系统相关属性
-        this.fileHandle = null;
-        this.isFileStorageEnabled = false;
-        this.storageFileName = 'navigation-settings.json';
-        this.backupFileName = 'navigation-settings.backup.json';
-        this.checksumKey = 'nav-settings-checksum';
+        const data = JSON.parse(await response.text());
+        const report = await this.model.verifyChecksum(data);
+        if (!report.valid) {
+            throw new Error(`远程设置文件校验失败：${report.message}`);
+        }
         
-        // 默认设置
-        this.defaultSettings = {
-            version: '1.0',
-            timestamp: Date.now(),
-            checksum: '',
-            wallpaper: '',
-            navigationItems: [
-                { id: 1, name: 'Google', url: 'https://google.com', icon: '🔍', tags: [] },
-                { id: 2, name: 'GitHub', url: 'https://github.com', icon: '💻', tags: [] },
-                { id: 3, name: 'YouTube', url: 'https://youtube.com', icon: '▶️', tags: [] },
-                { id: 4, name: 'Gmail', url: 'https://mail.google.com', icon: '📧', tags: [] },
-                { id: 5, name: '百度', url: 'https://baidu.com', icon: '🌐', tags: [] },
-                { id: 6, name: '知乎', url: 'https://zhihu.com', icon: '📚', tags: [] },
-                { id: 7, name: 'CSDN', url: 'https://csdn.net', icon: '👨‍💻', tags: [] },
-                { id: 8, name: 'B站', url: 'https://bilibili.com', icon: '🎬', tags: [] },
-                { id: 9, name: '淘宝', url: 'https://taobao.com', icon: '🛒', tags: [] },
-                { id: 10, name: '微信', url: 'https://wx.qq.com', icon: '💬', tags: [] }
-            ],
-            toolGroups: [],
-            layout: {
-                columns: 8,
-                spacing: 10,
-                iconSize: 48
-            },
-            search: {
-                engine: 'google',
-                type: 'web', // 新增：web或local
-                opacity: 0.2 // 对应80%透明度，因为1 - 0.2 = 0.8
-            },
-            textColor: '#2d3748', // 默认文字颜色
-            tags: [] // 新增：所有可用标签
-        };
+        // 高版本数据抛出SettingsVersionError，由调用方处理
+        const settings = this.model.migrateSettings(data);
+        const errors = this.model.getSettingsErrors(settings);
+        if (errors.length > 0) {
+            throw new Error(`远程设置文件中的数据无效（${this.model.describeSettingsErrors(errors)}）`);
+        }
         
-        // 初始化数据
-        this.currentSettings = this.loadSettings();
+        return { settings, etag: response.headers.get('ETag') };
+    }
+    
+    // 上传设置：etag为null时只在远程文件不存在时创建，为undefined时无条件覆盖
+    // 远程文件已被其他设备修改时返回{ conflict: true }
+    async writeRemote(settings, etag) {
+        // 其他设备上没有本机的图片资源，上传前内嵌到设置中
+        const sealed = await this.model.sealSettings(await this.model.inlineAssets(settings));
+        const headers = { 'Content-Type': 'application/json' };
+        if (etag) {
+            headers['If-Match'] = etag;
+        } else if (etag === null) {
+            headers['If-None-Match'] = '*';
+        }
         
-        // 确保必要属性存在
-        this.ensureSettingsStructure();
+        const response = await this.request('PUT', this.getFileUrl(), {
+            body: JSON.stringify(sealed, null, 2),
+            headers
+        });
+        if (response.status === 412) {
+            return { conflict: true };
+        }
+        if (!response.ok) {
+            throw new Error(this.describeStatus(response));
+        }
         
-        // 移除自动文件存储初始化，改为由用户交互触发
-        // 文件存储将在用户明确启用或选择文件时初始化
+        // 部分服务器的PUT响应不带ETag，需要再查询一次
+        let newEtag = response.headers.get('ETag');
+        if (!newEtag) {
+            const head = await this.request('HEAD', this.getFileUrl());
+            newEtag = head.ok ? head.headers.get('ETag') : null;
+        }
+        return { conflict: false, etag: newEtag };
     }
-
-    loadSettings() {
-        const stored = localStorage.getItem(this.storageKey);
-        if (stored) {
-            try {
-                const parsed = JSON.parse(stored);
-                // 验证加载的数据
-                if (this.validateSettings(parsed)) {
-                    return parsed;
-                } else {
-                    console.error('加载的数据无效，使用默认设置');
-                    return this.defaultSettings;
-                }
-            } catch (e) {
-                console.error('加载设置失败，使用默认设置', e);
-                return this.defaultSettings;
-            }
+    
+    // 上传本地设置并记录同步状态
+    async uploadSettings(etag) {
+        const settings = this.model.currentSettings;
+        const result = await this.writeRemote(settings, etag);
+        if (!result.conflict) {
+            this.setSyncState({
+                etag: result.etag,
+                remoteTimestamp: settings.timestamp,
+                syncedTimestamp: settings.timestamp
+            });
         }
-        return this.defaultSettings;
+        return result;
     }
-
-    saveSettings() {
+    
+    // 载入远程设置（可撤销），不触发上传
+    adoptRemote(remote) {
+        this.suppressUpload = true;
         try {
-            // 验证数据有效性
-            if (!this.validateSettings(this.currentSettings)) {
-                console.error('数据无效，保存失败');
+            this.model.runCommand('同步WebDAV设置', () => {
+                this.model.currentSettings = remote.settings;
+                this.model.ensureSettingsStructure();
+                // 立即写入，使时间戳在记录同步状态前更新
+                this.model.flushSettings();
+            });
+        } finally {
+            this.suppressUpload = false;
+        }
+        
+        this.setSyncState({
+            etag: remote.etag,
+            remoteTimestamp: remote.settings.timestamp,
+            syncedTimestamp: this.model.currentSettings.timestamp
+        });
+        console.log('已载入WebDAV上的设置');
+        
+        if (this.model.syncListener) {
+            this.model.syncListener('remote', []);
+        }
+    }
+    
+    // 比较本地与远程的修改并同步：只有一方修改时以该方为准，两边都修改时以时间戳较新的一方为准
+    // 上传时远程文件恰好又被修改，则重新比较，最多retries次
+    async synchronize(retries = 2) {
+        const state = this.getSyncState();
+        const remote = await this.readRemote();
+        const local = this.model.currentSettings;
+        
+        if (!remote) {
+            // 远程文件不存在：上传本地设置
+            const created = await this.uploadSettings(null);
+            return !created.conflict || this.retrySynchronize(retries);
+        }
+        
+        if (state.syncedTimestamp === null) {
+            // 首次连接已有数据的远程文件：由界面决定合并或替换，避免直接覆盖任何一方
+            const settings = await this.model.resolveImportedSettings(remote.settings);
+            if (!settings) {
+                this.model.lastImportError = '已取消WebDAV同步';
                 return false;
             }
-            
-            // 更新时间戳和校验和
-            this.currentSettings.timestamp = Date.now();
-            this.currentSettings.checksum = this.generateChecksum(this.currentSettings);
-            
-            // 确保数据结构完整
-            this.ensureSettingsStructure();
-            
-            // 先保存到localStorage（同步，确保数据安全）
-            localStorage.setItem(this.storageKey, JSON.stringify(this.currentSettings));
-            console.log('设置已保存到localStorage');
-            
-            // 再异步保存到其他存储方案（如果启用了文件存储且已初始化存储适配器）
-            if (this.isFileStorageEnabled && this.storageAdapter) {
-                this.storageAdapter.saveStorage().then(success => {
-                    if (success) {
-                        console.log('设置已保存到文件存储');
-                    } else {
-                        console.warn('文件存储保存失败，但已保存到localStorage');
-                    }
-                }).catch(err => {
-                    console.error('保存到文件存储失败，但已保存到localStorage:', err);
-                });
-            }
-            
+            this.adoptRemote({ settings, etag: remote.etag });
+            // 合并后的数据可能与远程不同，上传一次
+            const uploaded = await this.uploadSettings(remote.etag || undefined);
+            return !uploaded.conflict || this.retrySynchronize(retries);
+        }
+        
+        const remoteChanged = remote.etag
+            ? remote.etag !== state.etag
+            : remote.settings.timestamp !== state.remoteTimestamp;
+        const localChanged = local.timestamp !== state.syncedTimestamp;
+        
+        if (remoteChanged && (!localChanged || (remote.settings.timestamp || 0) > (local.timestamp || 0))) {
+            this.adoptRemote(remote);
             return true;
-        } catch (err) {
-            console.error('保存设置失败:', err);
-            // 尝试仅保存到localStorage作为最后的后备
-            try {
-                localStorage.setItem(this.storageKey, JSON.stringify(this.currentSettings));
-                console.log('已作为后备保存到localStorage');
-                return true;
-            } catch (localErr) {
-                console.error('后备保存到localStorage也失败:', localErr);
-                return false;
-            }
         }
+        if (localChanged) {
+            const uploaded = await this.uploadSettings(remote.etag || undefined);
+            return !uploaded.conflict || this.retrySynchronize(retries);
+        }
+        return true;
     }
-
-    getNavigationItems() {
-        return this.currentSettings.navigationItems;
+    
+    async retrySynchronize(retries) {
+        if (retries <= 0) {
+            this.model.lastImportError = 'WebDAV上的设置正在被频繁修改，请稍后再试';
+            return false;
+        }
+        return this.synchronize(retries - 1);
     }
-
-    addNavigationItem(item) {
-        const newId = Math.max(...this.currentSettings.navigationItems.map(i => i.id), 0) + 1;
-        const newItem = { id: newId, ...item };
-        this.currentSettings.navigationItems.push(newItem);
-        this.saveSettings();
-        return newItem;
+    
+    async openStorage() {
+        // 先上传本地等待中的修改，避免同步时被当作未修改
+        this.model.flushPendingSave();
+        this.queue = this.queue.then(async () => {
+            try {
+                return await this.synchronize();
+            } catch (err) {
+                console.error('WebDAVAdapter: 打开存储失败', err);
+                this.model.lastImportError = err.message;
+                return false;
+            }
+        });
+        return this.queue;
     }
-
-    updateNavigationItem(id, updates) {
-        const index = this.currentSettings.navigationItems.findIndex(item => item.id === id);
-        if (index !== -1) {
-            this.currentSettings.navigationItems[index] = { ...this.currentSettings.navigationItems[index], ...updates };
-            this.saveSettings();
+    
+    async saveStorage() {
+        if (this.suppressUpload) {
             return true;
         }
-        return false;
+        // 已有等待中的上传时，由它上传最新的数据
+        if (this.uploadQueued) {
+            return this.queue;
+        }
+        
+        this.uploadQueued = true;
+        this.queue = this.queue.then(async () => {
+            this.uploadQueued = false;
+            try {
+                const uploaded = await this.uploadSettings(this.getSyncState().etag || null);
+                if (!uploaded.conflict) {
+                    return true;
+                }
+                // 其他设备已修改远程文件，按时间戳决定以哪一方为准
+                console.warn('WebDAV上的设置已被其他设备修改，正在合并');
+                return await this.synchronize();
+            } catch (err) {
+                console.error('WebDAVAdapter: 保存存储失败', err);
+                return false;
+            }
+        });
+        return this.queue;
     }
-
-    deleteNavigationItem(id) {
-        const index = this.currentSettings.navigationItems.findIndex(item => item.id === id);
-        if (index !== -1) {
-            this.currentSettings.navigationItems.splice(index, 1);
-            this.saveSettings();
+    
+    // 在远程目录中写入带时间戳的备份（设置了口令时加密）
+    async backupStorage() {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const url = `${this.getDirectoryUrl()}${this.getBackupPrefix()}${timestamp}.json`;
+            const response = await this.request('PUT', url, {
+                body: await this.model.serializeForExport(this.model.currentSettings),
+                headers: { 'Content-Type': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(this.describeStatus(response));
+            }
             return true;
+        } catch (err) {
+            console.error('WebDAVAdapter: 备份存储失败', err);
+            this.model.lastImportError = err.message;
+            return false;
         }
-        return false;
     }
-
-    moveNavigationItem(id, direction) {
-        const index = this.currentSettings.navigationItems.findIndex(item => item.id === id);
-        if (index === -1) return false;
-
-        if (direction === 'up' && index > 0) {
-            [this.currentSettings.navigationItems[index], this.currentSettings.navigationItems[index - 1]] = 
-                [this.currentSettings.navigationItems[index - 1], this.currentSettings.navigationItems[index]];
-            this.saveSettings();
-            return true;
-        } else if (direction === 'down' && index < this.currentSettings.navigationItems.length - 1) {
-            [this.currentSettings.navigationItems[index], this.currentSettings.navigationItems[index + 1]] = 
-                [this.currentSettings.navigationItems[index + 1], this.currentSettings.navigationItems[index]];
-            this.saveSettings();
-            return true;
+    
+    // 列出远程目录中的备份文件，按时间从新到旧排序
+    async listBackups() {
+        const response = await this.request('PROPFIND', this.getDirectoryUrl(), {
+            headers: { Depth: '1', 'Content-Type': 'application/xml' },
+            body: '<?xml version="1.0" encoding="utf-8"?><propfind xmlns="DAV:"><prop><getlastmodified/></prop></propfind>'
+        });
+        if (!response.ok) {
+            throw new Error(this.describeStatus(response));
         }
-        return false;
+        
+        const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        const prefix = this.getBackupPrefix();
+        return Array.from(doc.getElementsByTagNameNS('DAV:', 'response'))
+            .map(node => {
+                const href = node.getElementsByTagNameNS('DAV:', 'href')[0];
+                const modified = node.getElementsByTagNameNS('DAV:', 'getlastmodified')[0];
+                const path = href ? href.textContent.trim() : '';
+                return {
+                    name: decodeURIComponent(path.split('/').pop()),
+                    url: new URL(path, this.getDirectoryUrl()).toString(),
+                    lastModified: modified ? Date.parse(modified.textContent) : null
+                };
+            })
+            .filter(file => file.name.startsWith(prefix) && file.name.endsWith('.json'))
+            .sort((a, b) => b.name.localeCompare(a.name));
     }
-
-    reorderNavigationItems(newOrder) {
+    
+    // 从最新的远程备份恢复，由界面决定合并或替换
+    async restoreStorage() {
+        this.model.lastImportError = null;
         try {
-            this.currentSettings.navigationItems = newOrder;
-            this.saveSettings();
+            const [latest] = await this.listBackups();
+            if (!latest) {
+                this.model.lastImportError = 'WebDAV上没有找到备份文件';
+                return false;
+            }
+            
+            const response = await this.request('GET', latest.url);
+            if (!response.ok) {
+                throw new Error(this.describeStatus(response));
+            }
+            
+            // 加密备份先解密，取消时不做修改
+            const data = await this.model.parseSettingsText(await response.text());
+            if (!data) {
+                return false;
+            }
+            const report = await this.model.verifyChecksum(data);
+            if (!report.valid) {
+                this.model.lastImportError = `备份文件校验失败：${report.message}`;
+                return false;
+            }
+            
+            const parsed = this.model.migrateSettings(data);
+            const settings = this.model.validateSettings(parsed)
+                ? await this.model.resolveImportedSettings(parsed)
+                : null;
+            if (!settings) {
+                return false;
+            }
+            this.model.applyImportedSettings(settings);
             return true;
-        } catch (e) {
-            console.error('重新排序导航项失败', e);
+        } catch (err) {
+            console.error('WebDAVAdapter: 恢复存储失败', err);
+            this.model.lastImportError = err.message;
             return false;
         }
     }
+    
+    // 检查能否访问配置的目录，返回{ ok, message }
+    async checkConnection() {
+        try {
+            const response = await this.request('PROPFIND', this.getDirectoryUrl(), {
+                headers: { Depth: '0' }
+            });
+            if (response.ok) {
+                return { ok: true, message: 'WebDAV连接成功' };
+            }
+            return { ok: false, message: this.describeStatus(response) };
+        } catch (err) {
+            console.error('WebDAV连接失败:', err);
+            return { ok: false, message: '无法连接WebDAV服务器，请检查网址以及服务器是否允许跨域访问' };
+        }
+    }
+}
 
-    getWallpaper() {
-        return this.currentSettings.wallpaper;
+// 存储适配器注册表：各适配器声明自身的能力，用于自动选择默认后端和在设置面板中对比
+// 第三方适配器可在应用初始化前（在script.js之后加载的脚本中）调用storageAdapterRegistry.register()注册
+class StorageAdapterRegistry {
+    constructor() {
+        this.entries = [];
+        // 能力名称，用于设置面板中的对比表
+        this.capabilityLabels = {
+            persistent: '持久保存',
+            autoSave: '自动保存',
+            needsUserGesture: '需要手动选择文件',
+            remote: '跨设备同步'
+        };
     }
 
-    setWallpaper(wallpaper) {
-        this.currentSettings.wallpaper = wallpaper;
-        this.saveSettings();
+    // 注册适配器：{ id, name, description, adapter, capabilities, priority, autoDetect, isSupported(model) }
+    // adapter必须继承StorageAdapter；priority越大自动选择时越优先，autoDetect为false时只能手动选择
+    register(entry) {
+        if (!entry || !entry.id || !entry.name || typeof entry.adapter !== 'function') {
+            throw new Error('存储适配器定义无效：必须包含id、name和adapter');
+        }
+        if (!(entry.adapter.prototype instanceof StorageAdapter)) {
+            throw new Error(`存储适配器 ${entry.id} 必须继承StorageAdapter`);
+        }
+        if (this.get(entry.id)) {
+            throw new Error(`存储适配器 ${entry.id} 已注册`);
+        }
+
+        const normalized = {
+            description: '',
+            priority: 0,
+            autoDetect: true,
+            isSupported: () => true,
+            ...entry,
+            capabilities: {
+                persistent: false,
+                autoSave: false,
+                needsUserGesture: false,
+                remote: false,
+                ...entry.capabilities
+            }
+        };
+        this.entries.push(normalized);
+        this.entries.sort((a, b) => b.priority - a.priority);
+        return normalized;
     }
 
-    getLayout() {
-        return this.currentSettings.layout;
+    unregister(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
     }
 
-    updateLayout(updates) {
-        this.currentSettings.layout = { ...this.currentSettings.layout, ...updates };
-        this.saveSettings();
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
     }
 
-    // 确保设置结构完整
-    ensureSettingsStructure() {
-        let isModified = false;
-        
-        // 确保currentSettings是对象
-        if (!this.currentSettings || typeof this.currentSettings !== 'object') {
-            console.error('currentSettings不是对象，使用默认设置');
-            this.currentSettings = { ...this.defaultSettings };
-            isModified = true;
+    list() {
+        return this.entries.slice();
+    }
+
+    // 检测适配器在当前浏览器中是否可用，检测出错时视为不可用
+    isSupported(entry, model) {
+        try {
+            return !!entry.isSupported(model);
+        } catch (err) {
+            console.error(`检测存储适配器 ${entry.id} 是否可用时出错:`, err);
+            return false;
         }
-        
-        // 确保基本属性存在且类型正确
-        if (!this.currentSettings.version || typeof this.currentSettings.version !== 'string') {
-            this.currentSettings.version = this.defaultSettings.version;
-            isModified = true;
+    }
+
+    // 自动选择：可用且参与自动选择的适配器中优先级最高的
+    detectDefault(model) {
+        return this.entries.find(entry => entry.autoDetect && this.isSupported(entry, model)) || null;
+    }
+
+    create(id, model) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`未注册的存储适配器：${id}`);
         }
+        return new entry.adapter(model);
+    }
+}
+
+// 全局存储适配器注册表，按优先级注册内置适配器
+const storageAdapterRegistry = new StorageAdapterRegistry();
+
+// File System Access API（提供最佳用户体验）
+storageAdapterRegistry.register({
+    id: 'file-system',
+    name: '本地文件',
+    description: '直接读写您选择的JSON文件（Chrome/Edge/Opera）',
+    adapter: FileSystemAccessAdapter,
+    priority: 40,
+    capabilities: { persistent: true, autoSave: true, needsUserGesture: true },
+    isSupported: (model) => model.isFileSystemAPISupported()
+});
+
+// Firefox和trea浏览器：通过下载和文件选择实现文件存储
+storageAdapterRegistry.register({
+    id: 'firefox-file',
+    name: '本地文件（兼容模式）',
+    description: '保存时下载设置文件，打开时手动选择（Firefox）',
+    adapter: FirefoxStorageAdapter,
+    priority: 30,
+    capabilities: { persistent: true, needsUserGesture: true },
+    isSupported: (model) => model.isFirefox() || model.isTreaBrowser()
+});
+
+// IndexedDB（跨浏览器兼容，提供持久化存储）
+storageAdapterRegistry.register({
+    id: 'indexeddb',
+    name: 'IndexedDB',
+    description: '保存在浏览器数据库中，容量较大',
+    adapter: IndexedDBAdapter,
+    priority: 20,
+    capabilities: { persistent: true, autoSave: true },
+    isSupported: (model) => model.isIndexedDBSupported()
+});
+
+// LocalStorage作为后备方案
+storageAdapterRegistry.register({
+    id: 'localstorage',
+    name: 'LocalStorage',
+    description: '仅保存在浏览器本地存储中，容量约5MB',
+    adapter: LocalStorageAdapter,
+    priority: 10,
+    capabilities: { persistent: true, autoSave: true }
+});
+
+// WebDAV需要先填写服务器配置，不参与自动选择
+storageAdapterRegistry.register({
+    id: 'webdav',
+    name: 'WebDAV',
+    description: '保存到WebDAV服务器，多台设备共享同一份设置',
+    adapter: WebDAVAdapter,
+    priority: 0,
+    autoDetect: false,
+    capabilities: { persistent: true, autoSave: true, remote: true },
+    isSupported: () => typeof fetch === 'function'
+});
+
+// 数据模型类：负责所有数据的存储、加载和操作
+class NavigationModel {
+    constructor() {
+        // 本地存储相关属性：默认配置使用baseStorageKey，其他配置使用`${baseStorageKey}-profile-<id>`
+        this.baseStorageKey = 'browser-nav-settings';
+        // 配置（工作区）列表和上次使用的配置，所有配置共用
+        this.profilesKey = `${this.baseStorageKey}-profiles`;
+        this.defaultProfileId = 'default';
+        this.activeProfileId = this.loadActiveProfileId();
+        this.storageKey = this.getProfileStorageKey(this.activeProfileId);
         
-        if (!this.currentSettings.timestamp || typeof this.currentSettings.timestamp !== 'number') {
-            this.currentSettings.timestamp = Date.now();
-            isModified = true;
-        }
+        // 当前显示的页面id，只保存在内存中，打开页面时从第一页开始
+        this.currentPageId = null;
         
-        if (!this.currentSettings.checksum || typeof this.currentSettings.checksum !== 'string') {
-            this.currentSettings.checksum = this.generateChecksum(this.currentSettings);
-            isModified = true;
-        }
+        // 最多保留的最近搜索条数
+        this.recentSearchLimit = 10;
         
-        // 确保导航项数组存在且格式正确
-        if (!Array.isArray(this.currentSettings.navigationItems)) {
-            this.currentSettings.navigationItems = [];
-            isModified = true;
-        }
+        // 文件系统相关属性
+        this.fileHandle = null;
+        // 已保存但尚未获得访问权限的文件句柄，等待用户重新授权
+        this.pendingFileHandle = null;
+        this.fileHandleKey = 'storage-file';
+        // 备份目录：选择一次后自动写入带时间戳的备份，两次自动备份至少间隔backupInterval
+        this.backupDirectoryHandle = null;
+        this.backupDirectoryKey = 'backup-directory';
+        this.backupInterval = 10 * 60 * 1000;
+        this.lastBackupTime = null;
+        // 恢复备份时由界面列出备份目录中的文件供选择
+        this.backupResolver = null;
+        // 存储文件的访问权限失效时调用，参数为文件名
+        this.filePermissionListener = null;
+        this.isFileStorageEnabled = false;
+        this.storageFileName = 'navigation-settings.json';
+        this.backupFileName = 'navigation-settings.backup.json';
+        this.checksumKey = 'nav-settings-checksum';
+        this.checksumPrefix = 'sha256-';
         
-        // 确保工具组数组存在且格式正确
-        if (!Array.isArray(this.currentSettings.toolGroups)) {
-            this.currentSettings.toolGroups = [];
-            isModified = true;
-        }
+        // WebDAV同步配置，单独保存在localStorage中，不随设置导出
+        this.webdavConfigKey = `${this.baseStorageKey}-webdav`;
+        // 未选择记住密码时，WebDAV密码只保存在内存中，重新打开页面后需要再次输入
+        this.webdavPassword = '';
         
-        // 确保布局设置存在且结构完整
-        if (!this.currentSettings.layout || typeof this.currentSettings.layout !== 'object') {
-            this.currentSettings.layout = { ...this.defaultSettings.layout };
-            isModified = true;
-        } else {
-            // 确保布局的每个属性存在且类型正确
-            if (typeof this.currentSettings.layout.columns !== 'number') {
-                this.currentSettings.layout.columns = this.defaultSettings.layout.columns;
-                isModified = true;
-            }
-            if (typeof this.currentSettings.layout.spacing !== 'number') {
-                this.currentSettings.layout.spacing = this.defaultSettings.layout.spacing;
-                isModified = true;
-            }
-            if (typeof this.currentSettings.layout.iconSize !== 'number') {
-                this.currentSettings.layout.iconSize = this.defaultSettings.layout.iconSize;
-                isModified = true;
-            }
-        }
+        // 存储后端：用户手动选择的适配器id保存在localStorage中，未选择时自动检测
+        this.adapterRegistry = storageAdapterRegistry;
+        this.backendKey = `${this.baseStorageKey}-backend`;
         
-        // 确保搜索设置存在且结构完整
-        if (!this.currentSettings.search || typeof this.currentSettings.search !== 'object') {
-            this.currentSettings.search = { ...this.defaultSettings.search };
-            isModified = true;
-        } else {
-            // 确保搜索设置的每个属性存在且类型正确
-            if (typeof this.currentSettings.search.engine !== 'string') {
-                this.currentSettings.search.engine = this.defaultSettings.search.engine;
-                isModified = true;
-            }
-            
-            if (typeof this.currentSettings.search.opacity !== 'number') {
-                this.currentSettings.search.opacity = this.defaultSettings.search.opacity;
-                isModified = true;
-            }
-            
-            if (typeof this.currentSettings.search.type !== 'string') {
-                this.currentSettings.search.type = this.defaultSettings.search.type;
-                isModified = true;
-            }
-        }
+        // 导出和备份加密：口令只保存在内存中，不写入任何存储
+        this.encryptedFormat = 'browser-nav-encrypted';
+        this.encryptionIterations = 250000;
+        // 解密时接受的迭代次数范围，避免文件中过大的迭代次数使页面长时间无响应
+        this.minEncryptionIterations = 100000;
+        this.maxEncryptionIterations = 10000000;
+        this.exportPassphrase = '';
+        this.passphraseResolver = null;
         
-        // 确保文字颜色设置存在且类型正确
-        if (!this.currentSettings.textColor || typeof this.currentSettings.textColor !== 'string') {
-            this.currentSettings.textColor = this.defaultSettings.textColor;
-            isModified = true;
-        }
+        // 设置各部分的名称，用于校验和验证报告
+        this.sectionLabels = {
+            version: '版本',
+            timestamp: '时间戳',
+            wallpaper: '壁纸',
+            navigationItems: '导航项',
+            toolGroups: '工具组',
+            pages: '页面',
+            layout: '布局',
+            search: '搜索设置',
+            textColor: '文字颜色',
+            tags: '标签',
+            snapshots: '快照设置',
+            backups: '备份设置'
+        };
         
-        // 确保tags数组存在
-        if (!Array.isArray(this.currentSettings.tags)) {
-            this.currentSettings.tags = [];
-            isModified = true;
-        }
+        // 设置数据结构注册表（版本迁移）
+        this.schemaRegistry = settingsSchemaRegistry;
         
-        // 确保所有导航项都有tags字段
-        for (const item of this.currentSettings.navigationItems) {
-            if (!Array.isArray(item.tags)) {
-                item.tags = [];
-                isModified = true;
+        // 最近一次导入失败的原因，供界面提示
+        this.lastImportError = null;
+        // 最近一次读取文件时的校验报告
+        this.lastIntegrityReport = null;
+        
+        // 撤销/重做历史
+        this.history = new SettingsHistory(`${this.storageKey}-history`);
+        
+        // 跨标签页同步状态，初始化完成后由markSynced()设置
+        this.syncBase = null;
+        
+        // 历史快照：保存后延迟创建，自动快照之间至少间隔snapshotInterval
+        this.snapshotStore = null;
+        this.snapshotTimer = null;
+        this.snapshotDelay = 3000;
+        this.snapshotInterval = 10 * 60 * 1000;
+        this.lastSnapshotTime = null;
+        
+        // 默认设置
+        this.defaultSettings = {
+            version: this.schemaRegistry.latestVersion,
+            timestamp: Date.now(),
+            checksum: '',
+            wallpaper: '',
+            navigationItems: [
+                { id: 1, name: 'Google', url: 'https://google.com', icon: '🔍', tags: [], page: 1 },
+                { id: 2, name: 'GitHub', url: 'https://github.com', icon: '💻', tags: [], page: 1 },
+                { id: 3, name: 'YouTube', url: 'https://youtube.com', icon: '▶️', tags: [], page: 1 },
+                { id: 4, name: 'Gmail', url: 'https://mail.google.com', icon: '📧', tags: [], page: 1 },
+                { id: 5, name: '百度', url: 'https://baidu.com', icon: '🌐', tags: [], page: 1 },
+                { id: 6, name: '知乎', url: 'https://zhihu.com', icon: '📚', tags: [], page: 1 },
+                { id: 7, name: 'CSDN', url: 'https://csdn.net', icon: '👨‍💻', tags: [], page: 1 },
+                { id: 8, name: 'B站', url: 'https://bilibili.com', icon: '🎬', tags: [], page: 1 },
+                { id: 9, name: '淘宝', url: 'https://taobao.com', icon: '🛒', tags: [], page: 1 },
+                { id: 10, name: '微信', url: 'https://wx.qq.com', icon: '💬', tags: [], page: 1 }
+            ],
+            toolGroups: [],
+            pages: [
+                { id: 1, name: '主页', layout: null } // layout为该页单独使用的布局，null表示使用全局布局
+            ],
+            layout: {
+                columns: 8,
+                spacing: 10,
+                iconSize: 48
+            },
+            search: {
+                engine: 'google',
+                type: 'web', // 新增：web或local
+                unified: true, // 综合搜索：网络搜索时在下拉列表中同时显示匹配的快捷方式和最近搜索
+                opacity: 0.2, // 对应80%透明度，因为1 - 0.2 = 0.8
+                engines: builtinSearchEngines.map(engine => ({ ...engine })),
+                keywords: builtinSearchKeywords.map(entry => ({ ...entry }))
+            },
+            textColor: '#2d3748', // 默认文字颜色
+            tags: [], // 新增：所有可用标签
+            snapshots: {
+                limit: 20, // 保留最近的快照数
+                dailyDays: 7 // 另外保留最近几天每天的最后一个快照
+            },
+            backups: {
+                limit: 10 // 备份目录中保留的备份文件数
             }
-        }
+        };
         
-        // 只有在实际修改了设置时才保存
-        if (isModified) {
-            console.log('设置结构已修复，保存更新后的设置');
-            this.saveSettings();
-        }
-    }
-    
-    resetToDefault() {
-        this.currentSettings = this.defaultSettings;
-        this.saveSettings();
+        // 壁纸和上传的图标保存在IndexedDB中，设置中只保存"asset:<SHA-256>"引用
+        this.assetPrefix = 'asset:';
+        // 图片类型与文件扩展名的对应关系，用于数据包中的图片文件
+        this.imageExtensions = {
+            'image/png': '.png',
+            'image/jpeg': '.jpg',
+            'image/gif': '.gif',
+            'image/webp': '.webp',
+            'image/avif': '.avif',
+            'image/bmp': '.bmp',
+            'image/svg+xml': '.svg',
+            'image/x-icon': '.ico'
+        };
+        
+        // ZIP数据包格式
+        this.bundleFormat = 'browser-nav-bundle';
+        this.bundleVersion = 1;
+        this.bundleSettingsPath = 'settings.json';
+        this.bundleManifestPath = 'manifest.json';
+        this.assetUrls = new Map();
+        this.assetLoads = new Map();
+        // 资源读取完成后调用，由界面重新渲染
+        this.assetListener = null;
+        // 新保存的资源在此期间内不会被清理（可能还没有保存引用它的设置）
+        this.assetGracePeriod = 10 * 60 * 1000;
+        this.assetTask = Promise.resolve(0);
+        
+        // 存储空间监控：localStorage按UTF-16（每字符2字节）估算，多数浏览器限制约5MB
+        this.localStorageQuota = 5 * 1024 * 1024;
+        this.storageWarningRatio = 0.8;
+        this.storageWarned = false;
+        // localStorage已满、设置未能保存时为true（恢复模式）
+        this.storageFull = false;
+        // 空间即将用尽（'warning'）、已满（'full'）或恢复（'recovered'）时调用storageWarningListener(level, ratio)
+        this.storageWarningListener = null;
+        
+        // 写入队列：saveDelay毫秒内的多次保存请求合并为一次写入
+        this.saveDelay = 400;
+        this.saveTimer = null;
+        this.savePending = false;
+        this.saveId = 0;
+        // 保存状态：'saving'、'saved'或'failed'，变化时调用saveStatusListener(status, message)
+        this.saveStatus = 'saved';
+        this.lastSaveError = null;
+        this.saveStatusListener = null;
+        
+        // 初始化数据
+        this.currentSettings = this.loadSettings();
+        
+        // 确保必要属性存在
+        this.ensureSettingsStructure();
+        
+        // 修改数据的方法均以命令形式记录，支持撤销/重做
+        this.commandDepth = 0;
+        this.wrapUndoableCommands();
+        
+        // 跨标签页同步：记录最近一次与localStorage一致的数据，用于发现其他标签页的修改
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.syncChannel = null;
+        this.syncListener = null;
+        this.markSynced();
+        
+        // 页面隐藏或关闭前写入等待中的修改
+        this.initSaveQueue();
+        
+        // 移除自动文件存储初始化，改为由用户交互触发
+        // 文件存储将在用户明确启用或选择文件时初始化
+    }
+
+    loadSettings() {
+        const stored = localStorage.getItem(this.storageKey);
+        if (stored) {
+            try {
+                // 迁移到当前数据版本
+                const parsed = this.migrateSettings(JSON.parse(stored));
+                // 验证加载的数据
+                if (this.validateSettings(parsed)) {
+                    return parsed;
+                } else {
+                    console.error('加载的数据无效，使用默认设置');
+                    return this.getDefaultSettings();
+                }
+            } catch (e) {
+                if (e instanceof SettingsVersionError) {
+                    // 保留高版本数据的副本，避免被默认设置覆盖
+                    localStorage.setItem(`${this.storageKey}-v${e.version}`, stored);
+                    console.error(`${e.message}，原数据已保留在 ${this.storageKey}-v${e.version}`);
+                    return this.getDefaultSettings();
+                }
+                console.error('加载设置失败，使用默认设置', e);
+                return this.getDefaultSettings();
+            }
+        }
+        return this.getDefaultSettings();
     }
     
-    // 生成数据校验和
-    generateChecksum(data) {
-        const { checksum, ...dataWithoutChecksum } = data;
-        const dataStr = JSON.stringify(dataWithoutChecksum);
-        let hash = 0;
-        for (let i = 0; i < dataStr.length; i++) {
-            const char = dataStr.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    // 将设置数据迁移到当前版本，高版本数据抛出SettingsVersionError
+    migrateSettings(data) {
+        if (!data || typeof data !== 'object') {
+            return data;
         }
-        return hash.toString(16);
+        const { settings, applied } = this.schemaRegistry.migrate(data);
+        // 各部分的校验和只对文件本身有效，载入后不再保留
+        delete settings.integrity;
+        if (applied.length > 0) {
+            console.log(`设置数据已从版本 ${this.schemaRegistry.getVersion(data)} 迁移到 ${settings.version}`);
+        }
+        return settings;
+    }
+
+    // 请求保存设置：修改后不立即写入，saveDelay内的后续修改合并为一次写入
+    saveSettings() {
+        this.savePending = true;
+        this.setSaveStatus('saving');
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flushSettings(), this.saveDelay);
+        return true;
     }
     
-    // 验证数据校验和
-    verifyChecksum(data) {
-        if (!data.checksum) return false;
-        const expectedChecksum = this.generateChecksum(data);
-        return data.checksum === expectedChecksum;
+    // 有等待中的修改时立即写入
+    flushPendingSave() {
+        if (this.savePending) {
+            return this.flushSettings();
+        }
+        this.history.flush();
+        return true;
     }
     
-    // 检查浏览器是否支持文件系统访问API
-    isFileSystemAPISupported() {
-        try {
-            // 检查核心API是否存在
-            const hasSavePicker = typeof window.showSaveFilePicker === 'function';
-            const hasOpenPicker = typeof window.showOpenFilePicker === 'function';
-            const hasFileSystemWritable = typeof window.FileSystemWritableFileStream === 'function';
-            
-            const isSupported = hasSavePicker && hasOpenPicker && hasFileSystemWritable;
-            
-            if (!isSupported) {
-                console.log('浏览器不支持File System Access API:', {
-                    hasSavePicker,
-                    hasOpenPicker,
-                    hasFileSystemWritable,
-                    browser: navigator.userAgent
-                });
+    initSaveQueue() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushPendingSave();
             }
-            
-            return isSupported;
-        } catch (err) {
-            console.error('检测File System Access API支持情况时出错:', err);
-            return false;
-        }
+        });
+        window.addEventListener('pagehide', () => this.flushPendingSave());
+        window.addEventListener('beforeunload', () => this.flushPendingSave());
     }
-
-    // 浏览器检测方法 - 增强版
-    isFirefox() {
-        try {
-            // 多种检测方式结合，提高准确性
-            const userAgent = navigator.userAgent.toLowerCase();
-            const vendor = navigator.vendor || '';
-            
-            // 主要检测方式
-            const isFirefoxUA = userAgent.includes('firefox') || userAgent.includes('mozilla/');
-            const isNotChrome = !userAgent.includes('chrome') && !userAgent.includes('chromium');
-            const isNotEdge = !userAgent.includes('edg/');
-            const isNotSafari = !userAgent.includes('safari/') || vendor.toLowerCase().includes('mozilla');
-            
-            // Firefox特有属性检测
-            const hasFirefoxProps = typeof window.mozInnerScreenX !== 'undefined';
-            
-            return isFirefoxUA && isNotChrome && isNotEdge && isNotSafari || hasFirefoxProps;
-        } catch (err) {
-            console.error('检测Firefox浏览器时出错:', err);
-            // 出错时使用简单检测作为后备
-            return navigator.userAgent.toLowerCase().includes('firefox');
+    
+    setSaveStatus(status, message = null) {
+        if (status === this.saveStatus && message === this.lastSaveError) {
+            return;
         }
-    }
-
-    isTreaBrowser() {
-        try {
-            return navigator.userAgent.toLowerCase().includes('trea');
-        } catch (err) {
-            console.error('检测Trea浏览器时出错:', err);
-            return false;
+        this.saveStatus = status;
+        this.lastSaveError = message;
+        if (this.saveStatusListener) {
+            this.saveStatusListener(status, message);
         }
     }
     
-    // 检查浏览器是否支持IndexedDB
-    isIndexedDBSupported() {
-        try {
-            return typeof window.indexedDB !== 'undefined';
-        } catch (err) {
-            console.error('检测IndexedDB支持情况时出错:', err);
-            return false;
+    // 一次写入结束，之后又有新的保存请求时忽略其结果
+    finishSave(saveId, success, message = null) {
+        if (saveId !== this.saveId || this.savePending) {
+            return;
         }
+        this.setSaveStatus(success ? 'saved' : 'failed', message);
     }
-
-    // 存储适配器工厂方法
-    createStorageAdapter() {
+    
+    // 立即保存设置（取消等待中的延迟保存）
+    flushSettings() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.savePending = false;
+        const saveId = ++this.saveId;
+        
         try {
-            // 优先选择File System Access API（提供最佳用户体验）
-            if (this.isFileSystemAPISupported()) {
-                console.log('使用File System Access API存储适配器');
-                return new FileSystemAccessAdapter(this);
+            // 验证数据有效性
+            if (!this.validateSettings(this.currentSettings)) {
+                console.error('数据无效，保存失败');
+                this.finishSave(saveId, false, '设置数据无效');
+                return false;
+            }
+            
+            // 其他标签页在此期间保存过数据时，先合并其修改，避免被本页覆盖
+            const rebase = this.rebaseOnStoredSettings();
+            
+            // 更新时间戳（校验和在写入文件或导出时异步生成）
+            this.currentSettings.timestamp = Date.now();
+            
+            // 确保数据结构完整，补全结构时发起的保存请求已包含在本次写入中
+            this.ensureSettingsStructure();
+            clearTimeout(this.saveTimer);
+            this.savePending = false;
+            
+            // 先保存到localStorage（同步，确保数据安全）
+            const serialized = JSON.stringify(this.currentSettings);
+            localStorage.setItem(this.storageKey, serialized);
+            console.log('设置已保存到localStorage');
+            // 修改历史与设置一起写入，其他标签页收到通知时能读到对应的记录
+            this.history.flush();
+            
+            // 导入、同步或粘贴得到的内嵌图片稍后移到资源存储中
+            if (serialized.includes('"data:image')) {
+                this.externalizeInlineAssets();
             }
             
-            // 特殊处理Firefox浏览器，使用专用适配器
-            if (this.isFirefox() || this.isTreaBrowser()) {
-                console.log('使用Firefox存储适配器');
-                return new FirefoxStorageAdapter(this);
+            // 通知其他标签页
+            this.markSynced(serialized);
+            this.broadcastSettingsSaved();
+            
+            // 稍后创建自动快照
+            this.scheduleSnapshot();
+            if (rebase && this.syncListener) {
+                this.syncListener(rebase.localSections.length > 0 ? 'merged' : 'updated', rebase.mergedSections);
             }
             
-            // 其次选择IndexedDB（跨浏览器兼容，提供持久化存储）
-            if (this.isIndexedDBSupported()) {
-                console.log('使用IndexedDB存储适配器');
-                return new IndexedDBAdapter(this);
+            // 再异步保存到其他存储方案（如果启用了文件存储且已初始化存储适配器，仅限默认配置）
+            if (this.isStorageBackendActive()) {
+                this.storageAdapter.saveStorage().then(success => {
+                    if (success) {
+                        console.log('设置已保存到文件存储');
+                        this.finishSave(saveId, true);
+                    } else {
+                        console.warn('文件存储保存失败，但已保存到localStorage');
+                        this.finishSave(saveId, false, '文件存储保存失败，设置已保存在浏览器中');
+                    }
+                }).catch(err => {
+                    console.error('保存到文件存储失败，但已保存到localStorage:', err);
+                    this.finishSave(saveId, false, `文件存储保存失败：${err.message}`);
+                });
+            } else {
+                this.finishSave(saveId, true);
             }
             
-            // 最后选择LocalStorage作为后备方案
-            console.log('使用LocalStorage存储适配器');
-            return new LocalStorageAdapter(this);
+            if (this.storageFull) {
+                this.storageFull = false;
+                this.notifyStorageWarning('recovered');
+            }
+            this.checkStorageUsage();
+            return true;
         } catch (err) {
-            console.error('创建存储适配器时出错:', err);
-            // 出错时回退到LocalStorage
-            return new LocalStorageAdapter(this);
+            if (this.isQuotaError(err)) {
+                return this.handleStorageFull(saveId);
+            }
+            console.error('保存设置失败:', err);
+            // 尝试仅保存到localStorage作为最后的后备
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.currentSettings));
+                console.log('已作为后备保存到localStorage');
+                this.finishSave(saveId, true);
+                return true;
+            } catch (localErr) {
+                console.error('后备保存到localStorage也失败:', localErr);
+                this.finishSave(saveId, false, this.isQuotaError(localErr) ? '浏览器存储空间不足' : localErr.message);
+                return false;
+            }
         }
     }
+
+    // 存储空间相关方法
+    isQuotaError(err) {
+        return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+    }
     
-    // 初始化文件存储
-    async initFileStorage() {
-        try {
-            // 为所有浏览器创建存储适配器
-            this.storageAdapter = this.createStorageAdapter();
-            this.isFileStorageEnabled = true;
-            
-            // 初始化存储，确保数据加载
-            await this.storageAdapter.openStorage();
-            
-            return true;
-        } catch (err) {
-            console.error('初始化文件存储失败:', err);
-            this.isFileStorageEnabled = false;
-            return false;
+    notifyStorageWarning(level, ratio = null) {
+        if (this.storageWarningListener) {
+            this.storageWarningListener(level, ratio);
         }
     }
     
-    // 创建新的存储文件
-    async createStorageFile() {
-        try {
-            this.fileHandle = await window.showSaveFilePicker({
-                suggestedName: this.storageFileName,
-                types: [{ accept: { 'application/json': ['.json'] } }],
-                excludeAcceptAllOption: true
+    // localStorage已满：进入恢复模式，并尽量把修改写入所选的存储后端
+    handleStorageFull(saveId) {
+        console.error('localStorage空间已满，设置未能保存到浏览器中');
+        this.storageFull = true;
+        this.notifyStorageWarning('full', 1);
+        
+        if (this.isStorageBackendActive()) {
+            this.storageAdapter.saveStorage().then(success => {
+                this.finishSave(saveId, false, success ? '浏览器存储空间已满，设置只保存到了所选的存储后端' : '浏览器存储空间已满');
+            }).catch(() => {
+                this.finishSave(saveId, false, '浏览器存储空间已满');
             });
-            
-            // 写入初始数据
-            await this.saveToFile();
-            return true;
-        } catch (err) {
-            console.error('创建存储文件失败:', err);
-            return false;
+        } else {
+            this.finishSave(saveId, false, '浏览器存储空间已满');
         }
+        return false;
     }
     
-    // 打开现有存储文件
-    async openStorageFile() {
-        try {
-            const [handle] = await window.showOpenFilePicker({
-                types: [{ accept: { 'application/json': ['.json'] } }],
-                excludeAcceptAllOption: true,
-                multiple: false
-            });
-            
-            this.fileHandle = handle;
-            
-            // 从文件加载数据
-            const loaded = await this.loadFromFile();
-            if (loaded) {
-                return true;
+    // 统计localStorage中每一项占用的字节数
+    getLocalStorageUsage() {
+        const entries = [];
+        let total = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            const bytes = (key.length + (localStorage.getItem(key) || '').length) * 2;
+            entries.push({ key, bytes });
+            total += bytes;
+        }
+        return { total, entries };
+    }
+    
+    // 使用量超过storageWarningRatio时提示一次，降到其下后重新提示
+    checkStorageUsage() {
+        const ratio = this.getLocalStorageUsage().total / this.localStorageQuota;
+        if (ratio < this.storageWarningRatio) {
+            this.storageWarned = false;
+        } else if (!this.storageWarned) {
+            this.storageWarned = true;
+            this.notifyStorageWarning('warning', ratio);
+        }
+        return ratio;
+    }
+    
+    // 汇总存储空间的使用情况：localStorage各部分、IndexedDB中的图片资源以及浏览器报告的总用量
+    async getStorageUsage() {
+        const { total, entries } = this.getLocalStorageUsage();
+        const bytesOf = (key) => (entries.find(entry => entry.key === key) || { bytes: 0 }).bytes;
+        const measure = (value) => value === undefined ? 0 : JSON.stringify(value).length * 2;
+        
+        const settingsBytes = bytesOf(this.storageKey);
+        const settingsSections = ['navigationItems', 'toolGroups', 'wallpaper'].map(id => ({
+            id,
+            label: this.sectionLabels[id],
+            bytes: Math.min(settingsBytes, measure(this.currentSettings[id]))
+        }));
+        const favicons = entries.filter(entry => entry.key.startsWith('favicon_'));
+        const otherProfiles = this.getProfiles().filter(profile => profile.id !== this.activeProfileId);
+        const sections = [
+            ...settingsSections,
+            { id: 'settings', label: '其他设置', bytes: Math.max(0, settingsBytes - settingsSections.reduce((sum, section) => sum + section.bytes, 0)) },
+            { id: 'history', label: '修改历史', bytes: bytesOf(this.history.storageKey) },
+            { id: 'favicons', label: `图标缓存（${favicons.length}项）`, bytes: favicons.reduce((sum, entry) => sum + entry.bytes, 0) },
+            {
+                id: 'profiles',
+                label: `其他配置（${otherProfiles.length}个）`,
+                bytes: otherProfiles.reduce((sum, profile) => {
+                    const key = this.getProfileStorageKey(profile.id);
+                    return sum + bytesOf(key) + bytesOf(`${key}-history`);
+                }, 0)
+            }
+        ];
+        const counted = settingsBytes + sections.slice(-3).reduce((sum, section) => sum + section.bytes, 0);
+        sections.push({ id: 'other', label: '其他', bytes: Math.max(0, total - counted) });
+        
+        let estimate = null;
+        if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+            try {
+                estimate = await navigator.storage.estimate();
+            } catch (err) {
+                console.warn('读取浏览器存储用量失败', err);
+            }
+        }
+        
+        let assets = null;
+        const store = this.getAssetStore();
+        if (store) {
+            try {
+                const list = await store.listAssets();
+                assets = { count: list.length, bytes: list.reduce((sum, asset) => sum + (asset.size || 0), 0) };
+            } catch (err) {
+                console.warn('读取图片资源失败', err);
             }
-            
-            // 如果加载失败，尝试从localStorage获取数据并保存到文件
-            await this.saveToFile();
-            return true;
-        } catch (err) {
-            console.error('打开存储文件失败:', err);
-            return false;
         }
+        
+        return { used: total, quota: this.localStorageQuota, ratio: total / this.localStorageQuota, sections, estimate, assets };
     }
     
-    // 从文件加载数据
-    async loadFromFile() {
+    // 删除localStorage中的图标缓存，返回{ count, bytes }
+    purgeFaviconCache() {
+        const favicons = this.getLocalStorageUsage().entries.filter(entry => entry.key.startsWith('favicon_'));
+        favicons.forEach(entry => localStorage.removeItem(entry.key));
+        return { count: favicons.length, bytes: favicons.reduce((sum, entry) => sum + entry.bytes, 0) };
+    }
+    
+    // 清空撤销/重做记录，返回释放的字节数
+    clearHistory() {
+        const bytes = ((localStorage.getItem(this.history.storageKey) || '').length + this.history.storageKey.length) * 2;
+        this.history.clear();
+        return bytes;
+    }
+    
+    // 将壁纸缩小到maxWidth以内并重新编码为JPEG（可撤销），返回{ before, after }字节数
+    // 没有可压缩的壁纸时返回null，原因记录在lastImportError中
+    async compressWallpaper(maxWidth = 1920, quality = 0.8) {
+        this.lastImportError = null;
+        const wallpaper = this.getWallpaper();
+        if (!wallpaper) {
+            this.lastImportError = '当前没有设置壁纸';
+            return null;
+        }
+        
         try {
-            if (!this.fileHandle) {
-                return false;
+            let original = null;
+            if (this.isAssetRef(wallpaper)) {
+                const store = this.getAssetStore();
+                const asset = store && await store.getAsset(wallpaper.slice(this.assetPrefix.length));
+                original = asset ? asset.blob : null;
+            } else if (wallpaper.startsWith('data:')) {
+                original = this.dataUrlToBlob(wallpaper);
+            }
+            if (!original) {
+                this.lastImportError = '只能压缩上传的壁纸';
+                return null;
             }
             
-            const file = await this.fileHandle.getFile();
-            const fileContent = await file.text();
-            const data = JSON.parse(fileContent);
+            const sourceUrl = URL.createObjectURL(original);
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('无法读取壁纸图片'));
+                img.src = sourceUrl;
+            }).finally(() => URL.revokeObjectURL(sourceUrl));
             
-            // 验证数据完整性
-            if (this.verifyChecksum(data)) {
-                this.currentSettings = data;
-                this.ensureSettingsStructure();
-                this.saveSettings(); // 同时更新localStorage作为备份
-                return true;
-            } else {
-                console.error('数据校验失败，尝试恢复备份');
-                return await this.restoreFromBackup();
+            const scale = Math.min(1, maxWidth / image.naturalWidth);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            const compressed = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+            if (!compressed || compressed.size >= original.size) {
+                this.lastImportError = '壁纸已经足够小，无需压缩';
+                return null;
             }
+            
+            const ref = await this.storeAsset(compressed) || await this.blobToDataUrl(compressed);
+            this.setWallpaper(ref);
+            return { before: original.size, after: compressed.size };
         } catch (err) {
-            console.error('从文件加载数据失败:', err);
-            return false;
+            console.error('压缩壁纸失败:', err);
+            this.lastImportError = err.message;
+            return null;
         }
     }
-    
-    // 将数据保存到文件
-    async saveToFile() {
+
+    // 将修改数据的方法包装为可撤销的命令
+    wrapUndoableCommands() {
+        const commands = {
+            addNavigationItem: '添加快捷方式',
+            updateNavigationItem: '编辑快捷方式',
+            deleteNavigationItem: '删除快捷方式',
+            moveNavigationItem: '移动快捷方式',
+            reorderNavigationItems: '调整排序',
+            setWallpaper: '更换壁纸',
+            updateLayout: '调整布局',
+            addPage: '新建页面',
+            renamePage: '重命名页面',
+            deletePage: '删除页面',
+            movePage: '调整页面顺序',
+            moveItemToPage: '移动到其他页面',
+            setPageLayout: '设置页面布局',
+            resetToDefault: '重置设置',
+            applyImportedSettings: '导入设置',
+            importBookmarks: '导入书签',
+            addToolGroup: '新建工具组',
+            updateToolGroup: '编辑工具组',
+            deleteToolGroup: '删除工具组',
+            addItemToToolGroup: '添加到工具组',
+            removeItemFromToolGroup: '从工具组移除',
+            addSubGroup: '新建子工具组',
+            updateToolGroupEntry: '编辑子工具组',
+            removeToolGroupEntry: '从工具组移除',
+            moveToolGroupEntry: '移动工具组项',
+            addTag: '添加标签',
+            removeTag: '删除标签',
+            addTagToItem: '添加标签',
+            removeTagFromItem: '移除标签',
+            addSearchEngine: '添加搜索引擎',
+            updateSearchEngine: '编辑搜索引擎',
+            deleteSearchEngine: '删除搜索引擎',
+            moveSearchEngine: '调整搜索引擎顺序',
+            addSearchKeyword: '添加搜索关键词',
+            updateSearchKeyword: '编辑搜索关键词',
+            deleteSearchKeyword: '删除搜索关键词',
+            setSearchOpacity: '调整搜索框透明度',
+            setUnifiedSearch: '切换综合搜索',
+            setTextColor: '更改文字颜色'
+        };
+        
+        Object.entries(commands).forEach(([method, label]) => {
+            const original = this[method].bind(this);
+            this[method] = (...args) => this.runCommand(label, () => original(...args));
+        });
+    }
+    
+    // 执行一条命令并记录修改历史，嵌套调用只在最外层记录
+    runCommand(label, mutate) {
+        if (this.commandDepth > 0) {
+            return mutate();
+        }
+        
+        // 先载入其他标签页尚未同步的修改，使本条命令只记录本页的改动
+        // 连续的同类修改（如拖动滑块）仍在合并时跳过，避免每次修改都读取localStorage
+        if (!this.history.isMerging(label)) {
+            this.applyExternalSettings();
+        }
+        
+        const before = this.history.capture(this.currentSettings);
+        this.commandDepth++;
         try {
-            if (!this.fileHandle) {
-                return false;
-            }
-            
-            // 更新时间戳和校验和
-            this.currentSettings.timestamp = Date.now();
-            this.currentSettings.checksum = this.generateChecksum(this.currentSettings);
-            
-            // 创建原子更新：先写入临时文件，再替换原文件
-            const writable = await this.fileHandle.createWritable({
-                keepExistingData: false
-            });
-            
-            await writable.write(JSON.stringify(this.currentSettings, null, 2));
-            await writable.close();
-            
-            // 创建备份
-            await this.backupFile();
-            
-            return true;
-        } catch (err) {
-            console.error('保存数据到文件失败:', err);
-            return false;
+            return mutate();
+        } finally {
+            this.commandDepth--;
+            this.history.record(label, before, this.history.capture(this.currentSettings));
         }
     }
     
-    // 创建文件备份
-    async backupFile() {
-        try {
-            if (!this.fileHandle) {
-                return false;
+    // 将接下来同步执行的多个修改合并为一条可撤销记录
+    beginCommandGroup(label) {
+        this.history.beginBatch(label);
+    }
+    
+    // 撤销最近一条命令，返回被撤销的记录
+    undo() {
+        this.applyExternalSettings();
+        const entry = this.history.undo();
+        if (!entry) return null;
+        this.history.apply(this.currentSettings, entry.before);
+        this.saveSettings();
+        return entry;
+    }
+    
+    // 重做最近撤销的命令，返回被重做的记录
+    redo() {
+        this.applyExternalSettings();
+        const entry = this.history.redo();
+        if (!entry) return null;
+        this.history.apply(this.currentSettings, entry.after);
+        this.saveSettings();
+        return entry;
+    }
+
+    // 跨标签页同步：监听BroadcastChannel和storage事件，其他标签页保存后载入其数据
+    // listener(reason, sections)在数据被外部修改后调用，reason为'updated'或'merged'
+    initCrossTabSync(listener) {
+        this.syncListener = listener;
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            try {
+                // 所有配置共用一个频道，各标签页只载入自己所用配置的数据
+                this.syncChannel = new BroadcastChannel(`${this.baseStorageKey}-sync`);
+                this.syncChannel.onmessage = (event) => {
+                    const message = event.data || {};
+                    if (message.type === 'settings-saved' && message.tabId !== this.tabId) {
+                        this.applyExternalSettings();
+                    }
+                };
+            } catch (e) {
+                console.warn('BroadcastChannel不可用，仅使用storage事件同步', e);
+                this.syncChannel = null;
             }
-            
-            // 创建备份文件
-            const backupHandle = await window.showSaveFilePicker({
-                suggestedName: this.backupFileName,
-                types: [{ accept: { 'application/json': ['.json'] } }],
-                excludeAcceptAllOption: true
-            });
-            
-            const writable = await backupHandle.createWritable({
-                keepExistingData: false
-            });
-            
-            await writable.write(JSON.stringify(this.currentSettings, null, 2));
-            await writable.close();
-            
-            return true;
-        } catch (err) {
-            console.error('创建备份失败:', err);
-            return false;
         }
+        
+        // storage事件作为后备（BroadcastChannel不可用或消息丢失时）
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.storageKey && event.newValue) {
+                this.applyExternalSettings();
+            }
+        });
     }
     
-    // 从备份恢复数据
-    async restoreFromBackup() {
+    // 记录当前与localStorage一致的数据
+    markSynced(serialized = localStorage.getItem(this.storageKey)) {
+        this.lastSyncedRaw = serialized;
+        this.lastSyncedTimestamp = this.currentSettings.timestamp;
+        this.syncBase = this.history.capture(this.currentSettings);
+    }
+    
+    broadcastSettingsSaved() {
+        if (!this.syncChannel) return;
         try {
-            const [handle] = await window.showOpenFilePicker({
-                types: [{ accept: { 'application/json': ['.json'] } }],
-                excludeAcceptAllOption: true,
-                multiple: false
+            this.syncChannel.postMessage({
+                type: 'settings-saved',
+                tabId: this.tabId,
+                timestamp: this.currentSettings.timestamp
             });
-            
-            const file = await handle.getFile();
-            const fileContent = await file.text();
-            const data = JSON.parse(fileContent);
-            
-            if (this.verifyChecksum(data)) {
-                this.currentSettings = data;
-                this.ensureSettingsStructure();
-                await this.saveToFile();
-                this.saveSettings();
-                return true;
-            }
-            
-            return false;
-        } catch (err) {
-            console.error('从备份恢复失败:', err);
-            return false;
+        } catch (e) {
+            console.warn('通知其他标签页失败', e);
         }
     }
     
-    // 验证单个导航项
-    validateItem(item) {
-        if (!item || typeof item !== 'object') {
-            return false;
-        }
-        
-        // 验证必填字段
-        if (!item.name || typeof item.name !== 'string') {
-            return false;
-        }
-        
-        if (!item.url || typeof item.url !== 'string') {
-            return false;
+    // 读取localStorage中由其他标签页写入的数据，没有变化或无效时返回null
+    readExternalSettings() {
+        const stored = localStorage.getItem(this.storageKey);
+        if (!stored || stored === this.lastSyncedRaw) {
+            return null;
         }
-        
-        // 验证URL格式
         try {
-            new URL(item.url);
+            const parsed = this.migrateSettings(JSON.parse(stored));
+            if (!this.validateSettings(parsed)) {
+                console.warn('其他标签页保存的数据无效，已忽略');
+                return null;
+            }
+            return { settings: parsed, serialized: stored };
         } catch (e) {
-            return false;
+            console.warn('读取其他标签页保存的数据失败', e);
+            return null;
         }
+    }
+    
+    // 载入其他标签页保存的数据，时间戳不比本页新时忽略
+    applyExternalSettings() {
+        const external = this.readExternalSettings();
+        if (!external) return false;
         
-        // 验证可选字段
-        if (item.id !== undefined && typeof item.id !== 'number') {
-            return false;
+        // 本页有等待中的修改时立即写入，写入时与其他标签页的数据合并
+        if (this.savePending) {
+            this.flushSettings();
+            return true;
         }
         
-        if (item.icon !== undefined && typeof item.icon !== 'string') {
+        if ((external.settings.timestamp || 0) <= (this.currentSettings.timestamp || 0)) {
             return false;
         }
         
-        if (item.toolGroupId !== undefined && typeof item.toolGroupId !== 'number' && item.toolGroupId !== null) {
-            return false;
-        }
+        this.currentSettings = external.settings;
+        this.markSynced(external.serialized);
+        // 其他标签页已记录了该修改，同步其撤销历史
+        this.history.load();
+        console.log('已同步其他标签页的设置');
         
-        // 验证标签字段
-        if (item.tags !== undefined && !Array.isArray(item.tags)) {
-            return false;
+        if (this.syncListener) {
+            this.syncListener('updated', []);
         }
-        
         return true;
     }
     
-    // 验证navigationItems数组
-    validateNavigationItems(items) {
-        if (!Array.isArray(items)) {
-            return false;
+    // 保存前发现其他标签页写入了更新的数据时，以其数据为基础，只保留本页修改过的分区
+    // 同一分区两边都修改时以本页（时间戳更新的一方）为准
+    // 返回{ localSections, mergedSections }（本页保留的分区、从其他标签页合并进来的分区），无需合并时返回null
+    rebaseOnStoredSettings() {
+        if (!this.syncBase) {
+            return null;
         }
         
-        // 验证每个导航项
-        for (const item of items) {
-            if (!this.validateItem(item)) {
-                return false;
-            }
+        const external = this.readExternalSettings();
+        if (!external || (external.settings.timestamp || 0) <= (this.lastSyncedTimestamp || 0)) {
+            return null;
         }
         
-        // 验证id唯一性
-        const ids = items.map(item => item.id).filter(id => id !== undefined);
-        const uniqueIds = new Set(ids);
-        if (ids.length !== uniqueIds.size) {
-            return false;
-        }
+        const local = this.history.capture(this.currentSettings);
+        const merged = external.settings;
+        const localSections = this.history.sections.filter(section => local[section] !== this.syncBase[section]);
+        localSections.forEach(section => {
+            merged[section] = this.currentSettings[section];
+        });
         
-        return true;
+        const mergedState = this.history.capture(merged);
+        const mergedSections = this.history.sections.filter(section =>
+            !localSections.includes(section) && mergedState[section] !== this.syncBase[section]);
+        
+        this.currentSettings = merged;
+        console.warn(`其他标签页已修改设置，合并后保存（本页修改：${localSections.join('、') || '无'}）`);
+        return { localSections, mergedSections };
+    }
+
+    // 配置（工作区）相关方法
+    // 每个配置有独立的设置数据、修改历史和历史快照；存储后端（本地文件、IndexedDB、WebDAV）只用于默认配置
+    getProfileStorageKey(id) {
+        return id === this.defaultProfileId ? this.baseStorageKey : `${this.baseStorageKey}-profile-${id}`;
     }
     
-    // 验证完整设置数据
-    validateSettings(settings) {
-        if (!settings || typeof settings !== 'object') {
-            return false;
+    readProfileRegistry() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.profilesKey));
+            if (stored && Array.isArray(stored.profiles)) {
+                return stored;
+            }
+        } catch (e) {
+            console.error('读取配置列表失败', e);
         }
-        
-        // 验证navigationItems
-        if (!this.validateNavigationItems(settings.navigationItems)) {
+        return { active: this.defaultProfileId, profiles: [] };
+    }
+    
+    writeProfileRegistry(registry) {
+        try {
+            localStorage.setItem(this.profilesKey, JSON.stringify(registry));
+            return true;
+        } catch (e) {
+            console.error('保存配置列表失败', e);
             return false;
         }
+    }
+    
+    // 返回所有配置（{ id, name }），默认配置总在最前
+    getProfiles() {
+        const stored = this.readProfileRegistry().profiles.filter(profile => profile && profile.id);
+        const defaultProfile = stored.find(profile => profile.id === this.defaultProfileId);
+        return [
+            { id: this.defaultProfileId, name: (defaultProfile && defaultProfile.name) || '默认' },
+            ...stored.filter(profile => profile.id !== this.defaultProfileId)
+        ];
+    }
+    
+    getActiveProfile() {
+        return this.getProfiles().find(profile => profile.id === this.activeProfileId) || this.getProfiles()[0];
+    }
+    
+    isDefaultProfile() {
+        return this.activeProfileId === this.defaultProfileId;
+    }
+    
+    loadActiveProfileId() {
+        const active = this.readProfileRegistry().active;
+        return this.getProfiles().some(profile => profile.id === active) ? active : this.defaultProfileId;
+    }
+    
+    // 更新配置列表，updater接收{ active, profiles }并直接修改
+    updateProfileRegistry(updater) {
+        const registry = this.readProfileRegistry();
+        registry.profiles = this.getProfiles();
+        updater(registry);
+        return this.writeProfileRegistry(registry);
+    }
+    
+    // 新建配置：source为要复制的设置数据，为空时使用不含导航项的默认设置，返回新配置，名称重复或保存失败时返回null
+    createProfile(name, source = null) {
+        name = name.trim();
+        if (!name || this.getProfiles().some(profile => profile.name === name)) {
+            return null;
+        }
         
-        // 验证其他必要字段
-        if (!settings.layout || typeof settings.layout !== 'object') {
-            return false;
+        const profile = { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name };
+        const settings = source ? JSON.parse(JSON.stringify(source)) : { ...this.getDefaultSettings(), navigationItems: [] };
+        settings.timestamp = Date.now();
+        try {
+            localStorage.setItem(this.getProfileStorageKey(profile.id), JSON.stringify(settings));
+        } catch (e) {
+            console.error('保存新配置失败', e);
+            return null;
         }
         
-        if (!settings.search || typeof settings.search !== 'object') {
+        if (!this.updateProfileRegistry(registry => registry.profiles.push(profile))) {
+            localStorage.removeItem(this.getProfileStorageKey(profile.id));
+            return null;
+        }
+        return profile;
+    }
+    
+    renameProfile(id, name) {
+        name = name.trim();
+        if (!name || this.getProfiles().some(profile => profile.name === name && profile.id !== id)) {
             return false;
         }
-        
-        if (settings.toolGroups !== undefined && !Array.isArray(settings.toolGroups)) {
+        return this.updateProfileRegistry(registry => {
+            const profile = registry.profiles.find(p => p.id === id);
+            if (profile) profile.name = name;
+        });
+    }
+    
+    // 删除配置及其修改历史和快照；不能删除默认配置和当前配置
+    async deleteProfile(id) {
+        if (id === this.defaultProfileId || id === this.activeProfileId) {
             return false;
         }
         
+        const key = this.getProfileStorageKey(id);
+        localStorage.removeItem(key);
+        localStorage.removeItem(`${key}-history`);
+        localStorage.removeItem(`${key}-recent-searches`);
+        this.updateProfileRegistry(registry => {
+            registry.profiles = registry.profiles.filter(profile => profile.id !== id);
+        });
+        
+        const store = this.getSnapshotStore();
+        if (store) {
+            try {
+                await store.deleteProfileSnapshots(id);
+            } catch (err) {
+                console.error('删除配置的快照失败:', err);
+            }
+        }
+        await this.collectAssetGarbage();
         return true;
     }
-
-    exportSettings() {
-        const dataStr = JSON.stringify(this.currentSettings, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        return URL.createObjectURL(dataBlob);
-    }
     
-    // 使用File System API导出设置
-    async exportSettingsWithFileSystem() {
-        try {
-            if (!this.isFileSystemAPISupported()) {
-                console.error('浏览器不支持File System Access API');
-                return false;
-            }
-            
-            // 更新时间戳和校验和
-            this.currentSettings.timestamp = Date.now();
-            this.currentSettings.checksum = this.generateChecksum(this.currentSettings);
-            
-            const fileHandle = await window.showSaveFilePicker({
-                suggestedName: `nav-settings-${new Date().toISOString().split('T')[0]}.json`,
-                types: [{ accept: { 'application/json': ['.json'] } }],
-                excludeAcceptAllOption: true
-            });
-            
-            const writable = await fileHandle.createWritable({
-                keepExistingData: false
-            });
-            
-            await writable.write(JSON.stringify(this.currentSettings, null, 2));
-            await writable.close();
-            
+    // 切换到另一个配置：先写入当前配置等待中的修改，再载入目标配置的数据和修改历史
+    switchProfile(id) {
+        if (id === this.activeProfileId) {
             return true;
-        } catch (err) {
-            console.error('使用File System API导出失败:', err);
+        }
+        if (!this.getProfiles().some(profile => profile.id === id)) {
             return false;
         }
+        
+        this.flushPendingSave();
+        clearTimeout(this.snapshotTimer);
+        
+        this.activeProfileId = id;
+        this.storageKey = this.getProfileStorageKey(id);
+        this.updateProfileRegistry(registry => {
+            registry.active = id;
+        });
+        
+        this.history = new SettingsHistory(`${this.storageKey}-history`);
+        this.lastSnapshotTime = null;
+        this.currentPageId = null;
+        this.currentSettings = this.loadSettings();
+        this.ensureSettingsStructure();
+        this.markSynced();
+        console.log(`已切换到配置：${this.getActiveProfile().name}`);
+        return true;
     }
     
-    // 使用File System API导入设置
-    async importSettingsWithFileSystem() {
+    // 读取配置的设置数据（当前配置返回内存中的数据），无效时返回null
+    readProfileSettings(id) {
+        if (id === this.activeProfileId) {
+            return this.currentSettings;
+        }
+        
+        const stored = localStorage.getItem(this.getProfileStorageKey(id));
+        if (!stored) {
+            return this.getDefaultSettings();
+        }
         try {
-            if (!this.isFileSystemAPISupported()) {
-                console.error('浏览器不支持File System Access API');
-                return false;
-            }
-            
-            const [fileHandle] = await window.showOpenFilePicker({
-                types: [{ accept: { 'application/json': ['.json'] } }],
-                excludeAcceptAllOption: true,
-                multiple: false
-            });
-            
-            const file = await fileHandle.getFile();
-            const fileContent = await file.text();
-            
-            return this.importSettings(fileContent);
-        } catch (err) {
-            console.error('使用File System API导入失败:', err);
-            return false;
+            const settings = this.migrateSettings(JSON.parse(stored));
+            return this.validateSettings(settings) ? settings : null;
+        } catch (e) {
+            console.error('读取配置失败', e);
+            return null;
         }
     }
-
-    importSettings(jsonData) {
-        try {
-            const imported = JSON.parse(jsonData);
-            
-            // 确保必要属性存在
-            if (!imported.toolGroups) {
-                imported.toolGroups = [];
+    
+    // 将导航项和工具组复制到其他配置：网址已存在的导航项跳过，同名工具组合并，返回{ items, skipped }，失败时返回null
+    copyToProfile(id, { items = [], groups = [] }) {
+        if (id === this.activeProfileId) {
+            return null;
+        }
+        const target = this.readProfileSettings(id);
+        if (!target) {
+            return null;
+        }
+        
+        const existingUrls = new Set(target.navigationItems
+            .concat(...target.toolGroups.map(group => this.getToolGroupLinks(group)))
+            .map(item => this.normalizeUrlForCompare(item.url)));
+        const result = { items: 0, skipped: 0 };
+        const tags = new Set(target.tags || []);
+        const nextId = (list) => Math.max(...list.map(entry => entry.id), 0) + 1;
+        // 复制的项目放在目标配置的第一页
+        const targetPage = Array.isArray(target.pages) && target.pages.length > 0 ? target.pages[0].id : 1;
+        
+        // 网址已存在时跳过，否则复制一份并分配新ID
+        const copyItem = (item, list, page) => {
+            const key = this.normalizeUrlForCompare(item.url);
+            if (existingUrls.has(key)) {
+                result.skipped++;
+                return;
             }
-            if (!imported.search) {
-                imported.search = this.defaultSettings.search;
+            existingUrls.add(key);
+            const copy = { ...JSON.parse(JSON.stringify(item)), id: nextId(list) };
+            if (page === undefined) {
+                delete copy.page;
+            } else {
+                copy.page = page;
             }
-            if (!imported.layout) {
-                imported.layout = this.defaultSettings.layout;
+            (copy.tags || []).forEach(tag => tags.add(tag));
+            list.push(copy);
+            result.items++;
+        };
+        
+        // 子工具组同样按名称合并
+        const copyEntries = (entries, list) => entries.forEach(entry => {
+            if (!this.isToolGroupEntry(entry)) {
+                copyItem(entry, list);
+                return;
             }
-            if (!imported.navigationItems) {
-                imported.navigationItems = [];
+            let subGroup = list.find(e => this.isToolGroupEntry(e) && e.name === entry.name);
+            if (!subGroup) {
+                const { items: subItems, ...fields } = JSON.parse(JSON.stringify(entry));
+                subGroup = { ...fields, id: nextId(list), items: [] };
+                list.push(subGroup);
             }
-            
-            // 验证导入的数据
-            if (this.validateSettings(imported)) {
-                this.currentSettings = imported;
-                this.ensureSettingsStructure();
-                this.saveSettings();
-                return true;
-            } else {
-                console.error('导入的数据无效');
-                return false;
+            copyEntries(entry.items, subGroup.items);
+        });
+        
+        items.forEach(item => copyItem(item, target.navigationItems, targetPage));
+        // 关键词已被目标配置的导航项使用时，清除复制项的关键词
+        this.clearDuplicateItemKeywords(target.navigationItems);
+        groups.forEach(group => {
+            let targetGroup = target.toolGroups.find(g => g.name === group.name);
+            if (!targetGroup) {
+                const { items: groupItems, ...fields } = JSON.parse(JSON.stringify(group));
+                targetGroup = { ...fields, id: nextId(target.toolGroups), items: [], page: targetPage };
+                target.toolGroups.push(targetGroup);
             }
+            copyEntries(group.items || [], targetGroup.items);
+        });
+        
+        target.tags = [...tags];
+        target.timestamp = Date.now();
+        try {
+            localStorage.setItem(this.getProfileStorageKey(id), JSON.stringify(target));
         } catch (e) {
-            console.error('导入设置失败', e);
-            return false;
+            console.error('保存到其他配置失败', e);
+            return null;
         }
+        // 正在使用该配置的其他标签页会载入这次修改
+        this.broadcastSettingsSaved();
+        return result;
     }
 
-    // 工具组相关方法
-    getToolGroups() {
-        return this.currentSettings.toolGroups;
+    getNavigationItems() {
+        return this.currentSettings.navigationItems;
     }
 
-    addToolGroup(group) {
-        const newId = Math.max(...this.currentSettings.toolGroups.map(g => g.id), 0) + 1;
-        const newGroup = { id: newId, name: '新工具组', items: [], ...group };
-        this.currentSettings.toolGroups.push(newGroup);
+    // 新导航项默认放在当前页面
+    addNavigationItem(item) {
+        const newId = Math.max(...this.currentSettings.navigationItems.map(i => i.id), 0) + 1;
+        const newItem = { id: newId, page: this.getCurrentPageId(), ...item };
+        this.currentSettings.navigationItems.push(newItem);
         this.saveSettings();
-        return newGroup;
+        return newItem;
     }
 
-    updateToolGroup(id, updates) {
-        const index = this.currentSettings.toolGroups.findIndex(group => group.id === id);
+    updateNavigationItem(id, updates) {
+        const index = this.currentSettings.navigationItems.findIndex(item => item.id === id);
         if (index !== -1) {
-            this.currentSettings.toolGroups[index] = { ...this.currentSettings.toolGroups[index], ...updates };
+            this.currentSettings.navigationItems[index] = { ...this.currentSettings.navigationItems[index], ...updates };
             this.saveSettings();
             return true;
         }
         return false;
     }
 
-    deleteToolGroup(id) {
-        const index = this.currentSettings.toolGroups.findIndex(group => group.id === id);
+    deleteNavigationItem(id) {
+        const index = this.currentSettings.navigationItems.findIndex(item => item.id === id);
         if (index !== -1) {
-            this.currentSettings.toolGroups.splice(index, 1);
+            this.currentSettings.navigationItems.splice(index, 1);
             this.saveSettings();
             return true;
         }
         return false;
     }
 
-    addItemToToolGroup(groupId, item) {
-        const group = this.currentSettings.toolGroups.find(g => g.id === groupId);
-        if (group) {
-            // 确保item有id
-            if (!item.id) {
-                const newId = Math.max(...group.items.map(i => i.id), 0) + 1;
-                item.id = newId;
-            }
-            group.items.push(item);
+    moveNavigationItem(id, direction) {
+        const index = this.currentSettings.navigationItems.findIndex(item => item.id === id);
+        if (index === -1) return false;
+
+        if (direction === 'up' && index > 0) {
+            [this.currentSettings.navigationItems[index], this.currentSettings.navigationItems[index - 1]] = 
+                [this.currentSettings.navigationItems[index - 1], this.currentSettings.navigationItems[index]];
+            this.saveSettings();
+            return true;
+        } else if (direction === 'down' && index < this.currentSettings.navigationItems.length - 1) {
+            [this.currentSettings.navigationItems[index], this.currentSettings.navigationItems[index + 1]] = 
+                [this.currentSettings.navigationItems[index + 1], this.currentSettings.navigationItems[index]];
             this.saveSettings();
             return true;
         }
         return false;
     }
 
-    removeItemFromToolGroup(groupId, itemId) {
-        const group = this.currentSettings.toolGroups.find(g => g.id === groupId);
-        if (group) {
-            const index = group.items.findIndex(item => item.id === itemId);
-            if (index !== -1) {
-                group.items.splice(index, 1);
-                this.saveSettings();
-                return true;
-            }
+    reorderNavigationItems(newOrder) {
+        try {
+            this.currentSettings.navigationItems = newOrder;
+            this.saveSettings();
+            return true;
+        } catch (e) {
+            console.error('重新排序导航项失败', e);
+            return false;
         }
-        return false;
     }
 
-    // 搜索设置相关方法
-    getSearchSettings() {
-        return this.currentSettings.search;
+    getWallpaper() {
+        return this.currentSettings.wallpaper;
     }
 
-    updateSearchSettings(updates) {
-        this.currentSettings.search = { ...this.currentSettings.search, ...updates };
+    setWallpaper(wallpaper) {
+        this.currentSettings.wallpaper = wallpaper;
         this.saveSettings();
-        return true;
     }
 
-    getSearchEngine() {
-        return this.currentSettings.search.engine;
+    // 返回页面实际使用的布局：页面有单独的布局时覆盖全局布局
+    getLayout(pageId = this.getCurrentPageId()) {
+        const page = this.getPage(pageId);
+        return page && page.layout ? { ...this.currentSettings.layout, ...page.layout } : this.currentSettings.layout;
     }
 
-    setSearchEngine(engine) {
-        this.currentSettings.search.engine = engine;
+    // 页面有单独的布局时只修改该页面，否则修改全局布局
+    updateLayout(updates, pageId = this.getCurrentPageId()) {
+        const page = this.getPage(pageId);
+        if (page && page.layout) {
+            page.layout = { ...page.layout, ...updates };
+        } else {
+            this.currentSettings.layout = { ...this.currentSettings.layout, ...updates };
+        }
         this.saveSettings();
     }
     
-    // 设置搜索类型
-    setSearchType(type) {
-        this.currentSettings.search.type = type;
-        this.saveSettings();
+    // 页面相关方法
+    // 导航项和工具组通过page字段记录所在页面，page指向不存在的页面时视为在第一页
+    getPages() {
+        return this.currentSettings.pages;
     }
     
-    // 获取搜索类型
-    getSearchType() {
-        return this.currentSettings.search.type;
+    getPage(id) {
+        return this.currentSettings.pages.find(page => page.id === id) || null;
     }
     
-    // 搜索导航项
-    searchNavigationItems(query) {
-        if (!query || query.trim() === '') {
-            return [];
-        }
-        
-        const searchTerm = query.toLowerCase().trim();
-        
-        return this.currentSettings.navigationItems.filter(item => {
-            // 按名称搜索
-            const nameMatch = item.name.toLowerCase().includes(searchTerm);
-            // 按URL搜索
-            const urlMatch = item.url.toLowerCase().includes(searchTerm);
-            // 按标签搜索
-            const tagsMatch = item.tags.some(tag => tag.toLowerCase().includes(searchTerm));
-            
-            return nameMatch || urlMatch || tagsMatch;
-        });
+    // 返回存在的页面id，不存在时返回第一页
+    resolvePageId(id) {
+        return this.getPage(id) ? id : this.currentSettings.pages[0].id;
     }
     
-    // 标签相关方法
-    addTag(tagName) {
-        if (!tagName || tagName.trim() === '') {
-            return false;
-        }
-        
-        const trimmedTagName = tagName.trim();
-        if (!this.currentSettings.tags.includes(trimmedTagName)) {
-            this.currentSettings.tags.push(trimmedTagName);
-            this.saveSettings();
-            return true;
-        }
-        return false;
+    getCurrentPageId() {
+        return this.resolvePageId(this.currentPageId);
     }
     
-    removeTag(tagName) {
-        const index = this.currentSettings.tags.indexOf(tagName);
-        if (index !== -1) {
-            this.currentSettings.tags.splice(index, 1);
-            // 从所有导航项中移除该标签
-            this.currentSettings.navigationItems.forEach(item => {
-                const itemIndex = item.tags.indexOf(tagName);
-                if (itemIndex !== -1) {
-                    item.tags.splice(itemIndex, 1);
-                }
-            });
-            this.saveSettings();
-            return true;
-        }
-        return false;
+    setCurrentPage(id) {
+        this.currentPageId = this.resolvePageId(id);
+        return this.currentPageId;
     }
     
-    getAllTags() {
-        return this.currentSettings.tags;
+    // 返回页面上的导航项和工具组（保持原有顺序）
+    getPageContents(pageId) {
+        return {
+            items: this.currentSettings.navigationItems.filter(item => this.resolvePageId(item.page) === pageId),
+            groups: this.currentSettings.toolGroups.filter(group => this.resolvePageId(group.page) === pageId)
+        };
     }
     
-    addTagToItem(itemId, tagName) {
-        const item = this.currentSettings.navigationItems.find(item => item.id === itemId);
-        if (item) {
-            // 确保标签存在
-            this.addTag(tagName);
-            if (!item.tags.includes(tagName)) {
-                item.tags.push(tagName);
-                this.saveSettings();
-                return true;
-            }
-        }
-        return false;
+    addPage(name = '') {
+        const id = Math.max(...this.currentSettings.pages.map(page => page.id), 0) + 1;
+        const page = { id, name: name.trim() || `第${this.currentSettings.pages.length + 1}页`, layout: null };
+        this.currentSettings.pages.push(page);
+        this.saveSettings();
+        return page;
     }
     
-    removeTagFromItem(itemId, tagName) {
-        const item = this.currentSettings.navigationItems.find(item => item.id === itemId);
-        if (item) {
-            const index = item.tags.indexOf(tagName);
-            if (index !== -1) {
-                item.tags.splice(index, 1);
-                this.saveSettings();
-                return true;
-            }
+    renamePage(id, name) {
+        const page = this.getPage(id);
+        name = name.trim();
+        if (!page || !name) {
+            return false;
         }
-        return false;
-    }
-
-    getSearchOpacity() {
-        return this.currentSettings.search.opacity;
-    }
-
-    setSearchOpacity(opacity) {
-        this.currentSettings.search.opacity = opacity;
+        page.name = name;
         this.saveSettings();
+        return true;
     }
-
-    getTextColor() {
-        return this.currentSettings.textColor;
+    
+    // 删除页面，页面上的项目移到前一页（删除第一页时移到新的第一页）；至少保留一页
+    deletePage(id) {
+        const pages = this.currentSettings.pages;
+        const index = pages.findIndex(page => page.id === id);
+        if (index === -1 || pages.length <= 1) {
+            return false;
+        }
+        
+        const target = pages[index > 0 ? index - 1 : 1].id;
+        const { items, groups } = this.getPageContents(id);
+        items.concat(groups).forEach(entry => {
+            entry.page = target;
+        });
+        pages.splice(index, 1);
+        this.saveSettings();
+        return true;
     }
-
-    setTextColor(color) {
-        this.currentSettings.textColor = color;
+    
+    movePage(id, direction) {
+        const pages = this.currentSettings.pages;
+        const index = pages.findIndex(page => page.id === id);
+        const targetIndex = direction === 'up' ? index - 1 : index + 1;
+        if (index === -1 || targetIndex < 0 || targetIndex >= pages.length) {
+            return false;
+        }
+        [pages[index], pages[targetIndex]] = [pages[targetIndex], pages[index]];
         this.saveSettings();
+        return true;
     }
-}
-
-// 主应用类：负责UI渲染、事件处理和用户交互
-class NavigationApp {
-    constructor() {
-        this.model = new NavigationModel();
-        this.currentContextMenu = null;
-        this.currentEditItemId = null;
-        this.init();
+    
+    // 将导航项（type为'nav-item'）或工具组（'toolgroup'）移到另一页的末尾
+    moveItemToPage(type, id, pageId) {
+        if (!this.getPage(pageId)) {
+            return false;
+        }
+        const list = type === 'toolgroup' ? this.currentSettings.toolGroups : this.currentSettings.navigationItems;
+        const index = list.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return false;
+        }
+        
+        const [entry] = list.splice(index, 1);
+        entry.page = pageId;
+        list.push(entry);
+        this.saveSettings();
+        return true;
     }
-
-    init() {
-        this.cacheElements();
-        this.bindEvents();
-        this.renderNavigationGrid();
-        this.updateWallpaper();
-        this.updateLayoutControls();
-        this.renderNavList();
-        this.renderToolgroupList();
-        this.initSearchSettings();
-        this.initTextColorSettings();
-        this.renderTagFilterOptions();
-        this.hideAllMenus();
+    
+    // 开启时以当前全局布局为起点为页面单独设置布局，关闭时恢复使用全局布局
+    setPageLayout(pageId, enabled) {
+        const page = this.getPage(pageId);
+        if (!page) {
+            return false;
+        }
+        page.layout = enabled ? { ...this.currentSettings.layout } : null;
+        this.saveSettings();
+        return true;
     }
 
-    // 初始化文字颜色设置
-    initTextColorSettings() {
-        const textColor = this.model.getTextColor();
-        this.textColorPicker.value = textColor;
-        this.textColorHexInput.value = textColor;
-        this.updateColorPreview(textColor);
-    }
-
-    // 更新文字颜色
-    updateTextColor(color) {
-        this.model.setTextColor(color);
-        this.textColorHexInput.value = color;
-        this.updateColorPreview(color);
-        this.renderNavigationGrid();
-    }
-
-    // 从十六进制输入更新文字颜色
-    updateTextColorFromHex(hexValue) {
-        // 验证十六进制颜色格式
-        const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-        if (hexRegex.test(hexValue)) {
-            this.model.setTextColor(hexValue);
-            this.textColorPicker.value = hexValue;
-            this.updateColorPreview(hexValue);
-            this.renderNavigationGrid();
-        }
-    }
-
-    // 恢复默认文字颜色
-    resetTextColor() {
-        const defaultColor = this.model.defaultSettings.textColor;
-        this.updateTextColor(defaultColor);
-    }
-
-    // 更新颜色预览
-    updateColorPreview(color) {
-        this.colorPreview.style.color = color;
-    }
-
-    cacheElements() {
-        // 主元素
-        this.wallpaperElement = document.getElementById('wallpaper');
-        this.navGrid = document.getElementById('nav-grid');
-        this.settingsPanel = document.getElementById('settings-panel');
-        this.settingsToggle = document.getElementById('settings-toggle');
-        this.closeSettings = document.getElementById('close-settings');
-        this.addNavBtn = document.getElementById('add-nav-btn');
-
-        // 搜索相关元素
-        this.searchComponent = document.querySelector('.search-component');
-        this.searchEngineSelect = document.getElementById('search-engine');
-        this.searchInput = document.getElementById('search-input');
-
-        // 右键菜单
-        this.iconContextMenu = document.getElementById('icon-context-menu');
-        this.wallpaperContextMenu = document.getElementById('wallpaper-context-menu');
-        this.toolgroupContextMenu = document.getElementById('toolgroup-context-menu');
-
-        // 工具组相关元素
-        this.toolgroupPanel = document.getElementById('toolgroup-panel');
-        this.toolgroupPanelTitle = document.getElementById('toolgroup-panel-title');
-        this.closeToolgroupPanelBtn = document.getElementById('close-toolgroup-panel');
-        this.toolgroupItems = document.getElementById('toolgroup-items');
-        this.toolgroupSelectModal = document.getElementById('toolgroup-select-modal');
-        this.toolgroupSelectList = document.getElementById('toolgroup-select-list');
-        this.createNewToolgroupBtn = document.getElementById('create-new-toolgroup');
-        this.selectToolgroupBtn = document.querySelector('.select-toolgroup');
-        this.toolgroupEditModal = document.getElementById('toolgroup-edit-modal');
-        this.toolgroupEditTitle = document.getElementById('toolgroup-edit-title');
-        this.toolgroupEditForm = document.getElementById('toolgroup-edit-form');
-        this.toolgroupNameInput = document.getElementById('toolgroup-name');
-        
-        // 确认删除模态框
-        this.confirmDeleteModal = document.getElementById('confirm-delete-modal');
-        this.confirmDeleteMessage = document.getElementById('confirm-delete-message');
-        this.confirmDeleteOk = document.getElementById('confirm-delete-ok');
-        this.confirmDeleteCancel = document.getElementById('confirm-delete-cancel');
-
-        // 设置面板元素
-        this.wallpaperUpload = document.getElementById('wallpaper-upload');
-        this.wallpaperPreview = document.getElementById('wallpaper-preview');
-        this.resetWallpaperBtn = document.getElementById('reset-wallpaper');
-        this.navList = document.getElementById('nav-list');
-        this.addNavItemBtn = document.getElementById('add-nav-item');
-        this.toolgroupList = document.getElementById('toolgroup-list');
-        this.addToolgroupBtn = document.getElementById('add-toolgroup');
-        this.columnsSlider = document.getElementById('columns');
-        this.columnsValue = document.getElementById('columns-value');
-        this.spacingSlider = document.getElementById('spacing');
-        this.spacingValue = document.getElementById('spacing-value');
-        this.iconSizeSlider = document.getElementById('icon-size');
-        this.iconSizeValue = document.getElementById('icon-size-value');
-        this.searchOpacitySlider = document.getElementById('search-opacity');
-        this.searchOpacityValue = document.getElementById('search-opacity-value');
-        this.exportDataBtn = document.getElementById('export-data');
-        this.importDataBtn = document.getElementById('import-data');
-        this.importFile = document.getElementById('import-file');
-        this.resetDataBtn = document.getElementById('reset-data');
+    // 确保设置结构完整
+    ensureSettingsStructure() {
+        let isModified = false;
         
-        // 文件存储控制
-        this.enableFileStorageCheckbox = document.getElementById('enable-file-storage');
-        this.selectStorageFileBtn = document.getElementById('select-storage-file');
-
-        this.restoreBackupBtn = document.getElementById('restore-backup');
-
-        // 外观设置相关元素
-        this.textColorPicker = document.getElementById('text-color');
-        this.textColorHexInput = document.getElementById('text-color-hex');
-        this.colorPreview = document.getElementById('color-preview');
-        this.resetTextColorBtn = document.getElementById('reset-text-color');
-
-        // 编辑模态框
-        this.editModal = document.getElementById('edit-modal');
-        this.editForm = document.getElementById('edit-form');
-        this.editName = document.getElementById('edit-name');
-        this.editUrl = document.getElementById('edit-url');
-        this.editIcon = document.getElementById('edit-icon');
-        this.editIconUrl = document.getElementById('edit-icon-url');
-        this.iconPreview = document.getElementById('icon-preview');
-        this.saveAndContinueBtn = document.getElementById('save-and-continue');
-        // 标签相关元素
-        this.editTagInput = document.getElementById('edit-tag-input');
-        this.addEditTagBtn = document.getElementById('add-edit-tag');
-        this.editSelectedTags = document.getElementById('edit-selected-tags');
+        // 确保currentSettings是对象
+        if (!this.currentSettings || typeof this.currentSettings !== 'object') {
+            console.error('currentSettings不是对象，使用默认设置');
+            this.currentSettings = { ...this.defaultSettings };
+            isModified = true;
+        }
         
-        // 编辑现有导航项模态框
-        this.editExistingModal = document.getElementById('edit-existing-modal');
-        this.editExistingForm = document.getElementById('edit-existing-form');
-        this.editExistingName = document.getElementById('edit-existing-name');
-        this.editExistingUrl = document.getElementById('edit-existing-url');
-        this.editExistingIcon = document.getElementById('edit-existing-icon');
-        this.editExistingIconUrl = document.getElementById('edit-existing-icon-url');
-        this.iconExistingPreview = document.getElementById('icon-existing-preview');
-        // 标签相关元素
-        this.editExistingTagInput = document.getElementById('edit-existing-tag-input');
-        this.addEditExistingTagBtn = document.getElementById('add-edit-existing-tag');
-        this.editExistingSelectedTags = document.getElementById('edit-existing-selected-tags');
+        // 确保基本属性存在且类型正确
+        if (!this.currentSettings.version || typeof this.currentSettings.version !== 'string') {
+            this.currentSettings.version = this.defaultSettings.version;
+            isModified = true;
+        }
         
-        this.closeModalBtns = document.querySelectorAll('.close-modal');
-        this.storageInfoBtn = document.getElementById('storage-info-btn');
-        this.storageInfoModal = document.getElementById('storage-info-modal');
-
-        // 标签筛选相关元素
-        this.tagFilterPanel = document.getElementById('tag-filter-panel');
-        this.tagFilterList = document.getElementById('tag-filter-list');
-        this.clearTagFilterBtn = document.getElementById('clear-tag-filter');
-
-        // 消息提示
-        this.toast = document.getElementById('toast');
+        if (!this.currentSettings.timestamp || typeof this.currentSettings.timestamp !== 'number') {
+            this.currentSettings.timestamp = Date.now();
+            isModified = true;
+        }
         
-        // 图标获取相关状态
-        this.manualIconSelected = {
-            new: false,
-            existing: false
-        };
+        if (typeof this.currentSettings.checksum !== 'string') {
+            this.currentSettings.checksum = '';
+            isModified = true;
+        }
         
-        // 标签筛选相关状态
-        this.selectedTagsForFilter = [];
-    }
-
-    bindEvents() {
-        // 设置面板切换
-        this.settingsToggle.addEventListener('click', () => this.toggleSettingsPanel());
-        this.closeSettings.addEventListener('click', () => this.closeSettingsPanel());
-
-        // 壁纸右键菜单
-        this.wallpaperElement.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            this.showContextMenu(e, this.wallpaperContextMenu);
-        });
-
-        // 壁纸设置
-        this.wallpaperUpload.addEventListener('change', (e) => this.handleWallpaperUpload(e));
-        this.resetWallpaperBtn.addEventListener('click', () => this.resetWallpaper());
-
-        // 布局调整
-        this.columnsSlider.addEventListener('input', () => this.updateLayout());
-        this.spacingSlider.addEventListener('input', () => this.updateLayout());
-        this.iconSizeSlider.addEventListener('input', () => this.updateLayout());
-        this.searchOpacitySlider.addEventListener('input', () => this.updateSearchOpacitySetting());
-
-        // 数据管理
-        this.exportDataBtn.addEventListener('click', () => this.exportSettings());
-        this.importDataBtn.addEventListener('click', () => this.importFile.click());
-        this.importFile.addEventListener('change', (e) => this.handleImportFile(e));
-        this.resetDataBtn.addEventListener('click', () => this.resetSettings());
+        // 确保导航项数组存在且格式正确
+        if (!Array.isArray(this.currentSettings.navigationItems)) {
+            this.currentSettings.navigationItems = [];
+            isModified = true;
+        }
         
-        // 文件存储控制
-        this.enableFileStorageCheckbox.addEventListener('change', (e) => this.toggleFileStorage(e.target.checked));
-        this.selectStorageFileBtn.addEventListener('click', () => this.selectStorageFile());
-
-        this.restoreBackupBtn.addEventListener('click', () => this.restoreFromManualBackup());
-
-        // 外观设置事件
-        this.textColorPicker.addEventListener('input', (e) => this.updateTextColor(e.target.value));
-        this.textColorHexInput.addEventListener('input', (e) => this.updateTextColorFromHex(e.target.value));
-        this.resetTextColorBtn.addEventListener('click', () => this.resetTextColor());
-
-        // 导航管理
-        this.addNavItemBtn.addEventListener('click', () => this.openEditModal());
-        this.addNavBtn.addEventListener('click', () => this.openEditModal());
-
-        // 编辑模态框
-        this.editForm.addEventListener('submit', (e) => this.handleEditSubmit(e));
-        this.editIcon.addEventListener('change', (e) => this.previewIcon(e));
-        this.editIconUrl.addEventListener('input', (e) => this.handleIconUrlInput(e, this.iconPreview));
-        this.saveAndContinueBtn.addEventListener('click', () => this.handleSaveAndContinue());
+        // 确保工具组数组存在且格式正确
+        if (!Array.isArray(this.currentSettings.toolGroups)) {
+            this.currentSettings.toolGroups = [];
+            isModified = true;
+        }
         
-        // 编辑模态框标签相关事件
-        this.addEditTagBtn.addEventListener('click', () => this.addTagToEdit());
-        this.editTagInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.addTagToEdit();
+        // 确保布局设置存在且结构完整
+        if (!this.currentSettings.layout || typeof this.currentSettings.layout !== 'object') {
+            this.currentSettings.layout = { ...this.defaultSettings.layout };
+            isModified = true;
+        } else {
+            // 确保布局的每个属性存在且类型正确
+            if (typeof this.currentSettings.layout.columns !== 'number') {
+                this.currentSettings.layout.columns = this.defaultSettings.layout.columns;
+                isModified = true;
             }
-        });
-        
-        // 编辑现有导航项模态框事件绑定
-        this.editExistingForm.addEventListener('submit', (e) => this.handleEditExistingSubmit(e));
-        this.editExistingIcon.addEventListener('change', (e) => this.previewExistingIcon(e));
-        this.editExistingIconUrl.addEventListener('input', (e) => this.handleIconUrlInput(e, this.iconExistingPreview));
-        
-        // 编辑现有导航项模态框标签相关事件
-        this.addEditExistingTagBtn.addEventListener('click', () => this.addTagToEditExisting());
-        this.editExistingTagInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.addTagToEditExisting();
+            if (typeof this.currentSettings.layout.spacing !== 'number') {
+                this.currentSettings.layout.spacing = this.defaultSettings.layout.spacing;
+                isModified = true;
             }
-        });
-        
-        // 标签筛选相关事件
-        this.clearTagFilterBtn.addEventListener('click', () => this.clearTagFilter());
-        
-        // 自动获取图标事件监听
-        this.editUrl.addEventListener('blur', () => this.autoGetFavicon(this.editUrl, this.iconPreview));
-        this.editUrl.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.autoGetFavicon(this.editUrl, this.iconPreview);
+            if (typeof this.currentSettings.layout.iconSize !== 'number') {
+                this.currentSettings.layout.iconSize = this.defaultSettings.layout.iconSize;
+                isModified = true;
             }
-        });
+        }
         
-        this.editExistingUrl.addEventListener('blur', () => this.autoGetFavicon(this.editExistingUrl, this.iconExistingPreview));
-        this.editExistingUrl.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.autoGetFavicon(this.editExistingUrl, this.iconExistingPreview);
+        // 确保搜索设置存在且结构完整
+        if (!this.currentSettings.search || typeof this.currentSettings.search !== 'object') {
+            this.currentSettings.search = { ...this.defaultSettings.search };
+            isModified = true;
+        } else {
+            // 确保搜索设置的每个属性存在且类型正确
+            if (typeof this.currentSettings.search.engine !== 'string') {
+                this.currentSettings.search.engine = this.defaultSettings.search.engine;
+                isModified = true;
             }
-        });
-        
-        // 存储信息模态框事件
-        this.storageInfoBtn.addEventListener('click', () => {
-            this.storageInfoModal.classList.add('active');
-        });
-        
-        this.closeModalBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.closeEditModal();
-                this.closeEditExistingModal();
-                this.closeToolgroupEditModal();
-                this.toolgroupSelectModal.classList.remove('active');
-                this.confirmDeleteModal.classList.remove('active');
-                this.storageInfoModal.classList.remove('active');
-                this.confirmDeleteCallback = null;
-            });
-        });
-
-        // 工具组相关事件
-        // 关闭工具组面板
-        this.closeToolgroupPanelBtn.addEventListener('click', () => {
-            this.closeToolgroupPanel();
-        });
-        // 点击面板外部关闭
-        this.toolgroupPanel.addEventListener('click', (e) => {
-            if (e.target === this.toolgroupPanel) {
-                this.closeToolgroupPanel();
+            
+            if (typeof this.currentSettings.search.opacity !== 'number') {
+                this.currentSettings.search.opacity = this.defaultSettings.search.opacity;
+                isModified = true;
             }
-        });
-
-        // 工具组选择模态框
-        this.createNewToolgroupBtn.addEventListener('click', () => {
-            this.toolgroupSelectModal.classList.remove('active');
-            // 保存当前要添加到工具组的导航项ID
-            this.tempAddToToolgroupId = this.currentEditItemId;
-            this.openToolgroupEditModal();
-        });
-
-        this.selectToolgroupBtn.addEventListener('click', () => {
-            const selectedGroupId = document.querySelector('input[name="toolgroup"]:checked');
-            if (selectedGroupId) {
-                const groupId = parseInt(selectedGroupId.value);
-                const navItem = this.model.getNavigationItems().find(item => item.id === this.currentEditItemId);
-                if (navItem) {
-                    const addResult = this.model.addItemToToolGroup(groupId, navItem);
-                    if (addResult) {
-                        // 删除原导航项
-                        const deleteResult = this.model.deleteNavigationItem(this.currentEditItemId);
-                        if (deleteResult) {
-                            this.renderNavList();
-                            this.renderToolgroupList();
-                            this.renderNavigationGrid();
-                            this.showToast('已添加到工具组');
-                        } else {
-                            this.showToast('添加到工具组失败，请重试', 'error');
-                        }
-                    } else {
-                        this.showToast('添加到工具组失败，请重试', 'error');
-                    }
-                }
-            } else {
-                this.showToast('请选择一个工具组', 'error');
+            
+            if (typeof this.currentSettings.search.type !== 'string') {
+                this.currentSettings.search.type = this.defaultSettings.search.type;
+                isModified = true;
             }
-            this.toolgroupSelectModal.classList.remove('active');
-            this.currentEditItemId = null;
-        });
-
-        // 工具组编辑模态框
-        this.toolgroupEditForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            const name = this.toolgroupNameInput.value.trim();
-            if (!name) {
-                this.showToast('请输入工具组名称', 'error');
-                return;
+            
+            if (typeof this.currentSettings.search.unified !== 'boolean') {
+                this.currentSettings.search.unified = this.defaultSettings.search.unified;
+                isModified = true;
             }
-
-            let newGroupId = null;
-            if (this.currentEditItemId) {
-                // 更新现有工具组
-                this.model.updateToolGroup(this.currentEditItemId, { name });
-                this.showToast('工具组已更新');
-            } else {
-                // 创建新工具组
-                const newGroup = this.model.addToolGroup({ name });
-                newGroupId = newGroup.id;
-                this.showToast('工具组已创建');
+            
+            // 去掉无效的搜索引擎，全部无效时恢复内置引擎；所选引擎不存在时使用第一个
+            const engines = Array.isArray(this.currentSettings.search.engines) ? this.currentSettings.search.engines : [];
+            const validEngines = engines.filter(engine => this.isValidSearchEngine(engine));
+            if (validEngines.length === 0) {
+                this.currentSettings.search.engines = builtinSearchEngines.map(engine => ({ ...engine }));
+                isModified = true;
+            } else if (validEngines.length !== engines.length) {
+                this.currentSettings.search.engines = validEngines;
+                isModified = true;
             }
-
-            // 检查是否有要添加到工具组的导航项
-            if (this.tempAddToToolgroupId && newGroupId) {
-                const navItem = this.model.getNavigationItems().find(item => item.id === this.tempAddToToolgroupId);
-                if (navItem) {
-                    const addResult = this.model.addItemToToolGroup(newGroupId, navItem);
-                    if (addResult) {
-                        // 删除原导航项
-                        const deleteResult = this.model.deleteNavigationItem(this.tempAddToToolgroupId);
-                        if (deleteResult) {
-                            this.renderNavList();
-                            this.renderToolgroupList();
-                            this.renderNavigationGrid();
-                            this.showToast('已将导航项添加到新工具组');
-                        } else {
-                            this.model.deleteToolGroup(newGroupId);
-                            this.showToast('添加到工具组失败，请重试', 'error');
-                        }
-                    } else {
-                        this.model.deleteToolGroup(newGroupId);
-                        this.showToast('添加到工具组失败，请重试', 'error');
-                    }
-                }
-                this.tempAddToToolgroupId = null;
+            if (!this.getSearchEngineById(this.currentSettings.search.engine)) {
+                this.currentSettings.search.engine = this.currentSettings.search.engines[0].id;
+                isModified = true;
             }
-
-            this.renderNavigationGrid();
-            this.renderToolgroupList();
-            this.closeToolgroupEditModal();
-        });
-
-        // 工具组管理
-        this.addToolgroupBtn.addEventListener('click', () => this.openToolgroupEditModal());
-
-        // 全局点击关闭菜单
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.context-menu')) {
-                this.hideAllMenus();
+            
+            // 关键词表可以为空，缺失时使用内置关键词
+            if (!Array.isArray(this.currentSettings.search.keywords)) {
+                this.currentSettings.search.keywords = builtinSearchKeywords.map(entry => ({ ...entry }));
+                isModified = true;
+            } else if (!this.currentSettings.search.keywords.every(entry => this.isValidSearchKeyword(entry))) {
+                this.currentSettings.search.keywords = this.currentSettings.search.keywords.filter(entry => this.isValidSearchKeyword(entry));
+                isModified = true;
             }
-        });
-
-        // 搜索相关事件
-        this.searchEngineSelect.addEventListener('change', (e) => {
-            this.handleSearchEngineChange(e.target.value);
-        });
-
-        this.searchInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.handleSearch();
+        }
+        
+        // 确保文字颜色设置存在且类型正确
+        if (!this.currentSettings.textColor || typeof this.currentSettings.textColor !== 'string') {
+            this.currentSettings.textColor = this.defaultSettings.textColor;
+            isModified = true;
+        }
+        
+        // 确保快照保留设置存在且结构完整
+        if (!this.currentSettings.snapshots || typeof this.currentSettings.snapshots !== 'object') {
+            this.currentSettings.snapshots = { ...this.defaultSettings.snapshots };
+            isModified = true;
+        } else {
+            if (typeof this.currentSettings.snapshots.limit !== 'number') {
+                this.currentSettings.snapshots.limit = this.defaultSettings.snapshots.limit;
+                isModified = true;
             }
-        });
-
-        // 确认删除模态框事件
-        this.confirmDeleteOk.addEventListener('click', () => {
-            this.confirmDeleteAction();
-        });
+            if (typeof this.currentSettings.snapshots.dailyDays !== 'number') {
+                this.currentSettings.snapshots.dailyDays = this.defaultSettings.snapshots.dailyDays;
+                isModified = true;
+            }
+        }
         
-        // 键盘事件
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.hideAllMenus();
-                this.closeEditModal();
-                this.closeEditExistingModal();
-                this.closeToolgroupEditModal();
-                this.closeSettingsPanel();
-                this.toolgroupSelectModal.classList.remove('active');
-                this.confirmDeleteModal.classList.remove('active');
+        // 确保备份保留设置存在
+        if (!this.currentSettings.backups || typeof this.currentSettings.backups !== 'object') {
+            this.currentSettings.backups = { ...this.defaultSettings.backups };
+            isModified = true;
+        } else if (typeof this.currentSettings.backups.limit !== 'number') {
+            this.currentSettings.backups.limit = this.defaultSettings.backups.limit;
+            isModified = true;
+        }
+        
+        // 确保至少有一个页面，且每个页面的结构正确
+        if (!Array.isArray(this.currentSettings.pages) || this.currentSettings.pages.length === 0) {
+            this.currentSettings.pages = JSON.parse(JSON.stringify(this.defaultSettings.pages));
+            isModified = true;
+        }
+        for (const page of this.currentSettings.pages) {
+            if (page.layout !== null && (typeof page.layout !== 'object' || Array.isArray(page.layout))) {
+                page.layout = null;
+                isModified = true;
             }
-        });
+        }
+        
+        // 所在页面不存在的导航项和工具组移到第一页
+        for (const entry of this.currentSettings.navigationItems.concat(this.currentSettings.toolGroups)) {
+            if (!this.getPage(entry.page)) {
+                entry.page = this.currentSettings.pages[0].id;
+                isModified = true;
+            }
+        }
+        
+        // 确保tags数组存在
+        if (!Array.isArray(this.currentSettings.tags)) {
+            this.currentSettings.tags = [];
+            isModified = true;
+        }
+        
+        // 确保所有导航项都有tags字段
+        for (const item of this.currentSettings.navigationItems) {
+            if (!Array.isArray(item.tags)) {
+                item.tags = [];
+                isModified = true;
+            }
+        }
+        
+        // 只有在实际修改了设置时才保存
+        if (isModified) {
+            console.log('设置结构已修复，保存更新后的设置');
+            this.saveSettings();
+        }
     }
-
-    // 导航网格渲染
-    renderNavigationGrid() {
-        let items = this.model.getNavigationItems();
-        const toolGroups = this.model.getToolGroups();
-        const layout = this.model.getLayout();
-
-        // 应用标签筛选
-        items = this.filterNavigationItems(items);
-
-        // 创建文档片段，减少DOM操作次数
-        const fragment = document.createDocumentFragment();
-
-        // 更新网格样式
-        // 修复列数计算逻辑：列数越多，每列宽度越小，从而显示更多列
-        const baseWidth = 200;
-        const widthDecrement = 15;
-        const minItemWidth = Math.max(80, baseWidth - (layout.columns - 6) * widthDecrement);
-        this.navGrid.style.gridTemplateColumns = `repeat(auto-fill, minmax(${minItemWidth}px, 1fr))`;
-        this.navGrid.style.gap = `${layout.spacing}px`;
-
-        // 渲染普通导航项
-        items.forEach(item => {
-            const navItem = this.createNavItem(item, layout);
-            fragment.appendChild(navItem);
-        });
-
-        // 渲染工具组项
-        toolGroups.forEach(group => {
-            const groupItem = this.createToolgroupItem(group, layout);
-            fragment.appendChild(groupItem);
-        });
-
-        // 一次性将所有元素添加到DOM中
-        this.navGrid.innerHTML = '';
-        this.navGrid.appendChild(fragment);
+    
+    // 返回默认设置的副本，避免后续修改改动默认设置本身
+    getDefaultSettings() {
+        return JSON.parse(JSON.stringify(this.defaultSettings));
     }
     
-    // 创建单个导航项元素
-    createNavItem(item, layout) {
-        const navItem = document.createElement('a');
-        navItem.href = item.url;
-        navItem.target = '_blank';
-        navItem.className = 'nav-item';
-        navItem.dataset.id = item.id;
-        navItem.dataset.type = 'nav-item';
-        navItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
-        navItem.style.color = this.model.getTextColor();
-        navItem.draggable = true;
-
-        // 创建导航项图标元素
-        const iconDiv = document.createElement('div');
-        iconDiv.className = 'nav-item-icon';
-        iconDiv.style.width = `${layout.iconSize}px`;
-        iconDiv.style.height = `${layout.iconSize}px`;
-        iconDiv.style.fontSize = `${layout.iconSize * 0.6}px`;
+    resetToDefault() {
+        // 保留重置前的数据
+        this.createSnapshot('重置前', true);
+        this.currentSettings = this.getDefaultSettings();
+        this.saveSettings();
+    }
+    
+    // 检查是否支持SubtleCrypto（仅在HTTPS、localhost等安全上下文中可用）
+    isSubtleCryptoSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.subtle.digest === 'function';
+    }
+    
+    // 规范化JSON：对象键按字母排序，使校验和与键的顺序无关
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function').sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+    
+    // 计算规范化JSON的SHA-256（十六进制）
+    async sha256(value) {
+        const bytes = new TextEncoder().encode(this.canonicalJson(value));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // 参与校验的数据（不含校验和本身）
+    getChecksumPayload(data) {
+        const { checksum, integrity, ...payload } = data;
+        return payload;
+    }
+    
+    // 生成数据校验和：sha256-<十六进制>；不支持SubtleCrypto时退回旧版32位校验和
+    async generateChecksum(data) {
+        if (!this.isSubtleCryptoSupported()) {
+            console.warn('当前环境不支持SubtleCrypto，使用旧版校验和');
+            return this.generateLegacyChecksum(data);
+        }
+        return `${this.checksumPrefix}${await this.sha256(this.getChecksumPayload(data))}`;
+    }
+    
+    // 旧版32位字符串哈希，仅用于校验旧文件
+    generateLegacyChecksum(data) {
+        const { checksum, ...dataWithoutChecksum } = data;
+        const dataStr = JSON.stringify(dataWithoutChecksum);
+        let hash = 0;
+        for (let i = 0; i < dataStr.length; i++) {
+            const char = dataStr.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return hash.toString(16);
+    }
+    
+    // 生成写入文件的副本：附带总校验和以及各部分的校验和，用于定位损坏的部分
+    async sealSettings(data) {
+        const sealed = JSON.parse(JSON.stringify(this.getChecksumPayload(data)));
+        if (this.isSubtleCryptoSupported()) {
+            const sections = {};
+            for (const key of Object.keys(sealed)) {
+                sections[key] = await this.sha256(sealed[key]);
+            }
+            sealed.integrity = { algorithm: 'SHA-256', sections };
+        }
+        sealed.checksum = await this.generateChecksum(sealed);
+        return sealed;
+    }
+    
+    // 验证数据校验和，返回校验报告：
+    // { valid, legacy（是否为旧版校验和）, failedSections（校验失败的部分）, message }
+    async verifyChecksum(data) {
+        const report = { valid: false, legacy: false, failedSections: [], message: '' };
+        if (!data || typeof data !== 'object' || typeof data.checksum !== 'string' || !data.checksum) {
+            report.message = '文件缺少校验和';
+            return report;
+        }
         
-        // 根据图标类型设置显示方式
-        if (item.icon) {
-            if (item.icon.startsWith('http') || item.icon.startsWith('data:image')) {
-                // 如果是URL，设置为背景图片
-                iconDiv.style.backgroundImage = `url(${item.icon})`;
-                iconDiv.style.backgroundSize = 'cover';
-                iconDiv.style.backgroundRepeat = 'no-repeat';
-                iconDiv.style.backgroundPosition = 'center';
-                iconDiv.textContent = '';
-            } else {
-                // 否则作为文本显示
-                iconDiv.style.backgroundImage = '';
-                iconDiv.textContent = item.icon;
+        // 旧版校验和：仍然可以加载，但给出提示
+        if (!data.checksum.startsWith(this.checksumPrefix)) {
+            report.legacy = true;
+            report.valid = data.checksum === this.generateLegacyChecksum(data);
+            report.message = report.valid
+                ? '文件使用旧版校验和，重新保存后将升级为SHA-256'
+                : '旧版校验和不匹配，文件可能已损坏或被修改';
+            if (report.valid) {
+                console.warn(report.message);
             }
-        } else {
-            // 默认图标
-            iconDiv.style.backgroundImage = '';
-            iconDiv.textContent = '🔗';
+            return report;
         }
         
-        // 创建导航项名称元素
-        const nameDiv = document.createElement('div');
-        nameDiv.className = 'nav-item-name';
-        nameDiv.textContent = item.name;
+        if (!this.isSubtleCryptoSupported()) {
+            report.message = '当前环境不支持SHA-256校验，请通过HTTPS或localhost访问';
+            return report;
+        }
         
-        // 将元素添加到导航项中
-        navItem.appendChild(iconDiv);
-        navItem.appendChild(nameDiv);
-
-        // 右键菜单
-        navItem.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            this.currentEditItemId = item.id;
-            this.showContextMenu(e, this.iconContextMenu);
-        });
-
-        // 拖拽事件
-        navItem.addEventListener('dragstart', (e) => {
-            e.dataTransfer.setData('text/plain', JSON.stringify({
-                type: 'nav-item',
-                id: item.id
-            }));
-            navItem.style.opacity = '0.5';
-            navItem.classList.add('dragging');
-        });
-
-        navItem.addEventListener('dragend', () => {
-            navItem.style.opacity = '1';
-            navItem.classList.remove('dragging');
-            document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-        });
-
-        navItem.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            navItem.classList.add('drag-over');
-        });
-
-        navItem.addEventListener('dragleave', () => {
-            navItem.classList.remove('drag-over');
-        });
-
-        navItem.addEventListener('drop', (e) => {
-            e.preventDefault();
-            navItem.classList.remove('drag-over');
-
+        if (await this.generateChecksum(data) === data.checksum) {
+            report.valid = true;
+            return report;
+        }
+        
+        report.failedSections = await this.findFailedSections(data);
+        report.message = report.failedSections.length > 0
+            ? `以下部分校验失败：${report.failedSections.map(section => this.getSectionLabel(section)).join('、')}`
+            : '校验和不匹配，文件可能已损坏或被修改';
+        return report;
+    }
+    
+    // 对比各部分的校验和，找出被修改、缺失或多出的部分
+    async findFailedSections(data) {
+        const recorded = data.integrity && data.integrity.sections;
+        if (!recorded || typeof recorded !== 'object') {
+            return [];
+        }
+        
+        const payload = this.getChecksumPayload(data);
+        const keys = new Set([...Object.keys(recorded), ...Object.keys(payload)]);
+        const failed = [];
+        for (const key of keys) {
+            if (!(key in payload) || !(key in recorded) || await this.sha256(payload[key]) !== recorded[key]) {
+                failed.push(key);
+            }
+        }
+        return failed;
+    }
+    
+    getSectionLabel(section) {
+        return this.sectionLabels[section] || section;
+    }
+    
+    // 加密相关方法
+    // 设置导出和备份使用的口令，空字符串表示不加密
+    setExportPassphrase(passphrase) {
+        this.exportPassphrase = passphrase || '';
+    }
+    
+    isEncryptionEnabled() {
+        return !!this.exportPassphrase;
+    }
+    
+    // 判断是否为加密文件的外层结构
+    isEncryptedEnvelope(data) {
+        return !!data && typeof data === 'object' && data.format === this.encryptedFormat;
+    }
+    
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+    
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+    
+    // 由口令通过PBKDF2派生AES-GCM密钥
+    async deriveEncryptionKey(passphrase, salt, iterations) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            keyMaterial,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    // 加密文本，返回加密文件的外层结构
+    async encryptText(text, passphrase) {
+        if (!this.isSubtleCryptoSupported()) {
+            throw new Error('当前环境不支持加密，请通过HTTPS或localhost访问');
+        }
+        
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveEncryptionKey(passphrase, salt, this.encryptionIterations);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        
+        return {
+            format: this.encryptedFormat,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.encryptionIterations, salt: this.bytesToBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.bytesToBase64(iv) },
+            data: this.bytesToBase64(new Uint8Array(ciphertext))
+        };
+    }
+    
+    // 检查加密文件的格式和密钥派生参数，有效时返回null
+    getEnvelopeError(envelope) {
+        const { kdf, cipher } = envelope;
+        if (envelope.version !== 1 || !kdf || typeof kdf !== 'object' || !cipher || cipher.name !== 'AES-GCM'
+            || typeof kdf.salt !== 'string' || typeof cipher.iv !== 'string' || typeof envelope.data !== 'string') {
+            return '不支持的加密文件格式';
+        }
+        if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') {
+            return '不支持的密钥派生算法';
+        }
+        if (!Number.isInteger(kdf.iterations)
+            || kdf.iterations < this.minEncryptionIterations || kdf.iterations > this.maxEncryptionIterations) {
+            return `密钥派生的迭代次数无效（应在${this.minEncryptionIterations}到${this.maxEncryptionIterations}之间）`;
+        }
+        return null;
+    }
+    
+    // 解密加密文件，口令错误或文件被修改时抛出错误
+    async decryptEnvelope(envelope, passphrase) {
+        if (!this.isSubtleCryptoSupported()) {
+            throw new Error('当前环境不支持解密，请通过HTTPS或localhost访问');
+        }
+        const envelopeError = this.getEnvelopeError(envelope);
+        if (envelopeError) {
+            throw new Error(envelopeError);
+        }
+        
+        const key = await this.deriveEncryptionKey(passphrase, this.base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(envelope.cipher.iv) },
+            key,
+            this.base64ToBytes(envelope.data)
+        );
+        return new TextDecoder().decode(plaintext);
+    }
+    
+    // 生成导出或备份文件的内容：内嵌图片资源，带校验和，设置了口令时加密
+    async serializeForExport(settings) {
+        return this.serializeSettings(await this.inlineAssets(settings));
+    }
+    
+    // 生成带校验和的设置文件内容，设置了口令时加密
+    async serializeSettings(settings) {
+        const dataStr = JSON.stringify(await this.sealSettings(settings), null, 2);
+        if (!this.isEncryptionEnabled()) {
+            return dataStr;
+        }
+        return JSON.stringify(await this.encryptText(dataStr, this.exportPassphrase), null, 2);
+    }
+    
+    // 解析文件内容，加密文件会通过passphraseResolver向用户请求口令
+    // 用户取消或无法解密时返回null，原因记录在lastImportError中
+    async parseSettingsText(text) {
+        this.lastImportError = null;
+        const data = JSON.parse(text);
+        if (!this.isEncryptedEnvelope(data)) {
+            return data;
+        }
+        
+        // 文件格式无效时不再询问口令
+        const envelopeError = this.getEnvelopeError(data);
+        if (envelopeError) {
+            this.lastImportError = `解密失败：${envelopeError}`;
+            return null;
+        }
+        if (typeof this.passphraseResolver !== 'function') {
+            this.lastImportError = '文件已加密，无法在此处输入口令';
+            return null;
+        }
+        
+        let message = '该文件已加密，请输入口令';
+        while (true) {
+            const passphrase = await this.passphraseResolver(message);
+            if (!passphrase) {
+                this.lastImportError = '已取消解密';
+                return null;
+            }
             try {
-                const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
-                if (draggedData.type === 'nav-item') {
-                    if (draggedData.id !== item.id) {
-                        // 获取当前所有导航项
-                        const items = [...this.model.getNavigationItems()];
-                        // 找到拖拽项和目标项的索引
-                        const draggedIndex = items.findIndex(i => i.id === draggedData.id);
-                        const targetIndex = items.findIndex(i => i.id === item.id);
-                        
-                        if (draggedIndex !== -1 && targetIndex !== -1) {
-                            // 重新排序
-                            const [draggedItem] = items.splice(draggedIndex, 1);
-                            items.splice(targetIndex, 0, draggedItem);
-                            
-                            // 保存新顺序
-                            const success = this.model.reorderNavigationItems(items);
-                            if (success) {
-                                // 重新渲染导航网格
-                                this.renderNavigationGrid();
-                                this.showToast('排序已保存');
-                            } else {
-                                this.showToast('排序保存失败', 'error');
-                            }
-                        }
-                    }
+                return JSON.parse(await this.decryptEnvelope(data, passphrase));
+            } catch (err) {
+                if (err.name !== 'OperationError') {
+                    this.lastImportError = `解密失败：${err.message}`;
+                    console.error('解密文件失败:', err);
+                    return null;
                 }
-            } catch (error) {
-                console.error('拖拽数据解析失败:', error);
-                this.showToast('排序失败', 'error');
+                // AES-GCM认证失败：口令错误或文件被修改
+                message = '口令错误或文件已损坏，请重新输入';
             }
-        });
-
-        return navItem;
+        }
     }
     
-    // 创建单个工具组项元素
-    createToolgroupItem(group, layout) {
-        const groupItem = document.createElement('div');
-        groupItem.className = 'nav-item toolgroup-item';
-        groupItem.dataset.id = group.id;
-        groupItem.dataset.type = 'toolgroup';
-        groupItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
-        groupItem.style.color = this.model.getTextColor();
-        groupItem.draggable = true;
-
-        // 生成工具组缩略图（显示前4个图标）
-        const previewIcons = group.items.slice(0, 4).map(item => item.icon || '🔗').join('');
-        const emptySlots = Math.max(0, 4 - group.items.length);
-        const placeholderIcons = '⬜'.repeat(emptySlots);
-        const allPreviewIcons = previewIcons + placeholderIcons;
-
-        groupItem.innerHTML = `
-            <div class="nav-item-icon toolgroup-icon" style="width: ${layout.iconSize}px; height: ${layout.iconSize}px; font-size: ${layout.iconSize * 0.35}px">
-                <div class="toolgroup-preview-icons">${allPreviewIcons}</div>
-            </div>
-            <div class="nav-item-name">${group.name}</div>
-            <div class="toolgroup-item-count">(${group.items.length}项)</div>
-        `;
-
-        // 点击事件：展开工具组面板
-        groupItem.addEventListener('click', () => {
-            this.openToolgroupPanel(group.id);
-        });
-
-        // 右键菜单
-        groupItem.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            this.currentEditItemId = group.id;
-            this.showContextMenu(e, this.toolgroupContextMenu);
-        });
-
-        // 拖拽事件
-        groupItem.addEventListener('dragstart', (e) => {
-            e.dataTransfer.setData('text/plain', JSON.stringify({
-                type: 'toolgroup',
-                id: group.id
-            }));
-            groupItem.style.opacity = '0.5';
-        });
-
-        groupItem.addEventListener('dragend', () => {
-            groupItem.style.opacity = '1';
+    // 读取用户选择的设置文件：ZIP数据包或JSON（可能加密）
+    // 用户取消或文件无效时返回null，原因记录在lastImportError中
+    async parseSettingsFile(file) {
+        const buffer = await file.arrayBuffer();
+        if (this.isZipData(new Uint8Array(buffer))) {
+            return this.readBundle(buffer);
+        }
+        return this.parseSettingsText(new TextDecoder().decode(buffer));
+    }
+    
+    isZipData(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+    
+    async hashBytes(bytes) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // 生成可移植的ZIP数据包：
+    // settings.json（带校验和，设置了口令时加密，图片以"assets/<SHA-256>.<扩展名>"路径引用）、
+    // assets/目录中的壁纸和图标文件，以及记录数据版本和各文件SHA-256的manifest.json
+    async createBundle(settings) {
+        if (!this.isSubtleCryptoSupported()) {
+            throw new Error('当前环境不支持SHA-256校验，请通过HTTPS或localhost访问');
+        }
+        
+        const archive = new ZipArchive();
+        const copy = JSON.parse(JSON.stringify(settings));
+        const images = new Set();
+        this.mapImageValues(copy, value => {
+            images.add(value);
+            return value;
         });
-
-        groupItem.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            groupItem.classList.add('drag-over');
-        });
-
-        groupItem.addEventListener('dragleave', () => {
-            groupItem.classList.remove('drag-over');
-        });
-
-        groupItem.addEventListener('drop', (e) => {
-            e.preventDefault();
-            groupItem.classList.remove('drag-over');
-
-            try {
-                const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
-                if (draggedData.type === 'nav-item') {
-                    // 将导航项添加到工具组
-                    const navItem = this.model.getNavigationItems().find(i => i.id === draggedData.id);
-                    if (navItem) {
-                        const addResult = this.model.addItemToToolGroup(group.id, navItem);
-                        if (addResult) {
-                            // 删除原导航项
-                            const deleteResult = this.model.deleteNavigationItem(draggedData.id);
-                            if (deleteResult) {
-                                this.renderNavList();
-                                this.renderToolgroupList();
-                                this.renderNavigationGrid();
-                                this.showToast('已添加到工具组');
-                            } else {
-                                this.showToast('添加到工具组失败，请重试', 'error');
-                            }
-                        } else {
-                            this.showToast('添加到工具组失败，请重试', 'error');
-                        }
-                    }
+        
+        const paths = new Map();
+        for (const value of images) {
+            let blob = null;
+            if (this.isAssetRef(value)) {
+                const store = this.getAssetStore();
+                const asset = store ? await store.getAsset(value.slice(this.assetPrefix.length)) : null;
+                blob = asset ? asset.blob : null;
+                if (!blob) {
+                    console.warn(`图片资源不存在，数据包中保留引用：${value}`);
                 }
-            } catch (error) {
-                console.error('拖拽数据解析失败:', error);
+            } else if (value.startsWith('data:image')) {
+                blob = this.dataUrlToBlob(value);
             }
-        });
-
-        return groupItem;
+            if (!blob) continue;
+            
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            const path = `assets/${await this.hashBytes(bytes)}${this.imageExtensions[blob.type] || ''}`;
+            if (!archive.has(path)) {
+                archive.addFile(path, bytes);
+            }
+            paths.set(value, path);
+        }
+        this.mapImageValues(copy, value => paths.get(value) || value);
+        archive.addFile(this.bundleSettingsPath, await this.serializeSettings(copy));
+        
+        const manifest = {
+            format: this.bundleFormat,
+            bundleVersion: this.bundleVersion,
+            schemaVersion: this.schemaRegistry.getVersion(copy),
+            created: new Date().toISOString(),
+            encrypted: this.isEncryptionEnabled(),
+            files: []
+        };
+        for (const [path, bytes] of archive.files) {
+            manifest.files.push({ path, size: bytes.length, sha256: await this.hashBytes(bytes) });
+        }
+        archive.addFile(this.bundleManifestPath, JSON.stringify(manifest, null, 2));
+        
+        return archive.toBlob();
     }
     
-    // 原始导航网格渲染方法（已优化）
-    renderNavigationGridOld() {
-        this.navGrid.innerHTML = '';
-        const items = this.model.getNavigationItems();
-        const toolGroups = this.model.getToolGroups();
-        const layout = this.model.getLayout();
-
-        // 更新网格样式
-        this.navGrid.style.gridTemplateColumns = `repeat(auto-fill, minmax(${120 - (5 - layout.columns) * 10}px, 1fr))`;
-        this.navGrid.style.gap = `${layout.spacing}px`;
-
-        // 渲染普通导航项
-        items.forEach(item => {
-            const navItem = document.createElement('a');
-            navItem.href = item.url;
-            navItem.target = '_blank';
-            navItem.className = 'nav-item';
-            navItem.dataset.id = item.id;
-            navItem.dataset.type = 'nav-item';
-            navItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
-            navItem.draggable = true;
-
-            navItem.innerHTML = `
-                <div class="nav-item-icon" style="width: ${layout.iconSize}px; height: ${layout.iconSize}px; font-size: ${layout.iconSize * 0.6}px">
-                    ${item.icon || '🔗'}
-                </div>
-                <div class="nav-item-name">${item.name}</div>
-            `;
-
-            // 右键菜单
-            navItem.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                this.currentEditItemId = item.id;
-                this.showContextMenu(e, this.iconContextMenu);
-            });
-
-            // 拖拽事件
-            navItem.addEventListener('dragstart', (e) => {
-                e.dataTransfer.setData('text/plain', JSON.stringify({
-                    type: 'nav-item',
-                    id: item.id
-                }));
-                navItem.style.opacity = '0.5';
-                navItem.classList.add('dragging');
-            });
-
-            navItem.addEventListener('dragend', () => {
-                navItem.style.opacity = '1';
-                navItem.classList.remove('dragging');
-                document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-            });
-
-            navItem.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                navItem.classList.add('drag-over');
+    // 读取ZIP数据包：校验各文件的SHA-256，把图片存为资源后返回带校验和的设置数据
+    // 用户取消或数据包无效时返回null，原因记录在lastImportError中
+    async readBundle(buffer) {
+        this.lastImportError = null;
+        try {
+            if (!this.isSubtleCryptoSupported()) {
+                this.lastImportError = '当前环境不支持SHA-256校验，请通过HTTPS或localhost访问';
+                return null;
+            }
+            
+            const archive = await new ZipArchive().load(buffer);
+            const manifestText = archive.getText(this.bundleManifestPath);
+            const manifest = manifestText ? JSON.parse(manifestText) : null;
+            if (!manifest || manifest.format !== this.bundleFormat || !Array.isArray(manifest.files)) {
+                this.lastImportError = '不是导航设置数据包（缺少manifest.json）';
+                return null;
+            }
+            if (manifest.bundleVersion > this.bundleVersion) {
+                this.lastImportError = `数据包格式版本 ${manifest.bundleVersion} 高于当前支持的版本 ${this.bundleVersion}，请升级后再导入`;
+                return null;
+            }
+            // 加密的数据包在请求口令前就拒绝更高版本
+            if (manifest.schemaVersion && this.schemaRegistry.isNewerVersion({ version: manifest.schemaVersion })) {
+                this.lastImportError = new SettingsVersionError(manifest.schemaVersion, this.schemaRegistry.latestVersion).message;
+                return null;
+            }
+            
+            // 逐个校验文件，报告缺失或被修改的文件
+            const failed = [];
+            for (const entry of manifest.files) {
+                const bytes = archive.getBytes(entry.path);
+                if (!bytes) {
+                    failed.push(`${entry.path}（缺失）`);
+                } else if (await this.hashBytes(bytes) !== entry.sha256) {
+                    failed.push(entry.path);
+                }
+            }
+            if (!manifest.files.some(entry => entry.path === this.bundleSettingsPath)) {
+                failed.push(`${this.bundleSettingsPath}（缺失）`);
+            }
+            if (failed.length > 0) {
+                this.lastImportError = `数据包校验失败：${failed.join('、')}`;
+                console.error(this.lastImportError);
+                return null;
+            }
+            
+            const data = await this.parseSettingsText(archive.getText(this.bundleSettingsPath));
+            if (!data) {
+                return null;
+            }
+            const report = await this.verifyChecksum(data);
+            if (!report.valid) {
+                this.lastImportError = `${this.bundleSettingsPath}校验失败：${report.message}`;
+                console.error(this.lastImportError);
+                return null;
+            }
+            
+            // 数据包中的图片存为资源；不支持资源存储时内嵌为data URI
+            const images = new Map();
+            const types = Object.fromEntries(Object.entries(this.imageExtensions).map(([type, ext]) => [ext, type]));
+            this.mapImageValues(data, value => {
+                if (value.startsWith('assets/') && archive.has(value)) images.set(value, null);
+                return value;
             });
+            for (const path of images.keys()) {
+                const extension = (/\.[^./]+$/.exec(path) || [''])[0];
+                const blob = new Blob([archive.getBytes(path)], { type: types[extension] || '' });
+                images.set(path, await this.storeAsset(blob) || await this.blobToDataUrl(blob));
+            }
+            this.mapImageValues(data, value => images.get(value) || value);
+            
+            // 图片路径已替换，重新生成校验和供后续验证
+            return this.sealSettings(data);
+        } catch (err) {
+            console.error('读取数据包失败:', err);
+            this.lastImportError = `无法读取数据包：${err.message}`;
+            return null;
+        }
+    }
+    
+    // 导出指定配置的设置，返回下载地址，读取失败时返回null
+    async exportProfile(id) {
+        const settings = this.readProfileSettings(id);
+        if (!settings) return null;
+        const dataStr = await this.serializeForExport(settings);
+        return URL.createObjectURL(new Blob([dataStr], { type: 'application/json' }));
+    }
+    
+    // 导出ZIP数据包，返回下载地址
+    async exportBundle() {
+        const blob = await this.createBundle(this.currentSettings);
+        return URL.createObjectURL(blob);
+    }
+    
+    // 检查浏览器是否支持文件系统访问API
+    isFileSystemAPISupported() {
+        try {
+            // 检查核心API是否存在
+            const hasSavePicker = typeof window.showSaveFilePicker === 'function';
+            const hasOpenPicker = typeof window.showOpenFilePicker === 'function';
+            const hasFileSystemWritable = typeof window.FileSystemWritableFileStream === 'function';
+            
+            const isSupported = hasSavePicker && hasOpenPicker && hasFileSystemWritable;
+            
+            if (!isSupported) {
+                console.log('浏览器不支持File System Access API:', {
+                    hasSavePicker,
+                    hasOpenPicker,
+                    hasFileSystemWritable,
+                    browser: navigator.userAgent
+                });
+            }
+            
+            return isSupported;
+        } catch (err) {
+            console.error('检测File System Access API支持情况时出错:', err);
+            return false;
+        }
+    }
 
-            navItem.addEventListener('dragleave', () => {
-                navItem.classList.remove('drag-over');
-            });
+    // 浏览器检测方法 - 增强版
+    isFirefox() {
+        try {
+            // 多种检测方式结合，提高准确性
+            const userAgent = navigator.userAgent.toLowerCase();
+            const vendor = navigator.vendor || '';
+            
+            // 主要检测方式
+            const isFirefoxUA = userAgent.includes('firefox') || userAgent.includes('mozilla/');
+            const isNotChrome = !userAgent.includes('chrome') && !userAgent.includes('chromium');
+            const isNotEdge = !userAgent.includes('edg/');
+            const isNotSafari = !userAgent.includes('safari/') || vendor.toLowerCase().includes('mozilla');
+            
+            // Firefox特有属性检测
+            const hasFirefoxProps = typeof window.mozInnerScreenX !== 'undefined';
+            
+            return isFirefoxUA && isNotChrome && isNotEdge && isNotSafari || hasFirefoxProps;
+        } catch (err) {
+            console.error('检测Firefox浏览器时出错:', err);
+            // 出错时使用简单检测作为后备
+            return navigator.userAgent.toLowerCase().includes('firefox');
+        }
+    }
 
-            navItem.addEventListener('drop', (e) => {
-                e.preventDefault();
-                navItem.classList.remove('drag-over');
+    isTreaBrowser() {
+        try {
+            return navigator.userAgent.toLowerCase().includes('trea');
+        } catch (err) {
+            console.error('检测Trea浏览器时出错:', err);
+            return false;
+        }
+    }
+    
+    // 检查浏览器是否支持IndexedDB
+    isIndexedDBSupported() {
+        try {
+            return typeof window.indexedDB !== 'undefined';
+        } catch (err) {
+            console.error('检测IndexedDB支持情况时出错:', err);
+            return false;
+        }
+    }
 
-                try {
-                    const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
-                    if (draggedData.type === 'nav-item') {
-                        if (draggedData.id !== item.id) {
-                            // 获取当前所有导航项
-                            const items = [...this.model.getNavigationItems()];
-                            // 找到拖拽项和目标项的索引
-                            const draggedIndex = items.findIndex(i => i.id === draggedData.id);
-                            const targetIndex = items.findIndex(i => i.id === item.id);
-                            
-                            if (draggedIndex !== -1 && targetIndex !== -1) {
-                                // 重新排序
-                                const [draggedItem] = items.splice(draggedIndex, 1);
-                                items.splice(targetIndex, 0, draggedItem);
-                                
-                                // 保存新顺序
-                                const success = this.model.reorderNavigationItems(items);
-                                if (success) {
-                                    // 重新渲染导航网格
-                                    this.renderNavigationGrid();
-                                    this.showToast('排序已保存');
-                                } else {
-                                    this.showToast('排序保存失败', 'error');
-                                }
-                            }
-                        }
-                    }
-                } catch (error) {
-                    console.error('拖拽数据解析失败:', error);
-                    this.showToast('排序失败', 'error');
-                }
-            });
+    // WebDAV配置：rememberPassword为true时密码才写入localStorage（明文），否则只保存在内存中
+    getWebDAVConfig() {
+        const defaults = { enabled: false, url: '', username: '', password: '', rememberPassword: false };
+        let config;
+        try {
+            config = { ...defaults, ...JSON.parse(localStorage.getItem(this.webdavConfigKey)) };
+        } catch (e) {
+            console.warn('读取WebDAV配置失败', e);
+            config = { ...defaults };
+        }
+        
+        if (!config.rememberPassword) {
+            // 旧版本保存的明文密码：本次仍可使用，但从localStorage中删除
+            if (config.password) {
+                this.webdavPassword = this.webdavPassword || config.password;
+                localStorage.setItem(this.webdavConfigKey, JSON.stringify({ ...config, password: '' }));
+            }
+            config.password = this.webdavPassword;
+        }
+        return config;
+    }
+    
+    setWebDAVConfig(config) {
+        const updated = { ...this.getWebDAVConfig(), ...config };
+        this.webdavPassword = updated.password;
+        const stored = updated.rememberPassword ? updated : { ...updated, password: '' };
+        localStorage.setItem(this.webdavConfigKey, JSON.stringify(stored));
+        return updated;
+    }
+    
+    isWebDAVEnabled() {
+        const config = this.getWebDAVConfig();
+        return config.enabled && !!config.url;
+    }
+    
+    // 用户选择的存储后端，未选择或在当前浏览器中不可用时返回null
+    getPreferredBackend() {
+        const id = localStorage.getItem(this.backendKey);
+        const entry = id && this.adapterRegistry.get(id);
+        return entry && this.adapterRegistry.isSupported(entry, this) ? id : null;
+    }
+    
+    setPreferredBackend(id) {
+        if (id) {
+            localStorage.setItem(this.backendKey, id);
+        } else {
+            localStorage.removeItem(this.backendKey);
+        }
+    }
+    
+    // 自动检测的默认存储后端
+    detectDefaultBackend() {
+        const entry = this.adapterRegistry.detectDefault(this);
+        return entry ? entry.id : 'localstorage';
+    }
+    
+    // 当前使用的存储后端：用户选择的优先，其次是已启用的WebDAV同步，最后自动检测
+    getActiveBackendId() {
+        const preferred = this.getPreferredBackend();
+        if (preferred) {
+            return preferred;
+        }
+        if (this.isWebDAVEnabled()) {
+            return 'webdav';
+        }
+        return this.detectDefaultBackend();
+    }
+    
+    // 存储后端只保存默认配置，其他配置只保存在localStorage中
+    isStorageBackendActive() {
+        return this.isFileStorageEnabled && !!this.storageAdapter && this.isDefaultProfile();
+    }
+    
+    // 存储适配器工厂方法
+    createStorageAdapter(backendId = this.getActiveBackendId()) {
+        try {
+            const adapter = this.adapterRegistry.create(backendId, this);
+            console.log(`使用${this.adapterRegistry.get(backendId).name}存储适配器`);
+            return adapter;
+        } catch (err) {
+            console.error('创建存储适配器时出错:', err);
+            // 出错时回退到LocalStorage
+            return new LocalStorageAdapter(this);
+        }
+    }
+    
+    // 初始化文件存储
+    async initFileStorage(backendId) {
+        if (!this.isDefaultProfile()) {
+            this.lastImportError = '存储后端只用于默认配置，请先切换到默认配置';
+            return false;
+        }
+        try {
+            // 释放之前的适配器
+            if (this.storageAdapter && typeof this.storageAdapter.destroy === 'function') {
+                this.storageAdapter.destroy();
+            }
+            
+            // 为所有浏览器创建存储适配器
+            this.storageAdapter = this.createStorageAdapter(backendId);
+            this.isFileStorageEnabled = true;
+            
+            // 初始化存储，确保数据加载
+            const opened = await this.storageAdapter.openStorage();
+            if (!opened) {
+                this.isFileStorageEnabled = false;
+                return false;
+            }
+            
+            return true;
+        } catch (err) {
+            console.error('初始化文件存储失败:', err);
+            this.isFileStorageEnabled = false;
+            return false;
+        }
+    }
+    
+    // 保存文件句柄的IndexedDB（与历史快照共用同一数据库）
+    getHandleStore() {
+        return this.getSnapshotStore();
+    }
+    
+    // 记住存储文件，刷新页面后自动重新连接
+    async rememberFileHandle(handle) {
+        const store = this.getHandleStore();
+        if (!store) return false;
+        try {
+            await store.saveHandle(this.fileHandleKey, handle);
+            return true;
+        } catch (err) {
+            console.error('保存存储文件句柄失败:', err);
+            return false;
+        }
+    }
+    
+    async forgetFileHandle() {
+        this.pendingFileHandle = null;
+        const store = this.getHandleStore();
+        if (!store) return;
+        try {
+            await store.deleteHandle(this.fileHandleKey);
+        } catch (err) {
+            console.error('删除存储文件句柄失败:', err);
+        }
+    }
+    
+    // 查询文件的读写权限，request为true时向用户请求（需要在用户操作中调用）
+    async verifyFilePermission(handle, request = false) {
+        // 不支持权限查询的浏览器在获得句柄时即已授权
+        if (typeof handle.queryPermission !== 'function') {
+            return 'granted';
+        }
+        const options = { mode: 'readwrite' };
+        let state = await handle.queryPermission(options);
+        if (state !== 'granted' && request) {
+            state = await handle.requestPermission(options);
+        }
+        return state;
+    }
+    
+    // 恢复上次使用的存储文件：仍有权限时直接打开，否则等待用户重新授权
+    // 返回{ status, name }，status为'none'、'connected'、'prompt'或'failed'
+    async restoreFileStorage() {
+        if (!this.isFileSystemAPISupported() || !this.getHandleStore() || !this.isDefaultProfile()) {
+            return { status: 'none' };
+        }
+        
+        let handle = null;
+        try {
+            handle = await this.getHandleStore().getHandle(this.fileHandleKey);
+        } catch (err) {
+            console.error('读取存储文件句柄失败:', err);
+        }
+        if (!handle) {
+            return { status: 'none' };
+        }
+        
+        try {
+            if (await this.verifyFilePermission(handle) !== 'granted') {
+                this.pendingFileHandle = handle;
+                return { status: 'prompt', name: handle.name };
+            }
+            const connected = await this.connectFileHandle(handle);
+            return { status: connected ? 'connected' : 'failed', name: handle.name };
+        } catch (err) {
+            console.error('恢复存储文件失败:', err);
+            this.lastImportError = err.message;
+            return { status: 'failed', name: handle.name };
+        }
+    }
+    
+    // 重新请求已保存的存储文件的访问权限并打开（需要在用户操作中调用）
+    async reconnectFileStorage() {
+        const handle = this.pendingFileHandle;
+        if (!handle) {
+            return false;
+        }
+        
+        this.lastImportError = null;
+        try {
+            if (await this.verifyFilePermission(handle, true) !== 'granted') {
+                this.lastImportError = '未获得存储文件的访问权限';
+                return false;
+            }
+            return await this.connectFileHandle(handle);
+        } catch (err) {
+            console.error('重新连接存储文件失败:', err);
+            this.lastImportError = err.message;
+            return false;
+        }
+    }
+    
+    // 使用已授权的文件句柄启用文件存储并加载数据
+    async connectFileHandle(handle) {
+        this.fileHandle = handle;
+        this.pendingFileHandle = null;
+        this.storageAdapter = this.createStorageAdapter('file-system');
+        this.isFileStorageEnabled = true;
+        
+        const loaded = await this.loadFromFile();
+        if (!loaded) {
+            this.isFileStorageEnabled = false;
+        }
+        return loaded;
+    }
+    
+    // 存储文件的访问权限失效（如浏览器撤销了授权），等待用户重新连接
+    handleFilePermissionLost() {
+        // 已在等待重新连接时不重复提示
+        if (!this.fileHandle || this.pendingFileHandle === this.fileHandle) return;
+        this.pendingFileHandle = this.fileHandle;
+        console.warn('存储文件的访问权限已失效，需要重新连接');
+        if (this.filePermissionListener) {
+            this.filePermissionListener(this.fileHandle.name);
+        }
+    }
+    
+    // 创建新的存储文件
+    async createStorageFile() {
+        try {
+            this.fileHandle = await window.showSaveFilePicker({
+                suggestedName: this.storageFileName,
+                types: [{ accept: { 'application/json': ['.json'] } }],
+                excludeAcceptAllOption: true
+            });
+            await this.rememberFileHandle(this.fileHandle);
+            
+            // 写入初始数据
+            await this.saveToFile();
+            return true;
+        } catch (err) {
+            console.error('创建存储文件失败:', err);
+            return false;
+        }
+    }
+    
+    // 打开现有存储文件
+    async openStorageFile() {
+        try {
+            const [handle] = await window.showOpenFilePicker({
+                types: [{ accept: { 'application/json': ['.json'] } }],
+                excludeAcceptAllOption: true,
+                multiple: false
+            });
+            
+            this.fileHandle = handle;
+            this.pendingFileHandle = null;
+            await this.rememberFileHandle(handle);
+            
+            // 从文件加载数据
+            const loaded = await this.loadFromFile();
+            if (loaded) {
+                return true;
+            }
+            
+            // 如果加载失败，尝试从localStorage获取数据并保存到文件
+            await this.saveToFile();
+            return true;
+        } catch (err) {
+            if (err instanceof SettingsVersionError) {
+                // 放弃该文件句柄，防止后续保存覆盖高版本文件
+                this.fileHandle = null;
+                await this.forgetFileHandle();
+            }
+            console.error('打开存储文件失败:', err);
+            return false;
+        }
+    }
+    
+    // 从文件加载数据
+    async loadFromFile() {
+        this.lastImportError = null;
+        this.lastIntegrityReport = null;
+        try {
+            if (!this.fileHandle) {
+                return false;
+            }
+            
+            const file = await this.fileHandle.getFile();
+            const fileContent = await file.text();
+            const data = await this.parseSettingsText(fileContent);
+            if (!data) {
+                return false;
+            }
+            
+            // 验证数据完整性
+            const report = await this.verifyChecksum(data);
+            this.lastIntegrityReport = report;
+            if (report.valid) {
+                // 校验通过后再迁移到当前数据版本
+                const settings = this.migrateSettings(data);
+                const errors = this.getSettingsErrors(settings);
+                if (errors.length > 0) {
+                    this.lastImportError = `存储文件中的数据无效（${this.describeSettingsErrors(errors)}）`;
+                    console.error(this.lastImportError);
+                    return false;
+                }
+                this.currentSettings = settings;
+                this.ensureSettingsStructure();
+                this.saveSettings(); // 同时更新localStorage作为备份
+                return true;
+            } else {
+                console.error(`数据校验失败（${report.message}），尝试恢复备份`);
+                return await this.restoreFromBackup();
+            }
+        } catch (err) {
+            if (err instanceof SettingsVersionError) {
+                // 交由调用方处理，避免用旧数据覆盖高版本文件
+                throw err;
+            }
+            console.error('从文件加载数据失败:', err);
+            return false;
+        }
+    }
+    
+    // 将数据保存到文件
+    async saveToFile() {
+        try {
+            if (!this.fileHandle) {
+                return false;
+            }
+            
+            // 访问权限已失效时提示用户重新连接，数据仍保存在localStorage中
+            if (this.pendingFileHandle === this.fileHandle || await this.verifyFilePermission(this.fileHandle) !== 'granted') {
+                this.handleFilePermissionLost();
+                return false;
+            }
+            
+            // 更新时间戳，并生成带校验和的副本
+            this.currentSettings.timestamp = Date.now();
+            const sealed = await this.sealSettings(this.currentSettings);
+            
+            // 创建原子更新：先写入临时文件，再替换原文件
+            const writable = await this.fileHandle.createWritable({
+                keepExistingData: false
+            });
+            
+            await writable.write(JSON.stringify(sealed, null, 2));
+            await writable.close();
+            
+            // 创建备份
+            await this.backupFile();
+            
+            return true;
+        } catch (err) {
+            if (err.name === 'NotAllowedError') {
+                this.handleFilePermissionLost();
+            }
+            console.error('保存数据到文件失败:', err);
+            return false;
+        }
+    }
+    
+    // 检查浏览器是否支持选择目录
+    isDirectoryPickerSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+    
+    // 选择备份目录（需要在用户操作中调用），返回目录名，取消时返回null
+    async chooseBackupDirectory() {
+        try {
+            const directory = await window.showDirectoryPicker({ id: 'nav-backups', mode: 'readwrite' });
+            this.backupDirectoryHandle = directory;
+            const store = this.getHandleStore();
+            if (store) {
+                await store.saveHandle(this.backupDirectoryKey, directory);
+            }
+            return directory.name;
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('选择备份目录失败:', err);
+                this.lastImportError = err.message;
+            }
+            return null;
+        }
+    }
+    
+    async forgetBackupDirectory() {
+        this.backupDirectoryHandle = null;
+        const store = this.getHandleStore();
+        if (!store) return;
+        try {
+            await store.deleteHandle(this.backupDirectoryKey);
+        } catch (err) {
+            console.error('删除备份目录句柄失败:', err);
+        }
+    }
+    
+    // 读取已选择的备份目录及其权限，未选择时返回null
+    async getBackupDirectoryInfo() {
+        if (!this.backupDirectoryHandle) {
+            const store = this.getHandleStore();
+            try {
+                this.backupDirectoryHandle = store ? await store.getHandle(this.backupDirectoryKey) : null;
+            } catch (err) {
+                console.error('读取备份目录句柄失败:', err);
+            }
+        }
+        if (!this.backupDirectoryHandle) {
+            return null;
+        }
+        
+        const permission = await this.verifyFilePermission(this.backupDirectoryHandle);
+        return { name: this.backupDirectoryHandle.name, permission };
+    }
+    
+    // 返回可写入的备份目录，request为true时在没有权限时向用户请求（需要在用户操作中调用）
+    async getBackupDirectory(request = false) {
+        const info = await this.getBackupDirectoryInfo();
+        if (!info) {
+            return null;
+        }
+        if (info.permission === 'granted') {
+            return this.backupDirectoryHandle;
+        }
+        if (request && await this.verifyFilePermission(this.backupDirectoryHandle, true) === 'granted') {
+            return this.backupDirectoryHandle;
+        }
+        return null;
+    }
+    
+    getBackupPrefix() {
+        return `${this.backupFileName.replace('.json', '')}-`;
+    }
+    
+    // 在备份目录中写入带时间戳的备份（设置了口令时加密），不弹出任何对话框
+    // 未选择备份目录或没有权限时跳过；自动备份之间至少间隔backupInterval，force为true时立即备份
+    async backupFile(force = false) {
+        try {
+            const directory = await this.getBackupDirectory();
+            if (!directory) {
+                console.log('未选择备份目录或没有写入权限，跳过备份');
+                return false;
+            }
+            if (!force && this.lastBackupTime && Date.now() - this.lastBackupTime < this.backupInterval) {
+                return true;
+            }
+            
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const backupHandle = await directory.getFileHandle(`${this.getBackupPrefix()}${timestamp}.json`, { create: true });
+            const writable = await backupHandle.createWritable({
+                keepExistingData: false
+            });
+            
+            await writable.write(await this.serializeForExport(this.currentSettings));
+            await writable.close();
+            this.lastBackupTime = Date.now();
+            
+            await this.pruneDirectoryBackups(directory);
+            return true;
+        } catch (err) {
+            console.error('创建备份失败:', err);
+            this.lastImportError = err.message;
+            return false;
+        }
+    }
+    
+    // 列出备份目录中的备份文件，按时间从新到旧排序
+    async listDirectoryBackups(directory) {
+        const backups = [];
+        for await (const [name, handle] of directory.entries()) {
+            if (handle.kind !== 'file' || !name.startsWith(this.getBackupPrefix()) || !name.endsWith('.json')) {
+                continue;
+            }
+            const file = await handle.getFile();
+            backups.push({ name, handle, lastModified: file.lastModified, size: file.size });
+        }
+        return backups.sort((a, b) => b.lastModified - a.lastModified || b.name.localeCompare(a.name));
+    }
+    
+    // 只保留最近的backups.limit个备份文件
+    async pruneDirectoryBackups(directory) {
+        const backups = await this.listDirectoryBackups(directory);
+        const expired = backups.slice(this.currentSettings.backups.limit);
+        for (const backup of expired) {
+            await directory.removeEntry(backup.name);
+        }
+        return expired.length;
+    }
+    
+    updateBackupRetention(updates) {
+        this.currentSettings.backups = { ...this.currentSettings.backups, ...updates };
+        this.saveSettings();
+        
+        // 按新的保留数清理备份
+        return this.getBackupDirectory().then(directory => {
+            return directory ? this.pruneDirectoryBackups(directory) : 0;
+        }).catch(err => {
+            console.error('清理备份文件失败:', err);
+            return 0;
+        });
+    }
+    
+    // 选择要恢复的备份文件：备份目录中有备份时由界面列出供选择，否则使用文件选择器
+    // 返回File，取消时返回null
+    async pickBackupFile() {
+        const directory = await this.getBackupDirectory(true);
+        const backups = directory ? await this.listDirectoryBackups(directory) : [];
+        if (backups.length > 0 && typeof this.backupResolver === 'function') {
+            // backupResolver返回选中的备份、'browse'（改用文件选择器）或null（取消）
+            const choice = await this.backupResolver(backups);
+            if (!choice) {
+                return null;
+            }
+            if (choice !== 'browse') {
+                return choice.handle.getFile();
+            }
+        }
+        
+        const [handle] = await window.showOpenFilePicker({
+            types: [{ accept: { 'application/json': ['.json'], 'application/zip': ['.zip'] } }],
+            excludeAcceptAllOption: true,
+            multiple: false
+        });
+        return handle.getFile();
+    }
+    
+    // 从备份恢复数据
+    async restoreFromBackup() {
+        this.lastImportError = null;
+        this.lastIntegrityReport = null;
+        try {
+            const file = await this.pickBackupFile();
+            if (!file) {
+                return false;
+            }
+            const data = await this.parseSettingsFile(file);
+            if (!data) {
+                return false;
+            }
+            
+            const report = await this.verifyChecksum(data);
+            this.lastIntegrityReport = report;
+            if (!report.valid) {
+                this.lastImportError = `备份文件校验失败：${report.message}`;
+                console.error(this.lastImportError);
+                return false;
+            }
+            
+            const migrated = this.migrateSettings(data);
+            const errors = this.getSettingsErrors(migrated);
+            if (errors.length > 0) {
+                this.lastImportError = `备份文件中的数据无效（${this.describeSettingsErrors(errors)}）`;
+                console.error(this.lastImportError);
+                return false;
+            }
+            
+            // 由界面决定合并或替换，取消时不做修改
+            const settings = await this.resolveImportedSettings(migrated);
+            if (!settings) {
+                return false;
+            }
+            this.currentSettings = settings;
+            this.ensureSettingsStructure();
+            await this.saveToFile();
+            this.saveSettings();
+            return true;
+        } catch (err) {
+            console.error('从备份恢复失败:', err);
+            return false;
+        }
+    }
+    
+    // 验证单个导航项
+    validateItem(item) {
+        if (!item || typeof item !== 'object') {
+            return false;
+        }
+        
+        // 验证必填字段
+        if (!item.name || typeof item.name !== 'string') {
+            return false;
+        }
+        
+        if (!item.url || typeof item.url !== 'string') {
+            return false;
+        }
+        
+        // 验证URL格式
+        try {
+            new URL(item.url);
+        } catch (e) {
+            return false;
+        }
+        
+        // 验证可选字段
+        if (item.id !== undefined && typeof item.id !== 'number') {
+            return false;
+        }
+        
+        if (item.icon !== undefined && typeof item.icon !== 'string') {
+            return false;
+        }
+        
+        if (item.toolGroupId !== undefined && typeof item.toolGroupId !== 'number' && item.toolGroupId !== null) {
+            return false;
+        }
+        
+        // 验证标签字段
+        if (item.tags !== undefined && !Array.isArray(item.tags)) {
+            return false;
+        }
+        
+        if (item.keyword !== undefined && typeof item.keyword !== 'string') {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // 验证navigationItems数组
+    validateNavigationItems(items) {
+        if (!Array.isArray(items)) {
+            return false;
+        }
+        
+        // 验证每个导航项
+        for (const item of items) {
+            if (!this.validateItem(item)) {
+                return false;
+            }
+        }
+        
+        // 验证id唯一性
+        const ids = items.map(item => item.id).filter(id => id !== undefined);
+        const uniqueIds = new Set(ids);
+        if (ids.length !== uniqueIds.size) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // 验证导航项的关键词不重复（不区分大小写），有效时返回null
+    getItemKeywordsError(items) {
+        const used = new Map();
+        for (const item of items) {
+            if (!item.keyword) continue;
+            const key = item.keyword.toLowerCase();
+            if (used.has(key)) {
+                return `导航项"${used.get(key)}"和"${item.name}"的关键词"${item.keyword}"重复`;
+            }
+            used.set(key, item.name);
+        }
+        return null;
+    }
+    
+    // 验证完整设置数据
+    validateSettings(settings) {
+        return this.getSettingsErrors(settings).length === 0;
+    }
+    
+    // 逐部分验证设置数据，返回错误列表[{ section, message }]，有效时为空数组
+    getSettingsErrors(settings) {
+        if (!settings || typeof settings !== 'object') {
+            return [{ section: null, message: '设置数据格式不正确' }];
+        }
+        
+        const errors = [];
+        
+        // 验证navigationItems
+        if (!Array.isArray(settings.navigationItems)) {
+            errors.push({ section: 'navigationItems', message: '导航项不是列表' });
+        } else if (!this.validateNavigationItems(settings.navigationItems)) {
+            const invalidIndex = settings.navigationItems.findIndex(item => !this.validateItem(item));
+            errors.push({
+                section: 'navigationItems',
+                message: invalidIndex !== -1 ? `第${invalidIndex + 1}个导航项无效` : '导航项ID重复'
+            });
+        } else {
+            const keywordError = this.getItemKeywordsError(settings.navigationItems);
+            if (keywordError) {
+                errors.push({ section: 'navigationItems', message: keywordError });
+            }
+        }
+        
+        // 验证其他必要字段
+        if (!settings.layout || typeof settings.layout !== 'object') {
+            errors.push({ section: 'layout', message: '缺少布局设置' });
+        }
+        
+        if (!settings.search || typeof settings.search !== 'object') {
+            errors.push({ section: 'search', message: '缺少搜索设置' });
+        } else {
+            const engineError = settings.search.engines !== undefined ? this.getSearchEnginesError(settings.search.engines) : null;
+            const keywordError = settings.search.keywords !== undefined ? this.getSearchKeywordsError(settings.search.keywords) : null;
+            [engineError, keywordError].filter(Boolean).forEach(message => {
+                errors.push({ section: 'search', message });
+            });
+        }
+        
+        if (settings.toolGroups !== undefined && !Array.isArray(settings.toolGroups)) {
+            errors.push({ section: 'toolGroups', message: '工具组不是列表' });
+        } else if (Array.isArray(settings.toolGroups)) {
+            const groupError = this.getToolGroupsError(settings.toolGroups);
+            if (groupError) {
+                errors.push({ section: 'toolGroups', message: groupError });
+            }
+        }
+        
+        if (settings.pages !== undefined) {
+            const pageError = this.getPagesError(settings.pages);
+            if (pageError) {
+                errors.push({ section: 'pages', message: pageError });
+            }
+        }
+        
+        return errors;
+    }
+    
+    // 验证工具组的嵌套结构，有效时返回null
+    // 网址必须有名称和网址；子项按路径中的id查找，所以同一级中的id不能重复
+    getToolGroupsError(groups) {
+        const check = (group, names) => {
+            const label = names.join(' / ');
+            const ids = new Set();
+            for (let i = 0; i < group.items.length; i++) {
+                const entry = group.items[i];
+                if (!entry || typeof entry !== 'object' || entry.id === undefined || entry.id === null) {
+                    return `工具组"${label}"中第${i + 1}项无效`;
+                }
+                if (ids.has(entry.id)) {
+                    return `工具组"${label}"中的子项ID重复`;
+                }
+                ids.add(entry.id);
+                if (this.isToolGroupEntry(entry)) {
+                    if (typeof entry.name !== 'string') {
+                        return `工具组"${label}"中第${i + 1}项是无效的子工具组`;
+                    }
+                    const error = check(entry, names.concat(entry.name));
+                    if (error) return error;
+                } else if (!entry.name || typeof entry.name !== 'string' || !entry.url || typeof entry.url !== 'string') {
+                    return `工具组"${label}"中第${i + 1}项缺少名称或网址`;
+                }
+            }
+            return null;
+        };
+        
+        const ids = new Set();
+        for (let i = 0; i < groups.length; i++) {
+            if (!this.isToolGroupEntry(groups[i]) || typeof groups[i].name !== 'string') {
+                return `第${i + 1}个工具组无效`;
+            }
+            if (ids.has(groups[i].id)) {
+                return '工具组ID重复';
+            }
+            ids.add(groups[i].id);
+            const error = check(groups[i], [groups[i].name]);
+            if (error) return error;
+        }
+        return null;
+    }
+    
+    // 验证搜索引擎列表，有效时返回null
+    getSearchEnginesError(engines) {
+        if (!Array.isArray(engines) || engines.length === 0) {
+            return '搜索引擎列表为空';
+        }
+        const invalidIndex = engines.findIndex(engine => !this.isValidSearchEngine(engine));
+        if (invalidIndex !== -1) {
+            return `第${invalidIndex + 1}个搜索引擎无效`;
+        }
+        if (new Set(engines.map(engine => engine.id)).size !== engines.length) {
+            return '搜索引擎ID重复';
+        }
+        return null;
+    }
+    
+    // 验证搜索关键词表，有效时返回null
+    getSearchKeywordsError(keywords) {
+        if (!Array.isArray(keywords)) {
+            return '搜索关键词不是列表';
+        }
+        const invalidIndex = keywords.findIndex(entry => !this.isValidSearchKeyword(entry));
+        if (invalidIndex !== -1) {
+            return `第${invalidIndex + 1}个搜索关键词无效`;
+        }
+        const names = keywords.map(entry => entry.keyword.toLowerCase());
+        if (new Set(names).size !== names.length) {
+            return '搜索关键词重复';
+        }
+        return null;
+    }
+    
+    // 验证页面列表，有效时返回null
+    getPagesError(pages) {
+        if (!Array.isArray(pages) || pages.length === 0) {
+            return '页面列表为空';
+        }
+        const invalidIndex = pages.findIndex(page => !page || typeof page !== 'object' ||
+            typeof page.id !== 'number' || typeof page.name !== 'string');
+        if (invalidIndex !== -1) {
+            return `第${invalidIndex + 1}个页面无效`;
+        }
+        if (new Set(pages.map(page => page.id)).size !== pages.length) {
+            return '页面ID重复';
+        }
+        return null;
+    }
+    
+    // 将验证错误整理为提示文字
+    describeSettingsErrors(errors) {
+        return errors.map(error => error.section
+            ? `${this.getSectionLabel(error.section)}：${error.message}`
+            : error.message).join('；');
+    }
+
+    async exportSettings() {
+        const dataStr = await this.serializeForExport(this.currentSettings);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        return URL.createObjectURL(dataBlob);
+    }
+    
+    // 使用File System API导出设置
+    async exportSettingsWithFileSystem() {
+        try {
+            if (!this.isFileSystemAPISupported()) {
+                console.error('浏览器不支持File System Access API');
+                return false;
+            }
+            
+            // 更新时间戳，并生成带校验和（设置了口令时加密）的文件内容
+            this.currentSettings.timestamp = Date.now();
+            const dataStr = await this.serializeForExport(this.currentSettings);
+            
+            const fileHandle = await window.showSaveFilePicker({
+                suggestedName: `nav-settings-${new Date().toISOString().split('T')[0]}.json`,
+                types: [{ accept: { 'application/json': ['.json'] } }],
+                excludeAcceptAllOption: true
+            });
+            
+            const writable = await fileHandle.createWritable({
+                keepExistingData: false
+            });
+            
+            await writable.write(dataStr);
+            await writable.close();
+            
+            return true;
+        } catch (err) {
+            console.error('使用File System API导出失败:', err);
+            return false;
+        }
+    }
+    
+    // 使用File System API导入设置
+    async importSettingsWithFileSystem() {
+        try {
+            if (!this.isFileSystemAPISupported()) {
+                console.error('浏览器不支持File System Access API');
+                return false;
+            }
+            
+            const [fileHandle] = await window.showOpenFilePicker({
+                types: [{ accept: { 'application/json': ['.json'], 'application/zip': ['.zip'] } }],
+                excludeAcceptAllOption: true,
+                multiple: false
+            });
+            
+            const file = await fileHandle.getFile();
+            const data = await this.parseSettingsFile(file);
+            
+            return data ? this.importSettings(data) : false;
+        } catch (err) {
+            console.error('使用File System API导入失败:', err);
+            return false;
+        }
+    }
+
+    // 直接用导入的数据替换当前设置
+    importSettings(jsonData) {
+        const imported = this.parseImportedSettings(jsonData);
+        if (!imported) {
+            return false;
+        }
+        
+        this.applyImportedSettings(imported);
+        return true;
+    }
+    
+    // 解析、迁移并验证导入的JSON数据，无效时返回null
+    parseImportedSettings(jsonData) {
+        this.lastImportError = null;
+        try {
+            // 迁移到当前数据版本
+            const imported = this.migrateSettings(typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData);
+            
+            // 确保必要属性存在
+            if (!imported.toolGroups) {
+                imported.toolGroups = [];
+            }
+            if (!imported.search) {
+                imported.search = this.defaultSettings.search;
+            }
+            if (!imported.layout) {
+                imported.layout = this.defaultSettings.layout;
+            }
+            if (!imported.navigationItems) {
+                imported.navigationItems = [];
+            }
+            
+            // 验证导入的数据
+            const errors = this.getSettingsErrors(imported);
+            if (errors.length === 0) {
+                return imported;
+            } else {
+                this.lastImportError = `导入的数据无效（${this.describeSettingsErrors(errors)}）`;
+                console.error(this.lastImportError);
+                return null;
+            }
+        } catch (e) {
+            if (e instanceof SettingsVersionError) {
+                this.lastImportError = e.message;
+            }
+            console.error('导入设置失败', e);
+            return null;
+        }
+    }
+    
+    // 使用已验证的设置数据替换当前设置
+    applyImportedSettings(settings) {
+        // 保留导入前的数据
+        this.createSnapshot('导入前', true);
+        this.currentSettings = settings;
+        this.ensureSettingsStructure();
+        this.saveSettings();
+    }
+    
+    // 由界面决定导入数据的处理方式（合并或替换），返回最终设置，取消时返回null
+    // 未设置importResolver时保持替换行为
+    async resolveImportedSettings(incoming) {
+        // 导入文件中内嵌的图片先存为资源，与本地相同的图片对比时视为无变化
+        await this.storeInlineAssets(incoming);
+        if (typeof this.importResolver === 'function') {
+            return await this.importResolver(incoming);
+        }
+        return incoming;
+    }
+    
+    // 生成合并计划：按规范化网址匹配导航项（含工具组子项），按名称匹配工具组
+    // 条目状态：added新增、changed仅补充字段或标签、conflict双方字段不同、unchanged无差异
+    buildMergePlan(incoming) {
+        const entries = [];
+        const existingByUrl = new Map();
+        
+        this.currentSettings.navigationItems.forEach(item => {
+            existingByUrl.set(this.normalizeUrlForCompare(item.url), { item, groupId: null });
+        });
+        this.currentSettings.toolGroups.forEach(group => {
+            this.getToolGroupLinks(group).forEach(item => {
+                const key = this.normalizeUrlForCompare(item.url);
+                if (!existingByUrl.has(key)) {
+                    existingByUrl.set(key, { item, groupId: group.id });
+                }
+            });
+        });
+        
+        // 对比单个导航项的字段差异
+        const diffItem = (existing, item) => {
+            const changes = {};
+            const conflicts = {};
+            ['name', 'icon'].forEach(field => {
+                const current = existing[field] || '';
+                const next = item[field] || '';
+                if (!next || current === next) return;
+                if (!current) {
+                    changes[field] = next;
+                } else {
+                    conflicts[field] = { current, next };
+                }
+            });
+            const existingTags = existing.tags || [];
+            const newTags = (item.tags || []).filter(tag => !existingTags.includes(tag));
+            if (newTags.length > 0) {
+                changes.tags = newTags;
+            }
+            return { changes, conflicts };
+        };
+        
+        const seenUrls = new Set();
+        // subGroups为网址所在子工具组的名称路径（位于顶层工具组中时为空）
+        const addEntry = (item, groupName, subGroups = []) => {
+            const urlKey = this.normalizeUrlForCompare(item.url);
+            // 导入文件内部重复的网址只处理第一次出现
+            if (seenUrls.has(urlKey)) return;
+            seenUrls.add(urlKey);
+            
+            const key = `item-${entries.length}`;
+            const match = existingByUrl.get(urlKey);
+            if (!match) {
+                entries.push({ key, kind: 'item', status: 'added', incoming: item, groupName, subGroups });
+                return;
+            }
+            
+            const { changes, conflicts } = diffItem(match.item, item);
+            let status = 'unchanged';
+            if (Object.keys(conflicts).length > 0) {
+                status = 'conflict';
+            } else if (Object.keys(changes).length > 0) {
+                status = 'changed';
+            }
+            entries.push({
+                key,
+                kind: 'item',
+                status,
+                incoming: item,
+                existing: match.item,
+                existingGroupId: match.groupId,
+                groupName,
+                subGroups,
+                changes,
+                conflicts
+            });
+        };
+        
+        (incoming.navigationItems || []).forEach(item => addEntry(item, null));
+        (incoming.toolGroups || []).forEach(group => {
+            const exists = this.currentSettings.toolGroups.some(g => g.name === group.name);
+            if (!exists && (!group.items || group.items.length === 0)) {
+                // 空的新工具组单独列出
+                entries.push({ key: `group-${entries.length}`, kind: 'group', status: 'added', incoming: group, groupName: group.name });
+                return;
+            }
+            const addGroupEntries = (entries, subGroups) => entries.forEach(entry => {
+                if (this.isToolGroupEntry(entry)) {
+                    addGroupEntries(entry.items, subGroups.concat(entry.name));
+                } else {
+                    addEntry(entry, group.name, subGroups);
+                }
+            });
+            addGroupEntries(group.items || [], []);
+        });
+        
+        return { entries, incoming };
+    }
+    
+    // 按用户选择生成合并后的设置（不保存）
+    // decisions[key]：'apply'应用、'skip'跳过；冲突条目为'incoming'使用导入、'existing'保留当前，只决定冲突的字段
+    createMergedSettings(plan, decisions = {}) {
+        const merged = JSON.parse(JSON.stringify(this.currentSettings));
+        const usedItemIds = new Set(merged.navigationItems.map(item => item.id));
+        const usedGroupIds = new Set(merged.toolGroups.map(group => group.id));
+        
+        // 保留未被占用的原id，冲突时重新编号
+        const allocateId = (used, preferred) => {
+            let id = preferred;
+            if (typeof id !== 'number' || used.has(id)) {
+                id = Math.max(...used, 0) + 1;
+            }
+            used.add(id);
+            return id;
+        };
+        
+        const getGroup = (name, incomingGroup) => {
+            let group = merged.toolGroups.find(g => g.name === name);
+            if (!group) {
+                group = {
+                    ...(incomingGroup || {}),
+                    id: allocateId(usedGroupIds, incomingGroup && incomingGroup.id),
+                    name,
+                    items: []
+                };
+                merged.toolGroups.push(group);
+            }
+            return group;
+        };
+        
+        // 按名称路径找到或创建子工具组，返回其子项列表
+        const getSubGroupList = (list, subGroups) => subGroups.reduce((current, name) => {
+            let subGroup = current.find(e => this.isToolGroupEntry(e) && e.name === name);
+            if (!subGroup) {
+                subGroup = { id: Math.max(...current.map(e => e.id || 0), 0) + 1, name, items: [] };
+                current.push(subGroup);
+            }
+            return subGroup.items;
+        }, list);
+        
+        const findExisting = (entry) => {
+            const group = merged.toolGroups.find(g => g.id === entry.existingGroupId);
+            const list = entry.existingGroupId === null
+                ? merged.navigationItems
+                : (group ? this.getToolGroupLinks(group) : []);
+            return list.find(item => item.id === entry.existing.id && item.url === entry.existing.url);
+        };
+        
+        const defaultDecision = (entry) => entry.status === 'conflict' ? 'existing' : 'apply';
+        
+        plan.entries.forEach(entry => {
+            const decision = decisions[entry.key] || defaultDecision(entry);
+            
+            if (entry.kind === 'group') {
+                if (decision === 'apply') {
+                    getGroup(entry.groupName, entry.incoming);
+                }
+                return;
+            }
+            
+            if (entry.status === 'added' && decision === 'apply') {
+                const incomingGroup = (plan.incoming.toolGroups || []).find(g => g.name === entry.groupName);
+                const list = entry.groupName === null
+                    ? merged.navigationItems
+                    : getSubGroupList(getGroup(entry.groupName, incomingGroup).items, entry.subGroups || []);
+                const used = entry.groupName === null ? usedItemIds : new Set(list.map(item => item.id));
+                list.push({ ...entry.incoming, tags: [...(entry.incoming.tags || [])], id: allocateId(used, entry.incoming.id) });
+                return;
+            }
+            
+            // 冲突条目中不冲突的部分（如新增的标签）无论选择哪一方都会合并
+            const shouldApply = (entry.status === 'changed' && decision === 'apply') || entry.status === 'conflict';
+            if (!shouldApply) return;
+            
+            const target = findExisting(entry);
+            if (!target) return;
+            
+            Object.entries(entry.changes).forEach(([field, value]) => {
+                if (field === 'tags') {
+                    target.tags = [...(target.tags || []), ...value];
+                } else {
+                    target[field] = value;
+                }
+            });
+            if (decision === 'incoming') {
+                Object.entries(entry.conflicts).forEach(([field, { next }]) => {
+                    target[field] = next;
+                });
+            }
+        });
+        
+        // 去重并汇总全局标签
+        const tags = new Set(merged.tags || []);
+        const collectTags = (item) => {
+            item.tags = Array.from(new Set((item.tags || []).map(tag => String(tag).trim()).filter(Boolean)));
+            item.tags.forEach(tag => tags.add(tag));
+        };
+        merged.navigationItems.forEach(collectTags);
+        merged.toolGroups.forEach(group => this.getToolGroupLinks(group).forEach(collectTags));
+        merged.tags = Array.from(tags);
+        
+        // 导入的导航项关键词已被使用时清除，保留已有导航项的关键词
+        this.clearDuplicateItemKeywords(merged.navigationItems);
+        
+        // 添加网址模板不同的搜索引擎，已被使用的关键词不再保留
+        const incomingEngines = plan.incoming.search && Array.isArray(plan.incoming.search.engines) ? plan.incoming.search.engines : [];
+        incomingEngines.filter(engine => this.isValidSearchEngine(engine)).forEach(engine => {
+            const engines = merged.search.engines;
+            if (engines.some(e => e.url === engine.url)) return;
+            const keywordUsed = engine.keyword && engines.concat(merged.search.keywords).some(e => (e.keyword || '').toLowerCase() === engine.keyword.toLowerCase());
+            const id = engines.some(e => e.id === engine.id) ? `${engine.id}-${engines.length + 1}` : engine.id;
+            engines.push({ ...engine, id, keyword: keywordUsed ? '' : (engine.keyword || '') });
+        });
+        
+        // 添加关键词尚未使用的搜索关键词
+        const incomingKeywords = plan.incoming.search && Array.isArray(plan.incoming.search.keywords) ? plan.incoming.search.keywords : [];
+        incomingKeywords.filter(entry => this.isValidSearchKeyword(entry)).forEach(entry => {
+            const keywords = merged.search.keywords;
+            const used = keywords.concat(merged.search.engines).some(e => (e.keyword || '').toLowerCase() === entry.keyword.toLowerCase());
+            if (used) return;
+            const numbers = keywords.map(e => parseInt((e.id.match(/^keyword-(\d+)$/) || [])[1], 10) || 0);
+            keywords.push({ ...entry, id: `keyword-${Math.max(...numbers, 0) + 1}` });
+        });
+        
+        return merged;
+    }
+
+    // 判断文本是否为浏览器导出的Netscape书签HTML
+    isBookmarksHtml(text) {
+        return typeof text === 'string' && /<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text.slice(0, 1024));
+    }
+
+    // 解析Netscape书签HTML
+    // 书签栏和根目录下的链接作为导航项，其余文件夹（含嵌套路径）作为工具组
+    parseBookmarksHtml(html) {
+        if (!this.isBookmarksHtml(html)) {
+            return null;
+        }
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const rootList = doc.querySelector('dl');
+        const result = { items: [], groups: [] };
+        if (!rootList) {
+            return result;
+        }
+
+        const existingUrls = new Set(this.getAllItemUrls());
+
+        // 将<A>元素转换为导航项
+        const toItem = (link) => {
+            const url = (link.getAttribute('href') || '').trim();
+            if (!/^https?:\/\//i.test(url)) {
+                return null;
+            }
+            try {
+                new URL(url);
+            } catch (e) {
+                return null;
+            }
+
+            const item = {
+                name: link.textContent.trim() || url,
+                url,
+                tags: []
+            };
+
+            const icon = link.getAttribute('icon');
+            if (icon && icon.startsWith('data:image')) {
+                item.icon = icon;
+            }
+
+            const addDate = parseInt(link.getAttribute('add_date'), 10);
+            if (!isNaN(addDate) && addDate > 0) {
+                // ADD_DATE为秒级时间戳
+                item.addDate = addDate * 1000;
+            }
+
+            const tags = link.getAttribute('tags');
+            if (tags) {
+                item.tags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+            }
+
+            item.exists = existingUrls.has(this.normalizeUrlForCompare(url));
+            return item;
+        };
+
+        // 仅遍历直接属于当前<DL>的<DT>
+        const walk = (list, path, isRootLevel) => {
+            const entries = Array.from(list.getElementsByTagName('dt'))
+                .filter(dt => dt.parentElement && dt.parentElement.closest('dl') === list);
+            let group = null;
+
+            entries.forEach(dt => {
+                const link = dt.querySelector(':scope > a');
+                const heading = dt.querySelector(':scope > h3');
+
+                if (link) {
+                    const item = toItem(link);
+                    if (!item) return;
+                    if (isRootLevel) {
+                        result.items.push(item);
+                    } else {
+                        if (!group) {
+                            group = { name: path.join(' / '), items: [] };
+                            result.groups.push(group);
+                        }
+                        group.items.push(item);
+                    }
+                } else if (heading) {
+                    let subList = dt.querySelector(':scope > dl');
+                    if (!subList && dt.nextElementSibling && dt.nextElementSibling.tagName === 'DL') {
+                        subList = dt.nextElementSibling;
+                    }
+                    if (!subList) return;
+
+                    const isToolbar = heading.getAttribute('personal_toolbar_folder') === 'true';
+                    const name = heading.textContent.trim() || '未命名文件夹';
+                    // 书签栏视为根目录，其余文件夹生成工具组
+                    if (isRootLevel && isToolbar) {
+                        walk(subList, path, true);
+                    } else {
+                        walk(subList, path.concat(name), false);
+                    }
+                }
+            });
+        };
+
+        walk(rootList, [], true);
+        return result;
+    }
+
+    // 合并导入的书签，参数为parseBookmarksHtml结果中用户选中的部分
+    importBookmarks({ items = [], groups = [] }) {
+        const stripPreviewFields = ({ exists, ...item }) => item;
+        let nextItemId = Math.max(...this.currentSettings.navigationItems.map(i => i.id), 0) + 1;
+        let importedItems = 0;
+        let importedGroups = 0;
+        const tags = new Set(this.currentSettings.tags);
+
+        items.forEach(item => {
+            const newItem = { id: nextItemId++, page: this.getCurrentPageId(), ...stripPreviewFields(item) };
+            newItem.tags.forEach(tag => tags.add(tag));
+            this.currentSettings.navigationItems.push(newItem);
+            importedItems++;
+        });
+
+        groups.forEach(group => {
+            if (!group.items || group.items.length === 0) return;
+
+            // 同名工具组直接追加子项
+            let target = this.currentSettings.toolGroups.find(g => g.name === group.name);
+            if (!target) {
+                const newGroupId = Math.max(...this.currentSettings.toolGroups.map(g => g.id), 0) + 1;
+                target = { id: newGroupId, name: group.name, items: [], page: this.getCurrentPageId() };
+                this.currentSettings.toolGroups.push(target);
+                importedGroups++;
+            }
+
+            let nextGroupItemId = Math.max(...target.items.map(i => i.id), 0) + 1;
+            group.items.forEach(item => {
+                const newItem = { id: nextGroupItemId++, ...stripPreviewFields(item) };
+                newItem.tags.forEach(tag => tags.add(tag));
+                target.items.push(newItem);
+                importedItems++;
+            });
+        });
+
+        this.currentSettings.tags = Array.from(tags);
+        this.saveSettings();
+        return { items: importedItems, groups: importedGroups };
+    }
+
+    // 导出为Netscape书签HTML
+    // 导航项放在书签栏根目录，工具组按名称中的" / "还原为嵌套文件夹，标签写入TAGS属性
+    async exportBookmarksHtml() {
+        const escapeHtml = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const now = Math.floor(Date.now() / 1000);
+
+        // 预先将网络图标转换为data URI，以便嵌入书签文件
+        const iconCache = new Map();
+        const allItems = this.currentSettings.navigationItems.concat(
+            ...this.currentSettings.toolGroups.map(group => this.getToolGroupLinks(group))
+        );
+        await Promise.all(allItems
+            .filter(item => item.icon && (/^https?:\/\//i.test(item.icon) || this.isAssetRef(item.icon)) && !iconCache.has(item.icon))
+            .map(item => {
+                const promise = this.isAssetRef(item.icon) ? this.getAssetDataUrl(item.icon) : this.fetchIconAsDataUrl(item.icon);
+                iconCache.set(item.icon, promise);
+                return promise.then(dataUrl => iconCache.set(item.icon, dataUrl));
+            }));
+
+        const renderLink = (item, indent) => {
+            const attrs = [`HREF="${escapeHtml(item.url)}"`];
+            attrs.push(`ADD_DATE="${item.addDate ? Math.floor(item.addDate / 1000) : now}"`);
+            if (item.icon && item.icon.startsWith('data:image')) {
+                attrs.push(`ICON="${escapeHtml(item.icon)}"`);
+            } else if (item.icon && iconCache.get(item.icon)) {
+                attrs.push(`ICON="${escapeHtml(iconCache.get(item.icon))}"`);
+            } else if (item.icon && /^https?:\/\//i.test(item.icon)) {
+                // 无法嵌入时保留图标地址
+                attrs.push(`ICON_URI="${escapeHtml(item.icon)}"`);
+            }
+            if (Array.isArray(item.tags) && item.tags.length > 0) {
+                attrs.push(`TAGS="${escapeHtml(item.tags.join(','))}"`);
+            }
+            return `${indent}<DT><A ${attrs.join(' ')}>${escapeHtml(item.name)}</A>`;
+        };
+
+        // 按名称路径构建文件夹树，子工具组成为下一级文件夹
+        const root = { name: '', links: [], children: [] };
+        const getChildFolder = (folder, name) => {
+            let child = folder.children.find(c => c.name === name);
+            if (!child) {
+                child = { name, links: [], children: [] };
+                folder.children.push(child);
+            }
+            return child;
+        };
+        const addEntries = (folder, entries) => entries.forEach(entry => {
+            if (this.isToolGroupEntry(entry)) {
+                addEntries(getChildFolder(folder, entry.name), entry.items);
+            } else {
+                folder.links.push(entry);
+            }
+        });
+        this.currentSettings.toolGroups.forEach(group => {
+            let folder = root;
+            group.name.split(' / ').map(part => part.trim()).filter(Boolean).forEach(part => {
+                folder = getChildFolder(folder, part);
+            });
+            addEntries(folder, group.items || []);
+        });
+
+        const renderFolder = (folder, indent) => {
+            const lines = [];
+            folder.links.forEach(item => lines.push(renderLink(item, indent)));
+            folder.children.forEach(child => {
+                lines.push(`${indent}<DT><H3 ADD_DATE="${now}" LAST_MODIFIED="${now}">${escapeHtml(child.name)}</H3>`);
+                lines.push(`${indent}<DL><p>`);
+                lines.push(...renderFolder(child, `${indent}    `));
+                lines.push(`${indent}</DL><p>`);
+            });
+            return lines;
+        };
+
+        root.links = this.currentSettings.navigationItems.slice();
+
+        return [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<!-- This is an automatically generated file.',
+            '     It will be read and overwritten.',
+            '     DO NOT EDIT! -->',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>',
+            `    <DT><H3 ADD_DATE="${now}" LAST_MODIFIED="${now}" PERSONAL_TOOLBAR_FOLDER="true">浏览器导航主页</H3>`,
+            '    <DL><p>',
+            ...renderFolder(root, '        '),
+            '    </DL><p>',
+            '</DL><p>',
+            ''
+        ].join('\n');
+    }
+
+    // 获取网络图标并转换为data URI，失败时返回null
+    async fetchIconAsDataUrl(iconUrl, timeout = 3000) {
+        try {
+            const response = await Promise.race([
+                fetch(iconUrl, { mode: 'cors', cache: 'force-cache' }),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('请求超时')), timeout))
+            ]);
+            if (!response.ok) {
+                return null;
+            }
+
+            const blob = await response.blob();
+            if (!blob.type.startsWith('image/')) {
+                return null;
+            }
+
+            return await new Promise((resolve) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => resolve(null);
+                reader.readAsDataURL(blob);
+            });
+        } catch (err) {
+            console.log(`图标 ${iconUrl} 无法嵌入:`, err.message);
+            return null;
+        }
+    }
+
+    // 获取所有导航项与工具组子项的规范化网址
+    getAllItemUrls() {
+        const urls = this.currentSettings.navigationItems.map(item => this.normalizeUrlForCompare(item.url));
+        this.currentSettings.toolGroups.forEach(group => {
+            this.getToolGroupLinks(group).forEach(item => urls.push(this.normalizeUrlForCompare(item.url)));
+        });
+        return urls;
+    }
+
+    // 规范化网址用于比较（忽略大小写、末尾斜杠和锚点）
+    normalizeUrlForCompare(url) {
+        try {
+            const urlObj = new URL(url);
+            urlObj.hash = '';
+            return urlObj.href.replace(/\/$/, '').toLowerCase();
+        } catch (e) {
+            return String(url || '').trim().replace(/\/$/, '').toLowerCase();
+        }
+    }
+
+    // 图片资源相关方法
+    getAssetStore() {
+        return this.getSnapshotStore();
+    }
+    
+    isAssetRef(value) {
+        return typeof value === 'string' && value.startsWith(this.assetPrefix);
+    }
+    
+    // 保存图片并返回其引用；不支持IndexedDB或SubtleCrypto时返回null，由调用方改为内嵌data URI
+    async storeAsset(blob) {
+        const store = this.getAssetStore();
+        if (!store || !this.isSubtleCryptoSupported()) {
+            return null;
+        }
+        
+        try {
+            const id = await this.hashBytes(await blob.arrayBuffer());
+            // 重复保存相同图片时只更新创建时间
+            await store.putAsset({ id, blob, type: blob.type, size: blob.size, created: Date.now() });
+            
+            const ref = `${this.assetPrefix}${id}`;
+            if (!this.assetUrls.has(ref)) {
+                this.assetUrls.set(ref, URL.createObjectURL(blob));
+            }
+            return ref;
+        } catch (err) {
+            console.error('保存图片资源失败:', err);
+            return null;
+        }
+    }
+    
+    // 返回资源的object URL；尚未读取时开始读取并返回null，读取完成后调用assetListener
+    getAssetUrl(ref) {
+        if (this.assetUrls.has(ref)) {
+            return this.assetUrls.get(ref);
+        }
+        this.loadAsset(ref).then(url => {
+            if (url && this.assetListener) {
+                this.assetListener(ref);
+            }
+        });
+        return null;
+    }
+    
+    // 读取资源并缓存其object URL，资源不存在时返回null
+    loadAsset(ref) {
+        if (this.assetUrls.has(ref)) {
+            return Promise.resolve(this.assetUrls.get(ref));
+        }
+        if (!this.assetLoads.has(ref)) {
+            const store = this.getAssetStore();
+            const load = (store ? store.getAsset(ref.slice(this.assetPrefix.length)) : Promise.resolve(null))
+                .then(asset => {
+                    if (!asset) {
+                        console.warn(`图片资源不存在：${ref}`);
+                        return null;
+                    }
+                    const url = URL.createObjectURL(asset.blob);
+                    this.assetUrls.set(ref, url);
+                    return url;
+                })
+                .catch(err => {
+                    console.error('读取图片资源失败:', err);
+                    return null;
+                })
+                .finally(() => this.assetLoads.delete(ref));
+            this.assetLoads.set(ref, load);
+        }
+        return this.assetLoads.get(ref);
+    }
+    
+    // 根据object URL找回资源引用（用于从图标预览中读取选择的图片）
+    getAssetRefForUrl(url) {
+        for (const [ref, assetUrl] of this.assetUrls) {
+            if (assetUrl === url) {
+                return ref;
+            }
+        }
+        return null;
+    }
+    
+    async getAssetDataUrl(ref) {
+        const store = this.getAssetStore();
+        const asset = store ? await store.getAsset(ref.slice(this.assetPrefix.length)) : null;
+        return asset ? this.blobToDataUrl(asset.blob) : null;
+    }
+    
+    async blobToDataUrl(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        return `data:${blob.type || 'application/octet-stream'};base64,${this.bytesToBase64(bytes)}`;
+    }
+    
+    dataUrlToBlob(dataUrl) {
+        const match = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s.exec(dataUrl);
+        if (!match) {
+            return null;
+        }
+        const bytes = match[3]
+            ? this.base64ToBytes(match[4])
+            : new TextEncoder().encode(decodeURIComponent(match[4]));
+        return new Blob([bytes], { type: match[1] });
+    }
+    
+    // 依次将设置中的图片值（壁纸、导航项和工具组子项的图标）替换为mapper的返回值
+    mapImageValues(settings, mapper) {
+        if (typeof settings.wallpaper === 'string' && settings.wallpaper) {
+            settings.wallpaper = mapper(settings.wallpaper);
+        }
+        const items = (settings.navigationItems || []).concat(
+            ...(settings.toolGroups || []).map(group => this.getToolGroupLinks(group))
+        );
+        items.forEach(item => {
+            if (typeof item.icon === 'string' && item.icon) {
+                item.icon = mapper(item.icon);
+            }
+        });
+    }
+    
+    // 返回内嵌了图片资源的设置副本，用于导出、备份和WebDAV同步；没有资源引用时返回原对象
+    async inlineAssets(settings) {
+        const refs = new Set();
+        this.mapImageValues(settings, value => {
+            if (this.isAssetRef(value)) refs.add(value);
+            return value;
+        });
+        if (refs.size === 0) {
+            return settings;
+        }
+        
+        const dataUrls = new Map();
+        for (const ref of refs) {
+            const dataUrl = await this.getAssetDataUrl(ref);
+            if (dataUrl) {
+                dataUrls.set(ref, dataUrl);
+            } else {
+                console.warn(`图片资源不存在，导出时保留引用：${ref}`);
+            }
+        }
+        
+        const copy = JSON.parse(JSON.stringify(settings));
+        this.mapImageValues(copy, value => dataUrls.get(value) || value);
+        return copy;
+    }
+    
+    // 将设置中内嵌的data URI图片存为资源并替换为引用，返回替换表（data URI -> 引用）
+    async storeInlineAssets(settings, extraText = '') {
+        const refs = new Map();
+        // 不支持资源存储时保持内嵌
+        if (!this.getAssetStore() || !this.isSubtleCryptoSupported()) {
+            return refs;
+        }
+        
+        const dataUrls = new Set();
+        this.mapImageValues(settings, value => {
+            if (value.startsWith('data:image')) dataUrls.add(value);
+            return value;
+        });
+        // extraText中base64编码的data URI（如修改历史）也一并保存
+        (extraText.match(/data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=]+/g) || []).forEach(dataUrl => dataUrls.add(dataUrl));
+        
+        for (const dataUrl of dataUrls) {
+            const blob = this.dataUrlToBlob(dataUrl);
+            const ref = blob && await this.storeAsset(blob);
+            if (ref) {
+                refs.set(dataUrl, ref);
+            }
+        }
+        
+        if (refs.size > 0) {
+            this.mapImageValues(settings, value => refs.get(value) || value);
+        }
+        return refs;
+    }
+    
+    // 将当前设置和修改历史中内嵌的图片移到资源存储中（旧数据或导入、同步得到的数据）
+    // 依次执行，返回移动的图片数
+    externalizeInlineAssets() {
+        this.assetTask = this.assetTask.then(() => this.moveInlineAssets());
+        return this.assetTask;
+    }
+    
+    async moveInlineAssets() {
+        try {
+            const historyText = JSON.stringify([this.history.undoStack, this.history.redoStack]);
+            const refs = await this.storeInlineAssets(this.currentSettings, historyText);
+            if (refs.size === 0) {
+                return 0;
+            }
+            
+            this.history.replaceValues(refs);
+            if (!this.savePending) {
+                // 只改变图片的存放位置，不更新时间戳，避免被其他标签页和WebDAV当作新的修改
+                const serialized = JSON.stringify(this.currentSettings);
+                localStorage.setItem(this.storageKey, serialized);
+                this.markSynced(serialized);
+            }
+            console.log(`已将 ${refs.size} 张内嵌图片移到资源存储中`);
+            return refs.size;
+        } catch (err) {
+            console.error('移动内嵌图片失败:', err);
+            return 0;
+        }
+    }
+    
+    // 删除不再被当前设置、各配置保存的设置和修改历史以及历史快照引用的资源，返回删除的数量
+    async collectAssetGarbage() {
+        const store = this.getAssetStore();
+        if (!store) return 0;
+        
+        try {
+            const texts = [
+                JSON.stringify(this.currentSettings),
+                JSON.stringify([this.history.undoStack, this.history.redoStack]),
+                JSON.stringify(await store.listSnapshotSettings())
+            ];
+            this.getProfiles().forEach(profile => {
+                const key = this.getProfileStorageKey(profile.id);
+                texts.push(localStorage.getItem(key) || '', localStorage.getItem(`${key}-history`) || '');
+            });
+            const pattern = new RegExp(`${this.assetPrefix}([0-9a-f]{64})`, 'g');
+            const referenced = new Set();
+            texts.forEach(text => {
+                for (const match of text.matchAll(pattern)) {
+                    referenced.add(match[1]);
+                }
+            });
+            
+            const cutoff = Date.now() - this.assetGracePeriod;
+            const unused = (await store.listAssets())
+                .filter(asset => !referenced.has(asset.id) && asset.created < cutoff)
+                .map(asset => asset.id);
+            if (unused.length > 0) {
+                await store.deleteAssets(unused);
+                unused.forEach(id => {
+                    const ref = `${this.assetPrefix}${id}`;
+                    if (this.assetUrls.has(ref)) {
+                        URL.revokeObjectURL(this.assetUrls.get(ref));
+                        this.assetUrls.delete(ref);
+                    }
+                });
+                console.log(`已清理 ${unused.length} 个未使用的图片资源`);
+            }
+            return unused.length;
+        } catch (err) {
+            console.error('清理图片资源失败:', err);
+            return 0;
+        }
+    }
+    
+    // 历史快照相关方法
+    getSnapshotStore() {
+        if (!this.snapshotStore && this.isIndexedDBSupported()) {
+            this.snapshotStore = new IndexedDBAdapter(this);
+        }
+        return this.snapshotStore;
+    }
+    
+    getSnapshotRetention() {
+        return this.currentSettings.snapshots;
+    }
+    
+    updateSnapshotRetention(updates) {
+        this.currentSettings.snapshots = { ...this.currentSettings.snapshots, ...updates };
+        this.saveSettings();
+        
+        // 按新的保留数清理快照
+        const store = this.getSnapshotStore();
+        if (!store) return Promise.resolve(0);
+        return store.pruneSnapshots(this.currentSettings.snapshots, this.activeProfileId).catch(err => {
+            console.error('清理历史快照失败:', err);
+            return 0;
+        });
+    }
+    
+    // 保存后延迟创建自动快照，连续的修改只触发一次
+    scheduleSnapshot() {
+        if (!this.getSnapshotStore()) return;
+        clearTimeout(this.snapshotTimer);
+        this.snapshotTimer = setTimeout(() => this.createSnapshot('自动保存'), this.snapshotDelay);
+    }
+    
+    // 创建快照，返回快照ID；自动快照距上次不足snapshotInterval时跳过，force为true时总是创建
+    // 设置数据在调用时同步复制，因此可在修改数据前调用以保留修改前的状态
+    async createSnapshot(reason, force = false) {
+        const store = this.getSnapshotStore();
+        if (!store) return null;
+        
+        const settings = JSON.parse(JSON.stringify(this.currentSettings));
+        try {
+            if (!force) {
+                if (this.lastSnapshotTime === null) {
+                    const [latest] = await store.listSnapshotTimes(this.activeProfileId);
+                    this.lastSnapshotTime = latest ? latest.timestamp : 0;
+                }
+                if (Date.now() - this.lastSnapshotTime < this.snapshotInterval) {
+                    return null;
+                }
+            }
+            
+            const id = await store.saveSnapshot(settings, reason, this.currentSettings.snapshots, this.activeProfileId);
+            this.lastSnapshotTime = Date.now();
+            console.log(`已创建历史快照（${reason}）`);
+            // 旧快照清理后，只被它们引用的图片资源也可以删除
+            await this.collectAssetGarbage();
+            return id;
+        } catch (err) {
+            console.error('创建历史快照失败:', err);
+            return null;
+        }
+    }
+    
+    async listSnapshots() {
+        const store = this.getSnapshotStore();
+        return store ? store.listSnapshots(this.activeProfileId) : [];
+    }
+    
+    // 读取快照中的设置数据（已迁移到当前版本并验证），失败时返回null
+    async readSnapshotSettings(id) {
+        const store = this.getSnapshotStore();
+        if (!store) return null;
+        
+        try {
+            const snapshot = await store.getSnapshot(id);
+            if (!snapshot) {
+                this.lastImportError = '快照不存在';
+                return null;
+            }
+            const settings = this.migrateSettings(snapshot.settings);
+            if (!this.validateSettings(settings)) {
+                this.lastImportError = '快照数据无效';
+                return null;
+            }
+            return settings;
+        } catch (err) {
+            this.lastImportError = err instanceof SettingsVersionError ? err.message : '读取快照失败';
+            console.error('读取历史快照失败:', err);
+            return null;
+        }
+    }
+    
+    // 用快照替换当前设置，恢复前会先保存一份当前数据的快照
+    async restoreSnapshot(id) {
+        const settings = await this.readSnapshotSettings(id);
+        if (!settings) return false;
+        
+        this.createSnapshot('恢复前', true);
+        this.runCommand('恢复快照', () => {
+            this.currentSettings = settings;
+            this.ensureSettingsStructure();
+            this.saveSettings();
+        });
+        return true;
+    }
+
+    // 工具组相关方法
+    getToolGroups() {
+        return this.currentSettings.toolGroups;
+    }
+
+    addToolGroup(group) {
+        const newId = Math.max(...this.currentSettings.toolGroups.map(g => g.id), 0) + 1;
+        const newGroup = { id: newId, name: '新工具组', items: [], page: this.getCurrentPageId(), ...group };
+        this.currentSettings.toolGroups.push(newGroup);
+        this.saveSettings();
+        return newGroup;
+    }
+
+    updateToolGroup(id, updates) {
+        const index = this.currentSettings.toolGroups.findIndex(group => group.id === id);
+        if (index !== -1) {
+            this.currentSettings.toolGroups[index] = { ...this.currentSettings.toolGroups[index], ...updates };
+            this.saveSettings();
+            return true;
+        }
+        return false;
+    }
+
+    deleteToolGroup(id) {
+        const index = this.currentSettings.toolGroups.findIndex(group => group.id === id);
+        if (index !== -1) {
+            this.currentSettings.toolGroups.splice(index, 1);
+            this.saveSettings();
+            return true;
+        }
+        return false;
+    }
+
+    addItemToToolGroup(groupId, item) {
+        const group = this.currentSettings.toolGroups.find(g => g.id === groupId);
+        if (group) {
+            // 确保item有id
+            if (!item.id) {
+                const newId = Math.max(...group.items.map(i => i.id), 0) + 1;
+                item.id = newId;
+            }
+            group.items.push(item);
+            this.saveSettings();
+            return true;
+        }
+        return false;
+    }
+
+    // 嵌套工具组相关方法
+    // 工具组的子项中带有items数组的是子工具组，其余为网址；path为从顶层工具组开始的各级工具组id
+    isToolGroupEntry(entry) {
+        return !!entry && typeof entry === 'object' && Array.isArray(entry.items);
+    }
+    
+    // 递归列出工具组及其子工具组中的所有网址
+    getToolGroupLinks(group) {
+        const links = [];
+        (group.items || []).forEach(entry => {
+            if (this.isToolGroupEntry(entry)) {
+                links.push(...this.getToolGroupLinks(entry));
+            } else if (entry) {
+                links.push(entry);
+            }
+        });
+        return links;
+    }
+    
+    // 按路径查找工具组或子工具组，不存在时返回null
+    getToolGroupByPath(path) {
+        if (!Array.isArray(path) || path.length === 0) {
+            return null;
+        }
+        let group = this.currentSettings.toolGroups.find(g => g.id === path[0]) || null;
+        for (const id of path.slice(1)) {
+            if (!group) break;
+            group = group.items.find(entry => this.isToolGroupEntry(entry) && entry.id === id) || null;
+        }
+        return group;
+    }
+    
+    addSubGroup(path, name) {
+        const parent = this.getToolGroupByPath(path);
+        name = (name || '').trim();
+        if (!parent || !name) {
+            return null;
+        }
+        const subGroup = { id: Math.max(...parent.items.map(entry => entry.id || 0), 0) + 1, name, items: [] };
+        parent.items.push(subGroup);
+        this.saveSettings();
+        return subGroup;
+    }
+    
+    updateToolGroupEntry(path, entryId, updates) {
+        const parent = this.getToolGroupByPath(path);
+        const entry = parent && parent.items.find(e => e.id === entryId);
+        if (!entry) {
+            return false;
+        }
+        Object.assign(entry, updates);
+        this.saveSettings();
+        return true;
+    }
+    
+    removeToolGroupEntry(path, entryId) {
+        const parent = this.getToolGroupByPath(path);
+        const index = parent ? parent.items.findIndex(e => e.id === entryId) : -1;
+        if (index === -1) {
+            return false;
+        }
+        parent.items.splice(index, 1);
+        this.saveSettings();
+        return true;
+    }
+    
+    // 将网址或子工具组从fromPath所指的工具组移到toPath所指的工具组，放在beforeId之前（未指定时放在末尾）
+    // 不能把工具组移到它自己或它的子工具组中；目标中id已被占用时重新编号
+    moveToolGroupEntry(fromPath, entryId, toPath, beforeId = null) {
+        const source = this.getToolGroupByPath(fromPath);
+        const target = this.getToolGroupByPath(toPath);
+        const entry = source && source.items.find(e => e.id === entryId);
+        if (!entry || !target) {
+            return false;
+        }
+        const entryPath = fromPath.concat(entryId);
+        if (this.isToolGroupEntry(entry) && entryPath.every((id, index) => toPath[index] === id)) {
+            return false;
+        }
+        
+        source.items.splice(source.items.indexOf(entry), 1);
+        if (source !== target && target.items.some(e => e.id === entry.id)) {
+            entry.id = Math.max(...target.items.map(e => e.id || 0), 0) + 1;
+        }
+        const beforeIndex = beforeId === null ? -1 : target.items.findIndex(e => e.id === beforeId && e !== entry);
+        if (beforeIndex === -1) {
+            target.items.push(entry);
+        } else {
+            target.items.splice(beforeIndex, 0, entry);
+        }
+        this.saveSettings();
+        return true;
+    }
+
+    removeItemFromToolGroup(groupId, itemId) {
+        const group = this.currentSettings.toolGroups.find(g => g.id === groupId);
+        if (group) {
+            const index = group.items.findIndex(item => item.id === itemId);
+            if (index !== -1) {
+                group.items.splice(index, 1);
+                this.saveSettings();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // 搜索设置相关方法
+    getSearchSettings() {
+        return this.currentSettings.search;
+    }
+
+    updateSearchSettings(updates) {
+        this.currentSettings.search = { ...this.currentSettings.search, ...updates };
+        this.saveSettings();
+        return true;
+    }
+
+    getSearchEngine() {
+        return this.currentSettings.search.engine;
+    }
+
+    setSearchEngine(engine) {
+        this.currentSettings.search.engine = engine;
+        this.saveSettings();
+    }
+    
+    // 设置搜索类型
+    setSearchType(type) {
+        this.currentSettings.search.type = type;
+        this.saveSettings();
+    }
+    
+    // 获取搜索类型
+    getSearchType() {
+        return this.currentSettings.search.type;
+    }
+    
+    // 综合搜索：网络搜索时在搜索框下方同时列出匹配的快捷方式、网络搜索和最近搜索，不改变搜索类型
+    isUnifiedSearchEnabled() {
+        return this.currentSettings.search.unified;
+    }
+    
+    setUnifiedSearch(enabled) {
+        this.currentSettings.search.unified = !!enabled;
+        this.saveSettings();
+    }
+    
+    // 自定义搜索引擎相关方法
+    // 搜索引擎：{ id, name, url, icon, keyword }，url为包含%s的网址模板
+    getSearchEngines() {
+        return this.currentSettings.search.engines;
+    }
+    
+    getSearchEngineById(id) {
+        return this.currentSettings.search.engines.find(engine => engine.id === id) || null;
+    }
+    
+    // 当前选择的网络搜索引擎
+    getCurrentSearchEngine() {
+        return this.getSearchEngineById(this.currentSettings.search.engine) || this.currentSettings.search.engines[0];
+    }
+    
+    // 将网址模板中的%s替换为编码后的搜索词
+    buildSearchUrl(engine, query) {
+        return engine.url.split('%s').join(encodeURIComponent(query));
+    }
+    
+    isValidSearchEngine(engine) {
+        return !!engine && typeof engine === 'object' && typeof engine.id === 'string' &&
+            typeof engine.name === 'string' && typeof engine.url === 'string' && engine.url.includes('%s');
+    }
+    
+    // 检查搜索引擎或搜索关键词的名称、网址模板和关键词，有效时返回null；excludeId为正在编辑的条目
+    // 搜索引擎和关键词表共用同一组关键词，不能重复
+    getSearchEngineError({ name, url, keyword }, excludeId = null) {
+        if (!name || !name.trim()) {
+            return '请输入名称';
+        }
+        if (!url || !url.includes('%s')) {
+            return '网址模板中必须包含%s（代表搜索词）';
+        }
+        keyword = (keyword || '').trim().replace(/^!/, '');
+        if (keyword) {
+            if (/\s/.test(keyword)) {
+                return '关键词不能包含空格';
+            }
+            const duplicate = this.getKeywordSearchTargets().find(target =>
+                target.id !== excludeId && target.keyword.toLowerCase() === keyword.toLowerCase());
+            if (duplicate) {
+                return `关键词"${keyword}"已被"${duplicate.name}"使用`;
+            }
+        }
+        return null;
+    }
+    
+    addSearchEngine({ name, url, icon = '', keyword = '' }) {
+        const error = this.getSearchEngineError({ name, url, keyword });
+        if (error) {
+            console.error('添加搜索引擎失败:', error);
+            return null;
+        }
+        const numbers = this.currentSettings.search.engines
+            .map(engine => parseInt((engine.id.match(/^engine-(\d+)$/) || [])[1], 10) || 0);
+        const engine = {
+            id: `engine-${Math.max(...numbers, 0) + 1}`,
+            name: name.trim(),
+            url: url.trim(),
+            icon: icon || '',
+            keyword: keyword.trim().replace(/^!/, '')
+        };
+        this.currentSettings.search.engines.push(engine);
+        this.saveSettings();
+        return engine;
+    }
+    
+    updateSearchEngine(id, updates) {
+        const engine = this.getSearchEngineById(id);
+        if (!engine) {
+            return false;
+        }
+        const next = { ...engine, ...updates, id };
+        const error = this.getSearchEngineError(next, id);
+        if (error) {
+            console.error('更新搜索引擎失败:', error);
+            return false;
+        }
+        Object.assign(engine, next, { name: next.name.trim(), url: next.url.trim(), keyword: (next.keyword || '').trim().replace(/^!/, '') });
+        this.saveSettings();
+        return true;
+    }
+    
+    // 删除搜索引擎，至少保留一个；删除的是所选引擎时改用第一个
+    deleteSearchEngine(id) {
+        const engines = this.currentSettings.search.engines;
+        const index = engines.findIndex(engine => engine.id === id);
+        if (index === -1 || engines.length <= 1) {
+            return false;
+        }
+        engines.splice(index, 1);
+        if (this.currentSettings.search.engine === id) {
+            this.currentSettings.search.engine = engines[0].id;
+        }
+        this.saveSettings();
+        return true;
+    }
+    
+    moveSearchEngine(id, direction) {
+        const engines = this.currentSettings.search.engines;
+        const index = engines.findIndex(engine => engine.id === id);
+        const targetIndex = direction === 'up' ? index - 1 : index + 1;
+        if (index === -1 || targetIndex < 0 || targetIndex >= engines.length) {
+            return false;
+        }
+        [engines[index], engines[targetIndex]] = [engines[targetIndex], engines[index]];
+        this.saveSettings();
+        return true;
+    }
+    
+    // 搜索关键词相关方法
+    // 关键词表中的条目：{ id, keyword, name, url, icon }，url为包含%s的网址模板
+    getSearchKeywords() {
+        return this.currentSettings.search.keywords;
+    }
+    
+    isValidSearchKeyword(entry) {
+        return this.isValidSearchEngine(entry) && typeof entry.keyword === 'string' && /^[^\s!]+$/.test(entry.keyword);
+    }
+    
+    // 可以通过关键词使用的搜索目标：关键词表和设置了关键词的搜索引擎
+    getKeywordSearchTargets() {
+        return this.currentSettings.search.keywords
+            .concat(this.currentSettings.search.engines.filter(engine => engine.keyword));
+    }
+    
+    addSearchKeyword({ keyword, name, url, icon = '' }) {
+        keyword = (keyword || '').trim().replace(/^!/, '');
+        const error = keyword ? this.getSearchEngineError({ name, url, keyword }) : '请输入关键词';
+        if (error) {
+            console.error('添加搜索关键词失败:', error);
+            return null;
+        }
+        const numbers = this.currentSettings.search.keywords
+            .map(entry => parseInt((entry.id.match(/^keyword-(\d+)$/) || [])[1], 10) || 0);
+        const entry = {
+            id: `keyword-${Math.max(...numbers, 0) + 1}`,
+            keyword,
+            name: name.trim(),
+            url: url.trim(),
+            icon: icon || ''
+        };
+        this.currentSettings.search.keywords.push(entry);
+        this.saveSettings();
+        return entry;
+    }
+    
+    updateSearchKeyword(id, updates) {
+        const entry = this.currentSettings.search.keywords.find(e => e.id === id);
+        if (!entry) {
+            return false;
+        }
+        const next = { ...entry, ...updates, id };
+        next.keyword = (next.keyword || '').trim().replace(/^!/, '');
+        const error = next.keyword ? this.getSearchEngineError(next, id) : '请输入关键词';
+        if (error) {
+            console.error('更新搜索关键词失败:', error);
+            return false;
+        }
+        Object.assign(entry, next, { name: next.name.trim(), url: next.url.trim() });
+        this.saveSettings();
+        return true;
+    }
+    
+    deleteSearchKeyword(id) {
+        const keywords = this.currentSettings.search.keywords;
+        const index = keywords.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return false;
+        }
+        keywords.splice(index, 1);
+        this.saveSettings();
+        return true;
+    }
+    
+    // 检查导航项的关键词，有效时返回null；导航项之间不能重复，可以与搜索关键词相同
+    getItemKeywordError(keyword, itemId = null) {
+        keyword = (keyword || '').trim();
+        if (!keyword) {
+            return null;
+        }
+        if (/[\s!]/.test(keyword)) {
+            return '关键词不能包含空格或"!"';
+        }
+        const duplicate = this.currentSettings.navigationItems.find(item =>
+            item.id !== itemId && (item.keyword || '').toLowerCase() === keyword.toLowerCase());
+        return duplicate ? `关键词"${keyword}"已被"${duplicate.name}"使用` : null;
+    }
+    
+    // 清除导航项中重复的关键词（不区分大小写），先出现的导航项保留关键词，返回清除的数量
+    clearDuplicateItemKeywords(items) {
+        const used = new Set();
+        let cleared = 0;
+        items.forEach(item => {
+            if (!item.keyword) return;
+            const key = item.keyword.toLowerCase();
+            if (used.has(key)) {
+                item.keyword = '';
+                cleared++;
+            } else {
+                used.add(key);
+            }
+        });
+        return cleared;
+    }
+    
+    // 解析搜索框中的关键词，返回要打开的{ url, name }，不是关键词时返回null
+    // 支持"gh"（只输入导航项的关键词）、"!gh react"、"react !gh"和"gh react"
+    parseSearchShortcut(input) {
+        const text = (input || '').trim();
+        const parts = text.split(/\s+/);
+        const findTarget = (keyword) => this.getKeywordSearchTargets()
+            .find(target => target.keyword.toLowerCase() === keyword.toLowerCase());
+        const findItem = (keyword) => this.currentSettings.navigationItems
+            .find(item => item.keyword && item.keyword.toLowerCase() === keyword.toLowerCase());
+        
+        // 只有一个词：导航项的关键词打开该导航项，"!搜索关键词"打开网站首页
+        if (parts.length === 1) {
+            const keyword = parts[0].replace(/^!/, '');
+            if (!keyword) return null;
+            const item = findItem(keyword);
+            if (item) {
+                return { url: item.url, name: item.name };
+            }
+            const target = parts[0].startsWith('!') && findTarget(keyword);
+            if (target) {
+                try {
+                    return { url: new URL(target.url.split('%s').join('')).origin, name: target.name };
+                } catch (e) {
+                    return null;
+                }
+            }
+            return null;
+        }
+        
+        // "!关键词"可以在开头或结尾，不带"!"的关键词只能在开头
+        let keyword = null;
+        let terms = parts;
+        if (parts[0].startsWith('!')) {
+            keyword = parts[0].slice(1);
+            terms = parts.slice(1);
+        } else if (parts[parts.length - 1].startsWith('!')) {
+            keyword = parts[parts.length - 1].slice(1);
+            terms = parts.slice(0, -1);
+        } else {
+            keyword = parts[0];
+            terms = parts.slice(1);
+        }
+        
+        const target = keyword && findTarget(keyword);
+        if (!target) {
+            return null;
+        }
+        return { url: this.buildSearchUrl(target, terms.join(' ')), name: target.name };
+    }
+    
+    // 解析OpenSearch描述文件（XML），返回{ name, url, icon }，失败时返回null并记录原因
+    // 只使用返回网页（text/html）的搜索地址，{searchTerms}替换为%s，可选参数去掉
+    parseOpenSearchDescription(xml) {
+        this.lastImportError = null;
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const root = doc.documentElement;
+        if (!root || root.localName !== 'OpenSearchDescription' || doc.getElementsByTagName('parsererror').length > 0) {
+            this.lastImportError = '不是有效的OpenSearch描述文件';
+            return null;
+        }
+        
+        const child = (name) => Array.from(root.children).filter(el => el.localName === name);
+        const urlElement = child('Url').find(el => (el.getAttribute('type') || '').split(';')[0].trim() === 'text/html');
+        const template = urlElement && urlElement.getAttribute('template');
+        if (!template || !template.includes('{searchTerms}')) {
+            this.lastImportError = '描述文件中没有网页搜索地址';
+            return null;
+        }
+        if ((urlElement.getAttribute('method') || 'get').toLowerCase() !== 'get') {
+            this.lastImportError = '只支持使用GET方式的搜索地址';
+            return null;
+        }
+        
+        // 描述文件的编码参数中常用的值直接填入，其余必填参数无法替换
+        const values = { inputEncoding: 'UTF-8', outputEncoding: 'UTF-8', language: '*', startIndex: '1', startPage: '1', count: '20' };
+        let unsupported = null;
+        const url = template.replace(/\{([^}]+)\}/g, (match, param) => {
+            const optional = param.endsWith('?');
+            const name = param.replace(/\?$/, '').replace(/^[^:]*:/, '');
+            if (name === 'searchTerms') return '%s';
+            if (optional) return '\u0000';
+            if (values[name] !== undefined) return values[name];
+            unsupported = param;
+            return match;
+        })
+            // 去掉值为可选参数的查询参数
+            .replace(/([?&])[^=&?#]*=\u0000(&|(?=#)|$)/g, (match, separator, next) => next === '&' ? separator : '')
+            .replace(/\u0000/g, '');
+        if (unsupported) {
+            this.lastImportError = `不支持的搜索参数{${unsupported}}`;
+            return null;
+        }
+        
+        const text = (name) => (child(name)[0] || { textContent: '' }).textContent.trim();
+        const images = child('Image').map(el => el.textContent.trim()).filter(src => /^(https?:|data:image\/)/i.test(src));
+        return {
+            name: text('ShortName') || text('LongName'),
+            url,
+            icon: images[0] || ''
+        };
+    }
+    
+    // 列出所有可搜索的网址：网格中的导航项和各级工具组中的网址，groupNames为所在工具组的名称路径
+    getSearchableItems() {
+        const entries = this.currentSettings.navigationItems.map(item => ({ item, groupNames: [] }));
+        const walk = (group, names) => {
+            group.items.forEach(entry => {
+                if (this.isToolGroupEntry(entry)) {
+                    walk(entry, names.concat(entry.name));
+                } else if (entry && typeof entry.url === 'string') {
+                    entries.push({ item: entry, groupNames: names });
+                }
+            });
+        };
+        this.currentSettings.toolGroups.forEach(group => walk(group, [group.name]));
+        return entries;
+    }
+    
+    // 为单个网址计算匹配分数，不匹配时返回null
+    // 关键词完全相同时分数最高；名称、标签、网址的权重依次为100、40、20，乘以各自的匹配程度后取最高的一项
+    // nameRanges为名称中匹配部分的[开始, 结束)位置，用于高亮
+    matchSearchItem(item, searchTerm) {
+        if (item.keyword && item.keyword.toLowerCase() === searchTerm) {
+            return { score: 120, nameRanges: [] };
+        }
+        
+        const nameMatch = this.matchSearchText(item.name || '', searchTerm);
+        const tagQuality = Math.max(0, ...(item.tags || []).map(tag => {
+            const match = this.matchSearchText(String(tag), searchTerm);
+            return match ? match.quality : 0;
+        }));
+        // 网址中的字母随意组合都能构成模糊匹配，只做普通的包含匹配
+        const urlMatch = this.matchSearchText(item.url || '', searchTerm, { pinyin: false, fuzzy: false });
+        
+        const score = Math.max(
+            nameMatch ? 100 * nameMatch.quality : 0,
+            40 * tagQuality,
+            urlMatch ? 20 * urlMatch.quality : 0
+        );
+        if (score === 0) {
+            return null;
+        }
+        return { score: Math.round(score), nameRanges: nameMatch ? nameMatch.ranges : [] };
+    }
+    
+    // 在文本中匹配搜索词，返回{ quality, ranges }，不匹配时返回null
+    // quality：完全相同1 > 开头0.8 > 拼音从开头匹配0.7 > 包含0.6 > 拼音从中间匹配0.5 > 模糊匹配0.2~0.4
+    matchSearchText(text, searchTerm, { pinyin = true, fuzzy = true } = {}) {
+        const lowerText = text.toLowerCase();
+        const index = lowerText.indexOf(searchTerm);
+        if (index !== -1) {
+            const quality = lowerText === searchTerm ? 1 : index === 0 ? 0.8 : 0.6;
+            return { quality, ranges: [[index, index + searchTerm.length]] };
+        }
+        
+        const pinyinMatch = pinyin ? this.matchPinyin(text, searchTerm) : null;
+        if (pinyinMatch) {
+            return pinyinMatch;
+        }
+        return fuzzy ? this.matchFuzzy(lowerText, searchTerm) : null;
+    }
+    
+    // 拼音匹配：每个汉字可以用完整拼音或拼音的开头匹配，支持全拼（zhihu）、首字母（zh）和混合（zhih）
+    // 其他字符需要原样匹配，文本和搜索词中的空白都忽略
+    matchPinyin(text, searchTerm) {
+        const query = searchTerm.replace(/\s+/g, '');
+        const tokens = [];
+        let position = 0;
+        for (const char of text) {
+            if (!/\s/.test(char)) {
+                const syllables = pinyinConverter.getSyllables(char);
+                tokens.push({
+                    // ü在拼音中写作v，也允许用u输入
+                    syllables: syllables.length > 0
+                        ? [...new Set(syllables.flatMap(syllable => [syllable, syllable.replace(/v/g, 'u')]))]
+                        : null,
+                    char: char.toLowerCase(),
+                    start: position,
+                    end: position + char.length
+                });
+            }
+            position += char.length;
+        }
+        if (!query || !tokens.some(token => token.syllables)) {
+            return null;
+        }
+        
+        // 从第tokenIndex个字开始匹配搜索词的第queryIndex个字符之后的部分，返回匹配结束的位置，失败时返回-1
+        // 同一个字可以匹配不同长度的拼音，记录已尝试过的组合避免重复回溯
+        const memo = new Map();
+        const matchFrom = (tokenIndex, queryIndex) => {
+            if (queryIndex === query.length) {
+                return tokenIndex;
+            }
+            const token = tokens[tokenIndex];
+            if (!token) {
+                return -1;
+            }
+            const key = `${tokenIndex}:${queryIndex}`;
+            if (memo.has(key)) {
+                return memo.get(key);
+            }
+            
+            let end = -1;
+            if (!token.syllables) {
+                if (query.startsWith(token.char, queryIndex)) {
+                    end = matchFrom(tokenIndex + 1, queryIndex + token.char.length);
+                }
+            } else {
+                // 优先尝试完整的拼音
+                for (const syllable of token.syllables) {
+                    for (let length = Math.min(syllable.length, query.length - queryIndex); length > 0 && end === -1; length--) {
+                        if (query.startsWith(syllable.slice(0, length), queryIndex)) {
+                            end = matchFrom(tokenIndex + 1, queryIndex + length);
+                        }
+                    }
+                }
+            }
+            memo.set(key, end);
+            return end;
+        };
+        
+        for (let start = 0; start < tokens.length; start++) {
+            const end = matchFrom(start, 0);
+            if (end !== -1) {
+                return {
+                    quality: start === 0 ? 0.7 : 0.5,
+                    ranges: [[tokens[start].start, tokens[end - 1].end]]
+                };
+            }
+        }
+        return null;
+    }
+    
+    // 模糊匹配：搜索词的字符按顺序出现在文本中即可（gthb → github），匹配的字符越紧凑分数越高
+    // 匹配范围超过搜索词长度三倍的视为巧合，不算匹配
+    matchFuzzy(lowerText, searchTerm) {
+        const query = searchTerm.replace(/\s+/g, '');
+        if (query.length < 2) {
+            return null;
+        }
+        
+        // 从每个可能的起点贪心向后匹配，取跨度最小的一组位置
+        let best = null;
+        for (let start = lowerText.indexOf(query[0]); start !== -1; start = lowerText.indexOf(query[0], start + 1)) {
+            const positions = [start];
+            for (let i = 1; i < query.length; i++) {
+                const next = lowerText.indexOf(query[i], positions[i - 1] + 1);
+                if (next === -1) break;
+                positions.push(next);
+            }
+            if (positions.length < query.length) {
+                // 更靠后的起点同样匹配不完
+                break;
+            }
+            const span = positions[positions.length - 1] - start + 1;
+            if (!best || span < best.span) {
+                best = { span, positions };
+            }
+        }
+        if (!best || best.span > query.length * 3) {
+            return null;
+        }
+        
+        // 相邻的匹配字符合并为一段高亮
+        const ranges = [];
+        best.positions.forEach(position => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === position) {
+                last[1] = position + 1;
+            } else {
+                ranges.push([position, position + 1]);
+            }
+        });
+        return { quality: 0.2 + 0.2 * query.length / best.span, ranges };
+    }
+    
+    // 搜索导航项（包括工具组中的网址），按分数从高到低排序，同分时网格中的导航项在前
+    // 返回[{ item, groupNames, score, nameRanges }]
+    searchNavigationItems(query) {
+        if (!query || query.trim() === '') {
+            return [];
+        }
+        
+        const searchTerm = query.toLowerCase().trim();
+        const results = [];
+        this.getSearchableItems().forEach(({ item, groupNames }, order) => {
+            const match = this.matchSearchItem(item, searchTerm);
+            if (match) {
+                results.push({ item, groupNames, order, ...match });
+            }
+        });
+        
+        return results
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .map(({ order, ...result }) => result);
+    }
+    
+    // 最近搜索：按配置保存在单独的localStorage键中，不属于设置数据，不随设置导出，也不记入修改历史
+    getRecentSearchesKey() {
+        return `${this.storageKey}-recent-searches`;
+    }
+    
+    // 返回最近的搜索词，最新的在前
+    getRecentSearches() {
+        try {
+            const queries = JSON.parse(localStorage.getItem(this.getRecentSearchesKey()) || '[]');
+            return Array.isArray(queries) ? queries.filter(query => typeof query === 'string') : [];
+        } catch (error) {
+            console.error('读取最近搜索失败:', error);
+            return [];
+        }
+    }
+    
+    // 记录一次网络搜索，相同的搜索词移到最前面
+    addRecentSearch(query) {
+        const trimmedQuery = (query || '').trim();
+        if (!trimmedQuery) {
+            return false;
+        }
+        const queries = [trimmedQuery, ...this.getRecentSearches().filter(q => q !== trimmedQuery)];
+        return this.saveRecentSearches(queries.slice(0, this.recentSearchLimit));
+    }
+    
+    removeRecentSearch(query) {
+        return this.saveRecentSearches(this.getRecentSearches().filter(q => q !== query));
+    }
+    
+    clearRecentSearches() {
+        localStorage.removeItem(this.getRecentSearchesKey());
+    }
+    
+    saveRecentSearches(queries) {
+        try {
+            localStorage.setItem(this.getRecentSearchesKey(), JSON.stringify(queries));
+            return true;
+        } catch (error) {
+            console.error('保存最近搜索失败:', error);
+            return false;
+        }
+    }
+    
+    // 标签相关方法
+    addTag(tagName) {
+        if (!tagName || tagName.trim() === '') {
+            return false;
+        }
+        
+        const trimmedTagName = tagName.trim();
+        if (!this.currentSettings.tags.includes(trimmedTagName)) {
+            this.currentSettings.tags.push(trimmedTagName);
+            this.saveSettings();
+            return true;
+        }
+        return false;
+    }
+    
+    removeTag(tagName) {
+        const index = this.currentSettings.tags.indexOf(tagName);
+        if (index !== -1) {
+            this.currentSettings.tags.splice(index, 1);
+            // 从所有导航项中移除该标签
+            this.currentSettings.navigationItems.forEach(item => {
+                const itemIndex = item.tags.indexOf(tagName);
+                if (itemIndex !== -1) {
+                    item.tags.splice(itemIndex, 1);
+                }
+            });
+            this.saveSettings();
+            return true;
+        }
+        return false;
+    }
+    
+    getAllTags() {
+        return this.currentSettings.tags;
+    }
+    
+    addTagToItem(itemId, tagName) {
+        const item = this.currentSettings.navigationItems.find(item => item.id === itemId);
+        if (item) {
+            // 确保标签存在
+            this.addTag(tagName);
+            if (!item.tags.includes(tagName)) {
+                item.tags.push(tagName);
+                this.saveSettings();
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    removeTagFromItem(itemId, tagName) {
+        const item = this.currentSettings.navigationItems.find(item => item.id === itemId);
+        if (item) {
+            const index = item.tags.indexOf(tagName);
+            if (index !== -1) {
+                item.tags.splice(index, 1);
+                this.saveSettings();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    getSearchOpacity() {
+        return this.currentSettings.search.opacity;
+    }
+
+    setSearchOpacity(opacity) {
+        this.currentSettings.search.opacity = opacity;
+        this.saveSettings();
+    }
+
+    getTextColor() {
+        return this.currentSettings.textColor;
+    }
+
+    setTextColor(color) {
+        this.currentSettings.textColor = color;
+        this.saveSettings();
+    }
+}
+
+// 主应用类：负责UI渲染、事件处理和用户交互
+class NavigationApp {
+    constructor() {
+        this.model = new NavigationModel();
+        this.currentContextMenu = null;
+        this.currentEditItemId = null;
+        this.init();
+    }
+
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.renderNavigationGrid();
+        this.updateWallpaper();
+        this.updateLayoutControls();
+        this.renderNavList();
+        this.renderToolgroupList();
+        this.renderPageList();
+        this.initSearchSettings();
+        this.initTextColorSettings();
+        this.renderTagFilterOptions();
+        this.hideAllMenus();
+        
+        // 导入和恢复数据时先展示差异，由用户选择合并或替换
+        this.model.importResolver = (incoming) => this.openImportMergeModal(incoming);
+        
+        // 导入或恢复加密文件时弹出口令输入框
+        this.model.passphraseResolver = (message) => this.openPassphraseModal(message);
+        
+        // 图片资源读取完成后重新渲染（合并同一时间完成的多次读取）
+        this.model.assetListener = () => {
+            clearTimeout(this.assetRenderTimer);
+            this.assetRenderTimer = setTimeout(() => this.refreshSettingsViews(), 50);
+        };
+        // 将旧数据中内嵌的图片移到资源存储中，并清理不再使用的资源
+        this.model.externalizeInlineAssets().then(() => this.model.collectAssetGarbage());
+        
+        // 显示保存状态
+        this.model.saveStatusListener = (status, message) => this.updateSaveStatus(status, message);
+        
+        // 存储空间即将用尽或已满时提示
+        this.model.storageWarningListener = (level, ratio) => this.handleStorageWarning(level, ratio);
+        
+        // 从备份恢复时列出备份目录中的文件供选择
+        this.model.backupResolver = (backups) => this.openBackupPickerModal(backups);
+        
+        // 存储文件的访问权限失效时提示重新连接
+        this.model.filePermissionListener = (fileName) => this.showStorageReconnectBanner(fileName);
+        
+        // 显示当前配置
+        this.renderProfileSwitcher();
+        this.updateProfileBackendNotice();
+        
+        // 其他标签页修改设置后同步刷新界面
+        this.model.initCrossTabSync((reason) => this.handleExternalSettingsChange(reason));
+        
+        // 恢复上次选择的存储后端（如WebDAV同步）
+        this.initWebDAVSettings();
+        this.restoreStorageBackend();
+    }
+
+    // 初始化文字颜色设置
+    initTextColorSettings() {
+        const textColor = this.model.getTextColor();
+        this.textColorPicker.value = textColor;
+        this.textColorHexInput.value = textColor;
+        this.updateColorPreview(textColor);
+    }
+
+    // 更新文字颜色
+    updateTextColor(color) {
+        this.model.setTextColor(color);
+        this.textColorHexInput.value = color;
+        this.updateColorPreview(color);
+        this.renderNavigationGrid();
+    }
+
+    // 从十六进制输入更新文字颜色
+    updateTextColorFromHex(hexValue) {
+        // 验证十六进制颜色格式
+        const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+        if (hexRegex.test(hexValue)) {
+            this.model.setTextColor(hexValue);
+            this.textColorPicker.value = hexValue;
+            this.updateColorPreview(hexValue);
+            this.renderNavigationGrid();
+        }
+    }
+
+    // 恢复默认文字颜色
+    resetTextColor() {
+        const defaultColor = this.model.defaultSettings.textColor;
+        this.updateTextColor(defaultColor);
+    }
+
+    // 更新颜色预览
+    updateColorPreview(color) {
+        this.colorPreview.style.color = color;
+    }
+
+    cacheElements() {
+        // 主元素
+        this.wallpaperElement = document.getElementById('wallpaper');
+        this.navGrid = document.getElementById('nav-grid');
+        this.settingsPanel = document.getElementById('settings-panel');
+        this.settingsToggle = document.getElementById('settings-toggle');
+        this.closeSettings = document.getElementById('close-settings');
+        this.addNavBtn = document.getElementById('add-nav-btn');
+
+        // 搜索相关元素
+        this.searchComponent = document.querySelector('.search-component');
+        this.searchEngineSelect = document.getElementById('search-engine');
+        this.searchInput = document.getElementById('search-input');
+        this.searchResultsContainer = document.getElementById('search-results-container');
+        // 本地搜索结果（或综合搜索的下拉列表）和选中项的位置
+        this.searchResults = [];
+        this.searchSelectedIndex = -1;
+        // 综合搜索时最多列出的快捷方式和最近搜索条数
+        this.unifiedShortcutLimit = 5;
+        this.unifiedRecentLimit = 5;
+        this.unifiedSearchCheckbox = document.getElementById('unified-search');
+        this.clearRecentSearchesBtn = document.getElementById('clear-recent-searches');
+        this.searchEngineList = document.getElementById('search-engine-list');
+        this.addSearchEngineBtn = document.getElementById('add-search-engine');
+        this.importOpenSearchBtn = document.getElementById('import-opensearch');
+        this.openSearchFile = document.getElementById('opensearch-file');
+        this.searchEngineModal = document.getElementById('search-engine-modal');
+        this.searchEngineModalTitle = document.getElementById('search-engine-modal-title');
+        this.searchEngineForm = document.getElementById('search-engine-form');
+        this.searchEngineNameInput = document.getElementById('search-engine-name');
+        this.searchEngineUrlInput = document.getElementById('search-engine-url');
+        this.searchEngineIconInput = document.getElementById('search-engine-icon');
+        this.searchEngineKeywordInput = document.getElementById('search-engine-keyword');
+        this.searchKeywordList = document.getElementById('search-keyword-list');
+        this.addSearchKeywordBtn = document.getElementById('add-search-keyword');
+        // 正在编辑的搜索引擎或搜索关键词id，null表示添加；编辑框由两者共用
+        this.currentEditEngineId = null;
+        this.currentEditEngineKind = 'engine';
+
+        // 右键菜单
+        this.iconContextMenu = document.getElementById('icon-context-menu');
+        this.wallpaperContextMenu = document.getElementById('wallpaper-context-menu');
+        this.toolgroupContextMenu = document.getElementById('toolgroup-context-menu');
+
+        // 工具组相关元素
+        this.toolgroupPanel = document.getElementById('toolgroup-panel');
+        this.toolgroupPanelTitle = document.getElementById('toolgroup-panel-title');
+        this.closeToolgroupPanelBtn = document.getElementById('close-toolgroup-panel');
+        this.toolgroupItems = document.getElementById('toolgroup-items');
+        this.addSubgroupBtn = document.getElementById('add-subgroup');
+        this.toolgroupPagination = document.getElementById('toolgroup-pagination');
+        this.toolgroupPrevPageBtn = document.getElementById('toolgroup-prev-page');
+        this.toolgroupNextPageBtn = document.getElementById('toolgroup-next-page');
+        this.toolgroupPageInfo = document.getElementById('toolgroup-page-info');
+        this.toolgroupEntryContextMenu = document.getElementById('toolgroup-entry-context-menu');
+        this.toolgroupSelectModal = document.getElementById('toolgroup-select-modal');
+        this.toolgroupSelectList = document.getElementById('toolgroup-select-list');
+        this.createNewToolgroupBtn = document.getElementById('create-new-toolgroup');
+        this.selectToolgroupBtn = document.querySelector('.select-toolgroup');
+        this.toolgroupEditModal = document.getElementById('toolgroup-edit-modal');
+        this.toolgroupEditTitle = document.getElementById('toolgroup-edit-title');
+        this.toolgroupEditForm = document.getElementById('toolgroup-edit-form');
+        this.toolgroupNameInput = document.getElementById('toolgroup-name');
+        
+        // 确认删除模态框
+        this.confirmDeleteModal = document.getElementById('confirm-delete-modal');
+        this.confirmDeleteMessage = document.getElementById('confirm-delete-message');
+        this.confirmDeleteTitle = document.getElementById('confirm-delete-title');
+        this.confirmDeleteOk = document.getElementById('confirm-delete-ok');
+        this.confirmDeleteCancel = document.getElementById('confirm-delete-cancel');
+
+        // 设置面板元素
+        this.wallpaperUpload = document.getElementById('wallpaper-upload');
+        this.wallpaperPreview = document.getElementById('wallpaper-preview');
+        this.resetWallpaperBtn = document.getElementById('reset-wallpaper');
+        this.navList = document.getElementById('nav-list');
+        this.addNavItemBtn = document.getElementById('add-nav-item');
+        this.toolgroupList = document.getElementById('toolgroup-list');
+        this.addToolgroupBtn = document.getElementById('add-toolgroup');
+        this.pageList = document.getElementById('page-list');
+        this.addPageBtn = document.getElementById('add-page');
+        this.pageIndicator = document.getElementById('page-indicator');
+        this.pageLayoutOverrideCheckbox = document.getElementById('page-layout-override');
+        this.pageLayoutName = document.getElementById('page-layout-name');
+        this.columnsSlider = document.getElementById('columns');
+        this.columnsValue = document.getElementById('columns-value');
+        this.spacingSlider = document.getElementById('spacing');
+        this.spacingValue = document.getElementById('spacing-value');
+        this.iconSizeSlider = document.getElementById('icon-size');
+        this.iconSizeValue = document.getElementById('icon-size-value');
+        this.searchOpacitySlider = document.getElementById('search-opacity');
+        this.searchOpacityValue = document.getElementById('search-opacity-value');
+        this.exportDataBtn = document.getElementById('export-data');
+        this.importDataBtn = document.getElementById('import-data');
+        this.exportBookmarksBtn = document.getElementById('export-bookmarks');
+        this.exportBundleBtn = document.getElementById('export-bundle');
+        this.importFile = document.getElementById('import-file');
+        this.resetDataBtn = document.getElementById('reset-data');
+        
+        // 书签导入预览
+        this.bookmarkImportModal = document.getElementById('bookmark-import-modal');
+        this.bookmarkImportList = document.getElementById('bookmark-import-list');
+        this.bookmarkImportSelectAll = document.getElementById('bookmark-import-select-all');
+        this.bookmarkImportSummary = document.getElementById('bookmark-import-summary');
+        this.bookmarkImportConfirm = document.getElementById('bookmark-import-confirm');
+        
+        // 历史快照
+        this.snapshotList = document.getElementById('snapshot-list');
+        this.snapshotLimitInput = document.getElementById('snapshot-limit');
+        this.snapshotDailyDays = document.getElementById('snapshot-daily-days');
+        this.createSnapshotBtn = document.getElementById('create-snapshot');
+        
+        // 导入合并
+        this.importMergeModal = document.getElementById('import-merge-modal');
+        this.importMergeSummary = document.getElementById('import-merge-summary');
+        this.importMergeList = document.getElementById('import-merge-list');
+        this.importMergeConfirm = document.getElementById('import-merge-confirm');
+        this.importMergeReplace = document.getElementById('import-merge-replace');
+        
+        // 加密导出与解密口令
+        this.exportPassphraseInput = document.getElementById('export-passphrase');
+        this.clearExportPassphraseBtn = document.getElementById('clear-export-passphrase');
+        this.passphraseModal = document.getElementById('passphrase-modal');
+        this.passphraseForm = document.getElementById('passphrase-form');
+        this.passphraseMessage = document.getElementById('passphrase-message');
+        this.passphraseInput = document.getElementById('passphrase-input');
+        
+        // 文件存储控制
+        this.enableFileStorageCheckbox = document.getElementById('enable-file-storage');
+        this.selectStorageFileBtn = document.getElementById('select-storage-file');
+
+        this.restoreBackupBtn = document.getElementById('restore-backup');
+        
+        // 保存状态
+        this.saveStatusIndicator = document.getElementById('save-status');
+        
+        // 配置（工作区）
+        this.profileToggle = document.getElementById('profile-toggle');
+        this.profileMenu = document.getElementById('profile-menu');
+        this.profileMenuList = document.getElementById('profile-menu-list');
+        this.profileManageBtn = document.getElementById('profile-manage');
+        this.profileModal = document.getElementById('profile-modal');
+        this.profileList = document.getElementById('profile-list');
+        this.profileCreateForm = document.getElementById('profile-create-form');
+        this.newProfileNameInput = document.getElementById('new-profile-name');
+        this.newProfileSourceSelect = document.getElementById('new-profile-source');
+        this.profileCopyModal = document.getElementById('profile-copy-modal');
+        this.profileCopyTitle = document.getElementById('profile-copy-title');
+        this.profileCopyList = document.getElementById('profile-copy-list');
+        this.profileCopyConfirmBtn = document.getElementById('profile-copy-confirm');
+        this.profileBackendNotice = document.getElementById('profile-backend-notice');
+        
+        // 备份目录
+        this.backupDirectoryStatus = document.getElementById('backup-directory-status');
+        this.chooseBackupDirectoryBtn = document.getElementById('choose-backup-directory');
+        this.backupNowBtn = document.getElementById('backup-now');
+        this.forgetBackupDirectoryBtn = document.getElementById('forget-backup-directory');
+        this.backupLimitInput = document.getElementById('backup-limit');
+        this.backupPickerModal = document.getElementById('backup-picker-modal');
+        this.backupPickerList = document.getElementById('backup-picker-list');
+        this.backupPickerBrowseBtn = document.getElementById('backup-picker-browse');
+        
+        // 存储空间
+        this.storageUsageSection = document.getElementById('storage-usage-section');
+        this.storageRecoveryNotice = document.getElementById('storage-recovery-notice');
+        this.storageUsageSummary = document.getElementById('storage-usage-summary');
+        this.storageUsageFill = document.getElementById('storage-usage-fill');
+        this.storageUsageDetails = document.getElementById('storage-usage-details');
+        this.storageUsageList = document.getElementById('storage-usage-list');
+        this.purgeFaviconCacheBtn = document.getElementById('purge-favicon-cache');
+        this.compressWallpaperBtn = document.getElementById('compress-wallpaper');
+        this.moveImagesToIdbBtn = document.getElementById('move-images-to-idb');
+        this.clearUndoHistoryBtn = document.getElementById('clear-undo-history');
+        
+        // 存储后端
+        this.storageBackendList = document.getElementById('storage-backend-list');
+        this.storageReconnectBanner = document.getElementById('storage-reconnect-banner');
+        this.storageReconnectMessage = document.getElementById('storage-reconnect-message');
+        this.storageReconnectBtn = document.getElementById('storage-reconnect');
+        this.storageReconnectDismissBtn = document.getElementById('storage-reconnect-dismiss');
+        
+        // WebDAV同步
+        this.webdavUrlInput = document.getElementById('webdav-url');
+        this.webdavUsernameInput = document.getElementById('webdav-username');
+        this.webdavPasswordInput = document.getElementById('webdav-password');
+        this.webdavRememberPasswordCheckbox = document.getElementById('webdav-remember-password');
+        this.enableWebDAVCheckbox = document.getElementById('enable-webdav');
+        this.webdavTestBtn = document.getElementById('webdav-test');
+        this.webdavSyncBtn = document.getElementById('webdav-sync');
+        this.webdavBackupBtn = document.getElementById('webdav-backup');
+        this.webdavRestoreBtn = document.getElementById('webdav-restore');
+        this.webdavStatus = document.getElementById('webdav-status');
+
+        // 外观设置相关元素
+        this.textColorPicker = document.getElementById('text-color');
+        this.textColorHexInput = document.getElementById('text-color-hex');
+        this.colorPreview = document.getElementById('color-preview');
+        this.resetTextColorBtn = document.getElementById('reset-text-color');
+
+        // 编辑模态框
+        this.editModal = document.getElementById('edit-modal');
+        this.editForm = document.getElementById('edit-form');
+        this.editName = document.getElementById('edit-name');
+        this.editUrl = document.getElementById('edit-url');
+        this.editIcon = document.getElementById('edit-icon');
+        this.editIconUrl = document.getElementById('edit-icon-url');
+        this.editKeyword = document.getElementById('edit-keyword');
+        this.iconPreview = document.getElementById('icon-preview');
+        this.saveAndContinueBtn = document.getElementById('save-and-continue');
+        // 标签相关元素
+        this.editTagInput = document.getElementById('edit-tag-input');
+        this.addEditTagBtn = document.getElementById('add-edit-tag');
+        this.editSelectedTags = document.getElementById('edit-selected-tags');
+        
+        // 编辑现有导航项模态框
+        this.editExistingModal = document.getElementById('edit-existing-modal');
+        this.editExistingForm = document.getElementById('edit-existing-form');
+        this.editExistingName = document.getElementById('edit-existing-name');
+        this.editExistingUrl = document.getElementById('edit-existing-url');
+        this.editExistingIcon = document.getElementById('edit-existing-icon');
+        this.editExistingIconUrl = document.getElementById('edit-existing-icon-url');
+        this.editExistingKeyword = document.getElementById('edit-existing-keyword');
+        this.iconExistingPreview = document.getElementById('icon-existing-preview');
+        // 标签相关元素
+        this.editExistingTagInput = document.getElementById('edit-existing-tag-input');
+        this.addEditExistingTagBtn = document.getElementById('add-edit-existing-tag');
+        this.editExistingSelectedTags = document.getElementById('edit-existing-selected-tags');
+        
+        this.closeModalBtns = document.querySelectorAll('.close-modal');
+        this.storageInfoBtn = document.getElementById('storage-info-btn');
+        this.storageInfoModal = document.getElementById('storage-info-modal');
+
+        // 标签筛选相关元素
+        this.tagFilterPanel = document.getElementById('tag-filter-panel');
+        this.tagFilterList = document.getElementById('tag-filter-list');
+        this.clearTagFilterBtn = document.getElementById('clear-tag-filter');
+
+        // 消息提示
+        this.toast = document.getElementById('toast');
+        
+        // 图标获取相关状态
+        this.manualIconSelected = {
+            new: false,
+            existing: false
+        };
+        
+        // 标签筛选相关状态
+        this.selectedTagsForFilter = [];
+        
+        // 工具组面板：当前所在的工具组路径（各级工具组id）、分页和右键菜单选中的子项
+        this.toolgroupPath = [];
+        this.toolgroupPageIndex = 0;
+        this.toolgroupPageSize = 15;
+        this.currentToolgroupEntry = null;
+        this.subGroupEdit = null;
+        
+        // 翻页相关状态：滚轮翻页的冷却时间、拖动到页面圆点时的切换计时器、触摸起点
+        this.wheelPageCooldown = 600;
+        this.lastWheelPageTime = 0;
+        this.pageDragTimer = null;
+        this.touchStart = null;
+    }
+
+    bindEvents() {
+        // 设置面板切换
+        this.settingsToggle.addEventListener('click', () => this.toggleSettingsPanel());
+        this.closeSettings.addEventListener('click', () => this.closeSettingsPanel());
+
+        // 壁纸右键菜单
+        this.wallpaperElement.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showContextMenu(e, this.wallpaperContextMenu);
+        });
+
+        // 壁纸设置
+        this.wallpaperUpload.addEventListener('change', (e) => this.handleWallpaperUpload(e));
+        this.resetWallpaperBtn.addEventListener('click', () => this.resetWallpaper());
+
+        // 布局调整
+        this.columnsSlider.addEventListener('input', () => this.updateLayout());
+        this.spacingSlider.addEventListener('input', () => this.updateLayout());
+        this.iconSizeSlider.addEventListener('input', () => this.updateLayout());
+        this.searchOpacitySlider.addEventListener('input', () => this.updateSearchOpacitySetting());
+
+        // 数据管理
+        this.exportDataBtn.addEventListener('click', () => this.exportSettings());
+        this.exportBookmarksBtn.addEventListener('click', () => this.exportBookmarks());
+        this.exportBundleBtn.addEventListener('click', () => this.exportBundle());
+        this.importDataBtn.addEventListener('click', () => this.importFile.click());
+        this.importFile.addEventListener('change', (e) => this.handleImportFile(e));
+        this.resetDataBtn.addEventListener('click', () => this.resetSettings());
+        
+        // 书签导入预览
+        this.bookmarkImportSelectAll.addEventListener('change', (e) => this.toggleAllBookmarkSelection(e.target.checked));
+        this.bookmarkImportConfirm.addEventListener('click', () => this.confirmBookmarkImport());
+        
+        // 历史快照
+        this.snapshotLimitInput.addEventListener('change', () => this.updateSnapshotLimit());
+        this.createSnapshotBtn.addEventListener('click', () => this.createManualSnapshot());
+        
+        // 导入合并
+        this.importMergeConfirm.addEventListener('click', () => this.confirmImportMerge());
+        this.importMergeReplace.addEventListener('click', () => this.confirmImportReplace());
+        
+        // 加密导出与解密口令
+        this.exportPassphraseInput.addEventListener('change', () => this.updateExportPassphrase());
+        this.clearExportPassphraseBtn.addEventListener('click', () => {
+            this.exportPassphraseInput.value = '';
+            this.updateExportPassphrase();
+        });
+        this.passphraseForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPassphrase();
+        });
+        
+        // 文件存储控制
+        this.enableFileStorageCheckbox.addEventListener('change', (e) => this.toggleFileStorage(e.target.checked));
+        this.selectStorageFileBtn.addEventListener('click', () => this.selectStorageFile());
+
+        this.restoreBackupBtn.addEventListener('click', () => this.restoreFromManualBackup());
+        
+        // 备份目录
+        this.chooseBackupDirectoryBtn.addEventListener('click', () => this.chooseBackupDirectory());
+        this.backupNowBtn.addEventListener('click', () => this.backupNow());
+        this.forgetBackupDirectoryBtn.addEventListener('click', () => this.forgetBackupDirectory());
+        this.backupLimitInput.addEventListener('change', () => this.updateBackupLimit());
+        this.backupPickerBrowseBtn.addEventListener('click', () => this.finishBackupPicker('browse'));
+        
+        // 存储空间
+        this.purgeFaviconCacheBtn.addEventListener('click', () => this.purgeFaviconCache());
+        this.compressWallpaperBtn.addEventListener('click', () => this.compressWallpaper());
+        this.moveImagesToIdbBtn.addEventListener('click', () => this.moveImagesToIndexedDB());
+        this.clearUndoHistoryBtn.addEventListener('click', () => this.clearUndoHistory());
+        
+        // 配置（工作区）
+        this.profileToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleProfileMenu();
+        });
+        this.profileManageBtn.addEventListener('click', () => this.openProfileModal());
+        this.profileCreateForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createProfile();
+        });
+        this.profileCopyConfirmBtn.addEventListener('click', () => this.confirmCopyToProfile());
+        
+        // 存储文件重新连接提示
+        this.storageReconnectBtn.addEventListener('click', () => this.reconnectStorageFile());
+        this.storageReconnectDismissBtn.addEventListener('click', () => this.hideStorageReconnectBanner());
+        
+        // WebDAV同步
+        [this.webdavUrlInput, this.webdavUsernameInput, this.webdavPasswordInput, this.webdavRememberPasswordCheckbox].forEach(input => {
+            input.addEventListener('change', () => this.saveWebDAVForm());
+        });
+        this.enableWebDAVCheckbox.addEventListener('change', (e) => this.toggleWebDAV(e.target.checked));
+        this.webdavTestBtn.addEventListener('click', () => this.testWebDAVConnection());
+        this.webdavSyncBtn.addEventListener('click', () => this.syncWebDAVNow());
+        this.webdavBackupBtn.addEventListener('click', () => this.backupToWebDAV());
+        this.webdavRestoreBtn.addEventListener('click', () => this.restoreFromWebDAV());
+        
+        // 切换回页面时拉取其他设备的修改
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.isWebDAVActive()) {
+                this.model.storageAdapter.openStorage().then(() => this.updateWebDAVStatus());
+            }
+        });
+
+        // 外观设置事件
+        this.textColorPicker.addEventListener('input', (e) => this.updateTextColor(e.target.value));
+        this.textColorHexInput.addEventListener('input', (e) => this.updateTextColorFromHex(e.target.value));
+        this.resetTextColorBtn.addEventListener('click', () => this.resetTextColor());
+
+        // 导航管理
+        this.addNavItemBtn.addEventListener('click', () => this.openEditModal());
+        this.addNavBtn.addEventListener('click', () => this.openEditModal());
+
+        // 编辑模态框
+        this.editForm.addEventListener('submit', (e) => this.handleEditSubmit(e));
+        this.editIcon.addEventListener('change', (e) => this.previewIcon(e));
+        this.editIconUrl.addEventListener('input', (e) => this.handleIconUrlInput(e, this.iconPreview));
+        this.saveAndContinueBtn.addEventListener('click', () => this.handleSaveAndContinue());
+        
+        // 编辑模态框标签相关事件
+        this.addEditTagBtn.addEventListener('click', () => this.addTagToEdit());
+        this.editTagInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addTagToEdit();
+            }
+        });
+        
+        // 编辑现有导航项模态框事件绑定
+        this.editExistingForm.addEventListener('submit', (e) => this.handleEditExistingSubmit(e));
+        this.editExistingIcon.addEventListener('change', (e) => this.previewExistingIcon(e));
+        this.editExistingIconUrl.addEventListener('input', (e) => this.handleIconUrlInput(e, this.iconExistingPreview));
+        
+        // 编辑现有导航项模态框标签相关事件
+        this.addEditExistingTagBtn.addEventListener('click', () => this.addTagToEditExisting());
+        this.editExistingTagInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addTagToEditExisting();
+            }
+        });
+        
+        // 标签筛选相关事件
+        this.clearTagFilterBtn.addEventListener('click', () => this.clearTagFilter());
+        
+        // 自动获取图标事件监听
+        this.editUrl.addEventListener('blur', () => this.autoGetFavicon(this.editUrl, this.iconPreview));
+        this.editUrl.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.autoGetFavicon(this.editUrl, this.iconPreview);
+            }
+        });
+        
+        this.editExistingUrl.addEventListener('blur', () => this.autoGetFavicon(this.editExistingUrl, this.iconExistingPreview));
+        this.editExistingUrl.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.autoGetFavicon(this.editExistingUrl, this.iconExistingPreview);
+            }
+        });
+        
+        // 存储信息模态框事件
+        this.storageInfoBtn.addEventListener('click', () => {
+            this.storageInfoModal.classList.add('active');
+        });
+        
+        this.closeModalBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeEditModal();
+                this.closeEditExistingModal();
+                this.closeToolgroupEditModal();
+                this.toolgroupSelectModal.classList.remove('active');
+                this.confirmDeleteModal.classList.remove('active');
+                this.storageInfoModal.classList.remove('active');
+                this.closeBookmarkImportModal();
+                this.closeImportMergeModal();
+                this.closePassphraseModal();
+                this.closeBackupPickerModal();
+                this.closeProfileModal();
+                this.closeProfileCopyModal();
+                this.closeSearchEngineModal();
+                this.confirmDeleteCallback = null;
+            });
+        });
+
+        // 工具组相关事件
+        // 关闭工具组面板
+        this.closeToolgroupPanelBtn.addEventListener('click', () => {
+            this.closeToolgroupPanel();
+        });
+        // 点击面板外部关闭
+        this.toolgroupPanel.addEventListener('click', (e) => {
+            if (e.target === this.toolgroupPanel) {
+                this.closeToolgroupPanel();
+            }
+        });
+        // 子工具组与分页
+        this.addSubgroupBtn.addEventListener('click', () => this.openSubGroupEditModal());
+        this.toolgroupPrevPageBtn.addEventListener('click', () => this.changeToolgroupPage(-1));
+        this.toolgroupNextPageBtn.addEventListener('click', () => this.changeToolgroupPage(1));
+        // 拖动子项停留在翻页按钮上时翻页
+        [[this.toolgroupPrevPageBtn, -1], [this.toolgroupNextPageBtn, 1]].forEach(([button, offset]) => {
+            button.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                if (!this.pageDragTimer && !button.disabled) {
+                    this.pageDragTimer = setTimeout(() => {
+                        this.pageDragTimer = null;
+                        this.changeToolgroupPage(offset);
+                    }, 600);
+                }
+            });
+            button.addEventListener('dragleave', () => this.cancelPageDragTimer());
+        });
+        // 拖放到空白处：移到当前这一级的末尾
+        this.toolgroupItems.addEventListener('dragover', (e) => {
+            if (e.target === this.toolgroupItems) {
+                e.preventDefault();
+            }
+        });
+        this.toolgroupItems.addEventListener('drop', (e) => {
+            if (e.target !== this.toolgroupItems) return;
+            e.preventDefault();
+            this.dropToolgroupEntry(e, this.toolgroupPath);
+        });
+
+        // 工具组选择模态框
+        this.createNewToolgroupBtn.addEventListener('click', () => {
+            this.toolgroupSelectModal.classList.remove('active');
+            // 保存当前要添加到工具组的导航项ID
+            this.tempAddToToolgroupId = this.currentEditItemId;
+            this.openToolgroupEditModal();
+        });
+
+        this.selectToolgroupBtn.addEventListener('click', () => {
+            const selectedGroupId = document.querySelector('input[name="toolgroup"]:checked');
+            if (selectedGroupId) {
+                const groupId = parseInt(selectedGroupId.value);
+                const navItem = this.model.getNavigationItems().find(item => item.id === this.currentEditItemId);
+                if (navItem) {
+                    this.model.beginCommandGroup('添加到工具组');
+                    const addResult = this.model.addItemToToolGroup(groupId, navItem);
+                    if (addResult) {
+                        // 删除原导航项
+                        const deleteResult = this.model.deleteNavigationItem(this.currentEditItemId);
+                        if (deleteResult) {
+                            this.renderNavList();
+                            this.renderToolgroupList();
+                            this.renderNavigationGrid();
+                            this.showUndoToast('已添加到工具组');
+                        } else {
+                            this.showToast('添加到工具组失败，请重试', 'error');
+                        }
+                    } else {
+                        this.showToast('添加到工具组失败，请重试', 'error');
+                    }
+                }
+            } else {
+                this.showToast('请选择一个工具组', 'error');
+            }
+            this.toolgroupSelectModal.classList.remove('active');
+            this.currentEditItemId = null;
+        });
+
+        // 工具组编辑模态框
+        this.toolgroupEditForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = this.toolgroupNameInput.value.trim();
+            if (!name) {
+                this.showToast('请输入工具组名称', 'error');
+                return;
+            }
+            
+            // 新建或重命名工具组面板中的子工具组
+            if (this.subGroupEdit) {
+                this.saveSubGroupEdit(name);
+                return;
+            }
+
+            let newGroupId = null;
+            if (this.tempAddToToolgroupId) {
+                this.model.beginCommandGroup('添加到新工具组');
+            }
+            if (this.currentEditItemId) {
+                // 更新现有工具组
+                this.model.updateToolGroup(this.currentEditItemId, { name });
+                this.showUndoToast('工具组已更新');
+            } else {
+                // 创建新工具组
+                const newGroup = this.model.addToolGroup({ name });
+                newGroupId = newGroup.id;
+                this.showUndoToast('工具组已创建');
+            }
+
+            // 检查是否有要添加到工具组的导航项
+            if (this.tempAddToToolgroupId && newGroupId) {
+                const navItem = this.model.getNavigationItems().find(item => item.id === this.tempAddToToolgroupId);
+                if (navItem) {
+                    const addResult = this.model.addItemToToolGroup(newGroupId, navItem);
+                    if (addResult) {
+                        // 删除原导航项
+                        const deleteResult = this.model.deleteNavigationItem(this.tempAddToToolgroupId);
+                        if (deleteResult) {
+                            this.renderNavList();
+                            this.renderToolgroupList();
+                            this.renderNavigationGrid();
+                            this.showUndoToast('已将导航项添加到新工具组');
+                        } else {
+                            this.model.deleteToolGroup(newGroupId);
+                            this.showToast('添加到工具组失败，请重试', 'error');
+                        }
+                    } else {
+                        this.model.deleteToolGroup(newGroupId);
+                        this.showToast('添加到工具组失败，请重试', 'error');
+                    }
+                }
+                this.tempAddToToolgroupId = null;
+            }
+
+            this.renderNavigationGrid();
+            this.renderToolgroupList();
+            this.closeToolgroupEditModal();
+        });
+
+        // 工具组管理
+        this.addToolgroupBtn.addEventListener('click', () => this.openToolgroupEditModal());
+        
+        // 页面管理与翻页
+        this.addPageBtn.addEventListener('click', () => this.addPage());
+        this.pageLayoutOverrideCheckbox.addEventListener('change', () => this.togglePageLayout(this.pageLayoutOverrideCheckbox.checked));
+        this.bindPagingEvents();
+
+        // 全局点击关闭右键菜单（不关闭面板和模态框，否则刚打开的面板会被同一次点击关闭）
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.context-menu')) {
+                this.hideContextMenus();
+            }
+            // 点击搜索框和搜索结果以外的地方时关闭搜索结果
+            if (!e.target.closest('.search-input-container, .search-results-container') && this.isSearchResultsOpen()) {
+                this.clearSearchResults();
+            }
+            if (!e.target.closest('.profile-switcher')) {
+                this.closeProfileMenu();
+            }
+        });
+
+        // 搜索相关事件
+        this.searchEngineSelect.addEventListener('change', (e) => {
+            this.handleSearchEngineChange(e.target.value);
+        });
+
+        this.searchInput.addEventListener('input', () => this.handleSearchInput());
+        this.searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+        
+        // 综合搜索
+        this.unifiedSearchCheckbox.addEventListener('change', () => {
+            this.model.setUnifiedSearch(this.unifiedSearchCheckbox.checked);
+            this.handleSearchInput();
+        });
+        this.clearRecentSearchesBtn.addEventListener('click', () => {
+            this.model.clearRecentSearches();
+            this.handleSearchInput();
+            this.showToast('已清除最近搜索', 'success');
+        });
+
+        // 自定义搜索引擎
+        this.addSearchEngineBtn.addEventListener('click', () => this.openSearchEngineModal());
+        this.addSearchKeywordBtn.addEventListener('click', () => this.openSearchKeywordModal());
+        this.importOpenSearchBtn.addEventListener('click', () => this.openSearchFile.click());
+        this.openSearchFile.addEventListener('change', (e) => this.handleOpenSearchFile(e));
+        this.searchEngineForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSearchEngine();
+        });
+
+        // 确认删除模态框事件
+        this.confirmDeleteOk.addEventListener('click', () => {
+            this.confirmDeleteAction();
+        });
+        
+        // 键盘事件
+        document.addEventListener('keydown', (e) => {
+            // 撤销/重做（文本输入框内保留浏览器自带的文本撤销）
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && (key === 'z' || key === 'y') && !this.isTextEditingTarget(e.target)) {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+            
+            // 翻页（文本输入框中和打开面板时不处理）
+            if (!e.ctrlKey && !e.metaKey && !e.altKey && !this.isTextEditingTarget(e.target) && !this.isOverlayOpen()) {
+                const offsets = { ArrowLeft: -1, PageUp: -1, ArrowRight: 1, PageDown: 1 };
+                if (offsets[e.key] && this.changePage(offsets[e.key])) {
+                    e.preventDefault();
+                    return;
+                }
+            }
+            
+            if (e.key === 'Escape') {
+                this.hideAllMenus();
+                this.closeEditModal();
+                this.closeEditExistingModal();
+                this.closeToolgroupEditModal();
+                this.closeSettingsPanel();
+                this.toolgroupSelectModal.classList.remove('active');
+                this.confirmDeleteModal.classList.remove('active');
+                this.closeBookmarkImportModal();
+                this.closeImportMergeModal();
+                this.closePassphraseModal();
+                this.closeBackupPickerModal();
+                this.closeProfileMenu();
+                this.closeProfileModal();
+                this.closeProfileCopyModal();
+                this.closeSearchEngineModal();
+                this.clearSearchResults();
+            }
+        });
+    }
+
+    // 导航网格渲染
+    renderNavigationGrid() {
+        // 只显示当前页面上的导航项和工具组
+        const pageContents = this.model.getPageContents(this.model.getCurrentPageId());
+        let items = pageContents.items;
+        const toolGroups = pageContents.groups;
+        const layout = this.model.getLayout();
+
+        // 应用标签筛选
+        items = this.filterNavigationItems(items);
+
+        // 创建文档片段，减少DOM操作次数
+        const fragment = document.createDocumentFragment();
+
+        // 更新网格样式
+        // 修复列数计算逻辑：列数越多，每列宽度越小，从而显示更多列
+        const baseWidth = 200;
+        const widthDecrement = 15;
+        const minItemWidth = Math.max(80, baseWidth - (layout.columns - 6) * widthDecrement);
+        this.navGrid.style.gridTemplateColumns = `repeat(auto-fill, minmax(${minItemWidth}px, 1fr))`;
+        this.navGrid.style.gap = `${layout.spacing}px`;
+
+        // 渲染普通导航项
+        items.forEach(item => {
+            const navItem = this.createNavItem(item, layout);
+            fragment.appendChild(navItem);
+        });
+
+        // 渲染工具组项
+        toolGroups.forEach(group => {
+            const groupItem = this.createToolgroupItem(group, layout);
+            fragment.appendChild(groupItem);
+        });
+
+        // 一次性将所有元素添加到DOM中
+        this.navGrid.innerHTML = '';
+        this.navGrid.appendChild(fragment);
+        this.renderPageIndicator();
+    }
+    
+    // 创建单个导航项元素
+    createNavItem(item, layout) {
+        const navItem = document.createElement('a');
+        navItem.href = item.url;
+        navItem.target = '_blank';
+        navItem.className = 'nav-item';
+        navItem.dataset.id = item.id;
+        navItem.dataset.type = 'nav-item';
+        navItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
+        navItem.style.color = this.model.getTextColor();
+        navItem.draggable = true;
+
+        // 创建导航项图标元素
+        const iconDiv = document.createElement('div');
+        iconDiv.className = 'nav-item-icon';
+        iconDiv.style.width = `${layout.iconSize}px`;
+        iconDiv.style.height = `${layout.iconSize}px`;
+        iconDiv.style.fontSize = `${layout.iconSize * 0.6}px`;
+        
+        // 根据图标类型设置显示方式
+        if (item.icon) {
+            if (this.isImageIcon(item.icon)) {
+                // 如果是URL，设置为背景图片（资源尚未读取时暂不显示）
+                const iconUrl = this.resolveImageUrl(item.icon);
+                iconDiv.style.backgroundImage = iconUrl ? `url(${iconUrl})` : '';
+                iconDiv.style.backgroundSize = 'cover';
+                iconDiv.style.backgroundRepeat = 'no-repeat';
+                iconDiv.style.backgroundPosition = 'center';
+                iconDiv.textContent = '';
+            } else {
+                // 否则作为文本显示
+                iconDiv.style.backgroundImage = '';
+                iconDiv.textContent = item.icon;
+            }
+        } else {
+            // 默认图标
+            iconDiv.style.backgroundImage = '';
+            iconDiv.textContent = '🔗';
+        }
+        
+        // 创建导航项名称元素
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'nav-item-name';
+        nameDiv.textContent = item.name;
+        
+        // 将元素添加到导航项中
+        navItem.appendChild(iconDiv);
+        navItem.appendChild(nameDiv);
+
+        // 右键菜单
+        navItem.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.currentEditItemId = item.id;
+            this.showContextMenu(e, this.iconContextMenu);
+        });
+
+        // 拖拽事件
+        navItem.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', JSON.stringify({
+                type: 'nav-item',
+                id: item.id
+            }));
+            navItem.style.opacity = '0.5';
+            navItem.classList.add('dragging');
+        });
+
+        navItem.addEventListener('dragend', () => {
+            navItem.style.opacity = '1';
+            navItem.classList.remove('dragging');
+            document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+
+        navItem.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            navItem.classList.add('drag-over');
+        });
+
+        navItem.addEventListener('dragleave', () => {
+            navItem.classList.remove('drag-over');
+        });
+
+        navItem.addEventListener('drop', (e) => {
+            e.preventDefault();
+            navItem.classList.remove('drag-over');
+
+            try {
+                const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
+                if (draggedData.type === 'nav-item') {
+                    if (draggedData.id !== item.id) {
+                        // 获取当前所有导航项
+                        const items = [...this.model.getNavigationItems()];
+                        // 找到拖拽项和目标项的索引
+                        const draggedIndex = items.findIndex(i => i.id === draggedData.id);
+                        const targetIndex = items.findIndex(i => i.id === item.id);
+                        
+                        if (draggedIndex !== -1 && targetIndex !== -1) {
+                            // 重新排序（从其他页面拖来的导航项同时移到目标所在的页面）
+                            const [draggedItem] = items.splice(draggedIndex, 1);
+                            items.splice(targetIndex, 0, { ...draggedItem, page: item.page });
+                            
+                            // 保存新顺序
+                            const success = this.model.reorderNavigationItems(items);
+                            if (success) {
+                                // 重新渲染导航网格
+                                this.renderNavigationGrid();
+                                this.showUndoToast('排序已保存');
+                            } else {
+                                this.showToast('排序保存失败', 'error');
+                            }
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error('拖拽数据解析失败:', error);
+                this.showToast('排序失败', 'error');
+            }
+        });
+
+        return navItem;
+    }
+    
+    // 设置图标：图片（网址、data URI或asset:引用）显示为背景图，否则作为文本显示（如emoji），没有图标时显示fallback
+    setIconContent(iconElement, icon, fallback) {
+        if (this.isImageIcon(icon)) {
+            const iconUrl = this.resolveImageUrl(icon);
+            iconElement.style.backgroundImage = iconUrl ? `url(${iconUrl})` : '';
+            iconElement.style.backgroundSize = 'cover';
+            iconElement.style.backgroundPosition = 'center';
+        } else {
+            iconElement.textContent = icon || fallback;
+        }
+    }
+    
+    // 创建单个工具组项元素
+    createToolgroupItem(group, layout) {
+        const groupItem = document.createElement('div');
+        groupItem.className = 'nav-item toolgroup-item';
+        groupItem.dataset.id = group.id;
+        groupItem.dataset.type = 'toolgroup';
+        groupItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
+        groupItem.style.color = this.model.getTextColor();
+        groupItem.draggable = true;
+
+        // 生成工具组缩略图（显示前4个图标，子工具组显示为文件夹，不足4个时用空白补齐）
+        // 名称和图标可能来自导入的书签文件，只能作为文本或背景图片显示
+        const iconDiv = document.createElement('div');
+        iconDiv.className = 'nav-item-icon toolgroup-icon';
+        iconDiv.style.width = `${layout.iconSize}px`;
+        iconDiv.style.height = `${layout.iconSize}px`;
+        iconDiv.style.fontSize = `${layout.iconSize * 0.35}px`;
+        
+        const preview = document.createElement('div');
+        preview.className = 'toolgroup-preview-icons';
+        for (let i = 0; i < 4; i++) {
+            const entry = group.items[i];
+            const slot = document.createElement('span');
+            if (!entry) {
+                slot.textContent = '⬜';
+            } else if (this.model.isToolGroupEntry(entry)) {
+                slot.textContent = '📁';
+            } else {
+                this.setIconContent(slot, entry.icon, '🔗');
+            }
+            preview.appendChild(slot);
+        }
+        iconDiv.appendChild(preview);
+        
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'nav-item-name';
+        nameDiv.textContent = group.name;
+        
+        const countDiv = document.createElement('div');
+        countDiv.className = 'toolgroup-item-count';
+        countDiv.textContent = `(${group.items.length}项)`;
+        
+        groupItem.appendChild(iconDiv);
+        groupItem.appendChild(nameDiv);
+        groupItem.appendChild(countDiv);
+
+        // 点击事件：展开工具组面板
+        groupItem.addEventListener('click', () => {
+            this.openToolgroupPanel(group.id);
+        });
+
+        // 右键菜单
+        groupItem.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.currentEditItemId = group.id;
+            this.showContextMenu(e, this.toolgroupContextMenu);
+        });
+
+        // 拖拽事件
+        groupItem.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', JSON.stringify({
+                type: 'toolgroup',
+                id: group.id
+            }));
+            groupItem.style.opacity = '0.5';
+        });
+
+        groupItem.addEventListener('dragend', () => {
+            groupItem.style.opacity = '1';
+        });
+
+        groupItem.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            groupItem.classList.add('drag-over');
+        });
+
+        groupItem.addEventListener('dragleave', () => {
+            groupItem.classList.remove('drag-over');
+        });
+
+        groupItem.addEventListener('drop', (e) => {
+            e.preventDefault();
+            groupItem.classList.remove('drag-over');
+
+            try {
+                const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
+                if (draggedData.type === 'nav-item') {
+                    // 将导航项添加到工具组
+                    const navItem = this.model.getNavigationItems().find(i => i.id === draggedData.id);
+                    if (navItem) {
+                        this.model.beginCommandGroup('添加到工具组');
+                        const addResult = this.model.addItemToToolGroup(group.id, navItem);
+                        if (addResult) {
+                            // 删除原导航项
+                            const deleteResult = this.model.deleteNavigationItem(draggedData.id);
+                            if (deleteResult) {
+                                this.renderNavList();
+                                this.renderToolgroupList();
+                                this.renderNavigationGrid();
+                                this.showUndoToast('已添加到工具组');
+                            } else {
+                                this.showToast('添加到工具组失败，请重试', 'error');
+                            }
+                        } else {
+                            this.showToast('添加到工具组失败，请重试', 'error');
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error('拖拽数据解析失败:', error);
+            }
+        });
+
+        return groupItem;
+    }
+    
+    // 原始导航网格渲染方法（已优化）
+    renderNavigationGridOld() {
+        this.navGrid.innerHTML = '';
+        const items = this.model.getNavigationItems();
+        const toolGroups = this.model.getToolGroups();
+        const layout = this.model.getLayout();
+
+        // 更新网格样式
+        this.navGrid.style.gridTemplateColumns = `repeat(auto-fill, minmax(${120 - (5 - layout.columns) * 10}px, 1fr))`;
+        this.navGrid.style.gap = `${layout.spacing}px`;
+
+        // 渲染普通导航项
+        items.forEach(item => {
+            const navItem = document.createElement('a');
+            navItem.href = item.url;
+            navItem.target = '_blank';
+            navItem.className = 'nav-item';
+            navItem.dataset.id = item.id;
+            navItem.dataset.type = 'nav-item';
+            navItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
+            navItem.draggable = true;
+
+            navItem.innerHTML = `
+                <div class="nav-item-icon" style="width: ${layout.iconSize}px; height: ${layout.iconSize}px; font-size: ${layout.iconSize * 0.6}px">
+                    ${item.icon || '🔗'}
+                </div>
+                <div class="nav-item-name">${item.name}</div>
+            `;
+
+            // 右键菜单
+            navItem.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.currentEditItemId = item.id;
+                this.showContextMenu(e, this.iconContextMenu);
+            });
+
+            // 拖拽事件
+            navItem.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', JSON.stringify({
+                    type: 'nav-item',
+                    id: item.id
+                }));
+                navItem.style.opacity = '0.5';
+                navItem.classList.add('dragging');
+            });
+
+            navItem.addEventListener('dragend', () => {
+                navItem.style.opacity = '1';
+                navItem.classList.remove('dragging');
+                document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            });
+
+            navItem.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                navItem.classList.add('drag-over');
+            });
+
+            navItem.addEventListener('dragleave', () => {
+                navItem.classList.remove('drag-over');
+            });
+
+            navItem.addEventListener('drop', (e) => {
+                e.preventDefault();
+                navItem.classList.remove('drag-over');
+
+                try {
+                    const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
+                    if (draggedData.type === 'nav-item') {
+                        if (draggedData.id !== item.id) {
+                            // 获取当前所有导航项
+                            const items = [...this.model.getNavigationItems()];
+                            // 找到拖拽项和目标项的索引
+                            const draggedIndex = items.findIndex(i => i.id === draggedData.id);
+                            const targetIndex = items.findIndex(i => i.id === item.id);
+                            
+                            if (draggedIndex !== -1 && targetIndex !== -1) {
+                                // 重新排序
+                                const [draggedItem] = items.splice(draggedIndex, 1);
+                                items.splice(targetIndex, 0, draggedItem);
+                                
+                                // 保存新顺序
+                                const success = this.model.reorderNavigationItems(items);
+                                if (success) {
+                                    // 重新渲染导航网格
+                                    this.renderNavigationGrid();
+                                    this.showUndoToast('排序已保存');
+                                } else {
+                                    this.showToast('排序保存失败', 'error');
+                                }
+                            }
+                        }
+                    }
+                } catch (error) {
+                    console.error('拖拽数据解析失败:', error);
+                    this.showToast('排序失败', 'error');
+                }
+            });
+
+            this.navGrid.appendChild(navItem);
+        });
+
+        // 渲染工具组项
+        toolGroups.forEach(group => {
+            const groupItem = document.createElement('div');
+            groupItem.className = 'nav-item toolgroup-item';
+            groupItem.dataset.id = group.id;
+            groupItem.dataset.type = 'toolgroup';
+            groupItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
+            groupItem.draggable = true;
+
+            // 生成工具组缩略图（显示前4个图标）
+            const previewIcons = group.items.slice(0, 4).map(item => item.icon || '🔗').join('');
+            const emptySlots = Math.max(0, 4 - group.items.length);
+            const placeholderIcons = '⬜'.repeat(emptySlots);
+            const allPreviewIcons = previewIcons + placeholderIcons;
+
+            groupItem.innerHTML = `
+                <div class="nav-item-icon toolgroup-icon" style="width: ${layout.iconSize}px; height: ${layout.iconSize}px; font-size: ${layout.iconSize * 0.35}px">
+                    <div class="toolgroup-preview-icons">${allPreviewIcons}</div>
+                </div>
+                <div class="nav-item-name">${group.name}</div>
+                <div class="toolgroup-item-count">(${group.items.length}项)</div>
+            `;
+
+            // 点击事件：展开工具组面板
+            groupItem.addEventListener('click', () => {
+                this.openToolgroupPanel(group.id);
+            });
+
+            // 右键菜单
+            groupItem.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.currentEditItemId = group.id;
+                this.showContextMenu(e, this.toolgroupContextMenu);
+            });
+
+            // 拖拽事件
+            groupItem.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', JSON.stringify({
+                    type: 'toolgroup',
+                    id: group.id
+                }));
+                groupItem.style.opacity = '0.5';
+            });
+
+            groupItem.addEventListener('dragend', () => {
+                groupItem.style.opacity = '1';
+            });
+
+            groupItem.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                groupItem.classList.add('drag-over');
+            });
+
+            groupItem.addEventListener('dragleave', () => {
+                groupItem.classList.remove('drag-over');
+            });
+
+            groupItem.addEventListener('drop', (e) => {
+                e.preventDefault();
+                groupItem.classList.remove('drag-over');
+
+                try {
+                    const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
+                    if (draggedData.type === 'nav-item') {
+                        // 将导航项添加到工具组
+                        const navItem = this.model.getNavigationItems().find(i => i.id === draggedData.id);
+                        if (navItem) {
+                            this.model.beginCommandGroup('添加到工具组');
+                            const addResult = this.model.addItemToToolGroup(group.id, navItem);
+                            if (addResult) {
+                                // 删除原导航项
+                                const deleteResult = this.model.deleteNavigationItem(draggedData.id);
+                                if (deleteResult) {
+                                    this.renderNavList();
+                                    this.renderToolgroupList();
+                                    this.renderNavigationGrid();
+                                    this.showUndoToast('已添加到工具组');
+                                } else {
+                                    this.showToast('添加到工具组失败，请重试', 'error');
+                                }
+                            } else {
+                                this.showToast('添加到工具组失败，请重试', 'error');
+                            }
+                        }
+                    }
+                } catch (error) {
+                    console.error('拖拽数据解析失败:', error);
+                }
+            });
+
+            this.navGrid.appendChild(groupItem);
+        });
+    }
+
+    // 图标是否为图片（网址、data URI或资源引用），否则按文本（如emoji）显示
+    isImageIcon(icon) {
+        return !!icon && (icon.startsWith('http') || icon.startsWith('data:image') || this.model.isAssetRef(icon));
+    }
+
+    // 将图片值转换为CSS可用的地址；资源尚未读取时返回空字符串，读取完成后会重新渲染
+    resolveImageUrl(value) {
+        if (!this.model.isAssetRef(value)) {
+            return value;
+        }
+        return this.model.getAssetUrl(value) || '';
+    }
+
+    // 壁纸相关
+    updateWallpaper() {
+        const wallpaper = this.resolveImageUrl(this.model.getWallpaper());
+        if (wallpaper) {
+            // 设置壁纸元素样式
+            this.wallpaperElement.style.backgroundImage = `url(${wallpaper})`;
+            this.wallpaperElement.style.backgroundSize = 'cover';
+            this.wallpaperElement.style.backgroundRepeat = 'no-repeat';
+            this.wallpaperElement.style.backgroundPosition = 'center';
+            this.wallpaperElement.style.backgroundAttachment = 'fixed';
+            
+            // 设置壁纸预览元素样式
+            if (this.wallpaperPreview) {
+                this.wallpaperPreview.style.backgroundImage = `url(${wallpaper})`;
+                this.wallpaperPreview.style.backgroundSize = 'cover';
+                this.wallpaperPreview.style.backgroundRepeat = 'no-repeat';
+                this.wallpaperPreview.style.backgroundPosition = 'center';
+            }
+        } else {
+            // 恢复默认背景
+            this.wallpaperElement.style.backgroundImage = '';
+            this.wallpaperElement.style.backgroundSize = 'cover';
+            this.wallpaperElement.style.backgroundRepeat = 'no-repeat';
+            this.wallpaperElement.style.backgroundPosition = 'center';
+            this.wallpaperElement.style.backgroundAttachment = 'fixed';
+            
+            if (this.wallpaperPreview) {
+                this.wallpaperPreview.style.backgroundImage = '';
+            }
+        }
+    }
+
+    handleWallpaperUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            this.showToast('请选择图片文件', 'error');
+            return;
+        }
+
+        // 保存到资源存储中，不支持时内嵌到设置中
+        this.model.storeAsset(file).then(ref => {
+            if (ref) {
+                this.applyWallpaper(ref);
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = (e) => this.applyWallpaper(e.target.result);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    applyWallpaper(wallpaper) {
+        this.model.setWallpaper(wallpaper);
+        this.updateWallpaper();
+        this.showUndoToast('壁纸设置成功');
+    }
+
+    resetWallpaper() {
+        this.model.setWallpaper('');
+        this.updateWallpaper();
+        this.showUndoToast('已恢复默认壁纸');
+    }
+
+    // 布局调整
+    updateLayoutControls() {
+        const layout = this.model.getLayout();
+        this.columnsSlider.value = layout.columns;
+        this.columnsValue.textContent = layout.columns;
+        this.spacingSlider.value = layout.spacing;
+        this.spacingValue.textContent = layout.spacing;
+        this.iconSizeSlider.value = layout.iconSize;
+        this.iconSizeValue.textContent = layout.iconSize;
+        
+        // 当前页面是否使用单独的布局
+        const page = this.model.getPage(this.model.getCurrentPageId());
+        this.pageLayoutOverrideCheckbox.checked = !!page.layout;
+        this.pageLayoutName.textContent = page.name;
+        
+        // 设置搜索透明度滑块
+        const searchSettings = this.model.getSearchSettings();
+        this.searchOpacitySlider.value = Math.round((1 - searchSettings.opacity) * 100);
+        this.searchOpacityValue.textContent = Math.round((1 - searchSettings.opacity) * 100);
+    }
+
+    updateLayout() {
+        const layout = {
+            columns: parseInt(this.columnsSlider.value),
+            spacing: parseInt(this.spacingSlider.value),
+            iconSize: parseInt(this.iconSizeSlider.value)
+        };
+
+        this.columnsValue.textContent = layout.columns;
+        this.spacingValue.textContent = layout.spacing;
+        this.iconSizeValue.textContent = layout.iconSize;
+
+        this.model.updateLayout(layout);
+        this.renderNavigationGrid();
+    }
+
+    // 页面相关方法
+    // 打开模态框、设置面板或工具组面板时不翻页
+    isOverlayOpen() {
+        return !!document.querySelector('.modal.active, .settings-panel.active, .toolgroup-panel.active');
+    }
+    
+    // 滚轮、触摸滑动、拖放到网格空白处等翻页相关事件
+    bindPagingEvents() {
+        document.addEventListener('wheel', (e) => {
+            if (e.ctrlKey || this.isOverlayOpen() || !e.target.closest ||
+                e.target.closest('.search-component, .search-results-container, .tag-filter-panel, .context-menu')) {
+                return;
+            }
+            // 页面内容超出窗口可以纵向滚动时，只有横向滚动才翻页
+            const horizontal = Math.abs(e.deltaX) > Math.abs(e.deltaY);
+            if (!horizontal && document.documentElement.scrollHeight > window.innerHeight) {
+                return;
+            }
+            const delta = horizontal ? e.deltaX : e.deltaY;
+            const now = Date.now();
+            // 触控板会连续触发滚轮事件，冷却时间内只翻一页
+            if (Math.abs(delta) < 10 || now - this.lastWheelPageTime < this.wheelPageCooldown) {
+                return;
+            }
+            if (this.changePage(delta > 0 ? 1 : -1)) {
+                this.lastWheelPageTime = now;
+            }
+        }, { passive: true });
+        
+        document.addEventListener('touchstart', (e) => {
+            this.touchStart = e.touches.length === 1 && !this.isOverlayOpen()
+                ? { x: e.touches[0].clientX, y: e.touches[0].clientY }
+                : null;
+        }, { passive: true });
+        
+        document.addEventListener('touchend', (e) => {
+            if (!this.touchStart) return;
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - this.touchStart.x;
+            const dy = touch.clientY - this.touchStart.y;
+            this.touchStart = null;
+            // 明显的横向滑动才翻页，向左滑动显示下一页
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                this.changePage(dx < 0 ? 1 : -1);
+            }
+        });
+        
+        // 拖放到网格空白处：移到当前页面的末尾
+        this.navGrid.addEventListener('dragover', (e) => {
+            if (e.target === this.navGrid) {
+                e.preventDefault();
+            }
+        });
+        this.navGrid.addEventListener('drop', (e) => {
+            if (e.target !== this.navGrid) return;
+            e.preventDefault();
+            this.moveDraggedToPage(e, this.model.getCurrentPageId());
+        });
+        
+        this.navGrid.addEventListener('animationend', () => {
+            this.navGrid.classList.remove('page-enter-next', 'page-enter-prev');
+        });
+    }
+    
+    // 渲染页面圆点，只有一页时隐藏
+    renderPageIndicator() {
+        const pages = this.model.getPages();
+        const currentId = this.model.getCurrentPageId();
+        this.cancelPageDragTimer();
+        this.pageIndicator.innerHTML = '';
+        this.pageIndicator.classList.toggle('active', pages.length > 1);
+        
+        pages.forEach(page => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = page.id === currentId ? 'page-dot active' : 'page-dot';
+            dot.title = page.name;
+            dot.setAttribute('role', 'tab');
+            dot.setAttribute('aria-label', page.name);
+            dot.setAttribute('aria-selected', page.id === currentId ? 'true' : 'false');
+            dot.addEventListener('click', () => this.goToPage(page.id));
+            
+            // 拖动图标停留在圆点上时切换到该页，松开则移到该页末尾
+            dot.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dot.classList.add('drag-over');
+                if (!this.pageDragTimer && page.id !== this.model.getCurrentPageId()) {
+                    this.pageDragTimer = setTimeout(() => {
+                        this.pageDragTimer = null;
+                        this.goToPage(page.id);
+                    }, 600);
+                }
+            });
+            dot.addEventListener('dragleave', () => {
+                dot.classList.remove('drag-over');
+                this.cancelPageDragTimer();
+            });
+            dot.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dot.classList.remove('drag-over');
+                this.cancelPageDragTimer();
+                this.moveDraggedToPage(e, page.id);
+            });
+            
+            this.pageIndicator.appendChild(dot);
+        });
+    }
+    
+    cancelPageDragTimer() {
+        clearTimeout(this.pageDragTimer);
+        this.pageDragTimer = null;
+    }
+    
+    // 显示指定页面，返回是否切换了页面
+    goToPage(id) {
+        const pages = this.model.getPages();
+        const previous = this.model.getCurrentPageId();
+        const current = this.model.setCurrentPage(id);
+        if (current === previous) {
+            return false;
+        }
+        
+        const forward = pages.findIndex(page => page.id === current) > pages.findIndex(page => page.id === previous);
+        this.renderNavigationGrid();
+        this.updateLayoutControls();
+        this.renderPageList();
+        
+        // 重新触发翻页动画
+        this.navGrid.classList.remove('page-enter-next', 'page-enter-prev');
+        void this.navGrid.offsetWidth;
+        this.navGrid.classList.add(forward ? 'page-enter-next' : 'page-enter-prev');
+        return true;
+    }
+    
+    // 向前（-1）或向后（1）翻页，已在第一页或最后一页时返回false
+    changePage(offset) {
+        const pages = this.model.getPages();
+        const index = pages.findIndex(page => page.id === this.model.getCurrentPageId());
+        const target = pages[index + offset];
+        return target ? this.goToPage(target.id) : false;
+    }
+    
+    // 将拖动中的导航项或工具组移到指定页面
+    moveDraggedToPage(e, pageId) {
+        let dragged;
+        try {
+            dragged = JSON.parse(e.dataTransfer.getData('text/plain'));
+        } catch (error) {
+            console.error('拖拽数据解析失败:', error);
+            return;
+        }
+        if (!dragged || (dragged.type !== 'nav-item' && dragged.type !== 'toolgroup')) {
+            return;
+        }
+        
+        const page = this.model.getPage(pageId);
+        if (this.model.moveItemToPage(dragged.type, dragged.id, pageId)) {
+            this.renderNavigationGrid();
+            this.renderPageList();
+            this.showUndoToast(pageId === this.model.getCurrentPageId() ? '已移到本页末尾' : `已移到页面"${page.name}"`);
+        } else {
+            this.showToast('移动失败', 'error');
+        }
+    }
+    
+    // 渲染页面列表（设置面板中）
+    renderPageList() {
+        this.pageList.innerHTML = '';
+        const pages = this.model.getPages();
+        const currentId = this.model.getCurrentPageId();
+        
+        pages.forEach((page, index) => {
+            const { items, groups } = this.model.getPageContents(page.id);
+            const notes = [`${items.length} 个网址，${groups.length} 个工具组`];
+            if (page.layout) notes.push('单独布局');
+            if (page.id === currentId) notes.push('当前页面');
+            
+            const listItem = document.createElement('div');
+            listItem.className = 'nav-list-item';
+            listItem.innerHTML = `
+                <div class="nav-item-info">
+                    <input type="text" class="page-name-input" maxlength="20">
+                    <div class="nav-item-count">${notes.join(' · ')}</div>
+                </div>
+                <div class="nav-item-actions">
+                    <button class="btn secondary show-page" type="button"${page.id === currentId ? ' disabled' : ''}>显示</button>
+                    <button class="btn secondary move-page-up" type="button"${index === 0 ? ' disabled' : ''}>上移</button>
+                    <button class="btn secondary move-page-down" type="button"${index === pages.length - 1 ? ' disabled' : ''}>下移</button>
+                    <button class="btn danger delete-page" type="button"${pages.length <= 1 ? ' disabled' : ''}>删除</button>
+                </div>
+            `;
+            
+            const nameInput = listItem.querySelector('.page-name-input');
+            nameInput.value = page.name;
+            nameInput.addEventListener('change', () => {
+                if (this.model.renamePage(page.id, nameInput.value)) {
+                    this.renderPageIndicator();
+                    this.updateLayoutControls();
+                    this.showUndoToast('页面已重命名');
+                } else {
+                    nameInput.value = page.name;
+                    this.showToast('页面名称不能为空', 'error');
+                }
+            });
+            listItem.querySelector('.show-page').addEventListener('click', () => this.goToPage(page.id));
+            listItem.querySelector('.move-page-up').addEventListener('click', () => this.movePage(page.id, 'up'));
+            listItem.querySelector('.move-page-down').addEventListener('click', () => this.movePage(page.id, 'down'));
+            listItem.querySelector('.delete-page').addEventListener('click', () => {
+                const target = pages[index > 0 ? index - 1 : 1];
+                const message = items.length + groups.length > 0
+                    ? `确定要删除页面"${page.name}"吗？页面上的 ${items.length + groups.length} 个项目将移到"${target.name}"。`
+                    : `确定要删除页面"${page.name}"吗？`;
+                this.openConfirmDeleteModal(message, () => {
+                    if (this.model.deletePage(page.id)) {
+                        this.renderNavigationGrid();
+                        this.updateLayoutControls();
+                        this.renderPageList();
+                        this.showUndoToast('已删除页面');
+                    }
+                }, '删除页面');
+            });
+            
+            this.pageList.appendChild(listItem);
+        });
+    }
+    
+    addPage() {
+        const page = this.model.addPage();
+        this.goToPage(page.id);
+        this.showUndoToast(`已添加页面"${page.name}"`);
+    }
+    
+    movePage(id, direction) {
+        if (this.model.movePage(id, direction)) {
+            this.renderPageIndicator();
+            this.renderPageList();
+            this.showUndoToast('页面顺序已调整');
+        }
+    }
+    
+    // 为当前页面开启或关闭单独的布局
+    togglePageLayout(enabled) {
+        this.model.setPageLayout(this.model.getCurrentPageId(), enabled);
+        this.updateLayoutControls();
+        this.renderNavigationGrid();
+        this.renderPageList();
+        this.showUndoToast(enabled ? '当前页面将使用单独的布局' : '当前页面已恢复使用全局布局');
+    }
+
+    // 导航管理
+    renderNavList() {
+        this.navList.innerHTML = '';
+        const items = this.model.getNavigationItems();
+
+        items.forEach(item => {
+            const listItem = document.createElement('div');
+            listItem.className = 'nav-list-item';
+            listItem.innerHTML = `
+                <div class="nav-item-info">
+                    <strong class="nav-item-name"></strong>
+                </div>
+                <div class="nav-item-actions">
+                    <button class="btn secondary edit-item" data-id="${item.id}">编辑</button>
+                    <button class="btn danger delete-item" data-id="${item.id}">删除</button>
+                </div>
+            `;
+            listItem.querySelector('.nav-item-name').textContent = item.name;
+
+            listItem.querySelector('.edit-item').addEventListener('click', () => this.openEditExistingModal(item.id));
+
+            listItem.querySelector('.delete-item').addEventListener('click', () => {
+                // 打开自定义确认删除模态框
+                this.openConfirmDeleteModal(`确定要删除 "${item.name}" 吗？`, () => {
+                    this.model.deleteNavigationItem(item.id);
+                    this.renderNavigationGrid();
+                    this.renderNavList();
+                    this.showUndoToast('已删除导航项');
+                });
+            });
+
+            this.navList.appendChild(listItem);
+        });
+    }
+
+    // 右键菜单
+    showContextMenu(event, menuElement) {
+        event.preventDefault();
+        this.hideContextMenus();
+
+        menuElement.style.display = 'block';
+        menuElement.style.left = `${event.pageX}px`;
+        menuElement.style.top = `${event.pageY}px`;
+
+        // 绑定菜单项事件（每次显示都会重新绑定，使用onclick避免重复执行）
+        const menuItems = menuElement.querySelectorAll('li');
+        menuItems.forEach(item => {
+            item.onclick = () => this.handleContextMenuAction(item.dataset.action);
+        });
+
+        this.currentContextMenu = menuElement;
+    }
+
+    // 隐藏所有右键菜单
+    hideContextMenus() {
+        [this.iconContextMenu, this.wallpaperContextMenu, this.toolgroupContextMenu, this.toolgroupEntryContextMenu].forEach(menu => {
+            if (menu) menu.style.display = 'none';
+        });
+        this.currentContextMenu = null;
+    }
+
+    hideAllMenus() {
+        this.hideContextMenus();
+
+        // 隐藏工具组面板和模态框
+        this.toolgroupPanel.classList.remove('active');
+        this.toolgroupSelectModal.classList.remove('active');
+        this.toolgroupEditModal.classList.remove('active');
+    }
+
+    handleContextMenuAction(action) {
+        this.hideContextMenus();
+
+        switch (action) {
+            case 'edit':
+                if (this.currentEditItemId) {
+                    this.openEditExistingModal(this.currentEditItemId);
+                }
+                break;
+            case 'delete':
+                if (this.currentEditItemId) {
+                    if (confirm('确定要删除这个导航项吗？')) {
+                        this.model.deleteNavigationItem(this.currentEditItemId);
+                        this.renderNavigationGrid();
+                        this.renderNavList();
+                        this.showUndoToast('已删除导航项');
+                    }
+                }
+                break;
+            case 'move-up':
+                if (this.currentEditItemId) {
+                    this.model.moveNavigationItem(this.currentEditItemId, 'up');
+                    this.renderNavigationGrid();
+                    this.renderNavList();
+                }
+                break;
+            case 'move-down':
+                if (this.currentEditItemId) {
+                    this.model.moveNavigationItem(this.currentEditItemId, 'down');
+                    this.renderNavigationGrid();
+                    this.renderNavList();
+                }
+                break;
+            case 'add-to-tool-group':
+                if (this.currentEditItemId) {
+                    this.openToolgroupSelectModal();
+                }
+                break;
+            case 'copy-to-profile': {
+                const item = this.model.getNavigationItems().find(i => i.id === this.currentEditItemId);
+                if (item) {
+                    this.openProfileCopyModal({ items: [item] }, `复制"${item.name}"到其他配置`);
+                }
+                break;
+            }
+            case 'copy-toolgroup-to-profile': {
+                const group = this.model.getToolGroups().find(g => g.id === this.currentEditItemId);
+                if (group) {
+                    this.openProfileCopyModal({ groups: [group] }, `复制工具组"${group.name}"到其他配置`);
+                }
+                break;
+            }
+            case 'edit-toolgroup':
+                if (this.currentEditItemId) {
+                    this.openToolgroupEditModal(this.currentEditItemId);
+                }
+                break;
+            case 'add-item':
+                if (this.currentEditItemId) {
+                    // 这里可以添加向工具组添加项的逻辑
+                    this.showToast('添加项功能开发中');
+                }
+                break;
+            case 'remove-item':
+                if (this.currentEditItemId) {
+                    // 这里可以添加从工具组移除项的逻辑
+                    this.showToast('删除项功能开发中');
+                }
+                break;
+            case 'delete-toolgroup':
+                if (this.currentEditItemId) {
+                    const group = this.model.getToolGroups().find(g => g.id === this.currentEditItemId);
+                    if (group) {
+                        // 打开自定义确认删除模态框
+                        this.openConfirmDeleteModal(`确定要删除工具组 "${group.name}" 吗？`, () => {
+                            this.model.deleteToolGroup(this.currentEditItemId);
+                            this.renderNavigationGrid();
+                            this.renderToolgroupList();
+                            this.showUndoToast('已删除工具组');
+                        });
+                    }
+                }
+                break;
+            case 'rename-subgroup':
+                if (this.currentToolgroupEntry) {
+                    this.openSubGroupEditModal(this.currentToolgroupEntry.id);
+                }
+                break;
+            case 'move-entry-out':
+                if (this.currentToolgroupEntry) {
+                    this.moveToolgroupEntryOut(this.currentToolgroupEntry);
+                }
+                break;
+            case 'remove-entry':
+                if (this.currentToolgroupEntry) {
+                    this.removeToolgroupEntry(this.currentToolgroupEntry);
+                }
+                break;
+            case 'set-wallpaper':
+                this.wallpaperUpload.click();
+                break;
+            case 'add-custom-url':
+                this.openEditModal();
+                break;
+            case 'nav-settings':
+            case 'open-settings':
+                this.openSettingsPanel();
+                break;
+        }
+    }
+
+    // 设置面板
+    toggleSettingsPanel() {
+        this.settingsPanel.classList.toggle('active');
+        if (this.settingsPanel.classList.contains('active')) {
+            this.renderSnapshotList();
+        }
+    }
+
+    openSettingsPanel() {
+        this.settingsPanel.classList.add('active');
+        this.renderSnapshotList();
+        this.renderStorageBackendList();
+        this.updateBackupDirectoryStatus();
+        this.updateWebDAVStatus();
+        this.renderStorageUsage();
+    }
+
+    closeSettingsPanel() {
+        this.settingsPanel.classList.remove('active');
+    }
+
+    // 编辑模态框
+    openEditModal(itemId = null) {
+        this.currentEditItemId = itemId;
+        this.editModal.classList.add('active');
+        
+        // 重置手动选择图标状态
+        this.manualIconSelected.new = false;
+
+        if (itemId) {
+            const item = this.model.getNavigationItems().find(i => i.id === itemId);
+            if (item) {
+                this.editName.value = item.name;
+                this.editUrl.value = item.url;
+                this.editKeyword.value = item.keyword || '';
+                this.iconPreview.style.backgroundImage = '';
+                this.iconPreview.textContent = item.icon || '';
+                // 渲染标签
+                this.renderEditTags(item.tags || []);
+            }
+        } else {
+            this.editName.value = '';
+            this.editUrl.value = '';
+            this.editKeyword.value = '';
+            this.iconPreview.style.backgroundImage = '';
+            this.iconPreview.innerHTML = '<div class="icon-loading" style="display: none;">获取中...</div>';
+            // 清除标签
+            this.clearEditTags();
+        }
+    }
+    
+    // 打开编辑现有导航项模态框
+    openEditExistingModal(itemId) {
+        this.currentEditItemId = itemId;
+        const item = this.model.getNavigationItems().find(i => i.id === itemId);
+        if (!item) return;
+        
+        this.editExistingName.value = item.name;
+        this.editExistingUrl.value = item.url;
+        
+        // 设置图标
+        if (item.icon) {
+            if (item.icon.startsWith('http')) {
+                this.iconExistingPreview.style.backgroundImage = `url(${item.icon})`;
+                this.iconExistingPreview.textContent = '';
+            } else {
+                this.iconExistingPreview.style.backgroundImage = '';
+                this.iconExistingPreview.textContent = item.icon;
+            }
+        } else {
+            this.iconExistingPreview.style.backgroundImage = '';
+            this.iconExistingPreview.textContent = '';
+        }
+        
+        // 渲染标签
+        this.renderEditExistingTags(item.tags || []);
+        
+        this.editExistingModal.classList.add('active');
+    }
+    
+    // 渲染编辑模态框的标签
+    renderEditTags(tags) {
+        this.clearEditTags();
+        tags.forEach(tag => this.addTagToEditDisplay(tag));
+    }
+    
+    // 渲染编辑现有导航项模态框的标签
+    renderEditExistingTags(tags) {
+        this.clearEditExistingTags();
+        tags.forEach(tag => this.addTagToEditExistingDisplay(tag));
+    }
+    
+    // 清除编辑模态框的标签
+    clearEditTags() {
+        this.editSelectedTags.innerHTML = '';
+        this.editTagInput.value = '';
+    }
+    
+    // 清除编辑现有导航项模态框的标签
+    clearEditExistingTags() {
+        this.editExistingSelectedTags.innerHTML = '';
+        this.editExistingTagInput.value = '';
+    }
+    
+    // 向编辑模态框添加标签
+    addTagToEdit() {
+        const tagName = this.editTagInput.value.trim();
+        if (tagName) {
+            this.addTagToEditDisplay(tagName);
+            this.editTagInput.value = '';
+        }
+    }
+    
+    // 向编辑模态框显示添加标签
+    addTagToEditDisplay(tagName) {
+        // 检查标签是否已存在
+        const existingTags = Array.from(this.editSelectedTags.children).map(tagEl => 
+            tagEl.querySelector('.tag-name').textContent
+        );
+        if (existingTags.includes(tagName)) {
+            return;
+        }
+        
+        const tagElement = this.createTagElement(tagName, (tag) => this.removeTagFromEdit(tag));
+        this.editSelectedTags.appendChild(tagElement);
+    }
+    
+    // 从编辑模态框移除标签
+    removeTagFromEdit(tagName) {
+        const tagElements = this.editSelectedTags.children;
+        for (let i = 0; i < tagElements.length; i++) {
+            const tagEl = tagElements[i];
+            const name = tagEl.querySelector('.tag-name').textContent;
+            if (name === tagName) {
+                tagEl.remove();
+                break;
+            }
+        }
+    }
+    
+    // 向编辑现有导航项模态框添加标签
+    addTagToEditExisting() {
+        const tagName = this.editExistingTagInput.value.trim();
+        if (tagName) {
+            this.addTagToEditExistingDisplay(tagName);
+            this.editExistingTagInput.value = '';
+        }
+    }
+    
+    // 向编辑现有导航项模态框显示添加标签
+    addTagToEditExistingDisplay(tagName) {
+        // 检查标签是否已存在
+        const existingTags = Array.from(this.editExistingSelectedTags.children).map(tagEl => 
+            tagEl.querySelector('.tag-name').textContent
+        );
+        if (existingTags.includes(tagName)) {
+            return;
+        }
+        
+        const tagElement = this.createTagElement(tagName, (tag) => this.removeTagFromEditExisting(tag));
+        this.editExistingSelectedTags.appendChild(tagElement);
+    }
+    
+    // 从编辑现有导航项模态框移除标签
+    removeTagFromEditExisting(tagName) {
+        const tagElements = this.editExistingSelectedTags.children;
+        for (let i = 0; i < tagElements.length; i++) {
+            const tagEl = tagElements[i];
+            const name = tagEl.querySelector('.tag-name').textContent;
+            if (name === tagName) {
+                tagEl.remove();
+                break;
+            }
+        }
+    }
+    
+    // 创建标签元素
+    createTagElement(tagName, onRemove) {
+        const tagElement = document.createElement('div');
+        tagElement.className = 'selected-tag';
+        
+        const tagNameSpan = document.createElement('span');
+        tagNameSpan.className = 'tag-name';
+        tagNameSpan.textContent = tagName;
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-tag';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => onRemove(tagName));
+        
+        tagElement.appendChild(tagNameSpan);
+        tagElement.appendChild(removeBtn);
+        
+        return tagElement;
+    }
+    
+    // 获取编辑模态框中的标签
+    getEditTags() {
+        return Array.from(this.editSelectedTags.children).map(tagEl => 
+            tagEl.querySelector('.tag-name').textContent
+        );
+    }
+    
+    // 获取编辑现有导航项模态框中的标签
+    getEditExistingTags() {
+        return Array.from(this.editExistingSelectedTags.children).map(tagEl => 
+            tagEl.querySelector('.tag-name').textContent
+        );
+    }
+    
+    // 渲染标签筛选选项
+    renderTagFilterOptions() {
+        const allTags = this.model.getAllTags();
+        this.tagFilterList.innerHTML = '';
+        
+        if (allTags.length === 0) {
+            this.tagFilterPanel.style.display = 'none';
+            return;
+        }
+        
+        this.tagFilterPanel.style.display = 'block';
+        
+        allTags.forEach(tag => {
+            const filterItem = document.createElement('div');
+            filterItem.className = 'tag-filter-item';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `tag-filter-${tag}`;
+            checkbox.value = tag;
+            
+            const label = document.createElement('label');
+            label.htmlFor = `tag-filter-${tag}`;
+            label.textContent = tag;
+            
+            filterItem.appendChild(checkbox);
+            filterItem.appendChild(label);
+            
+            // 添加选择事件
+            checkbox.addEventListener('change', (e) => this.handleTagFilterChange(e));
+            
+            this.tagFilterList.appendChild(filterItem);
+        });
+    }
+    
+    // 处理标签筛选变化
+    handleTagFilterChange(event) {
+        const tag = event.target.value;
+        const isChecked = event.target.checked;
+        
+        if (isChecked) {
+            if (!this.selectedTagsForFilter.includes(tag)) {
+                this.selectedTagsForFilter.push(tag);
+            }
+        } else {
+            const index = this.selectedTagsForFilter.indexOf(tag);
+            if (index !== -1) {
+                this.selectedTagsForFilter.splice(index, 1);
+            }
+        }
+        
+        // 更新筛选结果
+        this.renderNavigationGrid();
+        
+        // 更新筛选项样式
+        this.updateTagFilterStyles();
+    }
+    
+    // 更新标签筛选项样式
+    updateTagFilterStyles() {
+        const filterItems = this.tagFilterList.querySelectorAll('.tag-filter-item');
+        filterItems.forEach(item => {
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            if (this.selectedTagsForFilter.includes(checkbox.value)) {
+                item.classList.add('selected');
+            } else {
+                item.classList.remove('selected');
+            }
+        });
+    }
+    
+    // 清除标签筛选
+    clearTagFilter() {
+        this.selectedTagsForFilter = [];
+        
+        // 清除所有复选框选中状态
+        const checkboxes = this.tagFilterList.querySelectorAll('input[type="checkbox"]');
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        
+        // 更新样式和渲染
+        this.updateTagFilterStyles();
+        this.renderNavigationGrid();
+    }
+    
+    // 筛选导航项
+    filterNavigationItems(items) {
+        if (this.selectedTagsForFilter.length === 0) {
+            return items;
+        }
+        
+        return items.filter(item => {
+            // 检查项目的标签是否与选中的标签有交集
+            return this.selectedTagsForFilter.some(tag => item.tags?.includes(tag));
+        });
+    }
+
+    closeEditModal() {
+        this.editModal.classList.remove('active');
+        this.currentEditItemId = null;
+        this.editForm.reset();
+    }
 
-            this.navGrid.appendChild(navItem);
-        });
+    handleEditSubmit(event) {
+        event.preventDefault();
 
-        // 渲染工具组项
-        toolGroups.forEach(group => {
-            const groupItem = document.createElement('div');
-            groupItem.className = 'nav-item toolgroup-item';
-            groupItem.dataset.id = group.id;
-            groupItem.dataset.type = 'toolgroup';
-            groupItem.style.setProperty('--icon-size', `${layout.iconSize}px`);
-            groupItem.draggable = true;
+        const name = this.editName.value.trim();
+        let url = this.editUrl.value.trim();
 
-            // 生成工具组缩略图（显示前4个图标）
-            const previewIcons = group.items.slice(0, 4).map(item => item.icon || '🔗').join('');
-            const emptySlots = Math.max(0, 4 - group.items.length);
-            const placeholderIcons = '⬜'.repeat(emptySlots);
-            const allPreviewIcons = previewIcons + placeholderIcons;
+        if (!name || !url) {
+            this.showToast('请填写名称和网址', 'error');
+            return;
+        }
 
-            groupItem.innerHTML = `
-                <div class="nav-item-icon toolgroup-icon" style="width: ${layout.iconSize}px; height: ${layout.iconSize}px; font-size: ${layout.iconSize * 0.35}px">
-                    <div class="toolgroup-preview-icons">${allPreviewIcons}</div>
-                </div>
-                <div class="nav-item-name">${group.name}</div>
-                <div class="toolgroup-item-count">(${group.items.length}项)</div>
-            `;
+        // 验证和规范化URL
+        const validationResult = this.validateAndNormalizeUrl(url);
+        if (!validationResult.valid) {
+            this.showToast(validationResult.message, 'error');
+            return;
+        }
+        
+        const normalizedUrl = validationResult.url;
+        const keyword = this.editKeyword.value.trim();
+        const keywordError = this.model.getItemKeywordError(keyword, this.currentEditItemId);
+        if (keywordError) {
+            this.showToast(keywordError, 'error');
+            return;
+        }
+        // 获取标签
+        const tags = this.getEditTags();
+        const itemData = { name, url: normalizedUrl, tags, keyword };
+        
+        // 获取图标URL
+        const iconStyle = this.iconPreview.style.backgroundImage;
+        if (iconStyle) {
+            // 提取URL
+            const iconUrl = iconStyle.match(/url\(['"]?([^'"]+)['"]?\)/)[1];
+            // 上传的图片预览使用资源的object URL，保存其引用
+            itemData.icon = this.model.getAssetRefForUrl(iconUrl) || iconUrl;
+        } else {
+            // 如果没有背景图片，使用文本内容作为图标
+            const iconText = this.iconPreview.textContent.trim();
+            if (iconText) {
+                itemData.icon = iconText;
+            }
+        }
 
-            // 点击事件：展开工具组面板
-            groupItem.addEventListener('click', () => {
-                this.openToolgroupPanel(group.id);
-            });
+        if (this.currentEditItemId) {
+            // 更新现有项
+            this.model.updateNavigationItem(this.currentEditItemId, itemData);
+            this.showUndoToast('导航项已更新');
+        } else {
+            // 添加新项
+            this.model.addNavigationItem(itemData);
+            this.showUndoToast('导航项已添加');
+        }
 
-            // 右键菜单
-            groupItem.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                this.currentEditItemId = group.id;
-                this.showContextMenu(e, this.toolgroupContextMenu);
-            });
+        this.renderNavigationGrid();
+        this.renderNavList();
+        this.renderTagFilterOptions();
+        this.closeEditModal();
+    }
 
-            // 拖拽事件
-            groupItem.addEventListener('dragstart', (e) => {
-                e.dataTransfer.setData('text/plain', JSON.stringify({
-                    type: 'toolgroup',
-                    id: group.id
-                }));
-                groupItem.style.opacity = '0.5';
-            });
+    handleSaveAndContinue() {
+        const name = this.editName.value.trim();
+        let url = this.editUrl.value.trim();
 
-            groupItem.addEventListener('dragend', () => {
-                groupItem.style.opacity = '1';
-            });
+        if (!name || !url) {
+            this.showToast('请填写名称和网址', 'error');
+            return;
+        }
 
-            groupItem.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                groupItem.classList.add('drag-over');
-            });
+        // 验证和规范化URL
+        const validationResult = this.validateAndNormalizeUrl(url);
+        if (!validationResult.valid) {
+            this.showToast(validationResult.message, 'error');
+            return;
+        }
+        
+        const normalizedUrl = validationResult.url;
+        const keyword = this.editKeyword.value.trim();
+        const keywordError = this.model.getItemKeywordError(keyword, this.currentEditItemId);
+        if (keywordError) {
+            this.showToast(keywordError, 'error');
+            return;
+        }
+        // 获取标签
+        const tags = this.getEditTags();
+        const itemData = { name, url: normalizedUrl, tags, keyword };
+        
+        // 获取图标URL
+        const iconStyle = this.iconPreview.style.backgroundImage;
+        if (iconStyle) {
+            // 提取URL
+            const iconUrl = iconStyle.match(/url\(['"]?([^'"]+)['"]?\)/)[1];
+            // 上传的图片预览使用资源的object URL，保存其引用
+            itemData.icon = this.model.getAssetRefForUrl(iconUrl) || iconUrl;
+        } else {
+            // 如果没有背景图片，使用文本内容作为图标
+            const iconText = this.iconPreview.textContent.trim();
+            if (iconText) {
+                itemData.icon = iconText;
+            }
+        }
 
-            groupItem.addEventListener('dragleave', () => {
-                groupItem.classList.remove('drag-over');
-            });
+        if (this.currentEditItemId) {
+            this.model.updateNavigationItem(this.currentEditItemId, itemData);
+            this.showUndoToast('导航项已更新');
+        } else {
+            this.model.addNavigationItem(itemData);
+            this.showUndoToast('导航项已添加');
+        }
 
-            groupItem.addEventListener('drop', (e) => {
-                e.preventDefault();
-                groupItem.classList.remove('drag-over');
+        this.renderNavigationGrid();
+        this.renderNavList();
+        this.renderTagFilterOptions();
 
-                try {
-                    const draggedData = JSON.parse(e.dataTransfer.getData('text/plain'));
-                    if (draggedData.type === 'nav-item') {
-                        // 将导航项添加到工具组
-                        const navItem = this.model.getNavigationItems().find(i => i.id === draggedData.id);
-                        if (navItem) {
-                            const addResult = this.model.addItemToToolGroup(group.id, navItem);
-                            if (addResult) {
-                                // 删除原导航项
-                                const deleteResult = this.model.deleteNavigationItem(draggedData.id);
-                                if (deleteResult) {
-                                    this.renderNavList();
-                                    this.renderToolgroupList();
-                                    this.renderNavigationGrid();
-                                    this.showToast('已添加到工具组');
-                                } else {
-                                    this.showToast('添加到工具组失败，请重试', 'error');
-                                }
-                            } else {
-                                this.showToast('添加到工具组失败，请重试', 'error');
-                            }
-                        }
-                    }
-                } catch (error) {
-                    console.error('拖拽数据解析失败:', error);
-                }
-            });
+        this.editName.value = '';
+        this.editUrl.value = '';
+        this.editKeyword.value = '';
+        this.iconPreview.style.backgroundImage = '';
+        this.iconPreview.textContent = '';
+        this.editIcon.value = '';
 
-            this.navGrid.appendChild(groupItem);
-        });
+        this.currentEditItemId = null;
     }
 
-    // 壁纸相关
-    updateWallpaper() {
-        const wallpaper = this.model.getWallpaper();
-        if (wallpaper) {
-            // 设置壁纸元素样式
-            this.wallpaperElement.style.backgroundImage = `url(${wallpaper})`;
-            this.wallpaperElement.style.backgroundSize = 'cover';
-            this.wallpaperElement.style.backgroundRepeat = 'no-repeat';
-            this.wallpaperElement.style.backgroundPosition = 'center';
-            this.wallpaperElement.style.backgroundAttachment = 'fixed';
+    // 编辑现有导航项模态框方法
+    openEditExistingModal(itemId) {
+        this.currentEditItemId = itemId;
+        this.editExistingModal.classList.add('active');
+        
+        // 重置手动选择图标状态
+        this.manualIconSelected.existing = false;
+
+        const item = this.model.getNavigationItems().find(i => i.id === itemId);
+        if (item) {
+            this.editExistingName.value = item.name;
+            this.editExistingUrl.value = item.url;
+            this.editExistingKeyword.value = item.keyword || '';
             
-            // 设置壁纸预览元素样式
-            if (this.wallpaperPreview) {
-                this.wallpaperPreview.style.backgroundImage = `url(${wallpaper})`;
-                this.wallpaperPreview.style.backgroundSize = 'cover';
-                this.wallpaperPreview.style.backgroundRepeat = 'no-repeat';
-                this.wallpaperPreview.style.backgroundPosition = 'center';
+            // 设置图标在线网址输入框的值
+            if (item.icon && (item.icon.startsWith('http') || item.icon.startsWith('data:image'))) {
+                this.editExistingIconUrl.value = item.icon;
+            } else {
+                this.editExistingIconUrl.value = '';
+            }
+            
+            // 根据图标类型设置预览（资源尚未读取时按文本显示引用，保存时保持不变）
+            if (item.icon) {
+                const iconUrl = this.isImageIcon(item.icon) && this.resolveImageUrl(item.icon);
+                if (iconUrl) {
+                    // 如果是URL，设置为背景图片
+                    this.iconExistingPreview.style.backgroundImage = `url(${iconUrl})`;
+                    this.iconExistingPreview.style.backgroundSize = 'cover';
+                    this.iconExistingPreview.style.backgroundRepeat = 'no-repeat';
+                    this.iconExistingPreview.style.backgroundPosition = 'center';
+                    this.iconExistingPreview.textContent = '';
+                } else {
+                    // 否则作为文本显示
+                    this.iconExistingPreview.style.backgroundImage = '';
+                    this.iconExistingPreview.textContent = item.icon;
+                }
+            } else {
+                // 默认状态
+                this.iconExistingPreview.style.backgroundImage = '';
+                this.iconExistingPreview.innerHTML = '<div class="icon-loading" style="display: none;">获取中...</div>';
             }
+        }
+    }
+
+    closeEditExistingModal() {
+        this.editExistingModal.classList.remove('active');
+        this.currentEditItemId = null;
+        this.editExistingForm.reset();
+    }
+
+    handleEditExistingSubmit(event) {
+        event.preventDefault();
+
+        const name = this.editExistingName.value.trim();
+        let url = this.editExistingUrl.value.trim();
+
+        if (!name || !url) {
+            this.showToast('请填写名称和网址', 'error');
+            return;
+        }
+
+        // 验证和规范化URL
+        const validationResult = this.validateAndNormalizeUrl(url);
+        if (!validationResult.valid) {
+            this.showToast(validationResult.message, 'error');
+            return;
+        }
+        
+        const normalizedUrl = validationResult.url;
+        const keyword = this.editExistingKeyword.value.trim();
+        const keywordError = this.model.getItemKeywordError(keyword, this.currentEditItemId);
+        if (keywordError) {
+            this.showToast(keywordError, 'error');
+            return;
+        }
+        // 获取标签
+        const tags = this.getEditExistingTags();
+        const itemData = { name, url: normalizedUrl, tags, keyword };
+        
+        // 获取图标URL
+        const iconStyle = this.iconExistingPreview.style.backgroundImage;
+        if (iconStyle) {
+            // 提取URL
+            const iconUrl = iconStyle.match(/url\(['"]?([^'"]+)['"]?\)/)[1];
+            // 上传的图片预览使用资源的object URL，保存其引用
+            itemData.icon = this.model.getAssetRefForUrl(iconUrl) || iconUrl;
         } else {
-            // 恢复默认背景
-            this.wallpaperElement.style.backgroundImage = '';
-            this.wallpaperElement.style.backgroundSize = 'cover';
-            this.wallpaperElement.style.backgroundRepeat = 'no-repeat';
-            this.wallpaperElement.style.backgroundPosition = 'center';
-            this.wallpaperElement.style.backgroundAttachment = 'fixed';
-            
-            if (this.wallpaperPreview) {
-                this.wallpaperPreview.style.backgroundImage = '';
+            // 如果没有背景图片，使用文本内容作为图标
+            const iconText = this.iconExistingPreview.textContent.trim();
+            if (iconText) {
+                itemData.icon = iconText;
             }
         }
+
+        if (this.currentEditItemId) {
+            this.model.updateNavigationItem(this.currentEditItemId, itemData);
+            this.showUndoToast('导航项已更新');
+        }
+
+        this.renderNavigationGrid();
+        this.renderNavList();
+        this.renderTagFilterOptions();
+        this.closeEditExistingModal();
     }
 
-    handleWallpaperUpload(event) {
+    previewExistingIcon(event) {
         const file = event.target.files[0];
         if (!file) return;
 
@@ -2492,1375 +9047,2268 @@ class NavigationApp {
 
         const reader = new FileReader();
         reader.onload = (e) => {
-            const dataUrl = e.target.result;
-            this.model.setWallpaper(dataUrl);
-            this.updateWallpaper();
-            this.showToast('壁纸设置成功');
+            this.iconExistingPreview.style.backgroundImage = `url(${e.target.result})`;
+            this.iconExistingPreview.textContent = '';
         };
         reader.readAsDataURL(file);
     }
 
-    resetWallpaper() {
-        this.model.setWallpaper('');
-        this.updateWallpaper();
-        this.showToast('已恢复默认壁纸');
-    }
-
-    // 布局调整
-    updateLayoutControls() {
-        const layout = this.model.getLayout();
-        this.columnsSlider.value = layout.columns;
-        this.columnsValue.textContent = layout.columns;
-        this.spacingSlider.value = layout.spacing;
-        this.spacingValue.textContent = layout.spacing;
-        this.iconSizeSlider.value = layout.iconSize;
-        this.iconSizeValue.textContent = layout.iconSize;
-        
-        // 设置搜索透明度滑块
-        const searchSettings = this.model.getSearchSettings();
-        this.searchOpacitySlider.value = Math.round((1 - searchSettings.opacity) * 100);
-        this.searchOpacityValue.textContent = Math.round((1 - searchSettings.opacity) * 100);
-    }
+    previewIcon(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-    updateLayout() {
-        const layout = {
-            columns: parseInt(this.columnsSlider.value),
-            spacing: parseInt(this.spacingSlider.value),
-            iconSize: parseInt(this.iconSizeSlider.value)
-        };
+        if (!file.type.startsWith('image/')) {
+            this.showToast('请选择图片文件', 'error');
+            return;
+        }
 
-        this.columnsValue.textContent = layout.columns;
-        this.spacingValue.textContent = layout.spacing;
-        this.iconSizeValue.textContent = layout.iconSize;
+        // 标记为手动选择图标
+        this.manualIconSelected.new = true;
 
-        this.model.updateLayout(layout);
-        this.renderNavigationGrid();
+        this.previewUploadedIcon(file, this.iconPreview);
     }
 
-    // 导航管理
-    renderNavList() {
-        this.navList.innerHTML = '';
-        const items = this.model.getNavigationItems();
-
-        items.forEach(item => {
-            const listItem = document.createElement('div');
-            listItem.className = 'nav-list-item';
-            listItem.innerHTML = `
-                <div class="nav-item-info">
-                    <strong class="nav-item-name">${item.name}</strong>
-                </div>
-                <div class="nav-item-actions">
-                    <button class="btn secondary edit-item" data-id="${item.id}">编辑</button>
-                    <button class="btn danger delete-item" data-id="${item.id}">删除</button>
-                </div>
-            `;
-
-            listItem.querySelector('.edit-item').addEventListener('click', () => this.openEditExistingModal(item.id));
-
-            listItem.querySelector('.delete-item').addEventListener('click', () => {
-                // 打开自定义确认删除模态框
-                this.openConfirmDeleteModal(`确定要删除 "${item.name}" 吗？`, () => {
-                    this.model.deleteNavigationItem(item.id);
-                    this.renderNavigationGrid();
-                    this.renderNavList();
-                    this.showToast('已删除导航项');
-                });
-            });
-
-            this.navList.appendChild(listItem);
+    // 预览上传的图标：保存到资源存储中并显示其object URL，不支持时显示data URI
+    previewUploadedIcon(file, previewElement) {
+        this.model.storeAsset(file).then(ref => {
+            if (ref) {
+                previewElement.style.backgroundImage = `url(${this.model.getAssetUrl(ref)})`;
+                previewElement.textContent = '';
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                previewElement.style.backgroundImage = `url(${e.target.result})`;
+                previewElement.textContent = '';
+            };
+            reader.readAsDataURL(file);
         });
     }
 
-    // 右键菜单
-    showContextMenu(event, menuElement) {
-        event.preventDefault();
-        this.hideAllMenus();
-
-        menuElement.style.display = 'block';
-        menuElement.style.left = `${event.pageX}px`;
-        menuElement.style.top = `${event.pageY}px`;
-
-        // 绑定菜单项事件
-        const menuItems = menuElement.querySelectorAll('li');
-        menuItems.forEach(item => {
-            item.addEventListener('click', () => this.handleContextMenuAction(item.dataset.action));
-        });
+    // 预览现有导航项图标
+    previewExistingIcon(event) {
+        const file = event.target.files[0];
+        if (!file) return;
 
-        this.currentContextMenu = menuElement;
-    }
+        if (!file.type.startsWith('image/')) {
+            this.showToast('请选择图片文件', 'error');
+            return;
+        }
 
-    hideAllMenus() {
-        // 隐藏所有右键菜单
-        [this.iconContextMenu, this.wallpaperContextMenu, this.toolgroupContextMenu].forEach(menu => {
-            if (menu) menu.style.display = 'none';
-        });
-        this.currentContextMenu = null;
+        // 标记为手动选择图标
+        this.manualIconSelected.existing = true;
 
-        // 隐藏工具组面板和模态框
-        this.toolgroupPanel.classList.remove('active');
-        this.toolgroupSelectModal.classList.remove('active');
-        this.toolgroupEditModal.classList.remove('active');
+        this.previewUploadedIcon(file, this.iconExistingPreview);
     }
 
-    handleContextMenuAction(action) {
-        this.hideAllMenus();
+    // 处理图标URL输入
+    async handleIconUrlInput(event, previewElement) {
+        let iconUrl = event.target.value.trim();
+        if (!iconUrl) {
+            // 清空预览
+            this.updateIconPreview(previewElement, null, false);
+            return;
+        }
 
-        switch (action) {
-            case 'edit':
-                if (this.currentEditItemId) {
-                    this.openEditExistingModal(this.currentEditItemId);
-                }
-                break;
-            case 'delete':
-                if (this.currentEditItemId) {
-                    if (confirm('确定要删除这个导航项吗？')) {
-                        this.model.deleteNavigationItem(this.currentEditItemId);
-                        this.renderNavigationGrid();
-                        this.renderNavList();
-                        this.showToast('已删除导航项');
-                    }
-                }
-                break;
-            case 'move-up':
-                if (this.currentEditItemId) {
-                    this.model.moveNavigationItem(this.currentEditItemId, 'up');
-                    this.renderNavigationGrid();
-                    this.renderNavList();
-                }
-                break;
-            case 'move-down':
-                if (this.currentEditItemId) {
-                    this.model.moveNavigationItem(this.currentEditItemId, 'down');
-                    this.renderNavigationGrid();
-                    this.renderNavList();
-                }
-                break;
-            case 'add-to-tool-group':
-                if (this.currentEditItemId) {
-                    this.openToolgroupSelectModal();
-                }
-                break;
-            case 'edit-toolgroup':
-                if (this.currentEditItemId) {
-                    this.openToolgroupEditModal(this.currentEditItemId);
-                }
-                break;
-            case 'add-item':
-                if (this.currentEditItemId) {
-                    // 这里可以添加向工具组添加项的逻辑
-                    this.showToast('添加项功能开发中');
-                }
-                break;
-            case 'remove-item':
-                if (this.currentEditItemId) {
-                    // 这里可以添加从工具组移除项的逻辑
-                    this.showToast('删除项功能开发中');
-                }
-                break;
-            case 'delete-toolgroup':
-                if (this.currentEditItemId) {
-                    const group = this.model.getToolGroups().find(g => g.id === this.currentEditItemId);
-                    if (group) {
-                        // 打开自定义确认删除模态框
-                        this.openConfirmDeleteModal(`确定要删除工具组 "${group.name}" 吗？`, () => {
-                            this.model.deleteToolGroup(this.currentEditItemId);
-                            this.renderNavigationGrid();
-                            this.renderToolgroupList();
-                            this.showToast('已删除工具组');
-                        });
-                    }
+        // 验证URL格式
+        let validationResult = { valid: false };
+        try {
+            // 对于图标URL，我们需要稍微宽松的验证，允许data URI和其他图片格式
+            if (iconUrl.startsWith('data:')) {
+                // 简单验证data URI格式
+                if (/^data:image\/[a-zA-Z+-.]+;base64,/.test(iconUrl)) {
+                    validationResult = { valid: true, url: iconUrl };
                 }
-                break;
-            case 'set-wallpaper':
-                this.wallpaperUpload.click();
-                break;
-            case 'add-custom-url':
-                this.openEditModal();
-                break;
-            case 'nav-settings':
-            case 'open-settings':
-                this.openSettingsPanel();
-                break;
+            } else {
+                // 使用现有方法验证HTTP/HTTPS URL
+                validationResult = this.validateAndNormalizeUrl(iconUrl);
+            }
+        } catch (error) {
+            validationResult = { valid: false, message: '无效的URL格式' };
         }
-    }
 
-    // 设置面板
-    toggleSettingsPanel() {
-        this.settingsPanel.classList.toggle('active');
+        if (!validationResult.valid) {
+            this.showToast(`图标URL格式无效: ${validationResult.message || '请检查输入'}`);
+            return;
+        }
+
+        const normalizedIconUrl = validationResult.url;
+
+        // 显示加载状态
+        this.updateIconPreview(previewElement, null, true);
+
+        try {
+            // 尝试加载图标
+            await this.loadIconFromUrl(normalizedIconUrl, previewElement);
+        } catch (error) {
+            this.updateIconPreview(previewElement, null, false);
+            this.showToast('获取图标失败，请检查URL是否正确', 'error');
+        }
     }
 
-    openSettingsPanel() {
-        this.settingsPanel.classList.add('active');
+    // 从URL加载图标
+    async loadIconFromUrl(iconUrl, previewElement) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            
+            img.onload = () => {
+                // 图标加载成功
+                this.updateIconPreview(previewElement, iconUrl, false);
+                resolve(iconUrl);
+            };
+            
+            img.onerror = () => {
+                reject(new Error('Failed to load icon'));
+            };
+            
+            img.src = iconUrl;
+        });
     }
 
-    closeSettingsPanel() {
-        this.settingsPanel.classList.remove('active');
-    }
+    // 自动获取图标
+    async autoGetFavicon(urlInput, previewElement) {
+        let url = urlInput.value.trim();
+        if (!url) return;
 
-    // 编辑模态框
-    openEditModal(itemId = null) {
-        this.currentEditItemId = itemId;
-        this.editModal.classList.add('active');
-        
-        // 重置手动选择图标状态
-        this.manualIconSelected.new = false;
+        // 验证和规范化URL
+        const validationResult = this.validateAndNormalizeUrl(url);
+        if (!validationResult.valid) {
+            return;
+        }
 
-        if (itemId) {
-            const item = this.model.getNavigationItems().find(i => i.id === itemId);
-            if (item) {
-                this.editName.value = item.name;
-                this.editUrl.value = item.url;
-                this.iconPreview.style.backgroundImage = '';
-                this.iconPreview.textContent = item.icon || '';
-                // 渲染标签
-                this.renderEditTags(item.tags || []);
-            }
-        } else {
-            this.editName.value = '';
-            this.editUrl.value = '';
-            this.iconPreview.style.backgroundImage = '';
-            this.iconPreview.innerHTML = '<div class="icon-loading" style="display: none;">获取中...</div>';
-            // 清除标签
-            this.clearEditTags();
+        const normalizedUrl = validationResult.url;
+
+        // 检查是否已手动选择图标
+        const isNewItem = previewElement === this.iconPreview;
+        if (isNewItem ? this.manualIconSelected.new : this.manualIconSelected.existing) {
+            return;
         }
-    }
-    
-    // 打开编辑现有导航项模态框
-    openEditExistingModal(itemId) {
-        this.currentEditItemId = itemId;
-        const item = this.model.getNavigationItems().find(i => i.id === itemId);
-        if (!item) return;
-        
-        this.editExistingName.value = item.name;
-        this.editExistingUrl.value = item.url;
-        
-        // 设置图标
-        if (item.icon) {
-            if (item.icon.startsWith('http')) {
-                this.iconExistingPreview.style.backgroundImage = `url(${item.icon})`;
-                this.iconExistingPreview.textContent = '';
+
+        // 显示加载状态
+        this.updateIconPreview(previewElement, null, true);
+
+        try {
+            const iconUrl = await this.getFavicon(normalizedUrl);
+            if (iconUrl) {
+                this.updateIconPreview(previewElement, iconUrl, false);
             } else {
-                this.iconExistingPreview.style.backgroundImage = '';
-                this.iconExistingPreview.textContent = item.icon;
+                this.updateIconPreview(previewElement, null, false);
+                this.showToast('未找到可用图标，请手动选择', 'error');
             }
-        } else {
-            this.iconExistingPreview.style.backgroundImage = '';
-            this.iconExistingPreview.textContent = '';
+        } catch (error) {
+            this.updateIconPreview(previewElement, null, false);
+            this.showToast('获取图标失败，请手动选择', 'error');
         }
-        
-        // 渲染标签
-        this.renderEditExistingTags(item.tags || []);
-        
-        this.editExistingModal.classList.add('active');
-    }
-    
-    // 渲染编辑模态框的标签
-    renderEditTags(tags) {
-        this.clearEditTags();
-        tags.forEach(tag => this.addTagToEditDisplay(tag));
-    }
-    
-    // 渲染编辑现有导航项模态框的标签
-    renderEditExistingTags(tags) {
-        this.clearEditExistingTags();
-        tags.forEach(tag => this.addTagToEditExistingDisplay(tag));
     }
-    
-    // 清除编辑模态框的标签
-    clearEditTags() {
-        this.editSelectedTags.innerHTML = '';
-        this.editTagInput.value = '';
+
+    // 获取图标
+    async getFavicon(url) {
+        try {
+            const urlObj = new URL(url);
+            const domain = urlObj.hostname;
+            const cacheKey = `favicon_${domain}`;
+
+            // 检查缓存
+            const cachedIcon = this.getCachedFavicon(cacheKey);
+            if (cachedIcon) {
+                return cachedIcon;
+            }
+
+            // 定义Favicon服务列表
+            const faviconServices = [
+                `https://icons.duckduckgo.com/ip3/${domain}.ico`,
+                `https://favicon.yandex.net/favicon/${domain}`,
+                `https://www.google.com/s2/favicons?domain=${domain}&sz=64`
+            ];
+
+            // 1. 尝试使用各个Favicon服务
+            for (const serviceUrl of faviconServices) {
+                try {
+                    const response = await this.fetchWithTimeout(serviceUrl, 3000);
+                    if (response.ok) {
+                        this.cacheFavicon(cacheKey, serviceUrl);
+                        return serviceUrl;
+                    }
+                } catch (error) {
+                    console.log(`Favicon服务 ${serviceUrl} 请求失败:`, error.message);
+                    // 继续尝试下一个服务
+                    continue;
+                }
+            }
+
+            // 2. 尝试直接获取favicon.ico
+            try {
+                const faviconUrl = `${urlObj.protocol}//${domain}/favicon.ico`;
+                const faviconResponse = await this.fetchWithTimeout(faviconUrl, 3000);
+                
+                if (faviconResponse.ok) {
+                    this.cacheFavicon(cacheKey, faviconUrl);
+                    return faviconUrl;
+                }
+            } catch (error) {
+                console.log(`直接获取favicon.ico失败:`, error.message);
+            }
+
+            // 3. 尝试从HTML页面提取图标
+            try {
+                const htmlIconUrl = await this.extractIconFromHtml(url);
+                if (htmlIconUrl) {
+                    this.cacheFavicon(cacheKey, htmlIconUrl);
+                    return htmlIconUrl;
+                }
+            } catch (error) {
+                console.log(`从HTML提取图标失败:`, error.message);
+            }
+
+            return null;
+        } catch (error) {
+            console.error('获取图标失败:', error);
+            return null;
+        }
     }
-    
-    // 清除编辑现有导航项模态框的标签
-    clearEditExistingTags() {
-        this.editExistingSelectedTags.innerHTML = '';
-        this.editExistingTagInput.value = '';
+
+    // 带超时的fetch请求
+    fetchWithTimeout(url, timeout) {
+        return Promise.race([
+            fetch(url, {
+                mode: 'cors',
+                cache: 'force-cache',
+                headers: {
+                    'Accept': 'text/html, */*'
+                }
+            }),
+            new Promise((_, reject) => 
+                setTimeout(() => reject(new Error('请求超时')), timeout)
+            )
+        ]);
     }
-    
-    // 向编辑模态框添加标签
-    addTagToEdit() {
-        const tagName = this.editTagInput.value.trim();
-        if (tagName) {
-            this.addTagToEditDisplay(tagName);
-            this.editTagInput.value = '';
+
+    // 从HTML页面提取图标
+    async extractIconFromHtml(url) {
+        try {
+            const response = await this.fetchWithTimeout(url, 5000);
+            if (!response.ok) {
+                return null;
+            }
+
+            const html = await response.text();
+            const parser = new DOMParser();
+            const doc = parser.parseFromString(html, 'text/html');
+            const urlObj = new URL(url);
+
+            // 查找所有图标标签
+            const iconTags = doc.querySelectorAll('link[rel*="icon"]');
+            if (iconTags.length === 0) {
+                return null;
+            }
+
+            // 优先选择带有sizes属性的较大图标
+            let bestIcon = null;
+            let maxSize = 0;
+
+            iconTags.forEach(tag => {
+                const href = tag.getAttribute('href');
+                if (!href) return;
+
+                // 解析图标URL
+                let iconUrl;
+                try {
+                    iconUrl = new URL(href, url).href;
+                } catch {
+                    return;
+                }
+
+                // 检查图标大小
+                const sizes = tag.getAttribute('sizes');
+                if (sizes) {
+                    const sizeMatch = sizes.match(/(\d+)x?(\d+)?/);
+                    if (sizeMatch) {
+                        const size = parseInt(sizeMatch[1]);
+                        if (size > maxSize) {
+                            maxSize = size;
+                            bestIcon = iconUrl;
+                        }
+                    }
+                } else if (!bestIcon) {
+                    // 如果没有sizes属性，使用第一个找到的图标
+                    bestIcon = iconUrl;
+                }
+            });
+
+            return bestIcon;
+        } catch (error) {
+            console.error('从HTML提取图标失败:', error);
+            return null;
         }
     }
-    
-    // 向编辑模态框显示添加标签
-    addTagToEditDisplay(tagName) {
-        // 检查标签是否已存在
-        const existingTags = Array.from(this.editSelectedTags.children).map(tagEl => 
-            tagEl.querySelector('.tag-name').textContent
-        );
-        if (existingTags.includes(tagName)) {
+
+    // 更新图标预览
+    updateIconPreview(previewElement, iconUrl, isLoading) {
+        // 确保previewElement存在
+        if (!previewElement) {
             return;
         }
         
-        const tagElement = this.createTagElement(tagName, (tag) => this.removeTagFromEdit(tag));
-        this.editSelectedTags.appendChild(tagElement);
-    }
-    
-    // 从编辑模态框移除标签
-    removeTagFromEdit(tagName) {
-        const tagElements = this.editSelectedTags.children;
-        for (let i = 0; i < tagElements.length; i++) {
-            const tagEl = tagElements[i];
-            const name = tagEl.querySelector('.tag-name').textContent;
-            if (name === tagName) {
-                tagEl.remove();
-                break;
+        let loadingElement = previewElement.querySelector('.icon-loading');
+        
+        // 如果没有loadingElement，创建一个
+        if (!loadingElement) {
+            loadingElement = document.createElement('div');
+            loadingElement.className = 'icon-loading';
+            loadingElement.style.display = 'none';
+            loadingElement.textContent = '获取中...';
+            previewElement.appendChild(loadingElement);
+        }
+        
+        if (isLoading) {
+            loadingElement.style.display = 'flex';
+            previewElement.style.backgroundImage = '';
+            previewElement.style.backgroundSize = '';
+            previewElement.style.backgroundRepeat = '';
+            previewElement.style.backgroundPosition = '';
+        } else {
+            loadingElement.style.display = 'none';
+            if (iconUrl) {
+                previewElement.style.backgroundImage = `url(${iconUrl})`;
+                previewElement.style.backgroundSize = 'cover';
+                previewElement.style.backgroundRepeat = 'no-repeat';
+                previewElement.style.backgroundPosition = 'center';
+                previewElement.textContent = '';
+            } else {
+                previewElement.style.backgroundImage = '';
+                previewElement.style.backgroundSize = '';
+                previewElement.style.backgroundRepeat = '';
+                previewElement.style.backgroundPosition = '';
             }
         }
     }
-    
-    // 向编辑现有导航项模态框添加标签
-    addTagToEditExisting() {
-        const tagName = this.editExistingTagInput.value.trim();
-        if (tagName) {
-            this.addTagToEditExistingDisplay(tagName);
-            this.editExistingTagInput.value = '';
+
+    // 缓存图标
+    cacheFavicon(key, iconUrl) {
+        const cacheData = {
+            iconUrl,
+            timestamp: Date.now(),
+            expire: Date.now() + 7 * 24 * 60 * 60 * 1000 // 7天有效期
+        };
+        try {
+            localStorage.setItem(key, JSON.stringify(cacheData));
+        } catch (err) {
+            // 图标缓存不是必需的，空间不足时放弃缓存并检查总用量
+            console.warn('缓存图标失败:', err);
+            if (this.model.isQuotaError(err)) {
+                this.model.checkStorageUsage();
+            }
         }
     }
-    
-    // 向编辑现有导航项模态框显示添加标签
-    addTagToEditExistingDisplay(tagName) {
-        // 检查标签是否已存在
-        const existingTags = Array.from(this.editExistingSelectedTags.children).map(tagEl => 
-            tagEl.querySelector('.tag-name').textContent
-        );
-        if (existingTags.includes(tagName)) {
-            return;
+
+    // 获取缓存的图标
+    getCachedFavicon(key) {
+        const cachedData = localStorage.getItem(key);
+        if (!cachedData) return null;
+
+        try {
+            const { iconUrl, expire } = JSON.parse(cachedData);
+            if (Date.now() <= expire) {
+                return iconUrl;
+            }
+            // 缓存过期，删除
+            localStorage.removeItem(key);
+            return null;
+        } catch (error) {
+            console.error('解析缓存失败:', error);
+            localStorage.removeItem(key);
+            return null;
         }
-        
-        const tagElement = this.createTagElement(tagName, (tag) => this.removeTagFromEditExisting(tag));
-        this.editExistingSelectedTags.appendChild(tagElement);
     }
-    
-    // 从编辑现有导航项模态框移除标签
-    removeTagFromEditExisting(tagName) {
-        const tagElements = this.editExistingSelectedTags.children;
-        for (let i = 0; i < tagElements.length; i++) {
-            const tagEl = tagElements[i];
-            const name = tagEl.querySelector('.tag-name').textContent;
-            if (name === tagName) {
-                tagEl.remove();
-                break;
+
+    // URL验证和规范化工具函数
+    validateAndNormalizeUrl(url) {
+        // 去除首尾空格
+        url = url.trim();
+        if (!url) {
+            return { valid: false, message: '网址不能为空' };
+        }
+
+        // 检查是否包含无效协议
+        const protocolRegex = /^[a-zA-Z][a-zA-Z0-9+-.]*:\/\//;
+        const protocolMatch = url.match(protocolRegex);
+        if (protocolMatch) {
+            const protocol = protocolMatch[0].toLowerCase();
+            // 只允许http://和https://协议
+            if (protocol !== 'http://' && protocol !== 'https://') {
+                return { valid: false, message: '网址格式无效: 只支持http://和https://协议' };
             }
         }
-    }
-    
-    // 创建标签元素
-    createTagElement(tagName, onRemove) {
-        const tagElement = document.createElement('div');
-        tagElement.className = 'selected-tag';
-        
-        const tagNameSpan = document.createElement('span');
-        tagNameSpan.className = 'tag-name';
-        tagNameSpan.textContent = tagName;
-        
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'remove-tag';
-        removeBtn.textContent = '×';
-        removeBtn.addEventListener('click', () => onRemove(tagName));
-        
-        tagElement.appendChild(tagNameSpan);
-        tagElement.appendChild(removeBtn);
-        
-        return tagElement;
-    }
-    
-    // 获取编辑模态框中的标签
-    getEditTags() {
-        return Array.from(this.editSelectedTags.children).map(tagEl => 
-            tagEl.querySelector('.tag-name').textContent
-        );
-    }
-    
-    // 获取编辑现有导航项模态框中的标签
-    getEditExistingTags() {
-        return Array.from(this.editExistingSelectedTags.children).map(tagEl => 
-            tagEl.querySelector('.tag-name').textContent
-        );
-    }
-    
-    // 渲染标签筛选选项
-    renderTagFilterOptions() {
-        const allTags = this.model.getAllTags();
-        this.tagFilterList.innerHTML = '';
-        
-        if (allTags.length === 0) {
-            this.tagFilterPanel.style.display = 'none';
-            return;
+
+        // 规范化处理
+        // 1. 对于www.开头的网址，添加https://协议
+        if (url.startsWith('www.')) {
+            url = `https://${url}`;
         }
-        
-        this.tagFilterPanel.style.display = 'block';
-        
-        allTags.forEach(tag => {
-            const filterItem = document.createElement('div');
-            filterItem.className = 'tag-filter-item';
+        // 2. 对于其他没有协议的网址，尝试添加https://
+        else if (!url.startsWith('http://') && !url.startsWith('https://')) {
+            url = `https://${url}`;
+        }
+
+        // 验证URL格式
+        try {
+            const urlObj = new URL(url);
             
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.id = `tag-filter-${tag}`;
-            checkbox.value = tag;
+            // 验证主机名是否有效
+            if (!urlObj.hostname || urlObj.hostname === '') {
+                return { valid: false, message: '网址格式无效，请检查主机名' };
+            }
             
-            const label = document.createElement('label');
-            label.htmlFor = `tag-filter-${tag}`;
-            label.textContent = tag;
+            // 验证主机名格式（至少包含一个点，且不以点开头或结尾）
+            const hostname = urlObj.hostname;
+            if (hostname.indexOf('.') === -1 && hostname !== 'localhost') {
+                return { valid: false, message: '网址格式无效，请检查主机名后缀' };
+            }
             
-            filterItem.appendChild(checkbox);
-            filterItem.appendChild(label);
+            if (hostname.startsWith('.') || hostname.endsWith('.')) {
+                return { valid: false, message: '网址格式无效，主机名不能以点开头或结尾' };
+            }
             
-            // 添加选择事件
-            checkbox.addEventListener('change', (e) => this.handleTagFilterChange(e));
+            // 检查是否包含连续的点
+            if (hostname.includes('..')) {
+                return { valid: false, message: '网址格式无效，主机名不能包含连续的点' };
+            }
             
-            this.tagFilterList.appendChild(filterItem);
-        });
+            return { valid: true, url: urlObj.toString() };
+        } catch (error) {
+            return { valid: false, message: `网址格式无效: ${error.message}` };
+        }
     }
-    
-    // 处理标签筛选变化
-    handleTagFilterChange(event) {
-        const tag = event.target.value;
-        const isChecked = event.target.checked;
-        
-        if (isChecked) {
-            if (!this.selectedTagsForFilter.includes(tag)) {
-                this.selectedTagsForFilter.push(tag);
-            }
+
+    // 数据管理
+    exportSettings() {
+        // 优先使用File System API
+        if (this.model.isFileSystemAPISupported()) {
+            this.model.exportSettingsWithFileSystem().then(success => {
+                if (success) {
+                    this.showToast(this.model.isEncryptionEnabled() ? '设置已加密导出到本地文件' : '设置已导出到本地文件');
+                } else {
+                    // 降级使用传统下载方式
+                    this.exportSettingsWithDownload();
+                }
+            }).catch(err => {
+                console.error('File System API导出失败，使用传统方式:', err);
+                this.exportSettingsWithDownload();
+            });
         } else {
-            const index = this.selectedTagsForFilter.indexOf(tag);
-            if (index !== -1) {
-                this.selectedTagsForFilter.splice(index, 1);
-            }
+            // 浏览器不支持File System API，使用传统下载方式
+            this.exportSettingsWithDownload();
         }
-        
-        // 更新筛选结果
-        this.renderNavigationGrid();
-        
-        // 更新筛选项样式
-        this.updateTagFilterStyles();
     }
     
-    // 更新标签筛选项样式
-    updateTagFilterStyles() {
-        const filterItems = this.tagFilterList.querySelectorAll('.tag-filter-item');
-        filterItems.forEach(item => {
-            const checkbox = item.querySelector('input[type="checkbox"]');
-            if (this.selectedTagsForFilter.includes(checkbox.value)) {
-                item.classList.add('selected');
-            } else {
-                item.classList.remove('selected');
-            }
-        });
+    // 使用传统下载方式导出设置
+    async exportSettingsWithDownload() {
+        try {
+            const downloadUrl = await this.model.exportSettings();
+            const a = document.createElement('a');
+            a.href = downloadUrl;
+            a.download = `nav-settings-${new Date().toISOString().split('T')[0]}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(downloadUrl);
+            this.showToast(this.model.isEncryptionEnabled() ? '设置已加密导出' : '设置已导出');
+        } catch (err) {
+            console.error('导出设置失败:', err);
+            this.showToast(`导出失败：${err.message}`, 'error');
+        }
     }
     
-    // 清除标签筛选
-    clearTagFilter() {
-        this.selectedTagsForFilter = [];
-        
-        // 清除所有复选框选中状态
-        const checkboxes = this.tagFilterList.querySelectorAll('input[type="checkbox"]');
-        checkboxes.forEach(checkbox => {
-            checkbox.checked = false;
-        });
+    // 更新导出口令，留空则关闭加密
+    updateExportPassphrase() {
+        const passphrase = this.exportPassphraseInput.value;
+        if (passphrase && !this.model.isSubtleCryptoSupported()) {
+            this.exportPassphraseInput.value = '';
+            this.showToast('当前环境不支持加密，请通过HTTPS或localhost访问', 'error');
+            return;
+        }
         
-        // 更新样式和渲染
-        this.updateTagFilterStyles();
-        this.renderNavigationGrid();
+        const wasEnabled = this.model.isEncryptionEnabled();
+        this.model.setExportPassphrase(passphrase);
+        if (this.model.isEncryptionEnabled()) {
+            this.showToast('已设置导出口令，导出和备份文件将加密');
+        } else if (wasEnabled) {
+            this.showToast('已清除导出口令，导出和备份文件不再加密');
+        }
     }
     
-    // 筛选导航项
-    filterNavigationItems(items) {
-        if (this.selectedTagsForFilter.length === 0) {
-            return items;
-        }
+    // 打开口令输入框，返回用户输入的口令，取消时返回null
+    openPassphraseModal(message) {
+        // 关闭之前未完成的输入框
+        this.closePassphraseModal();
         
-        return items.filter(item => {
-            // 检查项目的标签是否与选中的标签有交集
-            return this.selectedTagsForFilter.some(tag => item.tags?.includes(tag));
+        this.passphraseMessage.textContent = message;
+        this.passphraseInput.value = '';
+        this.passphraseModal.classList.add('active');
+        this.passphraseInput.focus();
+        
+        return new Promise((resolve) => {
+            this.pendingPassphrase = resolve;
         });
     }
-
-    closeEditModal() {
-        this.editModal.classList.remove('active');
-        this.currentEditItemId = null;
-        this.editForm.reset();
+    
+    // 关闭口令输入框（视为取消）
+    closePassphraseModal() {
+        this.finishPassphrase(null);
     }
-
-    handleEditSubmit(event) {
-        event.preventDefault();
-
-        const name = this.editName.value.trim();
-        let url = this.editUrl.value.trim();
-
-        if (!name || !url) {
-            this.showToast('请填写名称和网址', 'error');
-            return;
-        }
-
-        // 验证和规范化URL
-        const validationResult = this.validateAndNormalizeUrl(url);
-        if (!validationResult.valid) {
-            this.showToast(validationResult.message, 'error');
-            return;
+    
+    // 提交输入的口令
+    submitPassphrase() {
+        const passphrase = this.passphraseInput.value;
+        if (!passphrase) return;
+        this.finishPassphrase(passphrase);
+    }
+    
+    // 结束口令输入并返回结果
+    finishPassphrase(result) {
+        const resolve = this.pendingPassphrase;
+        this.pendingPassphrase = null;
+        this.passphraseModal.classList.remove('active');
+        this.passphraseInput.value = '';
+        if (resolve) {
+            resolve(result);
         }
-        
-        const normalizedUrl = validationResult.url;
-        // 获取标签
-        const tags = this.getEditTags();
-        const itemData = { name, url: normalizedUrl, tags };
-        
-        // 获取图标URL
-        const iconStyle = this.iconPreview.style.backgroundImage;
-        if (iconStyle) {
-            // 提取URL
-            const iconUrl = iconStyle.match(/url\(['"]?([^'"]+)['"]?\)/)[1];
-            itemData.icon = iconUrl;
-        } else {
-            // 如果没有背景图片，使用文本内容作为图标
-            const iconText = this.iconPreview.textContent.trim();
-            if (iconText) {
-                itemData.icon = iconText;
-            }
+    }
+    
+    // 导出为浏览器可导入的书签HTML
+    async exportBookmarks() {
+        try {
+            const html = await this.model.exportBookmarksHtml();
+            const dataBlob = new Blob([html], { type: 'text/html' });
+            const downloadUrl = URL.createObjectURL(dataBlob);
+            const a = document.createElement('a');
+            a.href = downloadUrl;
+            a.download = `bookmarks-${new Date().toISOString().split('T')[0]}.html`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(downloadUrl);
+            this.showToast('书签已导出');
+        } catch (err) {
+            console.error('导出书签失败:', err);
+            this.showToast('导出书签失败', 'error');
         }
+    }
 
-        if (this.currentEditItemId) {
-            // 更新现有项
-            this.model.updateNavigationItem(this.currentEditItemId, itemData);
-            this.showToast('导航项已更新');
-        } else {
-            // 添加新项
-            this.model.addNavigationItem(itemData);
-            this.showToast('导航项已添加');
+    // 导出包含图片文件的ZIP数据包
+    async exportBundle() {
+        try {
+            const downloadUrl = await this.model.exportBundle();
+            const a = document.createElement('a');
+            a.href = downloadUrl;
+            a.download = `nav-bundle-${new Date().toISOString().split('T')[0]}.zip`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(downloadUrl);
+            this.showToast(this.model.isEncryptionEnabled() ? '数据包已导出（设置已加密）' : '数据包已导出');
+        } catch (err) {
+            console.error('导出数据包失败:', err);
+            this.showToast(`导出数据包失败：${err.message}`, 'error');
         }
-
-        this.renderNavigationGrid();
-        this.renderNavList();
-        this.renderTagFilterOptions();
-        this.closeEditModal();
     }
 
-    handleSaveAndContinue() {
-        const name = this.editName.value.trim();
-        let url = this.editUrl.value.trim();
-
-        if (!name || !url) {
-            this.showToast('请填写名称和网址', 'error');
+    handleImportFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        // ZIP数据包直接交给模型读取
+        if (/\.zip$/i.test(file.name)) {
+            this.processImportData(file);
+            event.target.value = '';
             return;
         }
 
-        // 验证和规范化URL
-        const validationResult = this.validateAndNormalizeUrl(url);
-        if (!validationResult.valid) {
-            this.showToast(validationResult.message, 'error');
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const content = e.target.result;
+            // 浏览器导出的书签HTML先预览再合并
+            if (this.model.isBookmarksHtml(content)) {
+                this.openBookmarkImportModal(content);
+            } else {
+                this.processImportData(content);
+            }
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+    
+    // 打开书签导入预览
+    openBookmarkImportModal(html) {
+        const parsed = this.model.parseBookmarksHtml(html);
+        const total = parsed ? parsed.items.length + parsed.groups.reduce((sum, g) => sum + g.items.length, 0) : 0;
+        if (total === 0) {
+            this.showToast('书签文件中没有可导入的网址', 'error');
             return;
         }
         
-        const normalizedUrl = validationResult.url;
-        // 获取标签
-        const tags = this.getEditTags();
-        const itemData = { name, url: normalizedUrl, tags };
+        this.pendingBookmarkImport = parsed;
+        this.renderBookmarkImportPreview(parsed);
+        this.bookmarkImportModal.classList.add('active');
+    }
+    
+    // 关闭书签导入预览
+    closeBookmarkImportModal() {
+        this.bookmarkImportModal.classList.remove('active');
+        this.bookmarkImportList.innerHTML = '';
+        this.pendingBookmarkImport = null;
+    }
+    
+    // 渲染书签导入预览列表
+    renderBookmarkImportPreview(parsed) {
+        this.bookmarkImportList.innerHTML = '';
         
-        // 获取图标URL
-        const iconStyle = this.iconPreview.style.backgroundImage;
-        if (iconStyle) {
-            // 提取URL
-            const iconUrl = iconStyle.match(/url\(['"]?([^'"]+)['"]?\)/)[1];
-            itemData.icon = iconUrl;
-        } else {
-            // 如果没有背景图片，使用文本内容作为图标
-            const iconText = this.iconPreview.textContent.trim();
-            if (iconText) {
-                itemData.icon = iconText;
-            }
-        }
-
-        if (this.currentEditItemId) {
-            this.model.updateNavigationItem(this.currentEditItemId, itemData);
-            this.showToast('导航项已更新');
-        } else {
-            this.model.addNavigationItem(itemData);
-            this.showToast('导航项已添加');
+        const sections = [];
+        if (parsed.items.length > 0) {
+            sections.push({ groupIndex: -1, title: '快捷方式', items: parsed.items });
         }
-
-        this.renderNavigationGrid();
-        this.renderNavList();
-        this.renderTagFilterOptions();
-
-        this.editName.value = '';
-        this.editUrl.value = '';
-        this.iconPreview.style.backgroundImage = '';
-        this.iconPreview.textContent = '';
-        this.editIcon.value = '';
-
-        this.currentEditItemId = null;
-    }
-
-    // 编辑现有导航项模态框方法
-    openEditExistingModal(itemId) {
-        this.currentEditItemId = itemId;
-        this.editExistingModal.classList.add('active');
+        parsed.groups.forEach((group, groupIndex) => {
+            sections.push({ groupIndex, title: `工具组：${group.name}`, items: group.items });
+        });
         
-        // 重置手动选择图标状态
-        this.manualIconSelected.existing = false;
-
-        const item = this.model.getNavigationItems().find(i => i.id === itemId);
-        if (item) {
-            this.editExistingName.value = item.name;
-            this.editExistingUrl.value = item.url;
+        sections.forEach(section => {
+            const sectionEl = document.createElement('div');
+            sectionEl.className = 'bookmark-import-section';
             
-            // 设置图标在线网址输入框的值
-            if (item.icon && (item.icon.startsWith('http') || item.icon.startsWith('data:image'))) {
-                this.editExistingIconUrl.value = item.icon;
-            } else {
-                this.editExistingIconUrl.value = '';
-            }
+            const header = document.createElement('label');
+            header.className = 'bookmark-import-section-title';
+            const sectionCheckbox = document.createElement('input');
+            sectionCheckbox.type = 'checkbox';
+            sectionCheckbox.className = 'bookmark-import-section-checkbox';
+            header.appendChild(sectionCheckbox);
+            header.appendChild(document.createTextNode(` ${section.title} (${section.items.length}项)`));
+            sectionEl.appendChild(header);
             
-            // 根据图标类型设置预览
-            if (item.icon) {
-                if (item.icon.startsWith('http') || item.icon.startsWith('data:image')) {
-                    // 如果是URL，设置为背景图片
-                    this.iconExistingPreview.style.backgroundImage = `url(${item.icon})`;
-                    this.iconExistingPreview.style.backgroundSize = 'cover';
-                    this.iconExistingPreview.style.backgroundRepeat = 'no-repeat';
-                    this.iconExistingPreview.style.backgroundPosition = 'center';
-                    this.iconExistingPreview.textContent = '';
+            const itemCheckboxes = [];
+            section.items.forEach((item, itemIndex) => {
+                const row = document.createElement('label');
+                row.className = 'bookmark-import-item';
+                
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'bookmark-import-checkbox';
+                checkbox.dataset.group = section.groupIndex;
+                checkbox.dataset.index = itemIndex;
+                // 已存在的网址默认不勾选
+                checkbox.checked = !item.exists;
+                itemCheckboxes.push(checkbox);
+                
+                const icon = document.createElement('span');
+                icon.className = 'bookmark-import-icon';
+                if (item.icon) {
+                    icon.style.backgroundImage = `url(${item.icon})`;
                 } else {
-                    // 否则作为文本显示
-                    this.iconExistingPreview.style.backgroundImage = '';
-                    this.iconExistingPreview.textContent = item.icon;
+                    icon.textContent = '🔗';
+                }
+                
+                const info = document.createElement('span');
+                info.className = 'bookmark-import-info';
+                const name = document.createElement('span');
+                name.className = 'bookmark-import-name';
+                name.textContent = item.name;
+                const url = document.createElement('span');
+                url.className = 'bookmark-import-url';
+                url.textContent = item.url;
+                info.appendChild(name);
+                info.appendChild(url);
+                
+                row.appendChild(checkbox);
+                row.appendChild(icon);
+                row.appendChild(info);
+                
+                if (item.exists) {
+                    const badge = document.createElement('span');
+                    badge.className = 'bookmark-import-badge';
+                    badge.textContent = '已存在';
+                    row.appendChild(badge);
                 }
+                
+                checkbox.addEventListener('change', () => {
+                    sectionCheckbox.checked = itemCheckboxes.every(cb => cb.checked);
+                    this.updateBookmarkImportSummary();
+                });
+                
+                sectionEl.appendChild(row);
+            });
+            
+            sectionCheckbox.checked = itemCheckboxes.every(cb => cb.checked);
+            sectionCheckbox.addEventListener('change', () => {
+                itemCheckboxes.forEach(cb => {
+                    cb.checked = sectionCheckbox.checked;
+                });
+                this.updateBookmarkImportSummary();
+            });
+            
+            this.bookmarkImportList.appendChild(sectionEl);
+        });
+        
+        this.updateBookmarkImportSummary();
+    }
+    
+    // 更新书签导入的选中统计
+    updateBookmarkImportSummary() {
+        const checkboxes = Array.from(this.bookmarkImportList.querySelectorAll('.bookmark-import-checkbox'));
+        const selected = checkboxes.filter(cb => cb.checked).length;
+        this.bookmarkImportSummary.textContent = `已选 ${selected} / ${checkboxes.length} 项`;
+        this.bookmarkImportSelectAll.checked = selected === checkboxes.length;
+    }
+    
+    // 全选或取消全选书签
+    toggleAllBookmarkSelection(checked) {
+        this.bookmarkImportList.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+            cb.checked = checked;
+        });
+        this.updateBookmarkImportSummary();
+    }
+    
+    // 合并选中的书签
+    confirmBookmarkImport() {
+        const parsed = this.pendingBookmarkImport;
+        if (!parsed) return;
+        
+        const selection = { items: [], groups: parsed.groups.map(group => ({ name: group.name, items: [] })) };
+        this.bookmarkImportList.querySelectorAll('.bookmark-import-checkbox:checked').forEach(cb => {
+            const groupIndex = parseInt(cb.dataset.group);
+            const itemIndex = parseInt(cb.dataset.index);
+            if (groupIndex === -1) {
+                selection.items.push(parsed.items[itemIndex]);
             } else {
-                // 默认状态
-                this.iconExistingPreview.style.backgroundImage = '';
-                this.iconExistingPreview.innerHTML = '<div class="icon-loading" style="display: none;">获取中...</div>';
+                selection.groups[groupIndex].items.push(parsed.groups[groupIndex].items[itemIndex]);
             }
+        });
+        
+        const selectedCount = selection.items.length + selection.groups.reduce((sum, g) => sum + g.items.length, 0);
+        if (selectedCount === 0) {
+            this.showToast('请至少选择一个书签', 'error');
+            return;
         }
-    }
-
-    closeEditExistingModal() {
-        this.editExistingModal.classList.remove('active');
-        this.currentEditItemId = null;
-        this.editExistingForm.reset();
-    }
-
-    handleEditExistingSubmit(event) {
-        event.preventDefault();
-
-        const name = this.editExistingName.value.trim();
-        let url = this.editExistingUrl.value.trim();
-
-        if (!name || !url) {
-            this.showToast('请填写名称和网址', 'error');
+        
+        const result = this.model.importBookmarks(selection);
+        this.closeBookmarkImportModal();
+        this.refreshAllData();
+        this.renderTagFilterOptions();
+        this.showUndoToast(`已导入 ${result.items} 个书签${result.groups ? `，新建 ${result.groups} 个工具组` : ''}`);
+    }
+    
+    // 处理导入的数据（JSON文本或ZIP数据包文件）
+    async processImportData(jsonData) {
+        // 加密文件先请求口令解密
+        let data;
+        try {
+            data = typeof jsonData === 'string'
+                ? await this.model.parseSettingsText(jsonData)
+                : await this.model.parseSettingsFile(jsonData);
+        } catch (err) {
+            console.error('解析导入文件失败:', err);
+            this.showToast('导入失败，请检查文件格式', 'error');
             return;
         }
-
-        // 验证和规范化URL
-        const validationResult = this.validateAndNormalizeUrl(url);
-        if (!validationResult.valid) {
-            this.showToast(validationResult.message, 'error');
+        if (!data) {
+            if (this.model.lastImportError !== '已取消解密') {
+                this.showToast(this.model.lastImportError || '导入失败，请检查文件格式', 'error');
+            }
             return;
         }
         
-        const normalizedUrl = validationResult.url;
-        // 获取标签
-        const tags = this.getEditExistingTags();
-        const itemData = { name, url: normalizedUrl, tags };
+        const incoming = this.model.parseImportedSettings(data);
+        if (!incoming) {
+            this.showToast(this.model.lastImportError || '导入失败，请检查文件格式', 'error');
+            return;
+        }
         
-        // 获取图标URL
-        const iconStyle = this.iconExistingPreview.style.backgroundImage;
-        if (iconStyle) {
-            // 提取URL
-            const iconUrl = iconStyle.match(/url\(['"]?([^'"]+)['"]?\)/)[1];
-            itemData.icon = iconUrl;
-        } else {
-            // 如果没有背景图片，使用文本内容作为图标
-            const iconText = this.iconExistingPreview.textContent.trim();
-            if (iconText) {
-                itemData.icon = iconText;
-            }
+        const settings = await this.model.resolveImportedSettings(incoming);
+        if (!settings) {
+            // 用户取消了导入
+            return;
         }
-
-        if (this.currentEditItemId) {
-            this.model.updateNavigationItem(this.currentEditItemId, itemData);
-            this.showToast('导航项已更新');
+        
+        this.model.applyImportedSettings(settings);
+        this.refreshAllData();
+        this.renderTagFilterOptions();
+        this.showUndoToast('设置已导入');
+    }
+    
+    // 打开导入合并对话框，返回合并后的设置，取消时返回null
+    openImportMergeModal(incoming) {
+        // 关闭之前未完成的对话框
+        this.closeImportMergeModal();
+        
+        const plan = this.model.buildMergePlan(incoming);
+        this.pendingImportMerge = { plan };
+        this.renderImportMergePlan(plan);
+        this.importMergeModal.classList.add('active');
+        
+        return new Promise((resolve) => {
+            this.pendingImportMerge.resolve = resolve;
+        });
+    }
+    
+    // 关闭导入合并对话框（视为取消）
+    closeImportMergeModal() {
+        this.finishImportMerge(null);
+    }
+    
+    // 结束导入合并并返回结果
+    finishImportMerge(result) {
+        const pending = this.pendingImportMerge;
+        this.pendingImportMerge = null;
+        this.importMergeModal.classList.remove('active');
+        this.importMergeList.innerHTML = '';
+        if (pending && pending.resolve) {
+            pending.resolve(result);
         }
-
+    }
+    
+    // 按所选条目合并
+    confirmImportMerge() {
+        if (!this.pendingImportMerge) return;
+        
+        const decisions = {};
+        this.importMergeList.querySelectorAll('input[data-key]').forEach(input => {
+            if (input.type === 'checkbox') {
+                decisions[input.dataset.key] = input.checked ? 'apply' : 'skip';
+            } else if (input.checked) {
+                decisions[input.dataset.key] = input.value;
+            }
+        });
+        
+        const merged = this.model.createMergedSettings(this.pendingImportMerge.plan, decisions);
+        this.finishImportMerge(merged);
+    }
+    
+    // 使用导入的数据替换全部设置
+    confirmImportReplace() {
+        if (!this.pendingImportMerge) return;
+        this.finishImportMerge(this.pendingImportMerge.plan.incoming);
+    }
+    
+    // 渲染导入差异列表
+    renderImportMergePlan(plan) {
+        this.importMergeList.innerHTML = '';
+        
+        const fieldLabels = { name: '名称', icon: '图标', tags: '标签' };
+        const shorten = (value) => {
+            const text = Array.isArray(value) ? value.join('、') : String(value);
+            return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+        };
+        const describeLocation = (entry) => entry.groupName ? `工具组：${entry.groupName}` : '快捷方式';
+        
+        const sections = [
+            { status: 'conflict', title: '冲突' },
+            { status: 'changed', title: '变更' },
+            { status: 'added', title: '新增' }
+        ];
+        const counts = {};
+        plan.entries.forEach(entry => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+        
+        this.importMergeSummary.textContent = `新增 ${counts.added || 0} 项，变更 ${counts.changed || 0} 项，冲突 ${counts.conflict || 0} 项，相同 ${counts.unchanged || 0} 项`;
+        
+        sections.forEach(section => {
+            const entries = plan.entries.filter(entry => entry.status === section.status);
+            if (entries.length === 0) return;
+            
+            const sectionEl = document.createElement('div');
+            sectionEl.className = `import-merge-section ${section.status}`;
+            const title = document.createElement('div');
+            title.className = 'import-merge-section-title';
+            title.textContent = `${section.title} (${entries.length})`;
+            sectionEl.appendChild(title);
+            
+            entries.forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'import-merge-item';
+                
+                const info = document.createElement('div');
+                info.className = 'import-merge-info';
+                const name = document.createElement('div');
+                name.className = 'import-merge-name';
+                name.textContent = entry.kind === 'group'
+                    ? `工具组：${entry.groupName}`
+                    : (entry.existing ? entry.existing.name : entry.incoming.name);
+                const detail = document.createElement('div');
+                detail.className = 'import-merge-detail';
+                
+                if (entry.kind === 'group') {
+                    detail.textContent = '新建空工具组';
+                } else if (entry.status === 'added') {
+                    detail.textContent = `${entry.incoming.url} · ${describeLocation(entry)}`;
+                } else {
+                    const parts = Object.entries(entry.changes).map(([field, value]) => `${fieldLabels[field]}：+${shorten(value)}`);
+                    Object.entries(entry.conflicts).forEach(([field, { current, next }]) => {
+                        parts.push(`${fieldLabels[field]}：${shorten(current)} → ${shorten(next)}`);
+                    });
+                    detail.textContent = parts.join('；');
+                }
+                info.appendChild(name);
+                info.appendChild(detail);
+                
+                if (entry.status === 'conflict') {
+                    const choices = document.createElement('div');
+                    choices.className = 'import-merge-choices';
+                    [['existing', '保留当前'], ['incoming', '使用导入']].forEach(([value, label]) => {
+                        const choice = document.createElement('label');
+                        const radio = document.createElement('input');
+                        radio.type = 'radio';
+                        radio.name = `merge-${entry.key}`;
+                        radio.value = value;
+                        radio.dataset.key = entry.key;
+                        radio.checked = value === 'existing';
+                        choice.appendChild(radio);
+                        choice.appendChild(document.createTextNode(` ${label}`));
+                        choices.appendChild(choice);
+                    });
+                    row.appendChild(info);
+                    row.appendChild(choices);
+                } else {
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.dataset.key = entry.key;
+                    checkbox.checked = true;
+                    row.classList.add('selectable');
+                    row.addEventListener('click', (e) => {
+                        if (e.target !== checkbox) {
+                            checkbox.checked = !checkbox.checked;
+                        }
+                    });
+                    row.appendChild(checkbox);
+                    row.appendChild(info);
+                }
+                
+                sectionEl.appendChild(row);
+            });
+            
+            this.importMergeList.appendChild(sectionEl);
+        });
+        
+        if (!this.importMergeList.children.length) {
+            const empty = document.createElement('div');
+            empty.className = 'import-merge-empty';
+            empty.textContent = '导入的数据与当前设置没有差异';
+            this.importMergeList.appendChild(empty);
+        }
+    }
+    
+    // 刷新所有数据和UI
+    refreshAllData() {
         this.renderNavigationGrid();
+        this.updateWallpaper();
+        this.updateLayoutControls();
         this.renderNavList();
-        this.renderTagFilterOptions();
-        this.closeEditExistingModal();
+        this.renderToolgroupList();
+        this.renderPageList();
     }
-
-    previewExistingIcon(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        if (!file.type.startsWith('image/')) {
-            this.showToast('请选择图片文件', 'error');
-            return;
+    
+    // 文件存储控制方法
+    toggleFileStorage(enabled) {
+        if (enabled) {
+            // 使用用户选择或自动检测的存储后端
+            const entry = this.model.adapterRegistry.get(this.model.getActiveBackendId());
+            this.model.initFileStorage().then(success => {
+                if (success) {
+                    this.model.isFileStorageEnabled = true;
+                    this.showToast(`文件存储已启用（${entry ? entry.name : 'LocalStorage'}）`);
+                    this.renderStorageBackendList();
+                } else {
+                    this.enableFileStorageCheckbox.checked = false;
+                    this.showToast('文件存储初始化失败，请重试', 'error');
+                }
+            }).catch(err => {
+                this.enableFileStorageCheckbox.checked = false;
+                this.showToast('文件存储初始化失败：' + err.message, 'error');
+            });
+        } else {
+            this.model.isFileStorageEnabled = false;
+            // 不再自动重新连接之前的存储文件
+            this.model.forgetFileHandle();
+            this.hideStorageReconnectBanner();
+            this.showToast('文件存储已禁用');
         }
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.iconExistingPreview.style.backgroundImage = `url(${e.target.result})`;
-            this.iconExistingPreview.textContent = '';
-        };
-        reader.readAsDataURL(file);
     }
-
-    previewIcon(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        if (!file.type.startsWith('image/')) {
-            this.showToast('请选择图片文件', 'error');
-            return;
+    
+    selectStorageFile() {
+        if (this.model.isFileStorageEnabled || this.model.isFirefox() || this.model.isTreaBrowser()) {
+            // 对于已启用文件存储或Firefox/trea浏览器，使用适配器打开存储
+            if (!this.model.storageAdapter) {
+                this.model.initFileStorage();
+            }
+            
+            this.model.storageAdapter.openStorage().then(success => {
+                if (success) {
+                    this.model.isFileStorageEnabled = true;
+                    this.enableFileStorageCheckbox.checked = true;
+                    this.showToast('已选择存储文件');
+                    this.refreshAllData();
+                } else {
+                    this.showToast('选择存储文件失败', 'error');
+                }
+            }).catch(err => {
+                this.showToast('选择存储文件失败：' + err.message, 'error');
+            });
+        } else if (this.model.isFileSystemAPISupported()) {
+            // 原有逻辑，适用于Chrome/Edge/Opera
+            this.model.openStorageFile().then(success => {
+                if (success) {
+                    this.model.isFileStorageEnabled = true;
+                    this.enableFileStorageCheckbox.checked = true;
+                    this.showToast('已选择存储文件');
+                    // 重新加载数据
+                    this.model.loadFromFile().then(success => {
+                        if (success) {
+                            this.refreshAllData();
+                            this.showIntegrityWarning();
+                        } else if (this.model.lastImportError) {
+                            this.showToast(this.model.lastImportError, 'error');
+                        }
+                    });
+                }
+            }).catch(err => {
+                this.showToast('选择存储文件失败：' + err.message, 'error');
+            });
+        } else {
+            this.showToast('您的浏览器不支持文件系统访问API。目前仅Chrome、Edge和Opera浏览器支持此功能。', 'error');
         }
-
-        // 标记为手动选择图标
-        this.manualIconSelected.new = true;
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.iconPreview.style.backgroundImage = `url(${e.target.result})`;
-            this.iconPreview.textContent = '';
-        };
-        reader.readAsDataURL(file);
     }
 
-    // 预览现有导航项图标
-    previewExistingIcon(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        if (!file.type.startsWith('image/')) {
-            this.showToast('请选择图片文件', 'error');
-            return;
+    restoreFromManualBackup() {
+        if (this.model.isFileStorageEnabled || this.model.isFirefox() || this.model.isTreaBrowser()) {
+            // 对于已启用文件存储或Firefox/trea浏览器，使用适配器恢复
+            if (!this.model.storageAdapter) {
+                this.model.initFileStorage();
+            }
+            
+            this.model.lastImportError = null;
+            this.model.storageAdapter.restoreStorage().then(success => {
+                if (success) {
+                    this.refreshAllData();
+                    this.showToast('从备份恢复成功');
+                } else {
+                    this.showToast(this.model.lastImportError || '从备份恢复失败', 'error');
+                }
+            }).catch(err => {
+                this.showToast('从备份恢复失败：' + err.message, 'error');
+            });
+        } else if (this.model.isFileSystemAPISupported()) {
+            // 原有逻辑，适用于Chrome/Edge/Opera
+            this.model.restoreFromBackup().then(success => {
+                if (success) {
+                    this.refreshAllData();
+                    if (!this.showIntegrityWarning()) {
+                        this.showToast('从备份恢复成功');
+                    }
+                } else {
+                    this.showToast(this.model.lastImportError || '从备份恢复失败', 'error');
+                }
+            }).catch(err => {
+                this.showToast('从备份恢复失败：' + err.message, 'error');
+            });
+        } else {
+            this.showToast('您的浏览器不支持文件系统访问API。目前仅Chrome、Edge和Opera浏览器支持此功能。', 'error');
         }
-
-        // 标记为手动选择图标
-        this.manualIconSelected.existing = true;
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.iconExistingPreview.style.backgroundImage = `url(${e.target.result})`;
-            this.iconExistingPreview.textContent = '';
-        };
-        reader.readAsDataURL(file);
     }
 
-    // 处理图标URL输入
-    async handleIconUrlInput(event, previewElement) {
-        let iconUrl = event.target.value.trim();
-        if (!iconUrl) {
-            // 清空预览
-            this.updateIconPreview(previewElement, null, false);
+    // 备份目录
+    async updateBackupDirectoryStatus() {
+        this.backupLimitInput.value = this.model.currentSettings.backups.limit;
+        
+        if (!this.model.isDirectoryPickerSupported()) {
+            this.backupDirectoryStatus.textContent = '当前浏览器不支持选择目录，无法自动备份';
+            [this.chooseBackupDirectoryBtn, this.backupNowBtn, this.forgetBackupDirectoryBtn].forEach(btn => {
+                btn.disabled = true;
+            });
             return;
         }
-
-        // 验证URL格式
-        let validationResult = { valid: false };
-        try {
-            // 对于图标URL，我们需要稍微宽松的验证，允许data URI和其他图片格式
-            if (iconUrl.startsWith('data:')) {
-                // 简单验证data URI格式
-                if (/^data:image\/[a-zA-Z+-.]+;base64,/.test(iconUrl)) {
-                    validationResult = { valid: true, url: iconUrl };
-                }
-            } else {
-                // 使用现有方法验证HTTP/HTTPS URL
-                validationResult = this.validateAndNormalizeUrl(iconUrl);
+        
+        const info = await this.model.getBackupDirectoryInfo();
+        this.forgetBackupDirectoryBtn.disabled = !info;
+        if (!info) {
+            this.backupDirectoryStatus.textContent = '未选择备份目录';
+        } else if (info.permission === 'granted') {
+            this.backupDirectoryStatus.textContent = `备份到：${info.name}`;
+        } else {
+            this.backupDirectoryStatus.textContent = `备份到：${info.name}（需要重新授权，点击“立即备份”授权）`;
+        }
+    }
+    
+    async chooseBackupDirectory() {
+        this.model.lastImportError = null;
+        const name = await this.model.chooseBackupDirectory();
+        if (name) {
+            this.showToast(`已选择备份目录：${name}`);
+        } else if (this.model.lastImportError) {
+            this.showToast(`选择备份目录失败：${this.model.lastImportError}`, 'error');
+        }
+        this.updateBackupDirectoryStatus();
+    }
+    
+    async backupNow() {
+        // 没有权限时在本次点击中重新请求，尚未选择目录时先选择
+        let directory = await this.model.getBackupDirectory(true);
+        if (!directory && !(await this.model.getBackupDirectoryInfo())) {
+            if (!(await this.model.chooseBackupDirectory())) {
+                this.updateBackupDirectoryStatus();
+                return;
             }
-        } catch (error) {
-            validationResult = { valid: false, message: '无效的URL格式' };
+            directory = await this.model.getBackupDirectory();
         }
-
-        if (!validationResult.valid) {
-            this.showToast(`图标URL格式无效: ${validationResult.message || '请检查输入'}`);
+        if (!directory) {
+            this.showToast('没有备份目录的写入权限', 'error');
+            this.updateBackupDirectoryStatus();
             return;
         }
-
-        const normalizedIconUrl = validationResult.url;
-
-        // 显示加载状态
-        this.updateIconPreview(previewElement, null, true);
-
-        try {
-            // 尝试加载图标
-            await this.loadIconFromUrl(normalizedIconUrl, previewElement);
-        } catch (error) {
-            this.updateIconPreview(previewElement, null, false);
-            this.showToast('获取图标失败，请检查URL是否正确', 'error');
+        
+        this.model.lastImportError = null;
+        if (await this.model.backupFile(true)) {
+            this.showToast(this.model.isEncryptionEnabled() ? '已创建加密备份' : '已创建备份');
+        } else {
+            this.showToast(`备份失败：${this.model.lastImportError || '未知错误'}`, 'error');
         }
+        this.updateBackupDirectoryStatus();
     }
-
-    // 从URL加载图标
-    async loadIconFromUrl(iconUrl, previewElement) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            
-            img.onload = () => {
-                // 图标加载成功
-                this.updateIconPreview(previewElement, iconUrl, false);
-                resolve(iconUrl);
-            };
-            
-            img.onerror = () => {
-                reject(new Error('Failed to load icon'));
-            };
-            
-            img.src = iconUrl;
+    
+    async forgetBackupDirectory() {
+        await this.model.forgetBackupDirectory();
+        this.showToast('已停止自动备份，已有的备份文件仍保留在目录中');
+        this.updateBackupDirectoryStatus();
+    }
+    
+    updateBackupLimit() {
+        const limit = Math.min(100, Math.max(1, parseInt(this.backupLimitInput.value) || this.model.defaultSettings.backups.limit));
+        this.backupLimitInput.value = limit;
+        this.model.updateBackupRetention({ limit });
+        this.showToast(`将保留最近 ${limit} 个备份`);
+    }
+    
+    // 打开备份选择框，返回选中的备份、'browse'（改用文件选择器）或null（取消）
+    openBackupPickerModal(backups) {
+        this.closeBackupPickerModal();
+        
+        this.backupPickerList.innerHTML = '';
+        backups.forEach(backup => {
+            const listItem = document.createElement('div');
+            listItem.className = 'nav-list-item';
+            listItem.innerHTML = `
+                <div class="nav-item-info">
+                    <strong class="nav-item-name"></strong>
+                    <div class="nav-item-count"></div>
+                </div>
+                <div class="nav-item-actions">
+                    <button class="btn secondary" type="button">恢复</button>
+                </div>
+            `;
+            listItem.querySelector('.nav-item-name').textContent = new Date(backup.lastModified).toLocaleString();
+            listItem.querySelector('.nav-item-count').textContent = `${backup.name} · ${Math.max(1, Math.round(backup.size / 1024))} KB`;
+            listItem.querySelector('button').addEventListener('click', () => this.finishBackupPicker(backup));
+            this.backupPickerList.appendChild(listItem);
+        });
+        this.backupPickerModal.classList.add('active');
+        
+        return new Promise((resolve) => {
+            this.pendingBackupPicker = resolve;
         });
     }
-
-    // 自动获取图标
-    async autoGetFavicon(urlInput, previewElement) {
-        let url = urlInput.value.trim();
-        if (!url) return;
-
-        // 验证和规范化URL
-        const validationResult = this.validateAndNormalizeUrl(url);
-        if (!validationResult.valid) {
+    
+    // 关闭备份选择框（视为取消）
+    closeBackupPickerModal() {
+        this.finishBackupPicker(null);
+    }
+    
+    finishBackupPicker(result) {
+        const resolve = this.pendingBackupPicker;
+        this.pendingBackupPicker = null;
+        this.backupPickerModal.classList.remove('active');
+        if (resolve) {
+            resolve(result);
+        }
+    }
+
+    // 配置（工作区）相关方法
+    renderProfileSwitcher() {
+        const active = this.model.getActiveProfile();
+        this.profileToggle.textContent = active.name;
+        this.profileMenuList.innerHTML = '';
+        this.model.getProfiles().forEach(profile => {
+            const item = document.createElement('li');
+            item.textContent = profile.name;
+            item.className = profile.id === active.id ? 'active' : '';
+            item.addEventListener('click', () => this.switchProfile(profile.id));
+            this.profileMenuList.appendChild(item);
+        });
+    }
+    
+    toggleProfileMenu() {
+        if (this.profileMenu.classList.contains('active')) {
+            this.closeProfileMenu();
             return;
         }
-
-        const normalizedUrl = validationResult.url;
-
-        // 检查是否已手动选择图标
-        const isNewItem = previewElement === this.iconPreview;
-        if (isNewItem ? this.manualIconSelected.new : this.manualIconSelected.existing) {
+        // 其他标签页可能新建或重命名了配置
+        this.renderProfileSwitcher();
+        this.profileMenu.classList.add('active');
+        this.profileToggle.setAttribute('aria-expanded', 'true');
+    }
+    
+    closeProfileMenu() {
+        this.profileMenu.classList.remove('active');
+        this.profileToggle.setAttribute('aria-expanded', 'false');
+    }
+    
+    switchProfile(id) {
+        this.closeProfileMenu();
+        if (id === this.model.activeProfileId) return;
+        if (!this.model.switchProfile(id)) {
+            this.showToast('配置不存在', 'error');
             return;
         }
-
-        // 显示加载状态
-        this.updateIconPreview(previewElement, null, true);
-
-        try {
-            const iconUrl = await this.getFavicon(normalizedUrl);
-            if (iconUrl) {
-                this.updateIconPreview(previewElement, iconUrl, false);
-            } else {
-                this.updateIconPreview(previewElement, null, false);
-                this.showToast('未找到可用图标，请手动选择', 'error');
+        
+        this.refreshSettingsViews();
+        this.renderProfileSwitcher();
+        this.updateProfileBackendNotice();
+        if (this.profileModal.classList.contains('active')) {
+            this.renderProfileList();
+        }
+        if (this.settingsPanel.classList.contains('active')) {
+            this.openSettingsPanel();
+        }
+        
+        // 回到默认配置时重新连接存储后端，WebDAV同步会载入其他设备的修改
+        if (this.model.isDefaultProfile()) {
+            if (!this.model.isFileStorageEnabled) {
+                this.restoreStorageBackend();
+            } else if (this.isWebDAVActive()) {
+                this.model.storageAdapter.openStorage().then(() => this.updateWebDAVStatus());
             }
-        } catch (error) {
-            this.updateIconPreview(previewElement, null, false);
-            this.showToast('获取图标失败，请手动选择', 'error');
         }
+        this.showToast(`已切换到配置"${this.model.getActiveProfile().name}"`);
     }
-
-    // 获取图标
-    async getFavicon(url) {
-        try {
-            const urlObj = new URL(url);
-            const domain = urlObj.hostname;
-            const cacheKey = `favicon_${domain}`;
-
-            // 检查缓存
-            const cachedIcon = this.getCachedFavicon(cacheKey);
-            if (cachedIcon) {
-                return cachedIcon;
-            }
-
-            // 定义Favicon服务列表
-            const faviconServices = [
-                `https://icons.duckduckgo.com/ip3/${domain}.ico`,
-                `https://favicon.yandex.net/favicon/${domain}`,
-                `https://www.google.com/s2/favicons?domain=${domain}&sz=64`
-            ];
-
-            // 1. 尝试使用各个Favicon服务
-            for (const serviceUrl of faviconServices) {
-                try {
-                    const response = await this.fetchWithTimeout(serviceUrl, 3000);
-                    if (response.ok) {
-                        this.cacheFavicon(cacheKey, serviceUrl);
-                        return serviceUrl;
-                    }
-                } catch (error) {
-                    console.log(`Favicon服务 ${serviceUrl} 请求失败:`, error.message);
-                    // 继续尝试下一个服务
-                    continue;
-                }
-            }
-
-            // 2. 尝试直接获取favicon.ico
-            try {
-                const faviconUrl = `${urlObj.protocol}//${domain}/favicon.ico`;
-                const faviconResponse = await this.fetchWithTimeout(faviconUrl, 3000);
-                
-                if (faviconResponse.ok) {
-                    this.cacheFavicon(cacheKey, faviconUrl);
-                    return faviconUrl;
-                }
-            } catch (error) {
-                console.log(`直接获取favicon.ico失败:`, error.message);
-            }
-
-            // 3. 尝试从HTML页面提取图标
-            try {
-                const htmlIconUrl = await this.extractIconFromHtml(url);
-                if (htmlIconUrl) {
-                    this.cacheFavicon(cacheKey, htmlIconUrl);
-                    return htmlIconUrl;
+    
+    // 非默认配置不使用存储后端，禁用相关操作并显示说明
+    updateProfileBackendNotice() {
+        const isDefault = this.model.isDefaultProfile();
+        this.profileBackendNotice.classList.toggle('active', !isDefault);
+        [
+            this.enableFileStorageCheckbox,
+            this.selectStorageFileBtn,
+            this.chooseBackupDirectoryBtn,
+            this.backupNowBtn,
+            this.enableWebDAVCheckbox,
+            this.webdavSyncBtn
+        ].forEach(element => {
+            element.disabled = !isDefault;
+        });
+    }
+    
+    openProfileModal() {
+        this.closeProfileMenu();
+        this.renderProfileList();
+        this.newProfileNameInput.value = '';
+        this.newProfileSourceSelect.value = 'blank';
+        this.profileModal.classList.add('active');
+    }
+    
+    closeProfileModal() {
+        this.profileModal.classList.remove('active');
+    }
+    
+    renderProfileList() {
+        this.profileList.innerHTML = '';
+        this.model.getProfiles().forEach(profile => {
+            const isActive = profile.id === this.model.activeProfileId;
+            const isDefault = profile.id === this.model.defaultProfileId;
+            const listItem = document.createElement('div');
+            listItem.className = 'nav-list-item';
+            listItem.innerHTML = `
+                <div class="nav-item-info">
+                    <input type="text" class="profile-name-input" maxlength="30">
+                    <div class="nav-item-count">${isActive ? '当前配置' : ''}${isDefault ? `${isActive ? ' · ' : ''}默认配置，使用存储后端` : ''}</div>
+                </div>
+                <div class="nav-item-actions">
+                    <button class="btn secondary switch-profile" type="button"${isActive ? ' disabled' : ''}>切换</button>
+                    <button class="btn secondary export-profile" type="button">导出</button>
+                    <button class="btn danger delete-profile" type="button"${isActive || isDefault ? ' disabled' : ''}>删除</button>
+                </div>
+            `;
+            
+            const nameInput = listItem.querySelector('.profile-name-input');
+            nameInput.value = profile.name;
+            nameInput.addEventListener('change', () => {
+                if (this.model.renameProfile(profile.id, nameInput.value)) {
+                    this.renderProfileSwitcher();
+                    this.showToast('配置已重命名');
+                } else {
+                    nameInput.value = profile.name;
+                    this.showToast('配置名称不能为空或与其他配置重复', 'error');
                 }
-            } catch (error) {
-                console.log(`从HTML提取图标失败:`, error.message);
-            }
-
-            return null;
-        } catch (error) {
-            console.error('获取图标失败:', error);
-            return null;
+            });
+            listItem.querySelector('.switch-profile').addEventListener('click', () => this.switchProfile(profile.id));
+            listItem.querySelector('.export-profile').addEventListener('click', () => this.exportProfile(profile));
+            listItem.querySelector('.delete-profile').addEventListener('click', () => {
+                this.openConfirmDeleteModal(`确定要删除配置"${profile.name}"吗？其中的导航项、修改历史和快照都将被删除。`, () => {
+                    this.deleteProfile(profile.id);
+                }, '删除配置');
+            });
+            
+            this.profileList.appendChild(listItem);
+        });
+    }
+    
+    createProfile() {
+        const name = this.newProfileNameInput.value;
+        const source = this.newProfileSourceSelect.value === 'copy' ? this.model.currentSettings : null;
+        const profile = this.model.createProfile(name, source);
+        if (!profile) {
+            this.showToast('配置名称不能为空或与其他配置重复', 'error');
+            return;
         }
+        this.newProfileNameInput.value = '';
+        this.switchProfile(profile.id);
+        this.renderProfileList();
     }
-
-    // 带超时的fetch请求
-    fetchWithTimeout(url, timeout) {
-        return Promise.race([
-            fetch(url, {
-                mode: 'cors',
-                cache: 'force-cache',
-                headers: {
-                    'Accept': 'text/html, */*'
-                }
-            }),
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('请求超时')), timeout)
-            )
-        ]);
+    
+    async deleteProfile(id) {
+        if (await this.model.deleteProfile(id)) {
+            this.renderProfileList();
+            this.renderProfileSwitcher();
+            this.showToast('配置已删除');
+        } else {
+            this.showToast('无法删除该配置', 'error');
+        }
     }
-
-    // 从HTML页面提取图标
-    async extractIconFromHtml(url) {
+    
+    async exportProfile(profile) {
         try {
-            const response = await this.fetchWithTimeout(url, 5000);
-            if (!response.ok) {
-                return null;
-            }
-
-            const html = await response.text();
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            const urlObj = new URL(url);
-
-            // 查找所有图标标签
-            const iconTags = doc.querySelectorAll('link[rel*="icon"]');
-            if (iconTags.length === 0) {
-                return null;
+            const downloadUrl = await this.model.exportProfile(profile.id);
+            if (!downloadUrl) {
+                this.showToast('读取配置失败', 'error');
+                return;
             }
-
-            // 优先选择带有sizes属性的较大图标
-            let bestIcon = null;
-            let maxSize = 0;
-
-            iconTags.forEach(tag => {
-                const href = tag.getAttribute('href');
-                if (!href) return;
-
-                // 解析图标URL
-                let iconUrl;
-                try {
-                    iconUrl = new URL(href, url).href;
-                } catch {
-                    return;
-                }
-
-                // 检查图标大小
-                const sizes = tag.getAttribute('sizes');
-                if (sizes) {
-                    const sizeMatch = sizes.match(/(\d+)x?(\d+)?/);
-                    if (sizeMatch) {
-                        const size = parseInt(sizeMatch[1]);
-                        if (size > maxSize) {
-                            maxSize = size;
-                            bestIcon = iconUrl;
-                        }
-                    }
-                } else if (!bestIcon) {
-                    // 如果没有sizes属性，使用第一个找到的图标
-                    bestIcon = iconUrl;
-                }
-            });
-
-            return bestIcon;
-        } catch (error) {
-            console.error('从HTML提取图标失败:', error);
-            return null;
+            const a = document.createElement('a');
+            a.href = downloadUrl;
+            a.download = `nav-settings-${profile.name}-${new Date().toISOString().split('T')[0]}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(downloadUrl);
+            this.showToast(`配置"${profile.name}"已导出`);
+        } catch (err) {
+            console.error('导出配置失败:', err);
+            this.showToast(`导出失败：${err.message}`, 'error');
+        }
+    }
+    
+    // 选择要复制到的配置，payload为{ items, groups }
+    openProfileCopyModal(payload, title) {
+        const targets = this.model.getProfiles().filter(profile => profile.id !== this.model.activeProfileId);
+        if (targets.length === 0) {
+            this.showToast('没有其他配置，请先在"管理配置"中新建', 'warning');
+            return;
+        }
+        
+        this.pendingProfileCopy = payload;
+        this.profileCopyTitle.textContent = title;
+        this.profileCopyList.innerHTML = '';
+        targets.forEach((profile, index) => {
+            const option = document.createElement('div');
+            option.className = 'form-group';
+            option.innerHTML = `
+                <label style="display: flex; align-items: center; gap: 0.5rem; cursor: pointer;">
+                    <input type="radio" name="profile-copy-target"${index === 0 ? ' checked' : ''}> <span></span>
+                </label>
+            `;
+            option.querySelector('input').value = profile.id;
+            option.querySelector('span').textContent = profile.name;
+            this.profileCopyList.appendChild(option);
+        });
+        this.profileCopyModal.classList.add('active');
+    }
+    
+    closeProfileCopyModal() {
+        this.profileCopyModal.classList.remove('active');
+        this.pendingProfileCopy = null;
+    }
+    
+    confirmCopyToProfile() {
+        const selected = this.profileCopyList.querySelector('input[name="profile-copy-target"]:checked');
+        if (!selected || !this.pendingProfileCopy) return;
+        
+        const profile = this.model.getProfiles().find(p => p.id === selected.value);
+        const result = this.model.copyToProfile(selected.value, this.pendingProfileCopy);
+        this.closeProfileCopyModal();
+        if (!result) {
+            this.showToast('复制失败', 'error');
+        } else if (result.items === 0) {
+            this.showToast(`配置"${profile.name}"中已有相同的网址`, 'warning');
+        } else {
+            this.showToast(`已复制 ${result.items} 个网址到配置"${profile.name}"${result.skipped ? `，跳过 ${result.skipped} 个已存在的网址` : ''}`);
         }
     }
 
-    // 更新图标预览
-    updateIconPreview(previewElement, iconUrl, isLoading) {
-        // 确保previewElement存在
-        if (!previewElement) {
+    // 存储后端选择
+    // 启动时恢复用户选择的存储后端；本地文件通过保存的文件句柄恢复，其他需要选择文件的后端仍由用户手动打开
+    restoreStorageBackend() {
+        // 存储后端只用于默认配置
+        if (!this.model.isDefaultProfile()) {
             return;
         }
         
-        let loadingElement = previewElement.querySelector('.icon-loading');
+        const backendId = this.model.getPreferredBackend() || (this.model.isWebDAVEnabled() ? 'webdav' : null);
+        if ((backendId || this.model.detectDefaultBackend()) === 'file-system') {
+            this.restoreFileStorage();
+            return;
+        }
         
-        // 如果没有loadingElement，创建一个
-        if (!loadingElement) {
-            loadingElement = document.createElement('div');
-            loadingElement.className = 'icon-loading';
-            loadingElement.style.display = 'none';
-            loadingElement.textContent = '获取中...';
-            previewElement.appendChild(loadingElement);
+        const entry = backendId && this.model.adapterRegistry.get(backendId);
+        if (!entry || entry.capabilities.needsUserGesture) {
+            return;
         }
         
-        if (isLoading) {
-            loadingElement.style.display = 'flex';
-            previewElement.style.backgroundImage = '';
-            previewElement.style.backgroundSize = '';
-            previewElement.style.backgroundRepeat = '';
-            previewElement.style.backgroundPosition = '';
-        } else {
-            loadingElement.style.display = 'none';
-            if (iconUrl) {
-                previewElement.style.backgroundImage = `url(${iconUrl})`;
-                previewElement.style.backgroundSize = 'cover';
-                previewElement.style.backgroundRepeat = 'no-repeat';
-                previewElement.style.backgroundPosition = 'center';
-                previewElement.textContent = '';
+        if (backendId === 'webdav') {
+            // 密码没有保存时等待用户输入，输入后自动连接
+            const config = this.model.getWebDAVConfig();
+            if (config.username && !config.password) {
+                this.updateWebDAVStatus('密码未保存，请输入WebDAV密码后继续同步');
+                return;
+            }
+            this.connectWebDAV(true);
+            return;
+        }
+        this.model.initFileStorage(backendId).then(success => {
+            if (success) {
+                this.enableFileStorageCheckbox.checked = true;
+                this.refreshSettingsViews();
             } else {
-                previewElement.style.backgroundImage = '';
-                previewElement.style.backgroundSize = '';
-                previewElement.style.backgroundRepeat = '';
-                previewElement.style.backgroundPosition = '';
+                console.warn(`无法打开存储后端：${entry.name}`);
             }
+        });
+    }
+    
+    // 重新打开上次使用的存储文件，权限已失效时显示重新连接提示
+    async restoreFileStorage() {
+        const result = await this.model.restoreFileStorage();
+        if (result.status === 'connected') {
+            this.enableFileStorageCheckbox.checked = true;
+            this.refreshSettingsViews();
+            this.showIntegrityWarning();
+        } else if (result.status === 'prompt') {
+            this.showStorageReconnectBanner(result.name);
+        } else if (result.status === 'failed') {
+            this.showToast(this.model.lastImportError || `无法打开存储文件 ${result.name}`, 'error');
         }
     }
-
-    // 缓存图标
-    cacheFavicon(key, iconUrl) {
-        const cacheData = {
-            iconUrl,
-            timestamp: Date.now(),
-            expire: Date.now() + 7 * 24 * 60 * 60 * 1000 // 7天有效期
-        };
-        localStorage.setItem(key, JSON.stringify(cacheData));
+    
+    showStorageReconnectBanner(fileName) {
+        this.storageReconnectMessage.textContent = `需要重新授权才能继续使用存储文件 ${fileName}，在此之前修改只保存在浏览器中`;
+        this.storageReconnectBanner.classList.add('active');
     }
-
-    // 获取缓存的图标
-    getCachedFavicon(key) {
-        const cachedData = localStorage.getItem(key);
-        if (!cachedData) return null;
-
-        try {
-            const { iconUrl, expire } = JSON.parse(cachedData);
-            if (Date.now() <= expire) {
-                return iconUrl;
+    
+    hideStorageReconnectBanner() {
+        this.storageReconnectBanner.classList.remove('active');
+    }
+    
+    // 重新请求存储文件的访问权限（由点击触发，浏览器才会显示授权提示）
+    async reconnectStorageFile() {
+        const success = await this.model.reconnectFileStorage();
+        if (success) {
+            this.hideStorageReconnectBanner();
+            this.enableFileStorageCheckbox.checked = true;
+            this.refreshSettingsViews();
+            if (!this.showIntegrityWarning()) {
+                this.showToast('已重新连接存储文件');
             }
-            // 缓存过期，删除
-            localStorage.removeItem(key);
-            return null;
-        } catch (error) {
-            console.error('解析缓存失败:', error);
-            localStorage.removeItem(key);
-            return null;
+        } else {
+            this.showToast(this.model.lastImportError || '重新连接存储文件失败', 'error');
         }
     }
-
-    // URL验证和规范化工具函数
-    validateAndNormalizeUrl(url) {
-        // 去除首尾空格
-        url = url.trim();
-        if (!url) {
-            return { valid: false, message: '网址不能为空' };
-        }
-
-        // 检查是否包含无效协议
-        const protocolRegex = /^[a-zA-Z][a-zA-Z0-9+-.]*:\/\//;
-        const protocolMatch = url.match(protocolRegex);
-        if (protocolMatch) {
-            const protocol = protocolMatch[0].toLowerCase();
-            // 只允许http://和https://协议
-            if (protocol !== 'http://' && protocol !== 'https://') {
-                return { valid: false, message: '网址格式无效: 只支持http://和https://协议' };
+    
+    // 渲染存储后端对比表
+    renderStorageBackendList() {
+        const registry = this.model.adapterRegistry;
+        const preferred = this.model.getPreferredBackend() || (this.model.isWebDAVEnabled() ? 'webdav' : 'auto');
+        const detected = registry.get(this.model.detectDefaultBackend());
+        const capabilities = Object.keys(registry.capabilityLabels);
+        
+        const table = document.createElement('table');
+        table.className = 'storage-backend-table';
+        
+        const headRow = table.createTHead().insertRow();
+        ['后端', ...capabilities.map(key => registry.capabilityLabels[key])].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+        
+        const body = table.createTBody();
+        const rows = [
+            { id: 'auto', name: `自动（${detected ? detected.name : 'LocalStorage'}）`, description: '根据浏览器自动选择', capabilities: detected ? detected.capabilities : {}, supported: true },
+            ...registry.list().map(entry => ({ ...entry, supported: registry.isSupported(entry, this.model) }))
+        ];
+        
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            tr.className = 'storage-backend-row';
+            if (!row.supported) {
+                tr.classList.add('unsupported');
             }
+            
+            const nameCell = tr.insertCell();
+            const label = document.createElement('label');
+            label.className = 'storage-backend-name';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'storage-backend';
+            radio.value = row.id;
+            radio.checked = row.id === preferred;
+            radio.disabled = !row.supported || !this.model.isDefaultProfile();
+            radio.addEventListener('change', () => this.selectStorageBackend(row.id));
+            const name = document.createElement('span');
+            name.textContent = row.name;
+            label.append(radio, name);
+            nameCell.appendChild(label);
+            
+            const description = document.createElement('small');
+            description.textContent = row.supported ? row.description : '当前浏览器不支持';
+            nameCell.appendChild(description);
+            
+            capabilities.forEach(key => {
+                const cell = tr.insertCell();
+                cell.className = 'storage-backend-capability';
+                cell.textContent = row.capabilities[key] ? '✓' : '—';
+            });
+        });
+        
+        this.storageBackendList.innerHTML = '';
+        this.storageBackendList.appendChild(table);
+    }
+    
+    // 切换存储后端，选择"自动"时恢复默认行为（由"启用本地文件存储"决定是否使用）
+    async selectStorageBackend(backendId) {
+        if (backendId === 'webdav') {
+            // WebDAV需要服务器配置，与"启用WebDAV同步"相同
+            this.enableWebDAVCheckbox.checked = true;
+            await this.toggleWebDAV(true);
+            return;
         }
-
-        // 规范化处理
-        // 1. 对于www.开头的网址，添加https://协议
-        if (url.startsWith('www.')) {
-            url = `https://${url}`;
+        
+        // 切换到其他后端时停用WebDAV同步
+        if (this.model.getWebDAVConfig().enabled) {
+            this.model.setWebDAVConfig({ enabled: false });
+            this.enableWebDAVCheckbox.checked = false;
+            this.updateWebDAVStatus();
         }
-        // 2. 对于其他没有协议的网址，尝试添加https://
-        else if (!url.startsWith('http://') && !url.startsWith('https://')) {
-            url = `https://${url}`;
+        
+        if (backendId === 'auto') {
+            this.model.setPreferredBackend(null);
+            this.model.storageAdapter = null;
+            this.model.isFileStorageEnabled = false;
+            this.model.forgetFileHandle();
+            this.hideStorageReconnectBanner();
+            this.enableFileStorageCheckbox.checked = false;
+            this.renderStorageBackendList();
+            this.showToast('已恢复自动选择存储后端');
+            return;
         }
-
-        // 验证URL格式
+        
+        const entry = this.model.adapterRegistry.get(backendId);
+        const previousBackend = this.model.getPreferredBackend();
+        this.model.setPreferredBackend(backendId);
+        const success = await this.model.initFileStorage(backendId);
+        if (success) {
+            this.enableFileStorageCheckbox.checked = true;
+            this.refreshSettingsViews();
+            this.showToast(`已切换到${entry.name}`);
+        } else {
+            this.model.setPreferredBackend(previousBackend);
+            this.showToast(`切换到${entry.name}失败`, 'error');
+        }
+        this.renderStorageBackendList();
+    }
+    
+    // WebDAV同步
+    initWebDAVSettings() {
+        const config = this.model.getWebDAVConfig();
+        this.webdavUrlInput.value = config.url;
+        this.webdavUsernameInput.value = config.username;
+        this.webdavPasswordInput.value = config.password;
+        this.webdavRememberPasswordCheckbox.checked = config.rememberPassword;
+        this.enableWebDAVCheckbox.checked = config.enabled;
+        this.updateWebDAVStatus();
+    }
+    
+    isWebDAVActive() {
+        return this.model.isStorageBackendActive() && this.model.storageAdapter instanceof WebDAVAdapter;
+    }
+    
+    // 读取表单中的WebDAV配置，地址无效时提示并返回null
+    readWebDAVForm() {
+        const url = this.webdavUrlInput.value.trim();
+        let valid = false;
         try {
-            const urlObj = new URL(url);
-            
-            // 验证主机名是否有效
-            if (!urlObj.hostname || urlObj.hostname === '') {
-                return { valid: false, message: '网址格式无效，请检查主机名' };
-            }
-            
-            // 验证主机名格式（至少包含一个点，且不以点开头或结尾）
-            const hostname = urlObj.hostname;
-            if (hostname.indexOf('.') === -1 && hostname !== 'localhost') {
-                return { valid: false, message: '网址格式无效，请检查主机名后缀' };
+            valid = ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (e) {
+            valid = false;
+        }
+        if (!valid) {
+            this.showToast('请输入有效的WebDAV地址（http或https）', 'error');
+            return null;
+        }
+        
+        return {
+            url,
+            username: this.webdavUsernameInput.value.trim(),
+            password: this.webdavPasswordInput.value,
+            rememberPassword: this.webdavRememberPasswordCheckbox.checked
+        };
+    }
+    
+    // 保存表单中的配置，已启用同步时用新配置重新连接（包括因密码未保存而尚未连接的情况）
+    saveWebDAVForm() {
+        this.model.setWebDAVConfig({
+            url: this.webdavUrlInput.value.trim(),
+            username: this.webdavUsernameInput.value.trim(),
+            password: this.webdavPasswordInput.value,
+            rememberPassword: this.webdavRememberPasswordCheckbox.checked
+        });
+        if (this.model.isWebDAVEnabled() && this.readWebDAVForm()) {
+            this.connectWebDAV();
+        }
+    }
+    
+    // 已启用同步时使用当前适配器，否则按表单配置临时创建
+    getWebDAVAdapter() {
+        if (this.isWebDAVActive()) {
+            return this.model.storageAdapter;
+        }
+        const config = this.readWebDAVForm();
+        return config ? new WebDAVAdapter(this.model, config) : null;
+    }
+    
+    async toggleWebDAV(enabled) {
+        if (!enabled) {
+            this.model.setWebDAVConfig({ enabled: false });
+            if (this.model.getPreferredBackend() === 'webdav') {
+                this.model.setPreferredBackend(null);
             }
-            
-            if (hostname.startsWith('.') || hostname.endsWith('.')) {
-                return { valid: false, message: '网址格式无效，主机名不能以点开头或结尾' };
+            if (this.model.storageAdapter instanceof WebDAVAdapter) {
+                this.model.storageAdapter = null;
+                this.model.isFileStorageEnabled = false;
+                this.enableFileStorageCheckbox.checked = false;
             }
-            
-            // 检查是否包含连续的点
-            if (hostname.includes('..')) {
-                return { valid: false, message: '网址格式无效，主机名不能包含连续的点' };
+            this.updateWebDAVStatus();
+            this.renderStorageBackendList();
+            this.showToast('WebDAV同步已停用');
+            return;
+        }
+        
+        const config = this.readWebDAVForm();
+        if (!config) {
+            this.enableWebDAVCheckbox.checked = false;
+            this.renderStorageBackendList();
+            return;
+        }
+        const previousBackend = this.model.getPreferredBackend();
+        this.model.setWebDAVConfig({ ...config, enabled: true });
+        this.model.setPreferredBackend('webdav');
+        if (!await this.connectWebDAV()) {
+            this.model.setWebDAVConfig({ enabled: false });
+            this.model.setPreferredBackend(previousBackend);
+            this.enableWebDAVCheckbox.checked = false;
+        }
+        this.renderStorageBackendList();
+    }
+    
+    // 连接WebDAV并同步一次，silent为true时成功后不提示
+    async connectWebDAV(silent = false) {
+        this.updateWebDAVStatus('正在连接WebDAV…');
+        this.model.lastImportError = null;
+        const success = await this.model.initFileStorage('webdav');
+        if (success) {
+            this.enableFileStorageCheckbox.checked = true;
+            this.refreshSettingsViews();
+            this.updateWebDAVStatus();
+            if (!silent) {
+                this.showToast('WebDAV同步已启用');
             }
-            
-            return { valid: true, url: urlObj.toString() };
-        } catch (error) {
-            return { valid: false, message: `网址格式无效: ${error.message}` };
+        } else {
+            const message = this.model.lastImportError || '连接失败';
+            this.updateWebDAVStatus(message);
+            this.showToast(`WebDAV同步失败：${message}`, 'error');
+        }
+        return success;
+    }
+    
+    async testWebDAVConnection() {
+        const adapter = this.getWebDAVAdapter();
+        if (!adapter) return;
+        
+        const result = await adapter.checkConnection();
+        this.showToast(result.message, result.ok ? 'success' : 'error');
+    }
+    
+    async syncWebDAVNow() {
+        if (!this.isWebDAVActive()) {
+            this.showToast('请先启用WebDAV同步', 'error');
+            return;
+        }
+        
+        this.model.lastImportError = null;
+        const success = await this.model.storageAdapter.openStorage();
+        this.updateWebDAVStatus();
+        if (success) {
+            this.showToast('已与WebDAV同步');
+        } else {
+            this.showToast(`同步失败：${this.model.lastImportError || '未知错误'}`, 'error');
+        }
+    }
+    
+    async backupToWebDAV() {
+        const adapter = this.getWebDAVAdapter();
+        if (!adapter) return;
+        
+        if (await adapter.backupStorage()) {
+            this.showToast(this.model.isEncryptionEnabled() ? '已加密备份到WebDAV' : '已备份到WebDAV');
+        } else {
+            this.showToast(`备份失败：${this.model.lastImportError || '未知错误'}`, 'error');
+        }
+    }
+    
+    async restoreFromWebDAV() {
+        const adapter = this.getWebDAVAdapter();
+        if (!adapter) return;
+        
+        if (await adapter.restoreStorage()) {
+            this.refreshAllData();
+            this.renderTagFilterOptions();
+            this.showUndoToast('已从WebDAV备份恢复');
+        } else if (this.model.lastImportError) {
+            this.showToast(this.model.lastImportError, 'error');
+        }
+    }
+    
+    // 显示WebDAV同步状态，未指定消息时显示上次同步时间
+    updateWebDAVStatus(message = null) {
+        if (message) {
+            this.webdavStatus.textContent = message;
+            return;
+        }
+        if (!this.isWebDAVActive()) {
+            this.webdavStatus.textContent = this.model.isWebDAVEnabled() ? '' : '未启用';
+            return;
+        }
+        
+        const state = this.model.storageAdapter.getSyncState();
+        this.webdavStatus.textContent = state.syncedAt
+            ? `已启用，上次同步：${new Date(state.syncedAt).toLocaleString()}`
+            : '已启用，尚未同步';
+    }
+
+    resetSettings() {
+        if (confirm('确定要重置所有设置吗？这将删除所有自定义设置。')) {
+            this.model.resetToDefault();
+            this.renderNavigationGrid();
+            this.updateWallpaper();
+            this.updateLayoutControls();
+            this.renderNavList();
+            this.showUndoToast('已恢复默认设置');
+        }
+    }
+
+    // 历史快照相关方法
+    async renderSnapshotList() {
+        const retention = this.model.getSnapshotRetention();
+        this.snapshotLimitInput.value = retention.limit;
+        this.snapshotDailyDays.textContent = retention.dailyDays;
+        
+        if (!this.model.getSnapshotStore()) {
+            this.createSnapshotBtn.disabled = true;
+            this.snapshotList.innerHTML = '<p style="color: #718096; font-size: 0.9em; text-align: center; padding: 1rem;">当前浏览器不支持IndexedDB，无法保存历史快照</p>';
+            return;
+        }
+        
+        let snapshots = [];
+        try {
+            snapshots = await this.model.listSnapshots();
+        } catch (err) {
+            console.error('读取历史快照失败:', err);
+        }
+        
+        this.snapshotList.innerHTML = '';
+        if (snapshots.length === 0) {
+            this.snapshotList.innerHTML = '<p style="color: #718096; font-size: 0.9em; text-align: center; padding: 1rem;">暂无快照</p>';
+            return;
         }
+        
+        snapshots.forEach(snapshot => {
+            const time = new Date(snapshot.timestamp).toLocaleString();
+            const listItem = document.createElement('div');
+            listItem.className = 'nav-list-item';
+            listItem.innerHTML = `
+                <div class="nav-item-info">
+                    <strong class="nav-item-name">${time}</strong>
+                    <div class="nav-item-count">${snapshot.reason} · ${snapshot.itemCount} 个网址 · ${snapshot.groupCount} 个工具组</div>
+                </div>
+                <div class="nav-item-actions">
+                    <button class="btn secondary restore-snapshot" type="button">恢复</button>
+                    <button class="btn secondary download-snapshot" type="button">下载</button>
+                </div>
+            `;
+            
+            listItem.querySelector('.restore-snapshot').addEventListener('click', () => {
+                this.openConfirmDeleteModal(`确定要恢复到 ${time} 的快照吗？当前设置会先保存为一个快照。`, () => {
+                    this.restoreSnapshot(snapshot.id);
+                }, '恢复快照');
+            });
+            
+            listItem.querySelector('.download-snapshot').addEventListener('click', () => {
+                this.downloadSnapshot(snapshot);
+            });
+            
+            this.snapshotList.appendChild(listItem);
+        });
     }
 
-    // 数据管理
-    exportSettings() {
-        // 优先使用File System API
-        if (this.model.isFileSystemAPISupported()) {
-            this.model.exportSettingsWithFileSystem().then(success => {
-                if (success) {
-                    this.showToast('设置已导出到本地文件');
-                } else {
-                    // 降级使用传统下载方式
-                    this.exportSettingsWithDownload();
-                }
-            }).catch(err => {
-                console.error('File System API导出失败，使用传统方式:', err);
-                this.exportSettingsWithDownload();
-            });
+    async restoreSnapshot(id) {
+        const success = await this.model.restoreSnapshot(id);
+        if (success) {
+            this.refreshSettingsViews();
+            this.renderSnapshotList();
+            this.showUndoToast('已恢复快照');
         } else {
-            // 浏览器不支持File System API，使用传统下载方式
-            this.exportSettingsWithDownload();
+            this.showToast(this.model.lastImportError || '恢复快照失败', 'error');
         }
     }
-    
-    // 使用传统下载方式导出设置
-    exportSettingsWithDownload() {
-        const downloadUrl = this.model.exportSettings();
+
+    async downloadSnapshot(snapshot) {
+        const settings = await this.model.readSnapshotSettings(snapshot.id);
+        if (!settings) {
+            this.showToast(this.model.lastImportError || '读取快照失败', 'error');
+            return;
+        }
+        
+        // 与导出设置相同：内嵌图片、加上校验和，设置了导出口令时加密
+        const dataBlob = new Blob([await this.model.serializeForExport(settings)], { type: 'application/json' });
+        const downloadUrl = URL.createObjectURL(dataBlob);
+        const date = new Date(snapshot.timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
         const a = document.createElement('a');
         a.href = downloadUrl;
-        a.download = `nav-settings-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `nav-snapshot-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(downloadUrl);
-        this.showToast('设置已导出');
+        this.showToast(this.model.isEncryptionEnabled() ? '快照已加密下载' : '快照已下载');
     }
 
-    handleImportFile(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.processImportData(e.target.result);
-        };
-        reader.readAsText(file);
-        event.target.value = '';
-    }
-    
-    // 处理导入的数据
-    processImportData(jsonData) {
-        const success = this.model.importSettings(jsonData);
-        if (success) {
-            this.refreshAllData();
-            this.showToast('设置已导入');
+    async createManualSnapshot() {
+        const id = await this.model.createSnapshot('手动', true);
+        if (id !== null) {
+            this.renderSnapshotList();
+            this.showToast('已创建快照');
         } else {
-            this.showToast('导入失败，请检查文件格式', 'error');
+            this.showToast('创建快照失败', 'error');
         }
     }
-    
-    // 刷新所有数据和UI
-    refreshAllData() {
-        this.renderNavigationGrid();
-        this.updateWallpaper();
-        this.updateLayoutControls();
-        this.renderNavList();
-        this.renderToolgroupList();
+
+    updateSnapshotLimit() {
+        const limit = Math.min(100, Math.max(5, parseInt(this.snapshotLimitInput.value) || this.model.defaultSettings.snapshots.limit));
+        this.snapshotLimitInput.value = limit;
+        this.model.updateSnapshotRetention({ limit }).then(() => this.renderSnapshotList());
+        this.showToast(`将保留最近 ${limit} 个快照`);
     }
-    
-    // 文件存储控制方法
-    toggleFileStorage(enabled) {
-        if (enabled) {
-            if (this.model.isFirefox() || this.model.isTreaBrowser()) {
-                // 对于Firefox和trea浏览器，直接启用，使用兼容模式
-                this.model.initFileStorage().then(success => {
-                    if (success) {
-                        this.model.isFileStorageEnabled = true;
-                        this.showToast('文件存储已启用（使用浏览器兼容模式）');
-                    } else {
-                        this.enableFileStorageCheckbox.checked = false;
-                        this.showToast('文件存储初始化失败，请重试', 'error');
-                    }
-                }).catch(err => {
-                    this.enableFileStorageCheckbox.checked = false;
-                    this.showToast('文件存储初始化失败：' + err.message, 'error');
-                });
-            } else if (this.model.isFileSystemAPISupported()) {
-                // 原有逻辑，适用于Chrome/Edge/Opera
-                this.model.initFileStorage().then(success => {
-                    if (success) {
-                        this.model.isFileStorageEnabled = true;
-                        this.showToast('文件存储已启用');
-                    } else {
-                        this.enableFileStorageCheckbox.checked = false;
-                        this.showToast('文件存储初始化失败，请重试', 'error');
-                    }
-                }).catch(err => {
-                    this.enableFileStorageCheckbox.checked = false;
-                    this.showToast('文件存储初始化失败：' + err.message, 'error');
-                });
-            } else {
-                this.enableFileStorageCheckbox.checked = false;
-                this.showToast('您的浏览器不支持文件系统访问API。目前仅Chrome、Edge和Opera浏览器支持此功能。', 'error');
+
+    // 存储空间相关方法
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    }
+
+    handleStorageWarning(level, ratio) {
+        if (level === 'warning') {
+            this.showToast(`浏览器存储空间已使用 ${Math.round(ratio * 100)}%，建议释放空间`, 'warning', {
+                label: '查看',
+                callback: () => this.openStorageUsage()
+            });
+        } else if (level === 'full') {
+            this.showToast('浏览器存储空间已满，最近的修改未能保存', 'error', {
+                label: '释放空间',
+                callback: () => this.openStorageUsage()
+            });
+            if (this.settingsPanel.classList.contains('active')) {
+                this.renderStorageUsage();
             }
+        } else if (level === 'recovered') {
+            this.showToast('存储空间已释放，设置已重新保存');
+            this.renderStorageUsage();
+        }
+    }
+
+    // 打开设置面板并滚动到存储空间部分
+    openStorageUsage() {
+        this.openSettingsPanel();
+        this.storageUsageSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    async renderStorageUsage() {
+        this.storageRecoveryNotice.classList.toggle('active', this.model.storageFull);
+        
+        const usage = await this.model.getStorageUsage();
+        const percent = Math.min(100, Math.round(usage.ratio * 100));
+        this.storageUsageSummary.textContent = `localStorage：${this.formatBytes(usage.used)} / 约 ${this.formatBytes(usage.quota)}（${percent}%）`;
+        this.storageUsageFill.style.width = `${percent}%`;
+        this.storageUsageFill.className = 'storage-usage-fill';
+        if (this.model.storageFull || usage.ratio >= 1) {
+            this.storageUsageFill.classList.add('full');
+        } else if (usage.ratio >= this.model.storageWarningRatio) {
+            this.storageUsageFill.classList.add('warning');
+        }
+        
+        const details = [];
+        if (usage.assets) {
+            details.push(`IndexedDB中的图片：${usage.assets.count} 个，${this.formatBytes(usage.assets.bytes)}`);
+        }
+        if (usage.estimate && usage.estimate.quota) {
+            details.push(`浏览器总用量：${this.formatBytes(usage.estimate.usage || 0)} / ${this.formatBytes(usage.estimate.quota)}`);
+        }
+        this.storageUsageDetails.textContent = details.join(' · ');
+        
+        this.storageUsageList.innerHTML = '';
+        usage.sections.forEach(section => {
+            const row = document.createElement('div');
+            row.className = 'storage-usage-row';
+            const share = usage.used > 0 ? Math.round(section.bytes / usage.used * 100) : 0;
+            row.innerHTML = `
+                <span class="storage-usage-label"></span>
+                <span class="storage-usage-size">${this.formatBytes(section.bytes)}（${share}%）</span>
+            `;
+            row.querySelector('.storage-usage-label').textContent = section.label;
+            this.storageUsageList.appendChild(row);
+        });
+    }
+
+    // 释放空间后，如果之前保存失败则重新保存
+    afterStorageRecoveryAction() {
+        if (this.model.storageFull) {
+            this.model.flushSettings();
+        }
+        this.renderStorageUsage();
+    }
+
+    purgeFaviconCache() {
+        const result = this.model.purgeFaviconCache();
+        this.showToast(result.count > 0 ? `已清理 ${result.count} 个图标缓存，释放 ${this.formatBytes(result.bytes)}` : '没有图标缓存');
+        this.afterStorageRecoveryAction();
+    }
+
+    async compressWallpaper() {
+        this.compressWallpaperBtn.disabled = true;
+        const result = await this.model.compressWallpaper();
+        this.compressWallpaperBtn.disabled = false;
+        if (result) {
+            this.updateWallpaper();
+            this.showUndoToast(`壁纸已从 ${this.formatBytes(result.before)} 压缩到 ${this.formatBytes(result.after)}`);
+            this.afterStorageRecoveryAction();
         } else {
-            this.model.isFileStorageEnabled = false;
-            this.showToast('文件存储已禁用');
+            this.showToast(this.model.lastImportError || '压缩壁纸失败', 'warning');
         }
     }
-    
-    selectStorageFile() {
-        if (this.model.isFileStorageEnabled || this.model.isFirefox() || this.model.isTreaBrowser()) {
-            // 对于已启用文件存储或Firefox/trea浏览器，使用适配器打开存储
-            if (!this.model.storageAdapter) {
-                this.model.initFileStorage();
+
+    async moveImagesToIndexedDB() {
+        if (!this.model.getAssetStore()) {
+            this.showToast('当前浏览器不支持IndexedDB', 'error');
+            return;
+        }
+        const before = this.model.getLocalStorageUsage().total;
+        await this.model.externalizeInlineAssets();
+        const freed = before - this.model.getLocalStorageUsage().total;
+        this.refreshSettingsViews();
+        this.showToast(freed > 0 ? `已将图片移到IndexedDB，释放 ${this.formatBytes(freed)}` : '没有需要移动的图片');
+        this.afterStorageRecoveryAction();
+    }
+
+    clearUndoHistory() {
+        this.openConfirmDeleteModal('确定要清空修改历史吗？清空后将无法撤销之前的修改。', () => {
+            const bytes = this.model.clearHistory();
+            this.showToast(`已清空修改历史，释放 ${this.formatBytes(bytes)}`);
+            this.afterStorageRecoveryAction();
+        }, '清空');
+    }
+
+    // 工具组相关方法
+    // 打开工具组展开面板
+    openToolgroupPanel(groupId) {
+        this.openToolgroupPath([groupId]);
+    }
+
+    // 打开指定路径的工具组或子工具组
+    openToolgroupPath(path, pageIndex = 0) {
+        const group = this.model.getToolGroupByPath(path);
+        if (!group) return;
+
+        this.toolgroupPath = path;
+        this.toolgroupPageIndex = pageIndex;
+        this.renderToolgroupBreadcrumb();
+        this.renderToolgroupItems(group);
+        this.toolgroupPanel.classList.add('active');
+    }
+
+    // 设置变化后重新渲染面板：当前子工具组已不存在时回到仍存在的上级，顶层工具组也不存在时关闭面板
+    refreshToolgroupPanel() {
+        for (let length = this.toolgroupPath.length; length > 0; length--) {
+            const path = this.toolgroupPath.slice(0, length);
+            if (this.model.getToolGroupByPath(path)) {
+                this.openToolgroupPath(path, length === this.toolgroupPath.length ? this.toolgroupPageIndex : 0);
+                return;
             }
-            
-            this.model.storageAdapter.openStorage().then(success => {
-                if (success) {
-                    this.model.isFileStorageEnabled = true;
-                    this.enableFileStorageCheckbox.checked = true;
-                    this.showToast('已选择存储文件');
-                    this.refreshAllData();
-                } else {
-                    this.showToast('选择存储文件失败', 'error');
-                }
-            }).catch(err => {
-                this.showToast('选择存储文件失败：' + err.message, 'error');
-            });
-        } else if (this.model.isFileSystemAPISupported()) {
-            // 原有逻辑，适用于Chrome/Edge/Opera
-            this.model.openStorageFile().then(success => {
-                if (success) {
-                    this.model.isFileStorageEnabled = true;
-                    this.enableFileStorageCheckbox.checked = true;
-                    this.showToast('已选择存储文件');
-                    // 重新加载数据
-                    this.model.loadFromFile().then(success => {
-                        if (success) {
-                            this.refreshAllData();
-                        }
-                    });
-                }
-            }).catch(err => {
-                this.showToast('选择存储文件失败：' + err.message, 'error');
-            });
-        } else {
-            this.showToast('您的浏览器不支持文件系统访问API。目前仅Chrome、Edge和Opera浏览器支持此功能。', 'error');
         }
+        this.closeToolgroupPanel();
     }
 
-    restoreFromManualBackup() {
-        if (this.model.isFileStorageEnabled || this.model.isFirefox() || this.model.isTreaBrowser()) {
-            // 对于已启用文件存储或Firefox/trea浏览器，使用适配器恢复
-            if (!this.model.storageAdapter) {
-                this.model.initFileStorage();
+    // 关闭工具组展开面板
+    closeToolgroupPanel() {
+        this.toolgroupPath = [];
+        this.toolgroupPanel.classList.remove('active');
+    }
+
+    // 渲染面包屑：各级工具组名称，点击返回该级，也可以把子项拖到上面移到该级
+    renderToolgroupBreadcrumb() {
+        this.toolgroupPanelTitle.innerHTML = '';
+        this.toolgroupPath.forEach((id, index) => {
+            const path = this.toolgroupPath.slice(0, index + 1);
+            const group = this.model.getToolGroupByPath(path);
+            const isCurrent = index === this.toolgroupPath.length - 1;
+            if (index > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'toolgroup-breadcrumb-separator';
+                separator.textContent = '›';
+                this.toolgroupPanelTitle.appendChild(separator);
             }
             
-            this.model.storageAdapter.restoreStorage().then(success => {
-                if (success) {
-                    this.refreshAllData();
-                    this.showToast('从备份恢复成功');
-                } else {
-                    this.showToast('从备份恢复失败', 'error');
-                }
-            }).catch(err => {
-                this.showToast('从备份恢复失败：' + err.message, 'error');
-            });
-        } else if (this.model.isFileSystemAPISupported()) {
-            // 原有逻辑，适用于Chrome/Edge/Opera
-            this.model.restoreFromBackup().then(success => {
-                if (success) {
-                    this.refreshAllData();
-                    this.showToast('从备份恢复成功');
-                } else {
-                    this.showToast('从备份恢复失败', 'error');
-                }
-            }).catch(err => {
-                this.showToast('从备份恢复失败：' + err.message, 'error');
-            });
-        } else {
-            this.showToast('您的浏览器不支持文件系统访问API。目前仅Chrome、Edge和Opera浏览器支持此功能。', 'error');
+            const crumb = document.createElement(isCurrent ? 'span' : 'button');
+            crumb.className = isCurrent ? 'toolgroup-crumb current' : 'toolgroup-crumb';
+            crumb.textContent = group.name;
+            if (!isCurrent) {
+                crumb.type = 'button';
+                crumb.addEventListener('click', () => this.openToolgroupPath(path));
+                crumb.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    crumb.classList.add('drag-over');
+                });
+                crumb.addEventListener('dragleave', () => crumb.classList.remove('drag-over'));
+                crumb.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    crumb.classList.remove('drag-over');
+                    this.dropToolgroupEntry(e, path);
+                });
+            }
+            this.toolgroupPanelTitle.appendChild(crumb);
+        });
+    }
+
+    // 渲染工具组内的子项（网址和子工具组），超过一页时分页显示
+    renderToolgroupItems(group) {
+        this.toolgroupItems.innerHTML = '';
+        const pageCount = Math.max(1, Math.ceil(group.items.length / this.toolgroupPageSize));
+        this.toolgroupPageIndex = Math.min(Math.max(this.toolgroupPageIndex, 0), pageCount - 1);
+        this.toolgroupPagination.classList.toggle('active', pageCount > 1);
+        this.toolgroupPageInfo.textContent = `${this.toolgroupPageIndex + 1} / ${pageCount}`;
+        this.toolgroupPrevPageBtn.disabled = this.toolgroupPageIndex === 0;
+        this.toolgroupNextPageBtn.disabled = this.toolgroupPageIndex >= pageCount - 1;
+
+        if (group.items.length === 0) {
+            this.toolgroupItems.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">工具组内暂无项</p>';
+            return;
         }
+
+        const start = this.toolgroupPageIndex * this.toolgroupPageSize;
+        group.items.slice(start, start + this.toolgroupPageSize).forEach(entry => {
+            const element = this.model.isToolGroupEntry(entry)
+                ? this.createSubGroupTile(entry)
+                : this.createToolgroupLink(entry);
+            this.bindToolgroupEntryEvents(element, entry);
+            this.toolgroupItems.appendChild(element);
+        });
     }
 
-    resetSettings() {
-        if (confirm('确定要重置所有设置吗？这将删除所有自定义设置。')) {
-            this.model.resetToDefault();
+    createToolgroupLink(item) {
+        const navItem = document.createElement('a');
+        navItem.href = item.url;
+        navItem.target = '_blank';
+        navItem.className = 'nav-item';
+        navItem.style.setProperty('--icon-size', '48px');
+
+        // 名称和图标可能来自导入的书签文件，只能作为文本或背景图片显示
+        const iconDiv = document.createElement('div');
+        iconDiv.className = 'nav-item-icon';
+        iconDiv.style.width = '48px';
+        iconDiv.style.height = '48px';
+        iconDiv.style.fontSize = '28.8px';
+        this.setIconContent(iconDiv, item.icon, '🔗');
+        
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'nav-item-name';
+        nameDiv.textContent = item.name;
+        
+        navItem.appendChild(iconDiv);
+        navItem.appendChild(nameDiv);
+        return navItem;
+    }
+
+    // 子工具组显示为文件夹，点击进入下一级
+    createSubGroupTile(subGroup) {
+        const tile = document.createElement('div');
+        tile.className = 'nav-item toolgroup-item subgroup-item';
+        tile.style.setProperty('--icon-size', '48px');
+        tile.innerHTML = `
+            <div class="nav-item-icon" style="width: 48px; height: 48px; font-size: 28.8px">📁</div>
+            <div class="nav-item-name"></div>
+            <div class="toolgroup-item-count">(${subGroup.items.length}项)</div>
+        `;
+        tile.querySelector('.nav-item-name').textContent = subGroup.name;
+        tile.addEventListener('click', () => this.openToolgroupPath(this.toolgroupPath.concat(subGroup.id)));
+        return tile;
+    }
+
+    // 面板内子项的拖放和右键菜单
+    bindToolgroupEntryEvents(element, entry) {
+        const isGroup = this.model.isToolGroupEntry(entry);
+        element.dataset.id = entry.id;
+        element.draggable = true;
+
+        element.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.currentToolgroupEntry = { path: this.toolgroupPath, id: entry.id };
+            this.toolgroupEntryContextMenu.querySelector('[data-action="rename-subgroup"]').style.display = isGroup ? '' : 'none';
+            this.toolgroupEntryContextMenu.querySelector('[data-action="move-entry-out"]').style.display = this.toolgroupPath.length > 1 ? '' : 'none';
+            this.showContextMenu(e, this.toolgroupEntryContextMenu);
+        });
+
+        element.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', JSON.stringify({
+                type: 'toolgroup-entry',
+                path: this.toolgroupPath,
+                id: entry.id
+            }));
+            element.classList.add('dragging');
+        });
+
+        element.addEventListener('dragend', () => {
+            element.classList.remove('dragging');
+            document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+
+        element.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            element.classList.add('drag-over');
+        });
+
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drag-over');
+        });
+
+        // 拖到子工具组上移入该子工具组，拖到网址上移到该网址之前
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.classList.remove('drag-over');
+            if (isGroup) {
+                this.dropToolgroupEntry(e, this.toolgroupPath.concat(entry.id));
+            } else {
+                this.dropToolgroupEntry(e, this.toolgroupPath, entry.id);
+            }
+        });
+    }
+
+    // 处理面板内子项的拖放
+    dropToolgroupEntry(e, toPath, beforeId = null) {
+        let dragged;
+        try {
+            dragged = JSON.parse(e.dataTransfer.getData('text/plain'));
+        } catch (error) {
+            console.error('拖拽数据解析失败:', error);
+            return;
+        }
+        // 拖到自身上时不做处理
+        if (!dragged || dragged.type !== 'toolgroup-entry' || dragged.id === beforeId
+            || dragged.path.concat(dragged.id).join('/') === toPath.join('/')) {
+            return;
+        }
+
+        if (this.model.moveToolGroupEntry(dragged.path, dragged.id, toPath, beforeId)) {
+            this.refreshToolgroupPanel();
             this.renderNavigationGrid();
-            this.updateWallpaper();
-            this.updateLayoutControls();
-            this.renderNavList();
-            this.showToast('已恢复默认设置');
+            this.renderToolgroupList();
+            this.showUndoToast(beforeId === null ? `已移到"${this.model.getToolGroupByPath(toPath).name}"` : '排序已保存');
+        } else {
+            this.showToast('不能将工具组移到它自己或它的子工具组中', 'error');
         }
     }
 
-    // 工具组相关方法
-    // 打开工具组展开面板
-    openToolgroupPanel(groupId) {
-        const group = this.model.getToolGroups().find(g => g.id === groupId);
+    changeToolgroupPage(offset) {
+        const group = this.model.getToolGroupByPath(this.toolgroupPath);
         if (!group) return;
-
-        this.toolgroupPanelTitle.textContent = group.name;
+        this.toolgroupPageIndex += offset;
         this.renderToolgroupItems(group);
-        this.toolgroupPanel.classList.add('active');
     }
 
-    // 关闭工具组展开面板
-    closeToolgroupPanel() {
-        this.toolgroupPanel.classList.remove('active');
-    }
+    // 新建（entryId为null）或重命名当前这一级中的子工具组
+    openSubGroupEditModal(entryId = null) {
+        const parent = this.model.getToolGroupByPath(this.toolgroupPath);
+        if (!parent) return;
+        const entry = entryId === null ? null : parent.items.find(e => e.id === entryId);
 
-    // 渲染工具组内的子项
-    renderToolgroupItems(group) {
-        this.toolgroupItems.innerHTML = '';
-        const layout = this.model.getLayout();
+        this.subGroupEdit = { path: this.toolgroupPath, entryId };
+        this.toolgroupEditTitle.textContent = entry ? '重命名子工具组' : `在"${parent.name}"中新建子工具组`;
+        this.toolgroupNameInput.value = entry ? entry.name : '';
+        this.toolgroupEditModal.classList.add('active');
+    }
 
-        if (group.items.length === 0) {
-            this.toolgroupItems.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">工具组内暂无项</p>';
+    saveSubGroupEdit(name) {
+        const { path, entryId } = this.subGroupEdit;
+        const success = entryId === null
+            ? !!this.model.addSubGroup(path, name)
+            : this.model.updateToolGroupEntry(path, entryId, { name });
+        this.closeToolgroupEditModal();
+        if (!success) {
+            this.showToast('保存子工具组失败', 'error');
             return;
         }
+        this.refreshToolgroupPanel();
+        this.renderNavigationGrid();
+        this.renderToolgroupList();
+        this.showUndoToast(entryId === null ? '子工具组已创建' : '子工具组已重命名');
+    }
 
-        // 限制最多显示15项（3行 × 5列）
-        const maxItems = 15;
-        const displayItems = group.items.slice(0, maxItems);
-
-        displayItems.forEach(item => {
-            const navItem = document.createElement('a');
-            navItem.href = item.url;
-            navItem.target = '_blank';
-            navItem.className = 'nav-item';
-            navItem.style.setProperty('--icon-size', '48px');
+    moveToolgroupEntryOut({ path, id }) {
+        if (path.length < 2) return;
+        if (this.model.moveToolGroupEntry(path, id, path.slice(0, -1))) {
+            this.refreshToolgroupPanel();
+            this.renderNavigationGrid();
+            this.showUndoToast('已移到上一级');
+        }
+    }
 
-            navItem.innerHTML = `
-                <div class="nav-item-icon" style="width: 48px; height: 48px; font-size: 28.8px">
-                    ${item.icon || '🔗'}
-                </div>
-                <div class="nav-item-name">${item.name}</div>
-            `;
+    removeToolgroupEntry({ path, id }) {
+        const parent = this.model.getToolGroupByPath(path);
+        const entry = parent && parent.items.find(e => e.id === id);
+        if (!entry) return;
 
-            this.toolgroupItems.appendChild(navItem);
+        const message = this.model.isToolGroupEntry(entry)
+            ? `确定要删除子工具组"${entry.name}"及其中的 ${this.model.getToolGroupLinks(entry).length} 个网址吗？`
+            : `确定要从工具组中删除"${entry.name}"吗？`;
+        this.openConfirmDeleteModal(message, () => {
+            this.model.removeToolGroupEntry(path, id);
+            this.refreshToolgroupPanel();
+            this.renderNavigationGrid();
+            this.renderToolgroupList();
+            this.showUndoToast('已从工具组中删除');
         });
     }
 
@@ -3875,9 +11323,12 @@ class NavigationApp {
             return;
         }
 
+        // 创建工具组、移入导航项作为一次可撤销的操作
+        this.model.beginCommandGroup('合并为工具组');
+
         // 创建新工作组
         const newGroupName = `${item1.name} + ${item2.name}`;
-        const newGroup = this.model.addToolGroup({ name: newGroupName });
+        const newGroup = this.model.addToolGroup({ name: newGroupName, page: item1.page });
 
         // 添加两个项到工作组
         this.model.addItemToToolGroup(newGroup.id, {...item1});
@@ -3893,7 +11344,7 @@ class NavigationApp {
             this.renderNavList();
             this.renderToolgroupList();
             this.renderNavigationGrid();
-            this.showToast('已合并为工具组');
+            this.showUndoToast('已合并为工具组');
         } else {
             // 如果删除失败，回滚创建的工具组
             this.model.deleteToolGroup(newGroup.id);
@@ -3916,7 +11367,7 @@ class NavigationApp {
             listItem.className = 'nav-list-item';
             listItem.innerHTML = `
                 <div class="nav-item-info">
-                    <strong class="nav-item-name">${group.name}</strong>
+                    <strong class="nav-item-name"></strong>
                     <div class="nav-item-count">${group.items.length} 项</div>
                 </div>
                 <div class="nav-item-actions">
@@ -3924,6 +11375,7 @@ class NavigationApp {
                     <button class="btn danger delete-toolgroup" data-id="${group.id}">删除</button>
                 </div>
             `;
+            listItem.querySelector('.nav-item-name').textContent = group.name;
 
             listItem.querySelector('.edit-toolgroup').addEventListener('click', () => {
                 this.openToolgroupEditModal(group.id);
@@ -3937,7 +11389,7 @@ class NavigationApp {
                     // 刷新相关列表
                     this.renderNavigationGrid();
                     this.renderToolgroupList();
-                    this.showToast('已删除工具组');
+                    this.showUndoToast('已删除工具组');
                 });
             });
 
@@ -3966,9 +11418,10 @@ class NavigationApp {
             option.className = 'form-group';
             option.innerHTML = `
                 <label style="display: flex; align-items: center; gap: 0.5rem; cursor: pointer;">
-                    <input type="radio" name="toolgroup" value="${group.id}"> ${group.name} (${group.items.length}项)
+                    <input type="radio" name="toolgroup" value="${group.id}"> <span></span>
                 </label>
             `;
+            option.querySelector('span').textContent = `${group.name} (${group.items.length}项)`;
             this.toolgroupSelectList.appendChild(option);
         });
     }
@@ -3994,11 +11447,13 @@ class NavigationApp {
     closeToolgroupEditModal() {
         this.toolgroupEditModal.classList.remove('active');
         this.currentEditItemId = null;
+        this.subGroupEdit = null;
         this.toolgroupEditForm.reset();
     }
     
     // 打开确认删除模态框
-    openConfirmDeleteModal(message, callback) {
+    openConfirmDeleteModal(message, callback, title = '确认删除') {
+        this.confirmDeleteTitle.textContent = title;
         this.confirmDeleteMessage.textContent = message;
         this.confirmDeleteCallback = callback;
         this.confirmDeleteModal.classList.add('active');
@@ -4016,12 +11471,240 @@ class NavigationApp {
     // 搜索相关方法
     initSearchSettings() {
         const searchSettings = this.model.getSearchSettings();
-        // 设置默认搜索引擎
-        this.searchEngineSelect.value = searchSettings.engine;
+        // 生成搜索引擎选项并选中当前引擎
+        this.renderSearchEngineSelect();
+        this.renderSearchEngineList();
+        this.renderSearchKeywordList();
+        this.unifiedSearchCheckbox.checked = this.model.isUnifiedSearchEnabled();
         // 设置搜索框透明度
         this.updateSearchOpacity(searchSettings.opacity);
     }
 
+    // 根据设置生成搜索引擎下拉选项，最后一项为本地搜索
+    renderSearchEngineSelect() {
+        this.searchEngineSelect.innerHTML = '';
+        this.model.getSearchEngines().forEach(engine => {
+            const option = document.createElement('option');
+            option.value = engine.id;
+            option.textContent = engine.icon && !this.isImageIcon(engine.icon) ? `${engine.icon} ${engine.name}` : engine.name;
+            this.searchEngineSelect.appendChild(option);
+        });
+        const localOption = document.createElement('option');
+        localOption.value = 'local';
+        localOption.textContent = '本地';
+        this.searchEngineSelect.appendChild(localOption);
+
+        this.searchEngineSelect.value = this.model.getSearchType() === 'local'
+            ? 'local'
+            : this.model.getCurrentSearchEngine().id;
+    }
+
+    // 渲染设置面板中的搜索引擎列表
+    renderSearchEngineList() {
+        this.searchEngineList.innerHTML = '';
+        const engines = this.model.getSearchEngines();
+        const currentId = this.model.getCurrentSearchEngine().id;
+
+        engines.forEach((engine, index) => {
+            const listItem = document.createElement('div');
+            listItem.className = 'nav-list-item search-engine-item';
+            listItem.innerHTML = `
+                <div class="search-engine-icon"></div>
+                <div class="nav-item-info">
+                    <strong class="nav-item-name"></strong>
+                    <div class="nav-item-count search-engine-url"></div>
+                </div>
+                <div class="nav-item-actions">
+                    <button class="btn secondary use-engine" type="button"${engine.id === currentId ? ' disabled' : ''}>${engine.id === currentId ? '默认' : '设为默认'}</button>
+                    <button class="btn secondary move-engine-up" type="button"${index === 0 ? ' disabled' : ''}>上移</button>
+                    <button class="btn secondary move-engine-down" type="button"${index === engines.length - 1 ? ' disabled' : ''}>下移</button>
+                    <button class="btn secondary edit-engine" type="button">编辑</button>
+                    <button class="btn danger delete-engine" type="button"${engines.length <= 1 ? ' disabled' : ''}>删除</button>
+                </div>
+            `;
+
+            const icon = listItem.querySelector('.search-engine-icon');
+            if (engine.icon && this.isImageIcon(engine.icon)) {
+                const iconUrl = this.resolveImageUrl(engine.icon);
+                icon.style.backgroundImage = iconUrl ? `url(${iconUrl})` : '';
+            } else {
+                icon.textContent = engine.icon || '🔍';
+            }
+            listItem.querySelector('.nav-item-name').textContent = engine.keyword ? `${engine.name}（${engine.keyword}）` : engine.name;
+            listItem.querySelector('.search-engine-url').textContent = engine.url;
+
+            listItem.querySelector('.use-engine').addEventListener('click', () => {
+                this.handleSearchEngineChange(engine.id);
+                this.initSearchSettings();
+            });
+            listItem.querySelector('.move-engine-up').addEventListener('click', () => this.moveSearchEngine(engine.id, 'up'));
+            listItem.querySelector('.move-engine-down').addEventListener('click', () => this.moveSearchEngine(engine.id, 'down'));
+            listItem.querySelector('.edit-engine').addEventListener('click', () => this.openSearchEngineModal(engine.id));
+            listItem.querySelector('.delete-engine').addEventListener('click', () => {
+                this.openConfirmDeleteModal(`确定要删除搜索引擎"${engine.name}"吗？`, () => {
+                    if (this.model.deleteSearchEngine(engine.id)) {
+                        this.initSearchSettings();
+                        this.showUndoToast('已删除搜索引擎');
+                    }
+                }, '删除搜索引擎');
+            });
+
+            this.searchEngineList.appendChild(listItem);
+        });
+    }
+
+    // 渲染设置面板中的搜索关键词表
+    renderSearchKeywordList() {
+        this.searchKeywordList.innerHTML = '';
+        const keywords = this.model.getSearchKeywords();
+        if (keywords.length === 0) {
+            this.searchKeywordList.innerHTML = '<p class="nav-item-count">暂无搜索关键词</p>';
+            return;
+        }
+
+        keywords.forEach(entry => {
+            const listItem = document.createElement('div');
+            listItem.className = 'nav-list-item search-engine-item';
+            listItem.innerHTML = `
+                <div class="search-engine-icon"></div>
+                <div class="nav-item-info">
+                    <strong class="nav-item-name"></strong>
+                    <div class="nav-item-count search-engine-url"></div>
+                </div>
+                <div class="nav-item-actions">
+                    <button class="btn secondary edit-keyword" type="button">编辑</button>
+                    <button class="btn danger delete-keyword" type="button">删除</button>
+                </div>
+            `;
+
+            const icon = listItem.querySelector('.search-engine-icon');
+            if (entry.icon && this.isImageIcon(entry.icon)) {
+                const iconUrl = this.resolveImageUrl(entry.icon);
+                icon.style.backgroundImage = iconUrl ? `url(${iconUrl})` : '';
+            } else {
+                icon.textContent = entry.icon || '🔍';
+            }
+            listItem.querySelector('.nav-item-name').textContent = `${entry.keyword} → ${entry.name}`;
+            listItem.querySelector('.search-engine-url').textContent = entry.url;
+
+            listItem.querySelector('.edit-keyword').addEventListener('click', () => this.openSearchKeywordModal(entry.id));
+            listItem.querySelector('.delete-keyword').addEventListener('click', () => {
+                this.openConfirmDeleteModal(`确定要删除搜索关键词"${entry.keyword}"吗？`, () => {
+                    if (this.model.deleteSearchKeyword(entry.id)) {
+                        this.renderSearchKeywordList();
+                        this.showUndoToast('已删除搜索关键词');
+                    }
+                }, '删除搜索关键词');
+            });
+
+            this.searchKeywordList.appendChild(listItem);
+        });
+    }
+
+    moveSearchEngine(id, direction) {
+        if (this.model.moveSearchEngine(id, direction)) {
+            this.initSearchSettings();
+            this.showUndoToast('搜索引擎顺序已调整');
+        }
+    }
+
+    // 打开搜索引擎编辑框：engineId为null时添加新引擎，values用于预填（如导入的OpenSearch描述）
+    openSearchEngineModal(engineId = null, values = null) {
+        const engine = engineId ? this.model.getSearchEngineById(engineId) : null;
+        const data = engine || values || { name: '', url: '', icon: '', keyword: '' };
+
+        this.currentEditEngineId = engine ? engine.id : null;
+        this.currentEditEngineKind = 'engine';
+        this.searchEngineModalTitle.textContent = engine ? '编辑搜索引擎' : '添加搜索引擎';
+        this.searchEngineNameInput.value = data.name || '';
+        this.searchEngineUrlInput.value = data.url || '';
+        this.searchEngineIconInput.value = data.icon || '';
+        this.searchEngineKeywordInput.value = data.keyword || '';
+        this.searchEngineModal.classList.add('active');
+    }
+
+    // 打开搜索关键词编辑框，与搜索引擎共用，关键词为必填
+    openSearchKeywordModal(entryId = null) {
+        const entry = entryId ? this.model.getSearchKeywords().find(e => e.id === entryId) : null;
+        this.openSearchEngineModal(null, entry);
+        this.currentEditEngineId = entry ? entry.id : null;
+        this.currentEditEngineKind = 'keyword';
+        this.searchEngineModalTitle.textContent = entry ? '编辑搜索关键词' : '添加搜索关键词';
+    }
+
+    closeSearchEngineModal() {
+        this.searchEngineModal.classList.remove('active');
+        this.currentEditEngineId = null;
+        this.currentEditEngineKind = 'engine';
+    }
+
+    saveSearchEngine() {
+        const name = this.searchEngineNameInput.value.trim();
+        const template = this.searchEngineUrlInput.value.trim();
+        if (!template.includes('%s')) {
+            this.showToast('网址模板中必须包含%s（代表搜索词）', 'error');
+            return;
+        }
+
+        // 验证并规范化网址模板，%s在规范化后保持不变
+        const validationResult = this.validateAndNormalizeUrl(template);
+        if (!validationResult.valid) {
+            this.showToast(validationResult.message, 'error');
+            return;
+        }
+
+        const engineData = {
+            name,
+            url: validationResult.url.includes('%s') ? validationResult.url : template,
+            icon: this.searchEngineIconInput.value.trim(),
+            keyword: this.searchEngineKeywordInput.value.trim().replace(/^!/, '')
+        };
+        const isKeyword = this.currentEditEngineKind === 'keyword';
+        const error = isKeyword && !engineData.keyword
+            ? '请输入关键词'
+            : this.model.getSearchEngineError(engineData, this.currentEditEngineId);
+        if (error) {
+            this.showToast(error, 'error');
+            return;
+        }
+
+        if (isKeyword) {
+            if (this.currentEditEngineId) {
+                this.model.updateSearchKeyword(this.currentEditEngineId, engineData);
+                this.showUndoToast('搜索关键词已更新');
+            } else {
+                this.model.addSearchKeyword(engineData);
+                this.showUndoToast('搜索关键词已添加');
+            }
+        } else if (this.currentEditEngineId) {
+            this.model.updateSearchEngine(this.currentEditEngineId, engineData);
+            this.showUndoToast('搜索引擎已更新');
+        } else {
+            this.model.addSearchEngine(engineData);
+            this.showUndoToast('搜索引擎已添加');
+        }
+        this.closeSearchEngineModal();
+        this.initSearchSettings();
+    }
+
+    // 读取OpenSearch描述文件，解析后在编辑框中确认
+    handleOpenSearchFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const engine = this.model.parseOpenSearchDescription(e.target.result);
+            if (!engine) {
+                this.showToast(`导入失败：${this.model.lastImportError}`, 'error');
+                return;
+            }
+            this.openSearchEngineModal(null, engine);
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
     handleSearchEngineChange(engine) {
         if (engine === 'local') {
             this.model.setSearchType('local');
@@ -4030,60 +11713,236 @@ class NavigationApp {
             this.model.setSearchEngine(engine);
             this.model.setSearchType('web');
         }
+        // 切换到本地搜索时立即显示已输入内容的结果，切换到网络搜索时关闭结果
+        this.handleSearchInput();
     }
 
-    handleSearch() {
+    // 处理搜索请求，background为true时在后台标签页中打开（Ctrl+Enter）
+    handleSearch({ background = false } = {}) {
+        // 综合搜索时打开下拉列表中选中的一行（默认选中关键词或网络搜索一行）
+        if (this.isUnifiedSearch() && this.isSearchResultsOpen()) {
+            const selected = this.searchResults[this.searchSelectedIndex];
+            if (selected) {
+                this.openSearchResult(selected, background);
+                return;
+            }
+        }
+
         const query = this.searchInput.value.trim();
         if (!query) return;
 
+        // 先解析关键词（如"gh"、"!gh react"、"w 北京"），匹配时直接打开
+        const shortcut = this.model.parseSearchShortcut(query);
+        if (shortcut) {
+            this.openUrl(shortcut.url, background);
+            return;
+        }
+
         const searchType = this.model.getSearchType();
         
         if (searchType === 'local') {
-            // 执行本地搜索
-            this.performLocalSearch(query);
+            // 打开选中的本地搜索结果，结果尚未显示时先搜索
+            if (!this.isSearchResultsOpen()) {
+                this.performLocalSearch(query);
+            }
+            const selected = this.searchResults[this.searchSelectedIndex];
+            if (selected) {
+                this.openSearchResult(selected, background);
+            }
         } else {
-            // 执行网络搜索
-            const engine = this.model.getSearchEngine();
-            const searchUrls = {
-                google: `https://www.google.com/search?q=${encodeURIComponent(query)}`,
-                baidu: `https://www.baidu.com/s?wd=${encodeURIComponent(query)}`,
-                bing: `https://www.bing.com/search?q=${encodeURIComponent(query)}`,
-                yahoo: `https://search.yahoo.com/search?p=${encodeURIComponent(query)}`
-            };
-
-            window.open(searchUrls[engine], '_blank');
+            // 执行网络搜索：将所选引擎网址模板中的%s替换为搜索词
+            const engine = this.model.getCurrentSearchEngine();
+            if (this.isUnifiedSearch()) {
+                this.model.addRecentSearch(query);
+            }
+            this.openUrl(this.model.buildSearchUrl(engine, query), background);
         }
     }
     
-    // 执行本地搜索
+    // 是否使用综合搜索：开启了综合搜索且选择的是网络搜索引擎
+    isUnifiedSearch() {
+        return this.model.getSearchType() !== 'local' && this.model.isUnifiedSearchEnabled();
+    }
+    
+    // 执行本地搜索，默认选中第一项
     performLocalSearch(query) {
-        // 搜索导航项
-        const results = this.model.searchNavigationItems(query);
+        // 搜索导航项（包括工具组中的网址）
+        this.searchResults = this.model.searchNavigationItems(query);
+        this.searchSelectedIndex = this.searchResults.length > 0 ? 0 : -1;
         // 显示搜索结果
-        this.showSearchResults(results, query);
+        this.showSearchResults(this.searchResults, query);
+    }
+
+    // 综合搜索：依次列出关键词、匹配的快捷方式、用当前引擎搜索和最近搜索，默认选中关键词或网络搜索一行
+    // 除快捷方式外的各行为{ type: 'keyword' | 'web' | 'recent', url, name, query }；搜索框为空时只列出最近搜索
+    performUnifiedSearch(query) {
+        const engine = this.model.getCurrentSearchEngine();
+        const results = [];
+        if (query) {
+            const shortcut = this.model.parseSearchShortcut(query);
+            if (shortcut) {
+                results.push({ type: 'keyword', url: shortcut.url, name: shortcut.name, query });
+            }
+            // 关键词直接打开的导航项不再重复列出
+            const items = this.model.searchNavigationItems(query)
+                .filter(result => !shortcut || result.item.url !== shortcut.url);
+            results.push(...items.slice(0, this.unifiedShortcutLimit));
+            results.push({ type: 'web', url: this.model.buildSearchUrl(engine, query), name: engine.name, icon: engine.icon, query });
+        }
+        
+        const lowerQuery = query.toLowerCase();
+        this.model.getRecentSearches()
+            .filter(recent => recent !== query && recent.toLowerCase().includes(lowerQuery))
+            .slice(0, this.unifiedRecentLimit)
+            .forEach(recent => {
+                const index = recent.toLowerCase().indexOf(lowerQuery);
+                results.push({
+                    type: 'recent',
+                    url: this.model.buildSearchUrl(engine, recent),
+                    name: engine.name,
+                    query: recent,
+                    nameRanges: query ? [[index, index + query.length]] : []
+                });
+            });
+        
+        if (results.length === 0) {
+            this.clearSearchResults();
+            return;
+        }
+        this.searchResults = results;
+        const defaultIndex = results.findIndex(result => result.type === 'keyword' || result.type === 'web');
+        this.searchSelectedIndex = defaultIndex !== -1 ? defaultIndex : 0;
+        this.showSearchResults(results, query, { unified: true });
+    }
+
+    // 输入时实时更新本地搜索结果或综合搜索的下拉列表
+    handleSearchInput() {
+        const query = this.searchInput.value.trim();
+        if (!query) {
+            this.clearSearchResults();
+        } else if (this.model.getSearchType() === 'local') {
+            this.performLocalSearch(query);
+        } else if (this.isUnifiedSearch()) {
+            this.performUnifiedSearch(query);
+        } else {
+            this.clearSearchResults();
+        }
+    }
+
+    // 搜索框按键：↑/↓选择结果，Enter打开（Ctrl+Enter在后台打开），Esc关闭结果，再按一次清空输入
+    handleSearchKeydown(e) {
+        // 输入法选字时的按键不处理
+        if (e.isComposing) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            // 综合搜索的下拉列表关闭时按↓重新打开，搜索框为空时列出最近搜索
+            if (e.key === 'ArrowDown' && this.isUnifiedSearch() && !this.isSearchResultsOpen()) {
+                e.preventDefault();
+                this.performUnifiedSearch(this.searchInput.value.trim());
+                return;
+            }
+            if (this.searchResults.length === 0) return;
+            e.preventDefault();
+            this.moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.handleSearch({ background: e.ctrlKey || e.metaKey });
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            if (this.isSearchResultsOpen()) {
+                this.clearSearchResults();
+            } else {
+                this.searchInput.value = '';
+            }
+        }
+    }
+
+    isSearchResultsOpen() {
+        return this.searchResultsContainer.classList.contains('active');
+    }
+
+    // 循环移动选中的搜索结果
+    moveSearchSelection(offset) {
+        const count = this.searchResults.length;
+        this.searchSelectedIndex = (this.searchSelectedIndex + offset + count) % count;
+        this.updateSearchSelection();
+    }
+
+    updateSearchSelection() {
+        const items = this.searchResultsContainer.querySelectorAll('.search-result-item');
+        items.forEach((item, index) => {
+            const selected = index === this.searchSelectedIndex;
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', selected ? 'true' : 'false');
+        });
+
+        const selectedItem = items[this.searchSelectedIndex];
+        if (selectedItem) {
+            this.searchInput.setAttribute('aria-activedescendant', selectedItem.id);
+            selectedItem.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // 打开搜索结果：后台打开时保留结果列表，便于继续打开其他结果
+    openSearchResult(result, background = false) {
+        if (result.type === 'web' || result.type === 'recent') {
+            this.model.addRecentSearch(result.query);
+        }
+        this.openUrl(result.item ? result.item.url : result.url, background);
+        if (!background) {
+            this.clearSearchResults();
+        }
+    }
+
+    openUrl(url, background = false) {
+        if (background) {
+            this.openInBackground(url);
+        } else {
+            window.open(url, '_blank');
+        }
+    }
+
+    // 在后台标签页中打开：模拟按住Ctrl（macOS上为⌘）点击链接，不支持的浏览器会在前台打开
+    openInBackground(url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+        document.body.appendChild(link);
+        // 不冒泡，避免触发点击页面其他地方时关闭搜索结果的处理
+        link.dispatchEvent(new MouseEvent('click', { bubbles: false, cancelable: true, ctrlKey: !isMac, metaKey: isMac }));
+        link.remove();
     }
     
-    // 显示搜索结果
-    showSearchResults(results, query) {
-        // 清除之前的搜索结果
-        this.clearSearchResults();
-        
-        // 创建搜索结果容器
-        const resultsContainer = this.createSearchResultsContainer();
+    // 显示搜索结果，unified为true时显示综合搜索的下拉列表（不显示标题和清除按钮，按类别加小标题）
+    showSearchResults(results, query, { unified = false } = {}) {
+        const resultsContainer = this.searchResultsContainer;
+        resultsContainer.innerHTML = '';
         
         // 添加搜索结果标题
-        const title = document.createElement('div');
-        title.className = 'search-results-title';
-        title.textContent = `搜索结果: "${query}" (${results.length} 项)`;
-        resultsContainer.appendChild(title);
+        if (!unified) {
+            const title = document.createElement('div');
+            title.className = 'search-results-title';
+            title.textContent = `搜索结果: "${query}" (${results.length} 项)`;
+            resultsContainer.appendChild(title);
+        }
         
         // 添加搜索结果列表
         const resultsList = document.createElement('div');
         resultsList.className = 'search-results-list';
         
         if (results.length > 0) {
-            results.forEach(item => {
-                const resultItem = this.createSearchResultItem(item);
+            results.forEach((result, index) => {
+                const previous = results[index - 1];
+                if (unified && result.item && !(previous && previous.item)) {
+                    resultsList.appendChild(this.createSearchSectionHeading('快捷方式'));
+                } else if (unified && result.type === 'recent' && !(previous && previous.type === 'recent')) {
+                    resultsList.appendChild(this.createSearchSectionHeading('最近搜索'));
+                }
+                const resultItem = this.createSearchResultItem(result, index);
                 resultsList.appendChild(resultItem);
             });
         } else {
@@ -4096,73 +11955,147 @@ class NavigationApp {
         resultsContainer.appendChild(resultsList);
         
         // 添加清除按钮
-        const clearBtn = document.createElement('button');
-        clearBtn.className = 'search-clear-btn';
-        clearBtn.textContent = '清除搜索';
-        clearBtn.addEventListener('click', () => this.clearSearchResults());
-        resultsContainer.appendChild(clearBtn);
+        if (!unified) {
+            const clearBtn = document.createElement('button');
+            clearBtn.type = 'button';
+            clearBtn.className = 'search-clear-btn';
+            clearBtn.textContent = '清除搜索';
+            clearBtn.addEventListener('click', () => {
+                this.searchInput.value = '';
+                this.clearSearchResults();
+            });
+            resultsContainer.appendChild(clearBtn);
+        }
         
-        // 将结果容器添加到页面
-        document.body.appendChild(resultsContainer);
+        resultsContainer.classList.add('active');
+        this.updateSearchSelection();
     }
     
-    // 创建搜索结果容器
-    createSearchResultsContainer() {
-        const container = document.createElement('div');
-        container.id = 'search-results-container';
-        container.className = 'search-results-container';
-        return container;
+    createSearchSectionHeading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'search-results-section';
+        heading.setAttribute('role', 'presentation');
+        heading.textContent = text;
+        return heading;
     }
     
-    // 创建单个搜索结果项
-    createSearchResultItem(item) {
-        const resultItem = document.createElement('div');
-        resultItem.className = 'search-result-item';
+    // 创建单个搜索结果项：快捷方式，或综合搜索中的关键词、网络搜索和最近搜索
+    createSearchResultItem(result, index) {
+        const resultItem = document.createElement('a');
+        resultItem.className = result.type ? `search-result-item search-result-${result.type}` : 'search-result-item';
+        resultItem.id = `search-result-${index}`;
+        resultItem.href = result.item ? result.item.url : result.url;
+        resultItem.target = '_blank';
+        resultItem.rel = 'noopener';
+        resultItem.setAttribute('role', 'option');
         
         // 添加图标
         const icon = document.createElement('div');
         icon.className = 'search-result-icon';
         
-        // 确保图标正确显示为图像
-        if (item.icon && (item.icon.startsWith('http') || item.icon.startsWith('data:image'))) {
-            // 如果是URL，设置为背景图片
-            icon.style.backgroundImage = `url(${item.icon})`;
-            icon.style.backgroundSize = 'cover';
-            icon.style.backgroundPosition = 'center';
-        } else {
-            // 否则作为文本显示（如emoji或其他字符）
-            icon.textContent = item.icon || '🔗';
-        }
-        
-        resultItem.appendChild(icon);
-        
-        // 添加信息
+        // 添加信息：名称（高亮匹配部分）和所在位置
         const info = document.createElement('div');
         info.className = 'search-result-info';
         
-        // 只添加名称，不添加URL和标签
         const name = document.createElement('div');
         name.className = 'search-result-name';
-        name.textContent = item.name;
-        info.appendChild(name);
         
+        const location = document.createElement('div');
+        location.className = 'search-result-location';
+        
+        if (result.item) {
+            const { item } = result;
+            this.setIconContent(icon, item.icon, '🔗');
+            name.appendChild(this.highlightText(item.name, result.nameRanges));
+            location.textContent = result.groupNames.length > 0
+                ? `工具组：${result.groupNames.join(' › ')}`
+                : this.getUrlHostname(item.url);
+        } else if (result.type === 'keyword') {
+            icon.textContent = '⚡';
+            name.textContent = result.name;
+            location.textContent = `关键词 · ${this.getUrlHostname(result.url)}`;
+        } else if (result.type === 'web') {
+            this.setIconContent(icon, result.icon, '🔍');
+            name.textContent = `使用${result.name}搜索“${result.query}”`;
+            location.textContent = this.getUrlHostname(result.url);
+        } else {
+            icon.textContent = '🕘';
+            name.appendChild(this.highlightText(result.query, result.nameRanges));
+            location.textContent = `使用${result.name}搜索`;
+        }
+        
+        resultItem.appendChild(icon);
+        info.appendChild(name);
+        info.appendChild(location);
         resultItem.appendChild(info);
         
-        // 添加点击事件
-        resultItem.addEventListener('click', () => {
-            window.open(item.url, '_blank');
-            this.clearSearchResults();
+        // 最近搜索可以单独删除
+        if (result.type === 'recent') {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'search-result-remove';
+            removeBtn.title = '从最近搜索中删除';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.model.removeRecentSearch(result.query);
+                this.performUnifiedSearch(this.searchInput.value.trim());
+                this.searchInput.focus();
+            });
+            resultItem.appendChild(removeBtn);
+        }
+        
+        resultItem.addEventListener('mouseenter', () => {
+            this.searchSelectedIndex = index;
+            this.updateSearchSelection();
+        });
+        
+        // 普通点击打开后关闭结果；按住Ctrl/⌘/Shift点击时交给浏览器处理
+        resultItem.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            this.openSearchResult(result);
         });
         
         return resultItem;
     }
+
+    // 将文本中[开始, 结束)范围内的部分用<mark>高亮，返回文档片段
+    highlightText(text, ranges = []) {
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (start < position) return;
+            if (start > position) {
+                fragment.appendChild(document.createTextNode(text.slice(position, start)));
+            }
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            position = end;
+        });
+        if (position < text.length) {
+            fragment.appendChild(document.createTextNode(text.slice(position)));
+        }
+        return fragment;
+    }
+
+    getUrlHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (e) {
+            return url;
+        }
+    }
     
     // 清除搜索结果
     clearSearchResults() {
-        const existingContainer = document.getElementById('search-results-container');
-        if (existingContainer) {
-            existingContainer.remove();
-        }
+        this.searchResultsContainer.classList.remove('active');
+        this.searchResultsContainer.innerHTML = '';
+        this.searchResults = [];
+        this.searchSelectedIndex = -1;
+        this.searchInput.removeAttribute('aria-activedescendant');
     }
 
     updateSearchOpacity(opacity) {
@@ -4190,19 +12123,125 @@ class NavigationApp {
         this.updateSearchOpacity(opacity);
     }
 
+    // 撤销/重做
+    undo() {
+        const entry = this.model.undo();
+        if (!entry) {
+            this.showToast('没有可撤销的操作', 'error');
+            return;
+        }
+        this.refreshSettingsViews();
+        this.showToast(`已撤销：${entry.label}`, 'success', { label: '重做', callback: () => this.redo() });
+    }
+
+    redo() {
+        const entry = this.model.redo();
+        if (!entry) {
+            this.showToast('没有可重做的操作', 'error');
+            return;
+        }
+        this.refreshSettingsViews();
+        this.showToast(`已重做：${entry.label}`, 'success', { label: '撤销', callback: () => this.undo() });
+    }
+
+    // 设置被整体替换（撤销/重做、其他标签页同步）后刷新所有可能变化的界面
+    refreshSettingsViews() {
+        // 已展开的工具组仍存在时重新渲染，否则关闭面板
+        if (this.toolgroupPanel.classList.contains('active')) {
+            this.refreshToolgroupPanel();
+        } else {
+            this.closeToolgroupPanel();
+        }
+        this.refreshAllData();
+        this.renderTagFilterOptions();
+        this.initTextColorSettings();
+        this.initSearchSettings();
+        // 设置变化后刷新已显示的搜索结果
+        if (this.isSearchResultsOpen()) {
+            this.handleSearchInput();
+        }
+    }
+
+    // 其他标签页修改了设置
+    handleExternalSettingsChange(reason) {
+        this.refreshSettingsViews();
+        if (reason === 'merged') {
+            this.showToast('其他标签页也修改了设置，已合并双方的修改');
+        } else if (reason === 'remote') {
+            this.updateWebDAVStatus();
+            this.showUndoToast('已载入WebDAV上更新的设置');
+        }
+    }
+
+    // 判断事件目标是否为文本输入区域
+    isTextEditingTarget(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+        if (target.tagName !== 'INPUT') return false;
+        return !['range', 'checkbox', 'radio', 'color', 'file', 'button', 'submit'].includes(target.type);
+    }
+
     // 工具函数
-    showToast(message, type = 'success') {
+    showToast(message, type = 'success', action = null) {
+        clearTimeout(this.toastTimer);
         this.toast.textContent = message;
         this.toast.className = 'toast show';
-        if (type === 'error') {
-            this.toast.classList.add('error');
-        } else {
-            this.toast.classList.remove('error');
+        if (type === 'error' || type === 'warning') {
+            this.toast.classList.add(type);
+        }
+
+        // 可选的操作按钮，如"撤销"
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                this.toast.classList.remove('show');
+                action.callback();
+            });
+            this.toast.appendChild(actionBtn);
         }
 
-        setTimeout(() => {
+        this.toastTimer = setTimeout(() => {
             this.toast.classList.remove('show');
-        }, 3000);
+        }, action ? 5000 : 3000);
+    }
+
+    // 显示保存状态，保存成功后短暂显示"已保存"，失败时提示并可重试
+    updateSaveStatus(status, message) {
+        const labels = { saving: '保存中…', saved: '已保存', failed: '保存失败' };
+        clearTimeout(this.saveStatusTimer);
+        this.saveStatusIndicator.textContent = labels[status];
+        this.saveStatusIndicator.title = message || '';
+        this.saveStatusIndicator.className = `save-status visible ${status}`;
+        
+        if (status === 'saved') {
+            this.saveStatusTimer = setTimeout(() => {
+                this.saveStatusIndicator.classList.remove('visible');
+            }, 2000);
+        } else if (status === 'failed' && !this.model.storageFull) {
+            // 空间已满时由存储空间面板引导恢复，不再弹出重试提示
+            this.showToast(`保存失败：${message || '未知错误'}`, 'error', {
+                label: '重试',
+                callback: () => this.model.flushSettings()
+            });
+        }
+    }
+
+    // 文件使用旧版校验和时提示用户，返回是否显示了提示
+    showIntegrityWarning() {
+        const report = this.model.lastIntegrityReport;
+        if (report && report.valid && report.legacy) {
+            this.showToast(report.message, 'warning');
+            return true;
+        }
+        return false;
+    }
+
+    // 显示带"撤销"按钮的提示
+    showUndoToast(message) {
+        this.showToast(message, 'success', { label: '撤销', callback: () => this.undo() });
     }
 }
 
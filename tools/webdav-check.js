@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// 用tools/webdav-server.js检查WebDAV同步：在Node中载入script.js，以两台"设备"运行WebDAVAdapter，
+// 依次检查首次上传、另一台设备载入、两边都修改时的412冲突和重新载入后的结果，服务器同时打印每个请求
+// 用法：node tools/webdav-check.js [--no-put-etag]，全部通过时退出码为0
+// 只依赖Node.js 18及以上版本自带的模块（fetch、Web Crypto）
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createWebDAVServer } = require('./webdav-server');
+
+const scriptSource = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+
+// 以Map模拟一台设备的localStorage，重新载入页面时沿用同一个Map
+function createLocalStorage(data) {
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+        key: index => Array.from(data.keys())[index] || null,
+        get length() {
+            return data.size;
+        }
+    };
+}
+
+// 在独立的上下文中载入script.js，只提供WebDAV同步用到的浏览器接口，不创建界面
+function loadDevice(name, storage, requests) {
+    const noop = () => {};
+    const context = {
+        console: { log: noop, warn: noop, error: (...args) => console.error(`[${name}]`, ...args) },
+        localStorage: createLocalStorage(storage),
+        document: { addEventListener: noop, removeEventListener: noop, visibilityState: 'visible' },
+        navigator: { userAgent: 'node' },
+        crypto: globalThis.crypto,
+        // 记录每个请求的方法和状态码，用于检查冲突
+        fetch: async (url, init) => {
+            const response = await fetch(url, init);
+            requests.push({ device: name, method: init.method, status: response.status });
+            return response;
+        },
+        TextEncoder,
+        TextDecoder,
+        URL,
+        Blob,
+        btoa,
+        atob,
+        setTimeout,
+        clearTimeout,
+        Promise
+    };
+    context.window = context;
+    context.addEventListener = noop;
+    vm.createContext(context);
+    vm.runInContext(`${scriptSource}\n;this.NavigationModel = NavigationModel;`, context, { filename: 'script.js' });
+    return new context.NavigationModel();
+}
+
+async function connect(model, url) {
+    model.setWebDAVConfig({ url, username: 'nav', password: 'secret', rememberPassword: true, enabled: true });
+    if (!await model.initFileStorage('webdav')) {
+        throw new Error(`连接失败：${model.lastImportError}`);
+    }
+}
+
+// 立即写入并等待上传完成
+async function save(model) {
+    model.flushSettings();
+    return model.storageAdapter.queue;
+}
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(`检查失败：${message}`);
+    }
+    console.log(`✓ ${message}`);
+}
+
+async function main() {
+    const { server, files } = createWebDAVServer({ user: 'nav', pass: 'secret', putEtag: !process.argv.includes('--no-put-etag') });
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://localhost:${server.address().port}/nav/`;
+    const remoteNames = () => JSON.parse(files.get('/nav/navigation-settings.json').body.toString())
+        .navigationItems.map(item => item.name);
+    const requests = [];
+    const storageA = new Map();
+    const storageB = new Map();
+
+    try {
+        const a = loadDevice('A', storageA, requests);
+        await connect(a, url);
+        check(files.has('/nav/navigation-settings.json'), 'A首次连接时创建远程设置文件');
+
+        // B没有合并界面，首次连接时直接载入远程设置
+        const b = loadDevice('B', storageB, requests);
+        await connect(b, url);
+        check(JSON.stringify(b.getNavigationItems().map(item => item.url)) === JSON.stringify(a.getNavigationItems().map(item => item.url)),
+            'B首次连接时载入A上传的设置');
+
+        b.addNavigationItem({ name: 'B-only', url: 'https://b.example.com', icon: 'B', tags: [] });
+        check(await save(b) && remoteNames().includes('B-only'), 'B的修改按If-Match上传');
+
+        // A的同步状态中仍是旧ETag，上传时服务器返回412，A读取远程文件后以时间戳较新的A为准重新上传
+        a.addNavigationItem({ name: 'A-only', url: 'https://a.example.com', icon: 'A', tags: [] });
+        check(await save(a), 'A在B修改后上传成功');
+        check(requests.filter(r => r.device === 'A' && r.status === 412).length === 1, 'A的上传因ETag已变化收到412');
+        check(remoteNames().includes('A-only') && !remoteNames().includes('B-only'), '冲突后远程文件为时间戳较新的A的设置');
+
+        // 重新载入B（沿用其localStorage）：只有远程被修改，载入A的设置而不上传
+        const reloaded = loadDevice('B2', storageB, requests);
+        await connect(reloaded, url);
+        check(reloaded.getNavigationItems().some(item => item.name === 'A-only'), '重新载入的B同步到A的设置');
+        check(requests.filter(r => r.device === 'B2' && r.method === 'PUT').length === 0, '重新载入的B没有上传');
+
+        console.log('WebDAV同步检查全部通过');
+    } finally {
+        server.close();
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// 用于测试WebDAV同步的本地服务器：数据只保存在内存中，支持GET/HEAD/PUT/DELETE/PROPFIND、ETag条件请求、Basic认证和跨域访问
+// 用法：node tools/webdav-server.js [--port 8090] [--user nav --pass secret] [--no-put-etag]
+// 只依赖Node.js自带的模块，不要用于保存真实数据
+
+const http = require('http');
+const crypto = require('crypto');
+
+function readOptions(argv) {
+    const options = { port: 8090, user: '', pass: '', putEtag: true };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = Number(argv[++i]);
+        } else if (arg === '--user') {
+            options.user = argv[++i] || '';
+        } else if (arg === '--pass') {
+            options.pass = argv[++i] || '';
+        } else if (arg === '--no-put-etag') {
+            // 模拟PUT响应不带ETag的服务器，适配器需要再用HEAD查询
+            options.putEtag = false;
+        } else {
+            throw new Error(`未知参数：${arg}`);
+        }
+    }
+    return options;
+}
+
+function createWebDAVServer({ user = '', pass = '', putEtag = true } = {}) {
+    // 路径 -> { body, etag, modified }
+    const files = new Map();
+    
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, HEAD, PUT, DELETE, PROPFIND, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, If-Match, If-None-Match',
+        'Access-Control-Expose-Headers': 'ETag'
+    };
+    
+    const send = (res, status, body = '', headers = {}) => {
+        res.writeHead(status, { ...corsHeaders, ...headers });
+        res.end(body);
+    };
+    
+    const isAuthorized = (req) => {
+        if (!user) {
+            return true;
+        }
+        const expected = `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+        return req.headers.authorization === expected;
+    };
+    
+    const escapeXml = (text) => text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+    
+    const propfind = (path, depth) => {
+        const directory = path.endsWith('/') ? path : `${path}/`;
+        const entries = [];
+        if (files.has(path)) {
+            entries.push([path, files.get(path)]);
+        } else {
+            entries.push([directory, null]);
+            if (depth !== '0') {
+                files.forEach((file, filePath) => {
+                    const rest = filePath.slice(directory.length);
+                    if (filePath.startsWith(directory) && rest && !rest.includes('/')) {
+                        entries.push([filePath, file]);
+                    }
+                });
+            }
+        }
+        const responses = entries.map(([href, file]) => `
+  <d:response>
+    <d:href>${escapeXml(href)}</d:href>
+    <d:propstat>
+      <d:prop>${file
+        ? `<d:getlastmodified>${file.modified.toUTCString()}</d:getlastmodified><d:getetag>${escapeXml(file.etag)}</d:getetag><d:getcontentlength>${file.body.length}</d:getcontentlength>`
+        : '<d:resourcetype><d:collection/></d:resourcetype>'}</d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>`).join('');
+        return `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus xmlns:d="DAV:">${responses}\n</d:multistatus>\n`;
+    };
+    
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+            const file = files.get(path);
+            const ifMatch = req.headers['if-match'];
+            const ifNoneMatch = req.headers['if-none-match'];
+            let status;
+            
+            if (req.method === 'OPTIONS') {
+                status = 204;
+                send(res, status, '', { DAV: '1' });
+            } else if (!isAuthorized(req)) {
+                status = 401;
+                send(res, status, '', { 'WWW-Authenticate': 'Basic realm="webdav-server"' });
+            } else if (req.method === 'GET' || req.method === 'HEAD') {
+                status = file ? 200 : 404;
+                const headers = file ? { ETag: file.etag, 'Content-Type': 'application/json', 'Last-Modified': file.modified.toUTCString() } : {};
+                send(res, status, file && req.method === 'GET' ? file.body : '', headers);
+            } else if (req.method === 'PUT') {
+                // If-Match：只在文件未被其他客户端修改时写入；If-None-Match: *：只在文件不存在时创建
+                if ((ifMatch && (!file || file.etag !== ifMatch)) || (ifNoneMatch === '*' && file)) {
+                    status = 412;
+                    send(res, status);
+                } else {
+                    const body = Buffer.concat(chunks);
+                    const etag = `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 16)}-${Date.now()}"`;
+                    files.set(path, { body, etag, modified: new Date() });
+                    status = file ? 204 : 201;
+                    send(res, status, '', putEtag ? { ETag: etag } : {});
+                }
+            } else if (req.method === 'DELETE') {
+                status = files.delete(path) ? 204 : 404;
+                send(res, status);
+            } else if (req.method === 'PROPFIND') {
+                status = 207;
+                send(res, status, propfind(path, req.headers.depth), { 'Content-Type': 'application/xml; charset=utf-8' });
+            } else {
+                status = 405;
+                send(res, status);
+            }
+            
+            const condition = ifMatch ? ` If-Match ${ifMatch}` : ifNoneMatch ? ` If-None-Match ${ifNoneMatch}` : '';
+            console.log(`${new Date().toLocaleTimeString()} ${req.method} ${path}${condition} → ${status}`);
+        });
+    });
+    
+    return { server, files };
+}
+
+if (require.main === module) {
+    const options = readOptions(process.argv.slice(2));
+    const { server } = createWebDAVServer(options);
+    server.listen(options.port, () => {
+        console.log(`WebDAV测试服务器：http://localhost:${options.port}/${options.user ? `（用户名 ${options.user}）` : '（无需认证）'}`);
+        console.log('数据只保存在内存中，按Ctrl+C停止');
+    });
+}
+
+module.exports = { createWebDAVServer };